@@ -0,0 +1,264 @@
+/**
+ * Configuration Loader
+ * Resolves layered configuration and validates it with Joi
+ *
+ * Layers, lowest to highest precedence:
+ *   1. Profile defaults (config/environment.js)
+ *   2. Optional profile file (config/environments/<env>.json|.yaml|.yml)
+ *   3. Environment variables (.env or process environment)
+ *   4. CLI overrides: --config.<key>=<value> for Node scripts (npm run openapi:generate, ...);
+ *      Jest runs use --globals '{"configOverrides":{...}}', since Jest parses --config itself
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+
+const PROFILE_DIR = path.join(__dirname, 'environments');
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Environment variables mapped to config keys
+ */
+const envVarMap = {
+  API_BASE_URL: 'baseURL',
+  API_TIMEOUT: 'timeout',
+  TEST_TIMEOUT: 'testTimeout',
+  RETRY_ATTEMPTS: 'retryAttempts',
+  RETRY_DELAY: 'retryDelay',
+  RETRY_MAX_DELAY: 'retryMaxDelay',
+  RETRY_STATUS_CODES: 'retryStatusCodes',
+  LOG_LEVEL: 'logLevel',
+  LOG_FORMAT: 'logFormat',
+  LOG_FILES: 'logFiles',
+  EXCHANGE_HISTORY: 'exchangeHistory',
+  TEST_SEED: 'testSeed',
+  CASSETTE_MODE: 'cassetteMode',
+  CASSETTE_DIR: 'cassetteDir',
+  CONTRACT_MODE: 'contractMode',
+  CONTRACT_SPEC: 'contractSpec',
+  SCHEMA_BASELINE_DIR: 'schemaBaselineDir',
+  SCHEMA_DRIFT_FAIL_ON: 'schemaDriftFailOn',
+  PROPERTY_RUNS: 'propertyRuns',
+  PROPERTY_SEED: 'propertySeed',
+  PROPERTY_REGRESSION_DIR: 'propertyRegressionDir',
+  COMBINATION_STRENGTH: 'combinationStrength',
+  CATALOG_DIR: 'catalogDir',
+  CATALOG_TAGS: 'catalogTags',
+  LOAD_ENABLED: 'loadEnabled',
+  LOAD_DURATION: 'loadDuration',
+  LOAD_CONCURRENCY: 'loadConcurrency',
+  LOAD_RATE: 'loadRate',
+  LOAD_MAX_P95: 'loadMaxP95',
+  LOAD_MAX_P99: 'loadMaxP99',
+  LOAD_MAX_ERROR_RATE: 'loadMaxErrorRate'
+};
+
+/**
+ * Joi with comma-separated string -> array coercion, for list settings
+ * supplied through environment variables or CLI overrides
+ */
+const ConfigJoi = Joi.extend(joi => ({
+  type: 'array',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      return { value: value.split(',').map(item => item.trim()).filter(Boolean) };
+    }
+  }
+}));
+
+/**
+ * Resolved Configuration Schema
+ */
+const configSchema = Joi.object({
+  baseURL: Joi.string().uri({ scheme: ['http', 'https'] })
+    .when('useLocalServer', { is: true, then: Joi.allow(null), otherwise: Joi.required() }),
+  timeout: Joi.number().integer().positive().required(),
+  testTimeout: Joi.number().integer().positive().required(),
+  retryAttempts: Joi.number().integer().min(0).required(),
+  retryDelay: Joi.number().integer().min(0).default(250),
+  retryMaxDelay: Joi.number().integer().min(Joi.ref('retryDelay')).default(4000),
+  retryStatusCodes: ConfigJoi.array().items(Joi.number().integer().min(400).max(599))
+    .default([408, 429, 502, 503, 504]),
+  logLevel: Joi.string().valid('error', 'warn', 'info', 'debug').required(),
+  logFormat: Joi.string().valid('pretty', 'json').default('pretty'),
+  logFiles: Joi.boolean().default(false),
+  exchangeHistory: Joi.number().integer().min(0).default(5),
+  testSeed: Joi.number().integer().min(0).max(4294967295).allow(null).default(null),
+  useLocalServer: Joi.boolean().default(false),
+  cassetteMode: Joi.string().valid('record', 'replay', 'passthrough', 'record-missing').default('passthrough'),
+  cassetteDir: Joi.string().min(1).default('fixtures/cassettes'),
+  contractMode: Joi.string().valid('off', 'warn', 'strict').default('off'),
+  contractSpec: Joi.string().min(1).default('docs/openapi.json'),
+  schemaBaselineDir: Joi.string().min(1).default('fixtures/schema-baselines'),
+  schemaDriftFailOn: ConfigJoi.array().items(Joi.string().valid(
+    'field-added', 'field-removed', 'type-changed', 'became-nullable', 'became-non-nullable',
+    'became-optional', 'became-required', 'enum-widened', 'enum-narrowed', 'baseline-missing'
+  )).default(['field-removed', 'type-changed', 'became-nullable', 'became-optional']),
+  propertyRuns: Joi.number().integer().positive().default(100),
+  propertySeed: Joi.number().integer().min(0).max(4294967295).allow(null).default(null),
+  propertyRegressionDir: Joi.string().min(1).default('fixtures/property-regressions'),
+  combinationStrength: Joi.number().integer().min(1).default(2),
+  catalogDir: Joi.string().min(1).default('data/catalog'),
+  catalogTags: ConfigJoi.array().items(Joi.string().min(1)).default([]),
+  loadEnabled: Joi.boolean().default(false),
+  loadDuration: Joi.number().integer().positive().default(10000),
+  loadConcurrency: Joi.number().integer().positive().default(5),
+  loadRate: Joi.number().min(0).default(0),
+  loadMaxP95: Joi.number().positive().default(1000),
+  loadMaxP99: Joi.number().min(Joi.ref('loadMaxP95')).default(2000),
+  loadMaxErrorRate: Joi.number().min(0).max(1).default(0.01)
+});
+
+/**
+ * Error thrown when configuration cannot be resolved
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Load the optional per-profile file
+ * @param {string} envName - Environment name
+ * @param {string} profileDir - Directory containing profile files
+ * @returns {object} { values, file } - Parsed values and source file (if any)
+ */
+function loadProfileFile(envName, profileDir = PROFILE_DIR) {
+  const file = PROFILE_EXTENSIONS
+    .map(ext => path.join(profileDir, `${envName}${ext}`))
+    .find(candidate => fs.existsSync(candidate));
+
+  if (!file) {
+    return { values: {}, file: null };
+  }
+
+  const raw = fs.readFileSync(file, 'utf8');
+  let values;
+  try {
+    values = file.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new ConfigError(`Could not parse config file ${file}: ${error.message}`);
+  }
+
+  if (values === null || values === undefined) {
+    return { values: {}, file };
+  }
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError(`Config file ${file} must contain an object of settings`);
+  }
+
+  return { values, file };
+}
+
+/**
+ * Read config values from environment variables
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} Config values keyed by config key
+ */
+function loadEnvOverrides(env = process.env) {
+  const values = {};
+  Object.keys(envVarMap).forEach(varName => {
+    if (env[varName] !== undefined && env[varName] !== '') {
+      values[envVarMap[varName]] = env[varName];
+    }
+  });
+  return values;
+}
+
+/**
+ * Parse CLI overrides of the form --config.<key>=<value>
+ * Only for Node scripts: Jest rejects --config.<key> while parsing its own --config option.
+ * @param {array} argv - Command line arguments
+ * @returns {object} Config values keyed by config key
+ */
+function parseCliOverrides(argv = process.argv) {
+  const values = {};
+  argv.forEach(arg => {
+    const match = /^--config\.([A-Za-z]+)=(.*)$/.exec(arg);
+    if (match) {
+      values[match[1]] = match[2];
+    }
+  });
+  return values;
+}
+
+/**
+ * Describe where a config key came from, for error messages
+ * @param {string} key - Config key
+ * @param {object} sources - Map of key to source label
+ * @returns {string} Source description
+ */
+function describeSource(key, sources) {
+  return sources[key] ? ` (from ${sources[key]})` : '';
+}
+
+/**
+ * Resolve and validate configuration for an environment
+ * @param {object} options - Resolution options
+ * @param {string} options.envName - Environment/profile name
+ * @param {object} options.profiles - Profile defaults keyed by name
+ * @param {object} options.env - Environment variables
+ * @param {array} options.argv - Command line arguments
+ * @param {object} options.overrides - Programmatic overrides (highest precedence)
+ * @param {string} options.profileDir - Directory containing profile files
+ * @returns {object} { config, sources } - Validated config and source of each key
+ * @throws {ConfigError} If the profile is unknown or a value is invalid
+ */
+function resolveConfig({
+  envName,
+  profiles,
+  env = process.env,
+  argv = process.argv,
+  overrides = {},
+  profileDir = PROFILE_DIR
+}) {
+  const defaults = profiles[envName];
+  if (!defaults) {
+    throw new ConfigError(
+      `Unknown environment "${envName}". Set NODE_ENV to one of: ${Object.keys(profiles).join(', ')}`
+    );
+  }
+
+  const profileFile = loadProfileFile(envName, profileDir);
+  const layers = [
+    { label: `profile "${envName}"`, values: { ...defaults, testTimeout: defaults.testTimeout || defaults.timeout } },
+    { label: profileFile.file && path.relative(process.cwd(), profileFile.file), values: profileFile.values },
+    { label: key => Object.keys(envVarMap).find(name => envVarMap[name] === key), values: loadEnvOverrides(env) },
+    { label: 'CLI override', values: { ...parseCliOverrides(argv), ...overrides } }
+  ];
+
+  const merged = {};
+  const sources = {};
+  layers.forEach(({ label, values }) => {
+    Object.keys(values).forEach(key => {
+      merged[key] = values[key];
+      sources[key] = typeof label === 'function' ? label(key) : label;
+    });
+  });
+
+  const { error, value } = configSchema.validate(merged, { abortEarly: false });
+  if (error) {
+    const problems = error.details
+      .map(detail => `  - ${detail.message}${describeSource(detail.path[0], sources)}`)
+      .join('\n');
+    throw new ConfigError(`Invalid configuration for environment "${envName}":\n${problems}`);
+  }
+
+  return { config: value, sources };
+}
+
+module.exports = {
+  ConfigError,
+  configSchema,
+  envVarMap,
+  loadProfileFile,
+  loadEnvOverrides,
+  parseCliOverrides,
+  resolveConfig
+};
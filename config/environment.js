@@ -5,6 +5,8 @@
 
 require('dotenv').config();
 
+const { resolveConfig } = require('./configLoader');
+
 const environments = {
   development: {
     baseURL: 'https://fakestoreapi.com',
@@ -29,23 +31,49 @@ const environments = {
     timeout: 5000,
     retryAttempts: 1,
     logLevel: 'error'
+  },
+  // Offline profile: baseURL is filled in by config/jest.setup.js once the
+  // bundled server (server/localServer.js) is listening
+  local: {
+    baseURL: null,
+    timeout: 5000,
+    retryAttempts: 0,
+    logLevel: 'debug',
+    useLocalServer: true,
+    // Short load run against the local server, so CI exercises the load suite
+    loadEnabled: true,
+    loadDuration: 3000
   }
 };
 
 // Get current environment from ENV variable or default to development
 const currentEnv = process.env.NODE_ENV || 'development';
 
+// Resolve layered config (profile -> profile file -> env vars -> CLI) and fail fast if invalid
+const { config, sources: configSources } = resolveConfig({
+  envName: currentEnv,
+  profiles: environments,
+  overrides: global.configOverrides || {}
+});
+
 // Export environment configuration
 module.exports = {
   env: currentEnv,
-  config: environments[currentEnv],
+  config,
+  configSources,
+  environments,
   
   // API Endpoints
   endpoints: {
     products: '/products',
     productById: (id) => `/products/${id}`,
+    categories: '/products/categories',
+    productsByCategory: (name) => `/products/category/${encodeURIComponent(name)}`,
     carts: '/carts',
+    cartById: (id) => `/carts/${id}`,
+    cartsByUser: (userId) => `/carts/user/${userId}`,
     users: '/users',
+    userById: (id) => `/users/${id}`,
     auth: '/auth/login'
   },
   
@@ -55,11 +83,24 @@ module.exports = {
     max: 20
   },
   
+  // Valid cart ID range
+  validCartRange: {
+    min: 1,
+    max: 7
+  },
+  
+  // Valid user ID range
+  validUserRange: {
+    min: 1,
+    max: 10
+  },
+  
   // HTTP Status Codes
   statusCodes: {
     OK: 200,
     CREATED: 201,
     BAD_REQUEST: 400,
+    UNAUTHORIZED: 401,
     NOT_FOUND: 404,
     UNPROCESSABLE_ENTITY: 422,
     INTERNAL_SERVER_ERROR: 500
@@ -0,0 +1,60 @@
+/**
+ * Jest Global Setup
+ * Runs once per test run, before any test file or worker starts
+ */
+
+/**
+ * Discover run-wide data (random seed, product categories) and print the effective configuration
+ * @param {object} globalConfig - Jest global config
+ * @param {object} projectConfig - Jest project config
+ */
+module.exports = async (globalConfig, projectConfig) => {
+  // Make Jest --globals '{"configOverrides":{...}}' visible to config/environment.js
+  if (projectConfig.globals && projectConfig.globals.configOverrides) {
+    global.configOverrides = projectConfig.globals.configOverrides;
+  }
+
+  const { config } = require('./environment');
+  const { startLocalServer } = require('../server/localServer');
+  const { discoverCategories, publishCategories } = require('../utils/categoryDiscovery');
+  const { insertCassette, ejectCassette } = require('../utils/cassette');
+  const { chooseRunSeed, publishRunSeed } = require('../utils/random');
+  const { resetLogFiles } = require('../utils/logger');
+  const { resetExchangeArtifacts } = require('../utils/exchanges');
+  const { resetHttpRetries } = require('../utils/runSummary');
+  const { publishTokenCacheRun } = require('../utils/auth');
+  const { formatEffectiveConfig } = require('../utils/testHelpers');
+
+  const seed = chooseRunSeed();
+  publishRunSeed(seed);
+  publishTokenCacheRun();
+  console.log(`\n🎲 Seed: ${seed} (re-run with TEST_SEED=${seed})`);
+  console.log(`\n${formatEffectiveConfig()}`);
+
+  if (config.logFiles) {
+    resetLogFiles();
+  }
+  resetExchangeArtifacts();
+  resetHttpRetries();
+
+  const localServer = config.useLocalServer ? await startLocalServer() : null;
+  const resolvedBaseURL = config.baseURL;
+  if (localServer) {
+    config.baseURL = localServer.url;
+  }
+
+  insertCassette('global-setup');
+  try {
+    const categories = await discoverCategories();
+    publishCategories(categories);
+    console.log(`\n🔎 Discovered ${categories.length} categories: ${categories.join(', ')}`);
+  } catch (error) {
+    console.warn(`\n⚠️  Category discovery failed, using data/testData.js categories: ${error.message}`);
+  } finally {
+    ejectCassette();
+    if (localServer) {
+      config.baseURL = resolvedBaseURL;
+      await localServer.close();
+    }
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Jest Global Teardown
+ * Runs once per test run, after every test file has finished
+ */
+
+/**
+ * Merge per-file request timings into reports/endpoint-timings.json, link per-test
+ * logs from the HTML report, remove the workers' token caches and HTTP retry counts
+ * (read by the run summary reporter, which runs first) and repeat the run seed
+ */
+module.exports = async () => {
+  const { config } = require('./environment');
+  const { mergeTimingReports, formatTimingTable, TIMINGS_REPORT } = require('../utils/timings');
+  const { writeLogLinks, LOG_DIR } = require('../utils/logger');
+  const { runSeed } = require('../utils/random');
+  const { removeTokenCaches } = require('../utils/auth');
+  const { resetHttpRetries } = require('../utils/runSummary');
+
+  const summary = mergeTimingReports();
+  if (summary) {
+    console.log(`\n⏱️  Endpoint timings (${TIMINGS_REPORT}):\n${formatTimingTable(summary)}\n`);
+  }
+  if (config.logFiles) {
+    console.log(`📝 Test logs: ${writeLogLinks()} linked from the HTML report (${LOG_DIR})`);
+  }
+  removeTokenCaches();
+  resetHttpRetries();
+  console.log(`🎲 Seed: ${runSeed()} (re-run with TEST_SEED=${runSeed()})\n`);
+};
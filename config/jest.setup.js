@@ -3,22 +3,119 @@
  * Global configuration and setup for all tests
  */
 
+const path = require('path');
 const frisby = require('frisby');
-const { config } = require('./environment');
+const { env, config, configSources } = require('./environment');
+const { startLocalServer } = require('../server/localServer');
+const { insertCassette, ejectCassette } = require('../utils/cassette');
+const { writeTimingSamples } = require('../utils/timings');
+const { writeHttpRetries } = require('../utils/runSummary');
+const { setRunSeed, seedRandom } = require('../utils/random');
+const { logger } = require('../utils/logger');
+const { resetExchanges, reportFailedExchanges } = require('../utils/exchanges');
+const apiClient = require('../utils/apiClient');
+const { correlationId, timing } = require('../utils/interceptors');
+const { contractValidation, reportContractViolations } = require('../utils/contract');
+const matchers = require('../utils/matchers');
+
+let localServer = null;
+
+// Custom matchers: toMatchSchema, toBeValidProduct, toHaveStatus, toHaveHeader, toRespondWithin
+expect.extend(matchers);
+
+// Interceptors applied to every request in every suite
+apiClient.use(correlationId());
+apiClient.use(timing());
+apiClient.use(contractValidation());
 
 // Set global timeout
-jest.setTimeout(config.timeout);
+jest.setTimeout(config.testTimeout);
+
+// One cassette per test file, e.g. tests/get.test.js -> <cassetteDir>/get.json.
+// Inserted while the file loads, so a replay can adopt the seed it was
+// recorded with before any test data is generated.
+const testFileName = path.basename(expect.getState().testPath, '.test.js');
+const cassette = insertCassette(testFileName);
+if (cassette.seed !== null && ['replay', 'record-missing'].includes(cassette.mode)) {
+  setRunSeed(cassette.seed);
+}
+
+// Data generated while the file is collected (e.g. it.each tables)
+seedRandom(testFileName);
+
+// Each test gets its own seed, derived from the run seed and its full name
+beforeEach(() => {
+  seedRandom(expect.getState().currentTestName);
+});
+
+// Last HTTP exchanges of a failed test (EXCHANGE_HISTORY), with curl commands,
+// printed and written to reports/exchanges. Registered before the per-test log
+// hooks so the report also lands in the test's log file.
+beforeEach(() => {
+  resetExchanges();
+});
+
+afterEach(() => {
+  if (global.__TEST_FAILED__) {
+    const { testPath, currentTestName } = expect.getState();
+    reportFailedExchanges({ testPath, testName: currentTestName });
+  }
+});
+
+// Per-test log files (LOG_FILES=true): everything the test logged, at every level
+if (config.logFiles) {
+  beforeEach(() => {
+    logger.startTestLog();
+  });
+
+  afterEach(() => {
+    const { testPath, currentTestName } = expect.getState();
+    logger.endTestLog({ testPath, testName: currentTestName });
+  });
+}
 
 // Global before all tests
-beforeAll(() => {
-  console.log('\n🚀 Starting API Test Suite');
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Base URL: ${config.baseURL}\n`);
+beforeAll(async () => {
+  // Start the bundled stand-in server for the offline profile
+  if (config.useLocalServer) {
+    localServer = await startLocalServer();
+    config.baseURL = localServer.url;
+    configSources.baseURL = 'local server';
+  }
+
+  logger.info(`🚀 Starting API Test Suite (environment ${env}, base URL ${config.baseURL}, ` +
+    `cassette mode ${config.cassetteMode}, contract mode ${config.contractMode})`);
+});
+
+// Fail (strict) or warn about responses that broke the OpenAPI contract during the test
+afterEach(() => {
+  reportContractViolations();
 });
 
 // Global after all tests
-afterAll(() => {
-  console.log('\n✅ API Test Suite Completed\n');
+afterAll(async () => {
+  ejectCassette();
+
+  // Per-endpoint timings, merged into reports/endpoint-timings.json by globalTeardown
+  writeTimingSamples(testFileName);
+
+  // Requests ApiClient retried, counted in the run summary by config/runSummaryReporter.js
+  writeHttpRetries(testFileName);
+
+  // Test -> log file index, turned into report links by globalTeardown
+  if (config.logFiles) {
+    logger.writeLogIndex(testFileName);
+  }
+
+  if (localServer) {
+    await localServer.close();
+    localServer = null;
+  }
+
+  // Violations from beforeAll/afterAll hooks, which no single test owns
+  reportContractViolations();
+
+  logger.log('success', 'API Test Suite Completed');
 });
 
 // Configure Frisby global settings
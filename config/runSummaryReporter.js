@@ -0,0 +1,41 @@
+/**
+ * Jest Run Summary Reporter
+ * Prints the test execution report with the run's real numbers and writes reports/results.json
+ */
+
+const path = require('path');
+
+class RunSummaryReporter {
+  /**
+   * @param {object} globalConfig - Jest global config
+   * @param {object} options - Reporter options
+   * @param {string} options.outputFile - JSON summary file (default ./reports/results.json)
+   * @param {number} options.slowest - Number of slowest tests to list (default 5)
+   */
+  constructor(globalConfig, options = {}) {
+    this.rootDir = globalConfig.rootDir;
+    this.outputFile = path.resolve(this.rootDir, options.outputFile || './reports/results.json');
+    this.slowest = options.slowest === undefined ? 5 : options.slowest;
+  }
+
+  /**
+   * Summarize the run, print it and write the JSON summary
+   * A failure here is reported but never fails the run.
+   * @param {Set} contexts - Jest test contexts
+   * @param {object} results - Aggregated run results
+   */
+  onRunComplete(contexts, results) {
+    const { summarizeRun, formatRunSummary, writeRunSummary } = require('../utils/runSummary');
+
+    try {
+      const summary = summarizeRun(results, { rootDir: this.rootDir, slowest: this.slowest });
+      console.log(formatRunSummary(summary));
+      writeRunSummary(summary, this.outputFile);
+      console.log(`📄 Run summary: ${path.relative(this.rootDir, this.outputFile)}`);
+    } catch (error) {
+      console.warn(`\n⚠️  Run summary not written: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RunSummaryReporter;
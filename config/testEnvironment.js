@@ -0,0 +1,26 @@
+/**
+ * Jest Test Environment
+ * The node environment, plus whether the running test has failed so far
+ *
+ * afterEach hooks cannot see their test's outcome, so the environment sets
+ * `global.__TEST_FAILED__` when the test body (or one of its beforeEach hooks)
+ * fails; config/jest.setup.js reads it to report the test's HTTP exchanges.
+ */
+
+const { TestEnvironment } = require('jest-environment-node');
+
+class ApiTestEnvironment extends TestEnvironment {
+  /**
+   * Track the running test's failures
+   * @param {object} event - jest-circus event
+   */
+  handleTestEvent(event) {
+    if (event.name === 'test_start') {
+      this.global.__TEST_FAILED__ = false;
+    } else if (event.name === 'test_fn_failure' || (event.name === 'hook_failure' && event.hook.type === 'beforeEach')) {
+      this.global.__TEST_FAILED__ = true;
+    }
+  }
+}
+
+module.exports = ApiTestEnvironment;
@@ -0,0 +1,56 @@
+/**
+ * Jest Traceability Reporter
+ * Writes the scenario traceability matrix (reports/traceability.md, .csv, .html) after each run
+ */
+
+const path = require('path');
+
+class TraceabilityReporter {
+  /**
+   * @param {object} globalConfig - Jest global config
+   * @param {object} options - Reporter options
+   * @param {string} options.outputDirectory - Report directory (default ./reports)
+   * @param {string} options.outputName - File name without extension (default traceability)
+   */
+  constructor(globalConfig, options = {}) {
+    this.rootDir = globalConfig.rootDir;
+    this.outputDirectory = path.resolve(this.rootDir, options.outputDirectory || './reports');
+    this.outputName = options.outputName || 'traceability';
+  }
+
+  /**
+   * Join the run's results with the declared scenarios and write the matrix
+   * A failure here is reported but never fails the run.
+   * @param {Set} contexts - Jest test contexts
+   * @param {object} results - Aggregated run results
+   */
+  onRunComplete(contexts, results) {
+    const {
+      collectDeclaredScenarios,
+      buildTraceabilityMatrix,
+      formatTraceabilitySummary,
+      writeTraceabilityReport
+    } = require('../utils/traceability');
+
+    try {
+      const toRelative = file => path.relative(this.rootDir, file).split(path.sep).join('/');
+      const tests = results.testResults.flatMap(fileResult => fileResult.testResults.map(test => ({
+        file: toRelative(fileResult.testFilePath),
+        title: test.title,
+        ancestorTitles: test.ancestorTitles,
+        fullName: test.fullName,
+        status: test.status,
+        duration: test.duration
+      })));
+      const testFiles = results.testResults.map(fileResult => toRelative(fileResult.testFilePath));
+
+      const matrix = buildTraceabilityMatrix(collectDeclaredScenarios({ rootDir: this.rootDir, testFiles }), tests);
+      const files = writeTraceabilityReport(matrix, this.outputDirectory, this.outputName);
+      console.log(`\n🧭 Traceability (${path.relative(this.rootDir, files.markdown)}): ${formatTraceabilitySummary(matrix.summary)}`);
+    } catch (error) {
+      console.warn(`\n⚠️  Traceability matrix not written: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TraceabilityReporter;
@@ -1,6 +1,6 @@
 /**
- * Test Data - Product Payloads
- * Predefined test data for product testing
+ * Test Data - Product, Cart, User and Auth Payloads
+ * Predefined test data for API testing
  */
 
 module.exports = {
@@ -84,7 +84,7 @@ module.exports = {
     category: "electronics"
   },
 
-  // Product categories
+  // Product categories (fallback when run-time category discovery fails)
   categories: [
     "electronics",
     "jewelery",
@@ -106,5 +106,152 @@ module.exports = {
     zero: 0,
     nonNumeric: "abc",
     special: "!@#$"
-  }
+  },
+
+  // Valid cart data
+  validCart: {
+    userId: 5,
+    date: "2020-02-03",
+    products: [
+      { productId: 5, quantity: 1 },
+      { productId: 1, quantity: 5 }
+    ]
+  },
+
+  // Cart update data
+  updateCart: {
+    userId: 3,
+    date: "2019-12-10",
+    products: [
+      { productId: 1, quantity: 3 }
+    ]
+  },
+
+  // Cart with no line items (invalid)
+  emptyCart: {
+    userId: 5,
+    date: "2020-02-03",
+    products: []
+  },
+
+  // Cart with zero quantity line item (boundary value)
+  zeroQuantityCart: {
+    userId: 5,
+    date: "2020-02-03",
+    products: [
+      { productId: 1, quantity: 0 }
+    ]
+  },
+
+  // Cart with missing userId (invalid)
+  missingUserCart: {
+    date: "2020-02-03",
+    products: [
+      { productId: 1, quantity: 1 }
+    ]
+  },
+
+  // Valid cart IDs for testing
+  validCartIds: {
+    min: 1,
+    max: 7
+  },
+
+  // Cart date range (inclusive) and the carts it contains in the seed data
+  cartDateRange: {
+    startdate: "2020-01-01",
+    enddate: "2020-01-31",
+    expectedCartIds: [2, 4]
+  },
+
+  // Valid user data
+  validUser: {
+    email: "jane.tester@example.com",
+    username: "janetester",
+    password: "S3cure!pass",
+    name: {
+      firstname: "jane",
+      lastname: "tester"
+    },
+    address: {
+      city: "kilcoole",
+      street: "7835 new road",
+      number: 3,
+      zipcode: "12926-3874",
+      geolocation: {
+        lat: "-37.3159",
+        long: "81.1496"
+      }
+    },
+    phone: "1-570-236-7033"
+  },
+
+  // User update data
+  updateUser: {
+    email: "jane.updated@example.com",
+    username: "janeupdated",
+    password: "N3w!pass",
+    name: {
+      firstname: "jane",
+      lastname: "updated"
+    },
+    address: {
+      city: "Cullman",
+      street: "Frances Ct",
+      number: 86,
+      zipcode: "29567-1452",
+      geolocation: {
+        lat: "40.3467",
+        long: "-30.1310"
+      }
+    },
+    phone: "1-567-094-1345"
+  },
+
+  // Invalid email formats (Error Guessing)
+  invalidEmails: [
+    "plainaddress",
+    "@missing-local.com",
+    "missing-at.example.com",
+    "missing-domain@",
+    "spaces in@example.com",
+    "double@@example.com"
+  ],
+
+  // Malformed phone numbers (Error Guessing)
+  malformedPhones: [
+    "abc-def-ghij",
+    "12",
+    "1-570-236-7033-1234-5678-9",
+    "+-+-+-+"
+  ],
+
+  // Required address parts
+  addressFields: ["city", "street", "number", "zipcode", "geolocation"],
+
+  // Valid user IDs for testing
+  validUserIds: {
+    min: 1,
+    max: 10
+  },
+
+  // Public FakeStoreAPI demo account (user ID 2), used when .env has no AUTH_* values
+  authCredentials: {
+    username: "mor_2314",
+    password: "83r5^_",
+    userId: 2
+  },
+
+  // Invalid login payloads (Negative Testing)
+  invalidLogins: {
+    wrongPassword: { username: "mor_2314", password: "wrong-password" },
+    unknownUser: { username: "no_such_user", password: "83r5^_" },
+    missingUsername: { password: "83r5^_" },
+    missingPassword: { username: "mor_2314" },
+    emptyBody: {},
+    wrongTypes: { username: 2314, password: 835 }
+  },
+
+  // Malformed JSON login body (sent as a raw string)
+  malformedLoginBody: '{"username": "mor_2314", "password": '
 };
@@ -4,8 +4,8 @@
  */
 
 module.exports = {
-  // Use node environment for API testing
-  testEnvironment: 'node',
+  // Node environment that also tracks whether the running test failed (HTTP exchange reports)
+  testEnvironment: '<rootDir>/config/testEnvironment.js',
   
   // Display individual test results with test suite hierarchy
   verbose: true,
@@ -28,6 +28,12 @@ module.exports = {
     '**/tests/**/*.test.js'
   ],
   
+  // Run once before all test files (category discovery)
+  globalSetup: '<rootDir>/config/globalSetup.js',
+  
+  // Run once after all test files (per-endpoint timing report)
+  globalTeardown: '<rootDir>/config/globalTeardown.js',
+  
   // Setup files after environment
   setupFilesAfterEnv: ['<rootDir>/config/jest.setup.js'],
   
@@ -55,6 +61,8 @@ module.exports = {
         includeFailureMsg: true,
         includeConsoleLog: true,
         theme: 'defaultTheme',
+        // Adds a link to each test's log (LOG_FILES=true), relative to the report
+        customScriptPath: 'logs/links.js',
         logo: '',
         dateFormat: 'yyyy-mm-dd HH:MM:ss'
       }
@@ -69,6 +77,20 @@ module.exports = {
         ancestorSeparator: ' › ',
         usePathForSuiteName: true
       }
+    ],
+    [
+      '<rootDir>/config/traceabilityReporter.js',
+      {
+        outputDirectory: './reports',
+        outputName: 'traceability'
+      }
+    ],
+    [
+      '<rootDir>/config/runSummaryReporter.js',
+      {
+        outputFile: './reports/results.json',
+        slowest: 5
+      }
     ]
   ]
 };
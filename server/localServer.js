@@ -0,0 +1,397 @@
+/**
+ * Local Fake Store Server
+ * In-process stand-in for https://fakestoreapi.com used for offline runs
+ *
+ * Behaves like the public API: writes are echoed back but never persisted,
+ * so every suite sees the same seed data regardless of execution order.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const seedData = require('./seedData');
+
+const TOKEN_SECRET = 'fakestore-local-secret';
+
+/**
+ * Encode value as base64url
+ * @param {string|Buffer} value - Value to encode
+ * @returns {string} base64url encoded string
+ */
+function base64Url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Issue a signed HS256 JWT for a user
+ * @param {object} user - Authenticated user
+ * @returns {string} JWT token
+ */
+function issueToken(user) {
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify({
+    sub: user.id,
+    user: user.username,
+    iat: Math.floor(Date.now() / 1000)
+  }));
+  const signature = crypto
+    .createHmac('sha256', TOKEN_SECRET)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Build a JSON error body
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {object} Route result
+ */
+function errorResult(statusCode, message) {
+  return {
+    status: statusCode,
+    body: {
+      statusCode,
+      error: http.STATUS_CODES[statusCode],
+      message
+    }
+  };
+}
+
+/**
+ * Parse a path ID parameter
+ * @param {string} rawId - ID as it appears in the URL
+ * @returns {number|null} Parsed ID or null if not an integer
+ */
+function parseId(rawId) {
+  return /^-?\d+$/.test(rawId) ? parseInt(rawId, 10) : null;
+}
+
+/**
+ * Apply ?limit and ?sort list query parameters
+ * @param {array} records - Records to list
+ * @param {object} query - URLSearchParams of the request
+ * @returns {object} Route result
+ */
+function listRecords(records, query) {
+  let result = [...records];
+
+  const sort = query.get('sort');
+  if (sort !== null) {
+    if (!['asc', 'desc'].includes(sort)) {
+      return errorResult(400, 'sort should be either asc or desc');
+    }
+    result.sort((a, b) => (sort === 'desc' ? b.id - a.id : a.id - b.id));
+  }
+
+  const limit = query.get('limit');
+  if (limit !== null) {
+    if (!/^\d+$/.test(limit) || parseInt(limit, 10) < 1) {
+      return errorResult(400, 'limit should be a positive integer');
+    }
+    result = result.slice(0, parseInt(limit, 10));
+  }
+
+  return { status: 200, body: result };
+}
+
+/**
+ * Parse an optional YYYY-MM-DD (or ISO) date query parameter
+ * @param {object} query - URLSearchParams of the request
+ * @param {string} name - Parameter name
+ * @returns {object} { date } or { error } - date is null when absent
+ */
+function parseDateParam(query, name) {
+  const raw = query.get(name);
+  if (raw === null) {
+    return { date: null };
+  }
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    return { error: errorResult(400, `${name} should be a valid date (YYYY-MM-DD)`) };
+  }
+  return { date };
+}
+
+/**
+ * Handle GET /carts with optional ?startdate/?enddate range
+ * @param {object} context - Request context
+ * @returns {object} Route result
+ */
+function listCarts({ query }) {
+  const start = parseDateParam(query, 'startdate');
+  const end = parseDateParam(query, 'enddate');
+  if (start.error || end.error) {
+    return start.error || end.error;
+  }
+
+  const inRange = seedData.carts.filter(cart => {
+    const date = new Date(cart.date);
+    return (!start.date || date >= start.date) && (!end.date || date <= end.date);
+  });
+
+  return listRecords(inRange, query);
+}
+
+/**
+ * Handle GET /carts/user/:userId
+ * @param {object} context - Request context
+ * @returns {object} Route result
+ */
+function listCartsByUser({ params, query }) {
+  const userId = parseId(params.userId);
+  if (userId === null) {
+    return errorResult(400, 'user id should be provided as a number');
+  }
+  return listRecords(seedData.carts.filter(cart => cart.userId === userId), query);
+}
+
+/**
+ * Handle GET /products/categories
+ * @returns {object} Route result
+ */
+function listCategories() {
+  const categories = [...new Set(seedData.products.map(product => product.category))];
+  return { status: 200, body: categories };
+}
+
+/**
+ * Handle GET /products/category/:name
+ * @param {object} context - Request context
+ * @returns {object} Route result
+ */
+function listProductsInCategory({ params, query }) {
+  const products = seedData.products.filter(product => product.category === params.name);
+  return listRecords(products, query);
+}
+
+/**
+ * Create CRUD route handlers for a seeded collection
+ * @param {string} name - Singular resource name used in messages
+ * @param {array} records - Seed records
+ * @returns {object} Handlers keyed by action
+ */
+function createCollectionHandlers(name, records) {
+  const findRecord = (rawId) => {
+    const id = parseId(rawId);
+    if (id === null) {
+      return { error: errorResult(400, `${name} id should be provided as a number`) };
+    }
+    const record = records.find(item => item.id === id);
+    if (!record) {
+      return { error: errorResult(404, `${name} with id ${rawId} not found`) };
+    }
+    return { id, record };
+  };
+
+  return {
+    list: ({ query }) => listRecords(records, query),
+
+    get: ({ params }) => {
+      const { error, record } = findRecord(params.id);
+      return error || { status: 200, body: record };
+    },
+
+    // The server assigns ids; an id in the request body never overrides it
+    create: ({ body }) => ({
+      status: 201,
+      body: { ...body, id: records.length + 1 }
+    }),
+
+    update: ({ params, body }) => {
+      const { error, id } = findRecord(params.id);
+      return error || { status: 200, body: { ...body, id } };
+    },
+
+    remove: ({ params }) => {
+      const { error, record } = findRecord(params.id);
+      return error || { status: 200, body: record };
+    }
+  };
+}
+
+/**
+ * Handle POST /auth/login
+ * @param {object} context - Request context
+ * @returns {object} Route result
+ */
+function login({ body }) {
+  if (!body || typeof body.username !== 'string' || typeof body.password !== 'string') {
+    return errorResult(400, 'username and password are not provided in JSON format');
+  }
+
+  const user = seedData.users.find(item =>
+    item.username === body.username && item.password === body.password
+  );
+  if (!user) {
+    return errorResult(401, 'username or password is incorrect');
+  }
+
+  return { status: 200, body: { token: issueToken(user) } };
+}
+
+/**
+ * Build the route table
+ * @returns {array} Routes as { method, pattern, handler }
+ */
+function createRoutes() {
+  const routes = [];
+  const resources = {
+    products: createCollectionHandlers('product', seedData.products),
+    carts: createCollectionHandlers('cart', seedData.carts),
+    users: createCollectionHandlers('user', seedData.users)
+  };
+
+  // Resource-specific routes take precedence over the generic CRUD routes
+  routes.push(
+    { method: 'GET', pattern: /^\/products\/categories\/?$/, handler: listCategories },
+    { method: 'GET', pattern: /^\/products\/category\/(?<name>[^/]+)$/, handler: listProductsInCategory },
+    { method: 'GET', pattern: /^\/carts\/?$/, handler: listCarts },
+    { method: 'GET', pattern: /^\/carts\/user\/(?<userId>[^/]+)$/, handler: listCartsByUser }
+  );
+
+  Object.keys(resources).forEach(resource => {
+    const handlers = resources[resource];
+    const collectionPath = new RegExp(`^/${resource}/?$`);
+    const itemPath = new RegExp(`^/${resource}/(?<id>[^/]+)$`);
+
+    routes.push(
+      { method: 'GET', pattern: collectionPath, handler: handlers.list },
+      { method: 'POST', pattern: collectionPath, handler: handlers.create },
+      { method: 'GET', pattern: itemPath, handler: handlers.get },
+      { method: 'PUT', pattern: itemPath, handler: handlers.update },
+      { method: 'PATCH', pattern: itemPath, handler: handlers.update },
+      { method: 'DELETE', pattern: itemPath, handler: handlers.remove }
+    );
+  });
+
+  routes.push({ method: 'POST', pattern: /^\/auth\/login\/?$/, handler: login });
+
+  return routes;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {object} req - Incoming request
+ * @returns {Promise} Resolves with parsed body (undefined when empty)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ * @param {object} res - Server response
+ * @param {object} result - Route result { status, body }
+ */
+function sendJson(res, { status, body }) {
+  const payload = JSON.stringify(body === undefined ? null : body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ * @returns {object} Node http.Server
+ */
+function createLocalServer() {
+  const routes = createRoutes();
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // Routes match the raw path and parameters are decoded afterwards (as in
+    // Express), so an encoded '/' stays inside its path segment
+    const path = url.pathname;
+    const matching = routes.filter(route => route.pattern.test(path));
+
+    if (matching.length === 0) {
+      sendJson(res, errorResult(404, `Cannot ${req.method} ${path}`));
+      return;
+    }
+
+    const route = matching.find(item => item.method === req.method);
+    if (!route) {
+      sendJson(res, errorResult(405, `Method ${req.method} not allowed on ${path}`));
+      return;
+    }
+
+    let params;
+    try {
+      const { groups = {} } = path.match(route.pattern);
+      params = Object.fromEntries(Object.entries(groups).map(([name, value]) => [name, decodeURIComponent(value)]));
+    } catch (error) {
+      sendJson(res, errorResult(400, `Malformed URL path: ${path}`));
+      return;
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      sendJson(res, errorResult(400, `Malformed JSON body: ${error.message}`));
+      return;
+    }
+
+    try {
+      sendJson(res, route.handler({ params, query: url.searchParams, body }));
+    } catch (error) {
+      sendJson(res, errorResult(500, error.message));
+    }
+  });
+}
+
+/**
+ * Start the local server
+ * @param {object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.host - Interface to bind
+ * @returns {Promise} Resolves with { url, server, close }
+ */
+function startLocalServer({ port = 0, host = '127.0.0.1' } = {}) {
+  const server = createLocalServer();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        server,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+// Allow running standalone: node server/localServer.js
+if (require.main === module) {
+  const port = parseInt(process.env.LOCAL_SERVER_PORT, 10) || 3000;
+  startLocalServer({ port }).then(({ url }) => {
+    console.log(`Local Fake Store server listening on ${url}`);
+  });
+}
+
+module.exports = {
+  createLocalServer,
+  startLocalServer,
+  issueToken
+};
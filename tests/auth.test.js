@@ -0,0 +1,251 @@
+/**
+ * Authentication Tests
+ * Test scenarios for POST /auth/login and bearer token handling
+ *
+ * - AUTH-001: Login with Valid Credentials (Positive Testing)
+ * - AUTH-002: Wrong Password (Negative Testing)
+ * - AUTH-003: Unknown Username (Negative Testing)
+ * - AUTH-004: Missing Username (Negative Testing + EP)
+ * - AUTH-005: Missing Password (Negative Testing + EP)
+ * - AUTH-006: Empty Body (Negative Testing)
+ * - AUTH-007: Malformed JSON Body (Error Guessing)
+ * - AUTH-008: Wrong Field Types (Error Guessing + EP)
+ * - AUTH-009: Bearer Token Injected Per Request (Positive Testing)
+ * - AUTH-010: Bearer Token Injected Per Suite (Positive Testing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiClient = require('../utils/apiClient');
+const { config, endpoints, statusCodes } = require('../config/environment');
+const { assertJwtStructure, assertJwtClaims } = require('../utils/assertions');
+const {
+  authenticate,
+  decodeJwt,
+  getCredentials,
+  invalidateToken,
+  useAuthentication,
+  removeTokenCaches,
+  AuthError
+} = require('../utils/auth');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+const testData = require('../data/testData');
+
+/**
+ * Read the Authorization header a Frisby spec was sent with
+ * @param {object} spec - Frisby spec returned by apiClient
+ * @returns {string|null} Authorization header value
+ */
+function authorizationHeaderOf(spec) {
+  return spec._request.headers.get('authorization');
+}
+
+/**
+ * Assert a login attempt was rejected as a client error
+ * @param {object} res - Frisby response
+ * @param {array} expectedStatuses - Acceptable status codes
+ */
+function expectLoginRejected(res, expectedStatuses) {
+  expect(expectedStatuses).toContain(res.status);
+  expect(res.json && res.json.token).toBeFalsy();
+}
+
+describe('POST /auth/login - Authentication', () => {
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Authentication Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    apiClient.clearAuth();
+    teardownTestSuite('Authentication Tests');
+  });
+
+  /**
+   * AUTH-001: Login with valid credentials
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: 200 OK with a JWT whose claims identify the user
+   */
+  it('AUTH-001: Should return a JWT for valid credentials', async () => {
+    const credentials = getCredentials();
+
+    return apiClient.login(credentials)
+      .expect('status', statusCodes.OK)
+      .then((res) => {
+        const { token } = res.json;
+
+        assertJwtStructure(token);
+        assertJwtClaims(token, { user: credentials.username });
+        expect(typeof decodeJwt(token).payload.iat).toBe('number');
+
+        logTest(`Logged in as ${credentials.username}`, 'success');
+      });
+  });
+
+  /**
+   * AUTH-002: Wrong password
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: 401 Unauthorized without a token
+   */
+  it('AUTH-002: Should reject a wrong password', async () => {
+    return apiClient.login(testData.invalidLogins.wrongPassword)
+      .then((res) => expectLoginRejected(res, [statusCodes.UNAUTHORIZED]));
+  });
+
+  /**
+   * AUTH-003: Unknown username
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: 401 Unauthorized without a token
+   */
+  it('AUTH-003: Should reject an unknown username', async () => {
+    return apiClient.login(testData.invalidLogins.unknownUser)
+      .then((res) => expectLoginRejected(res, [statusCodes.UNAUTHORIZED]));
+  });
+
+  /**
+   * AUTH-004 / AUTH-005 / AUTH-006: Missing fields
+   *
+   * Test Design Technique: Negative Testing + Equivalence Partitioning
+   * Expected Result: 400 Bad Request (or 401) without a token
+   */
+  describe('Missing fields', () => {
+    const cases = [
+      { id: 'AUTH-004', description: 'missing username', payload: testData.invalidLogins.missingUsername },
+      { id: 'AUTH-005', description: 'missing password', payload: testData.invalidLogins.missingPassword },
+      { id: 'AUTH-006', description: 'empty body', payload: testData.invalidLogins.emptyBody }
+    ];
+
+    cases.forEach(({ id, description, payload }) => {
+      it(`${id}: Should reject login with ${description}`, async () => {
+        return apiClient.login(payload)
+          .then((res) => expectLoginRejected(res, [
+            statusCodes.BAD_REQUEST,
+            statusCodes.UNAUTHORIZED
+          ]));
+      });
+    });
+  });
+
+  /**
+   * AUTH-007: Malformed JSON body
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: 400 Bad Request without a token
+   */
+  it('AUTH-007: Should reject a malformed JSON body', async () => {
+    return apiClient.post(endpoints.auth, testData.malformedLoginBody)
+      .then((res) => expectLoginRejected(res, [statusCodes.BAD_REQUEST]));
+  });
+
+  /**
+   * AUTH-008: Wrong field types
+   *
+   * Test Design Technique: Error Guessing + Equivalence Partitioning
+   * Expected Result: 400 Bad Request (or 401) without a token
+   */
+  it('AUTH-008: Should reject non-string credentials', async () => {
+    return apiClient.login(testData.invalidLogins.wrongTypes)
+      .then((res) => expectLoginRejected(res, [
+        statusCodes.BAD_REQUEST,
+        statusCodes.UNAUTHORIZED
+      ]));
+  });
+
+  /**
+   * Additional Test: authenticate() surfaces login failures
+   */
+  it('Should throw AuthError when authenticate() cannot log in', async () => {
+    // A valid login first: its cached token must not be reused for a wrong password
+    await authenticate();
+
+    await expect(authenticate(testData.invalidLogins.wrongPassword))
+      .rejects.toBeInstanceOf(AuthError);
+  });
+
+  /**
+   * Additional Test: token cache files readable by their owner only
+   */
+  it('Should write token cache files with mode 0600', async () => {
+    invalidateToken();
+    await authenticate();
+
+    const prefix = `fakestore-auth-${process.env.FAKESTORE_AUTH_RUN}-`;
+    const files = fs.readdirSync(os.tmpdir()).filter(file => file.startsWith(prefix));
+    expect(files.length).toBeGreaterThanOrEqual(config.cassetteMode === 'passthrough' ? 1 : 0);
+    files.forEach(file => {
+      expect(fs.statSync(path.join(os.tmpdir(), file)).mode & 0o777).toBe(0o600);
+    });
+  });
+
+  /**
+   * Additional Test: token cache files removed at the end of the run
+   */
+  it('Should remove the run\'s token cache files', async () => {
+    await authenticate();
+
+    expect(removeTokenCaches()).toBeGreaterThanOrEqual(config.cassetteMode === 'passthrough' ? 1 : 0);
+    expect(fs.readdirSync(os.tmpdir()).filter(file => file.startsWith(`fakestore-auth-${process.env.FAKESTORE_AUTH_RUN}-`)))
+      .toEqual([]);
+  });
+
+  /**
+   * Additional Test: decodeJwt() rejects malformed tokens
+   */
+  it('Should reject malformed tokens when decoding', () => {
+    expect(() => decodeJwt('not-a-jwt')).toThrow(AuthError);
+    expect(() => decodeJwt('a.b.c')).toThrow(/Malformed JWT/);
+  });
+
+  /**
+   * AUTH-009: Bearer token injected per request
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Only requests with `auth: true` carry the Authorization header
+   */
+  it('AUTH-009: Should attach bearer token only to opted-in requests', async () => {
+    const token = await authenticate();
+
+    const authenticated = apiClient.get(endpoints.products, { auth: true });
+    const anonymous = apiClient.get(endpoints.products);
+
+    expect(authorizationHeaderOf(authenticated)).toBe(`Bearer ${token}`);
+    expect(authorizationHeaderOf(anonymous)).toBeNull();
+
+    await authenticated.expect('status', statusCodes.OK);
+    await anonymous.expect('status', statusCodes.OK);
+  });
+
+  /**
+   * AUTH-010: Bearer token injected per suite
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Every request in the suite carries the Authorization header
+   */
+  describe('AUTH-010: Authenticated suite', () => {
+    useAuthentication();
+
+    it('AUTH-010: Should attach bearer token to every request in the suite', async () => {
+      const spec = apiClient.getAllCarts();
+      expect(authorizationHeaderOf(spec)).toMatch(/^Bearer .+\..+\..+$/);
+
+      return spec.expect('status', statusCodes.OK);
+    });
+
+    it('AUTH-010: Should allow opting a single request out with auth: false', async () => {
+      const spec = apiClient.get(endpoints.products, { auth: false });
+      expect(authorizationHeaderOf(spec)).toBeNull();
+
+      return spec.expect('status', statusCodes.OK);
+    });
+  });
+});
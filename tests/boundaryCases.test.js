@@ -0,0 +1,235 @@
+/**
+ * Derived Boundary and Partition Case Tests
+ * Test scenarios for BVA and EP cases generated from Joi schemas
+ *
+ * - BVC-001: Numeric Limits Give Below, At and Above, Stepped by the Field's Precision (BVA)
+ * - BVC-002: String and Array Lengths Bounded (BVA)
+ * - BVC-003: Wrong Types and Formats Partitioned (EP)
+ * - BVC-004: Missing Keys Follow Presence, Nested Paths Labeled (EP)
+ * - BVC-005: Derived Validity Agrees With Joi for Every Request Schema (Consistency Check)
+ * - BVC-006: New Constraints Gain Cases Automatically (Regression Testing)
+ * - BVC-007: ID Ranges From Schemas and Invalid Input Rejected (Error Guessing)
+ */
+
+const Joi = require('joi');
+const { validProductRange, validCartRange } = require('../config/environment');
+const { schemas, validateSchema } = require('../utils/schemaValidator');
+const { deriveCases, integerRange } = require('../utils/boundaryCases');
+const {
+  generateCartData,
+  generateUserData,
+  getBoundaryProductIds,
+  getBoundaryCartIds
+} = require('../utils/testDataGenerator');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+const testData = require('../data/testData');
+
+/**
+ * Cases reduced to [label, valid] pairs
+ * @param {array} cases - Derived cases
+ * @returns {array} Pairs
+ */
+function verdicts(cases) {
+  return cases.map(testCase => [testCase.label, testCase.valid]);
+}
+
+describe('Derived Boundary and Partition Cases', () => {
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Derived Boundary and Partition Case Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Derived Boundary and Partition Case Tests');
+  });
+
+  /**
+   * BVC-001: Numeric limits give below, at and above, stepped by the field's precision
+   *
+   * Test Design Technique: Boundary Value Analysis (inclusive, positive, greater/less, precision)
+   * Expected Result: 0/1/2 and 19/20/21 for the product ID range, only the ends outside invalid; exclusive
+   *   limits step by cents by default, 1 for integers, 10^-precision when set, the limit itself invalid
+   */
+  it('BVC-001: Should derive just-below, at and just-above cases stepped by the precision of the field', () => {
+    expect(verdicts(deriveCases(schemas.productId, { technique: 'BVA' }))).toEqual([
+      ['productId just below min 1 (0)', false],
+      ['productId at min 1 (1)', true],
+      ['productId just above min 1 (2)', true],
+      ['productId just below max 20 (19)', true],
+      ['productId at max 20 (20)', true],
+      ['productId just above max 20 (21)', false]
+    ]);
+
+    const price = deriveCases(schemas.createProduct, { base: testData.validProduct, fields: ['price'], technique: 'BVA' });
+    expect(price.map(testCase => [testCase.value, testCase.valid])).toEqual([[-0.01, false], [0, false], [0.01, true]]);
+    expect(price[2].input).toEqual({ ...testData.validProduct, price: 0.01 });
+
+    const discount = deriveCases(Joi.number().greater(0.5).less(1).precision(3), { technique: 'BVA' });
+    expect(discount.map(testCase => [testCase.value, testCase.valid])).toEqual([
+      [0.499, false], [0.5, false], [0.501, true],
+      [0.999, true], [1, false], [1.001, false]
+    ]);
+
+    const quantity = deriveCases(schemas.cartProduct, { base: { productId: 1, quantity: 1 }, fields: ['quantity'] });
+    expect(verdicts(quantity.filter(testCase => testCase.rule !== 'type'))).toEqual([
+      ['quantity missing', false],
+      ['quantity just below positive (-1)', false],
+      ['quantity at positive (0)', false],
+      ['quantity just above positive (1)', true],
+      ['quantity not an integer (1.5)', false]
+    ]);
+  });
+
+  /**
+   * BVC-002: String and array lengths bounded
+   *
+   * Test Design Technique: Boundary Value Analysis
+   * Expected Result: Lengths around min/max/length (repeated values once); unique arrays cannot grow by repetition
+   */
+  it('BVC-002: Should derive length boundaries for strings and arrays', () => {
+    const code = deriveCases(Joi.string().min(2).max(4).label('code'), { technique: 'BVA' });
+    expect(verdicts(code)).toEqual([
+      ['code just below min length 2 ("a")', false],
+      ['code at min length 2 ("aa")', true],
+      ['code just above min length 2 ("aaa")', true],
+      ['code at max length 4 ("aaaa")', true],
+      ['code just above max length 4 ("aaaaa")', false]
+    ]);
+
+    const categories = deriveCases(schemas.categories, { base: ['electronics'], name: 'categories', technique: 'BVA' });
+    expect(verdicts(categories.filter(testCase => testCase.field === 'categories'))).toEqual([
+      ['categories just below min length 1 (0 item(s))', false],
+      ['categories at min length 1 (1 item(s))', true],
+      ['categories just above min length 1 (2 item(s))', false]
+    ]);
+  });
+
+  /**
+   * BVC-003: Wrong types and formats partitioned
+   *
+   * Test Design Technique: Equivalence Partitioning (one representative per wrong type and format)
+   * Expected Result: Each wrong type invalid unless allowed; uri/email/empty string cases per rule
+   */
+  it('BVC-003: Should derive one case per wrong type and per format rule', () => {
+    const image = deriveCases(schemas.createProduct, { base: testData.validProduct, fields: ['image'], technique: 'EP' });
+    expect(verdicts(image)).toEqual([
+      ['image missing', false],
+      ['image as number (12345)', false],
+      ['image as boolean (true)', false],
+      ['image as null (null)', false],
+      ['image as object ({})', false],
+      ['image not a valid uri ("not a uri")', false],
+      ['image empty string ("")', false]
+    ]);
+
+    const note = deriveCases(Joi.string().allow('', null).label('note'));
+    expect(verdicts(note)).toEqual([
+      ['note as number (12345)', false],
+      ['note as boolean (true)', false],
+      ['note as null (null)', true],
+      ['note as object ({})', false],
+      ['note empty string ("")', true]
+    ]);
+
+    const email = deriveCases(schemas.loginRequest.keys({ email: Joi.string().email() }),
+      { base: { username: 'johnd', password: 'm38rmF$', email: 'john@gmail.com' }, fields: ['email'] });
+    expect(verdicts(email)).toContainEqual(['email not a valid email ("not-an-email")', false]);
+    expect(verdicts(email)).toContainEqual(['email missing (optional)', true]);
+  });
+
+  /**
+   * BVC-004: Missing keys follow presence, nested paths labeled
+   *
+   * Test Design Technique: Equivalence Partitioning (required, optional, nested)
+   * Expected Result: Missing required keys invalid, optional valid; nested fields named by path
+   */
+  it('BVC-004: Should derive missing-key cases and label nested fields by path', () => {
+    const cart = generateCartData({ products: [{ productId: 1, quantity: 2 }] });
+    const cases = deriveCases(schemas.createCart, { base: cart });
+    const missing = cases.filter(testCase => testCase.rule === 'required');
+
+    expect(verdicts(missing)).toEqual([
+      ['userId missing', false],
+      ['date missing', false],
+      ['products missing', false],
+      ['products[0].productId missing', false],
+      ['products[0].quantity missing', false]
+    ]);
+    expect(missing[4].input.products).toEqual([{ productId: 1 }]);
+    expect(cart.products).toEqual([{ productId: 1, quantity: 2 }]);
+
+    const withRating = deriveCases(schemas.product, { base: { id: 1, ...testData.validProduct } });
+    expect(verdicts(withRating.filter(testCase => testCase.rule === 'required'))).toContainEqual(['rating missing (optional)', true]);
+  });
+
+  /**
+   * BVC-005: Derived validity agrees with Joi for every request schema
+   *
+   * Test Design Technique: Consistency Check (derived expectation vs. Joi validate)
+   * Expected Result: No case whose expected validity differs from what Joi decides
+   */
+  it('BVC-005: Should only derive validity that Joi agrees with', () => {
+    const subjects = [
+      [schemas.productId],
+      [schemas.cartId],
+      [schemas.userId],
+      [schemas.createProduct, testData.validProduct],
+      [schemas.createCart, generateCartData()],
+      [schemas.createUser, generateUserData()],
+      [schemas.loginRequest, testData.authCredentials],
+      [schemas.categories, ['electronics', 'jewelery']],
+      [Joi.string().length(3).label('currency')],
+      [Joi.array().items(Joi.boolean()).max(2).label('flags'), [true]]
+    ];
+
+    subjects.forEach(([schema, base]) => {
+      const cases = deriveCases(schema, { base });
+      expect(cases.length).toBeGreaterThan(0);
+      const disagreements = cases
+        .filter(testCase => !validateSchema(testCase.input, schema).error !== testCase.valid)
+        .map(testCase => testCase.label);
+      expect(disagreements).toEqual([]);
+    });
+  });
+
+  /**
+   * BVC-006: New constraints gain cases automatically
+   *
+   * Test Design Technique: Regression Testing
+   * Expected Result: Tightening title to max 50 adds its length boundaries without touching any test
+   */
+  it('BVC-006: Should derive new cases when a constraint is added to the schema', () => {
+    const before = deriveCases(schemas.createProduct, { base: testData.validProduct, fields: ['title'] });
+    const tightened = schemas.createProduct.keys({ title: Joi.string().max(50).required() });
+    const after = deriveCases(tightened, { base: testData.validProduct, fields: ['title'] });
+
+    const added = after.filter(testCase => !before.some(other => other.label === testCase.label));
+    expect(verdicts(added)).toEqual([
+      ['title just below max length 50 ("aaa…" (49 chars))', true],
+      ['title at max length 50 ("aaa…" (50 chars))', true],
+      ['title just above max length 50 ("aaa…" (51 chars))', false]
+    ]);
+  });
+
+  /**
+   * BVC-007: ID ranges from schemas and invalid input rejected
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: Boundary IDs follow the configured ranges; unbounded schemas and incomplete bases throw TypeError
+   */
+  it('BVC-007: Should take ID ranges from the schemas and reject unusable input', () => {
+    expect(getBoundaryProductIds()).toEqual(validProductRange);
+    expect(getBoundaryCartIds()).toEqual(validCartRange);
+    expect(integerRange(Joi.number().integer().greater(0).less(8))).toEqual({ min: 1, max: 7 });
+
+    expect(() => integerRange(Joi.number().min(1).max(20)))
+      .toThrow('integerRange() needs an integer schema with a lower and an upper limit');
+    expect(() => integerRange(Joi.number().integer().positive())).toThrow(TypeError);
+    expect(() => deriveCases(schemas.createProduct, { base: testData.missingTitleProduct }))
+      .toThrow('Base input is missing required field title');
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * Cart Endpoint Tests
+ * Test scenarios for the /carts resource
+ *
+ * Implements the cart CRUD scenarios:
+ * - CART-001: Retrieve All Carts (Positive Testing)
+ * - CART-002: Retrieve Cart with Valid ID (Positive Testing)
+ * - CART-003: Boundary Value - Minimum Cart ID (BVA)
+ * - CART-004: Boundary Value - Maximum Cart ID (BVA)
+ * - CART-005: Cart ID Just Above Maximum (BVA + Negative Testing)
+ * - CART-006: Invalid Cart ID Format (Negative Testing + Error Guessing)
+ * - CART-007: Retrieve Carts by User (Positive Testing)
+ * - CART-008: Retrieve Carts in Date Range (EP)
+ * - CART-009: Limit Carts (BVA)
+ * - CART-010: Sort Carts Descending (Positive Testing)
+ * - CART-011: Create Cart with Valid Data (Positive Testing)
+ * - CART-012: Create Cart with Empty Products (Negative Testing)
+ * - CART-013: Create Cart with Zero Quantity (BVA + Negative Testing)
+ * - CART-014: Create Cart with Missing User (Negative Testing + EP)
+ * - CART-015: Update Cart with Valid Data (Positive Testing)
+ * - CART-016: Delete Existing Cart (Positive Testing)
+ * - CART-017: Delete Non-Existent Cart (Negative Testing)
+ */
+
+const apiClient = require('../utils/apiClient');
+const { statusCodes, validCartRange } = require('../config/environment');
+const { assertArrayNotEmpty, assertContentType } = require('../utils/assertions');
+const { validateArrayResponse } = require('../utils/responseValidator');
+const {
+  generateCartData,
+  generateCartWithQuantity,
+  getBoundaryCartIds,
+  getValidCartId
+} = require('../utils/testDataGenerator');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+const { schemas } = require('../utils/schemaValidator');
+const { tolerateContractViolations } = require('../utils/contract');
+const testData = require('../data/testData');
+
+describe('/carts - Cart Management', () => {
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Cart Endpoint Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Cart Endpoint Tests');
+  });
+
+  describe('GET /carts', () => {
+
+    /**
+     * CART-001: Retrieve all carts
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with an array of carts matching the cart schema
+     */
+    it('CART-001: Should retrieve all carts with valid structure', async () => {
+      return apiClient.getAllCarts()
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          validateArrayResponse(res, 1);
+          assertContentType(res, 'application/json');
+
+          expect(res.json).toMatchSchema(schemas.cartsArray);
+
+          logTest(`Retrieved ${res.json.length} carts`, 'success');
+        });
+    });
+
+    /**
+     * CART-002: Retrieve a cart with a valid ID
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with cart and product line items
+     */
+    it('CART-002: Should retrieve cart with valid ID', async () => {
+      const cartId = getValidCartId();
+
+      return apiClient.getCartById(cartId)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          const cart = res.json;
+          expect(cart.id).toBe(cartId);
+          assertArrayNotEmpty(cart.products);
+
+          expect(cart).toMatchSchema(schemas.cart);
+        });
+    });
+
+    /**
+     * CART-003: Boundary Value - Minimum Cart ID
+     *
+     * Test Design Technique: Boundary Value Analysis
+     * Expected Result: 200 OK with cart ID 1
+     */
+    it('CART-003: Should retrieve cart with minimum ID (boundary value)', async () => {
+      const { min } = getBoundaryCartIds();
+
+      return apiClient.getCartById(min)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json.id).toBe(validCartRange.min);
+        });
+    });
+
+    /**
+     * CART-004: Boundary Value - Maximum Cart ID
+     *
+     * Test Design Technique: Boundary Value Analysis
+     * Expected Result: 200 OK with cart ID 7
+     */
+    it('CART-004: Should retrieve cart with maximum ID (boundary value)', async () => {
+      const { max } = getBoundaryCartIds();
+
+      return apiClient.getCartById(max)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json.id).toBe(validCartRange.max);
+        });
+    });
+
+    /**
+     * CART-005: Cart ID just above the maximum
+     *
+     * Test Design Technique: Boundary Value Analysis + Negative Testing
+     * Expected Result: 404 Not Found OR null response
+     */
+    it('CART-005: Should handle cart ID just above maximum (boundary value)', async () => {
+      const aboveMax = validCartRange.max + 1;
+
+      return apiClient.getCartById(aboveMax)
+        .then((res) => {
+          // FakeStoreAPI returns null for non-existent carts
+          if (res.status === statusCodes.OK) {
+            expect(res.json).toBeNull();
+          } else {
+            expect(res.status).toBe(statusCodes.NOT_FOUND);
+          }
+        });
+    });
+
+    /**
+     * CART-006: Invalid cart ID format
+     *
+     * Test Design Technique: Negative Testing + Error Guessing
+     * Expected Result: 400 Bad Request OR 404 Not Found
+     */
+    it('CART-006: Should handle invalid cart ID format gracefully', async () => {
+      return apiClient.getCartById('abc')
+        .then((res) => {
+          expect([
+            statusCodes.BAD_REQUEST,
+            statusCodes.NOT_FOUND
+          ]).toContain(res.status);
+        });
+    });
+
+    /**
+     * CART-007: Retrieve carts belonging to a user
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with only that user's carts
+     */
+    it('CART-007: Should retrieve carts for a specific user', async () => {
+      const userId = 1;
+
+      return apiClient.getCartsByUser(userId)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          validateArrayResponse(res, 1);
+          res.json.forEach(cart => {
+            expect(cart.userId).toBe(userId);
+          });
+        });
+    });
+
+    /**
+     * CART-008: Retrieve carts within a date range
+     *
+     * Test Design Technique: Equivalence Partitioning (in range / out of range)
+     * Expected Result: 200 OK with only carts dated inside the range
+     */
+    it('CART-008: Should retrieve only carts within the date range', async () => {
+      const { startdate, enddate, expectedCartIds } = testData.cartDateRange;
+      const start = new Date(startdate);
+      const end = new Date(enddate);
+
+      return apiClient.getCartsInDateRange(startdate, enddate)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          validateArrayResponse(res, 1);
+          res.json.forEach(cart => {
+            const date = new Date(cart.date);
+            expect(date.getTime()).toBeGreaterThanOrEqual(start.getTime());
+            expect(date.getTime()).toBeLessThanOrEqual(end.getTime());
+          });
+
+          const ids = res.json.map(cart => cart.id).sort((a, b) => a - b);
+          expect(ids).toEqual(expectedCartIds);
+        });
+    });
+
+    /**
+     * CART-009: Limit the number of carts
+     *
+     * Test Design Technique: Boundary Value Analysis (limit = 1, limit = max)
+     * Expected Result: 200 OK with at most `limit` carts
+     */
+    describe('CART-009: Limit carts (boundary values)', () => {
+      [1, validCartRange.max].forEach(limit => {
+        it(`CART-009: Should return at most ${limit} cart(s) with limit=${limit}`, async () => {
+          return apiClient.getAllCarts({ limit })
+            .expect('status', statusCodes.OK)
+            .then((res) => {
+              expect(Array.isArray(res.json)).toBe(true);
+              expect(res.json.length).toBe(limit);
+            });
+        });
+      });
+    });
+
+    /**
+     * CART-010: Sort carts in descending order
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with cart IDs in descending order
+     */
+    it('CART-010: Should sort carts in descending order', async () => {
+      return apiClient.getAllCarts({ sort: 'desc' })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          const ids = res.json.map(cart => cart.id);
+          expect(ids).toEqual([...ids].sort((a, b) => b - a));
+        });
+    });
+  });
+
+  describe('POST /carts', () => {
+
+    /**
+     * CART-011: Create cart with valid data
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200/201 with new cart ID and submitted line items
+     */
+    it('CART-011: Should create cart with valid data', async () => {
+      const cartData = testData.validCart;
+
+      expect(cartData).toMatchSchema(schemas.createCart);
+
+      return apiClient.createCart(cartData)
+        .then((res) => {
+          expect([statusCodes.OK, statusCodes.CREATED]).toContain(res.status);
+
+          const createdCart = res.json;
+          expect(createdCart).toHaveProperty('id');
+          expect(typeof createdCart.id).toBe('number');
+          expect(createdCart.userId).toBe(cartData.userId);
+          expect(createdCart.products).toEqual(cartData.products);
+
+          logTest(`Cart created with ID: ${createdCart.id}`, 'success');
+        });
+    });
+
+    /**
+     * Additional Test: Create cart with generated data
+     */
+    it('Should create cart with dynamically generated data', async () => {
+      const cartData = generateCartData();
+
+      return apiClient.createCart(cartData)
+        .then((res) => {
+          expect([statusCodes.OK, statusCodes.CREATED]).toContain(res.status);
+          expect(res.json.products).toEqual(cartData.products);
+        });
+    });
+
+    /**
+     * CART-012: Create cart with no line items
+     *
+     * Test Design Technique: Negative Testing
+     * Expected Result: 400/422 error OR acceptance (mock API behavior)
+     */
+    it('CART-012: Should handle cart with empty products list', async () => {
+      const cartData = testData.emptyCart;
+
+      expect(cartData).not.toMatchSchema(schemas.createCart);
+
+      return tolerateContractViolations(() => apiClient.createCart(cartData)
+        .then((res) => {
+          if (res.status === statusCodes.OK || res.status === statusCodes.CREATED) {
+            logTest('Note: FakeStoreAPI accepts empty carts (mock behavior)', 'warn');
+            expect(res.json).toHaveProperty('id');
+          } else {
+            expect([
+              statusCodes.BAD_REQUEST,
+              statusCodes.UNPROCESSABLE_ENTITY
+            ]).toContain(res.status);
+          }
+        }));
+    });
+
+    /**
+     * CART-013: Create cart with zero quantity line item
+     *
+     * Test Design Technique: Boundary Value Analysis + Negative Testing
+     * Expected Result: 400/422 error OR acceptance (mock API behavior)
+     */
+    it('CART-013: Should handle zero quantity line item (boundary value)', async () => {
+      const cartData = testData.zeroQuantityCart;
+
+      // Quantity 1 is the lowest valid value; 0 falls just below the boundary
+      expect(generateCartWithQuantity(1)).toMatchSchema(schemas.createCart);
+      expect(cartData).not.toMatchSchema(schemas.createCart);
+
+      return tolerateContractViolations(() => apiClient.createCart(cartData)
+        .then((res) => {
+          if (res.status === statusCodes.OK || res.status === statusCodes.CREATED) {
+            logTest('Note: FakeStoreAPI accepts zero quantity (mock behavior)', 'warn');
+          } else {
+            expect([
+              statusCodes.BAD_REQUEST,
+              statusCodes.UNPROCESSABLE_ENTITY
+            ]).toContain(res.status);
+          }
+        }));
+    });
+
+    /**
+     * CART-014: Create cart without userId
+     *
+     * Test Design Technique: Negative Testing + Equivalence Partitioning
+     * Expected Result: 400/422 error OR acceptance (mock API behavior)
+     */
+    it('CART-014: Should handle cart with missing userId', async () => {
+      const cartData = testData.missingUserCart;
+
+      return tolerateContractViolations(() => apiClient.createCart(cartData)
+        .then((res) => {
+          if (res.status === statusCodes.OK || res.status === statusCodes.CREATED) {
+            logTest('Note: FakeStoreAPI accepts carts without a user (mock behavior)', 'warn');
+          } else {
+            expect([
+              statusCodes.BAD_REQUEST,
+              statusCodes.UNPROCESSABLE_ENTITY
+            ]).toContain(res.status);
+          }
+        }));
+    });
+  });
+
+  describe('PUT /carts/{id}', () => {
+
+    /**
+     * CART-015: Update cart with valid data
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with cart ID unchanged and updated line items
+     */
+    it('CART-015: Should update cart with valid data', async () => {
+      const cartId = getValidCartId();
+      const updateData = testData.updateCart;
+
+      return apiClient.updateCart(cartId, updateData)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json.id).toBe(cartId);
+          expect(res.json.userId).toBe(updateData.userId);
+          expect(res.json.products).toEqual(updateData.products);
+        });
+    });
+  });
+
+  describe('DELETE /carts/{id}', () => {
+
+    /**
+     * CART-016: Delete existing cart
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with the deleted cart
+     */
+    it('CART-016: Should delete existing cart', async () => {
+      const cartId = getValidCartId();
+
+      return apiClient.deleteCart(cartId)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json).toBeDefined();
+          if (res.json) {
+            expect(res.json.id).toBe(cartId);
+          }
+        });
+    });
+
+    /**
+     * CART-017: Delete non-existent cart
+     *
+     * Test Design Technique: Negative Testing
+     * Expected Result: 404 Not Found OR 200 with null (mock API behavior)
+     */
+    it('CART-017: Should handle deletion of non-existent cart', async () => {
+      return apiClient.deleteCart(validCartRange.max + 100)
+        .then((res) => {
+          if (res.status === statusCodes.OK) {
+            expect(res.json).toBeNull();
+          } else {
+            expect(res.status).toBe(statusCodes.NOT_FOUND);
+          }
+        });
+    });
+  });
+});
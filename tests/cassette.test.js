@@ -0,0 +1,237 @@
+/**
+ * Cassette Record/Replay Tests
+ * Test scenarios for VCR-style recording of ApiClient traffic
+ *
+ * - CASS-001: Record Mode Writes Interactions (Positive Testing)
+ * - CASS-002: Replay Mode Serves Recordings Without Network (Positive Testing)
+ * - CASS-003: Replay Miss Fails Clearly (Negative Testing)
+ * - CASS-004: Request Body Is Part of the Match (EP)
+ * - CASS-005: Record-Missing Appends Only New Interactions (Positive Testing)
+ * - CASS-006: Passthrough Records Nothing (Positive Testing)
+ * - CASS-007: Unknown Mode Is Rejected (Negative Testing)
+ * - CASS-008: Secrets Masked in Recorded Interactions (Positive Testing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiClient = require('../utils/apiClient');
+const { config, endpoints, statusCodes } = require('../config/environment');
+const {
+  Cassette,
+  CassetteError,
+  insertCassette,
+  ejectCassette
+} = require('../utils/cassette');
+const { useContractMode } = require('../utils/contract');
+const { decodeJwt } = require('../utils/auth');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+const testData = require('../data/testData');
+
+/**
+ * Port nothing listens on, to prove replay never touches the network
+ */
+const UNREACHABLE_BASE_URL = 'http://127.0.0.1:9';
+
+describe('Cassettes - Record/Replay', () => {
+  // Cassettes here hold hand-written responses, not the documented API
+  useContractMode('off');
+
+  let cassetteDir;
+
+  /**
+   * Run a callback with a cassette inserted, ejecting (and saving) afterwards
+   * @param {string} name - Cassette name
+   * @param {string} mode - Cassette mode
+   * @param {function} fn - Async callback receiving the cassette
+   * @returns {Promise} Resolves with the callback result
+   */
+  async function withCassette(name, mode, fn) {
+    const cassette = insertCassette(name, { mode, dir: cassetteDir });
+    try {
+      return await fn(cassette);
+    } finally {
+      ejectCassette();
+    }
+  }
+
+  /**
+   * Read a cassette file written by these tests
+   * @param {string} name - Cassette name
+   * @returns {object} Parsed cassette
+   */
+  function readCassette(name) {
+    return JSON.parse(fs.readFileSync(path.join(cassetteDir, `${name}.json`), 'utf8'));
+  }
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Cassette Record/Replay Tests');
+    cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-cassettes-'));
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+    teardownTestSuite('Cassette Record/Replay Tests');
+  });
+
+  /**
+   * CASS-001: Record mode writes interactions
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Method, relative URL, body and response are saved
+   */
+  it('CASS-001: Should record request/response pairs to a cassette file', async () => {
+    await withCassette('products', 'record', async () => {
+      await apiClient.getProductById(1).expect('status', statusCodes.OK);
+      await apiClient.createProduct(testData.validProduct).expect('status', statusCodes.CREATED);
+    });
+
+    const { interactions } = readCassette('products');
+    expect(interactions).toHaveLength(2);
+    expect(interactions[0].request).toEqual({ method: 'GET', url: endpoints.productById(1), body: null });
+    expect(interactions[0].response.status).toBe(statusCodes.OK);
+    expect(interactions[0].response.body.id).toBe(1);
+    expect(interactions[1].request).toEqual({ method: 'POST', url: endpoints.products, body: testData.validProduct });
+    expect(interactions[0].response.headers).not.toHaveProperty('date');
+  });
+
+  /**
+   * CASS-002: Replay serves recordings without network
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Same status, headers and body while the API is unreachable
+   */
+  it('CASS-002: Should replay recorded responses without touching the network', async () => {
+    const liveBaseURL = config.baseURL;
+    const live = await apiClient.getProductById(1);
+
+    config.baseURL = UNREACHABLE_BASE_URL;
+    try {
+      await withCassette('products', 'replay', async () => {
+        const res = await apiClient.getProductById(1)
+          .expect('status', statusCodes.OK)
+          .expect('header', 'content-type', /json/);
+
+        expect(res.replayed).toBe(true);
+        expect(res.json).toEqual(live.json);
+      });
+    } finally {
+      config.baseURL = liveBaseURL;
+    }
+  });
+
+  /**
+   * CASS-003: Replay miss fails clearly
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: CassetteError naming the request and the cassette file
+   */
+  it('CASS-003: Should fail with CassetteError when replay has no match', async () => {
+    await withCassette('products', 'replay', async (cassette) => {
+      expect(() => apiClient.getProductById(2)).toThrow(CassetteError);
+      expect(() => apiClient.getProductById(2)).toThrow(`GET ${endpoints.productById(2)}`);
+      expect(() => apiClient.getProductById(2)).toThrow(cassette.filePath);
+    });
+
+    await withCassette('never-recorded', 'replay', async () => {
+      expect(() => apiClient.getAllProducts()).toThrow(/does not exist/);
+    });
+  });
+
+  /**
+   * CASS-004: Request body is part of the match
+   *
+   * Test Design Technique: Equivalence Partitioning (same method+URL, different body)
+   * Expected Result: Key order is ignored, any value change misses
+   */
+  it('CASS-004: Should match request bodies regardless of key order', async () => {
+    await withCassette('products', 'replay', async () => {
+      const reordered = Object.fromEntries(Object.entries(testData.validProduct).reverse());
+      await apiClient.createProduct(reordered).expect('status', statusCodes.CREATED);
+
+      expect(() => apiClient.createProduct({ ...testData.validProduct, price: 1 }))
+        .toThrow(/no matching interaction for POST \/products with body/);
+    });
+  });
+
+  /**
+   * CASS-005: Record-missing appends only new interactions
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Known request replayed, unknown request recorded and saved
+   */
+  it('CASS-005: Should replay known requests and record missing ones', async () => {
+    await withCassette('products', 'record-missing', async () => {
+      const known = await apiClient.getProductById(1);
+      const missing = await apiClient.getProductById(2);
+
+      expect(known.replayed).toBe(true);
+      expect(missing.replayed).toBeUndefined();
+      expect(missing.json.id).toBe(2);
+    });
+
+    const urls = readCassette('products').interactions.map(interaction => interaction.request.url);
+    expect(urls).toEqual([endpoints.productById(1), endpoints.products, endpoints.productById(2)]);
+  });
+
+  /**
+   * CASS-006: Passthrough records nothing
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Live response, no cassette file
+   */
+  it('CASS-006: Should neither record nor replay in passthrough mode', async () => {
+    await withCassette('passthrough', 'passthrough', async () => {
+      const res = await apiClient.getProductById(1).expect('status', statusCodes.OK);
+      expect(res.replayed).toBeUndefined();
+    });
+
+    expect(fs.existsSync(path.join(cassetteDir, 'passthrough.json'))).toBe(false);
+  });
+
+  /**
+   * CASS-007: Unknown mode is rejected
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: CassetteError listing the valid modes
+   */
+  it('CASS-007: Should reject an unknown cassette mode', () => {
+    expect(() => new Cassette('products', { mode: 'rewind', dir: cassetteDir }))
+      .toThrow(/Unknown cassette mode "rewind".*record, replay, passthrough, record-missing/);
+  });
+
+  /**
+   * CASS-008: Secrets masked in recorded interactions
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: No password or token signature in the file; the login replays on the masked body with a
+   * token that still decodes
+   */
+  it('CASS-008: Should mask passwords and tokens in recorded interactions', async () => {
+    const credentials = testData.authCredentials;
+    const live = await withCassette('login', 'record', () => apiClient.login(credentials).expect('status', statusCodes.OK));
+
+    const file = fs.readFileSync(path.join(cassetteDir, 'login.json'), 'utf8');
+    const [interaction] = JSON.parse(file).interactions;
+    expect(file).not.toContain(credentials.password);
+    expect(file).not.toContain(live.json.token);
+    expect(interaction.request.body).toMatchObject({ username: credentials.username, password: '[REDACTED]' });
+    expect(interaction.response.body.token).toMatch(/\.REDACTED$/);
+
+    const liveBaseURL = config.baseURL;
+    config.baseURL = UNREACHABLE_BASE_URL;
+    try {
+      await withCassette('login', 'replay', async () => {
+        const res = await apiClient.login(credentials).expect('status', statusCodes.OK);
+        expect(decodeJwt(res.json.token).payload).toEqual(decodeJwt(live.json.token).payload);
+      });
+    } finally {
+      config.baseURL = liveBaseURL;
+    }
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Test Case Catalog
+ * Runs the JSON/YAML scenarios in data/catalog, then tests the loader and runner
+ *
+ * Catalog cases (PRD-xxx, CRT-xxx, ...) are defined in the catalog files.
+ *
+ * - CAT-001: Catalog Files Load in Both Formats (Positive Testing)
+ * - CAT-002: Invalid Cases Rejected With File and Id (Negative Testing)
+ * - CAT-003: Duplicate Ids and Unreadable Files Rejected (Error Guessing)
+ * - CAT-004: Requests Resolved From Endpoints, Paths and Test Data (Positive Testing)
+ * - CAT-005: Field Operators Checked (Decision Table)
+ * - CAT-006: Status Alternatives Gate Schema and Field Checks (Decision Table)
+ * - CAT-007: Cases Selected by Tag (EP)
+ * - CAT-008: Failing Case Reports Every Mismatch (Negative Testing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiClient = require('../utils/apiClient');
+const { environments } = require('../config/environment');
+const { resolveConfig } = require('../config/configLoader');
+const {
+  CatalogError,
+  loadCatalogFile,
+  loadCatalog,
+  selectCases,
+  resolveRequest,
+  evaluateResponse,
+  runCatalogCase,
+  describeCatalog
+} = require('../utils/catalog');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+const testData = require('../data/testData');
+
+/**
+ * Minimal valid case
+ * @param {object} overrides - Top-level fields to replace
+ * @returns {object} Case
+ */
+function catalogCase(overrides = {}) {
+  return {
+    id: 'TMP-001',
+    title: 'Temporary case',
+    technique: 'Positive Testing',
+    request: { endpoint: 'productById', params: 1 },
+    expect: { status: 200 },
+    ...overrides
+  };
+}
+
+/**
+ * Write catalog files to a fresh directory
+ * @param {object} files - File name -> contents (objects are written as JSON)
+ * @returns {string} Directory
+ */
+function writeCatalog(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-catalog-'));
+  Object.entries(files).forEach(([name, contents]) => {
+    fs.writeFileSync(path.join(dir, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+  });
+  return dir;
+}
+
+describe('Test Case Catalog', () => {
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Test Case Catalog');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Test Case Catalog');
+  });
+
+  describeCatalog();
+
+  describe('Catalog Runner', () => {
+    const dirs = [];
+
+    afterAll(() => {
+      dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    });
+
+    /**
+     * CAT-001: Catalog files load in both formats
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: YAML and JSON cases loaded in file order with defaults (GET, no tags) applied
+     */
+    it('CAT-001: Should load JSON and YAML catalog files with defaults', () => {
+      const dir = writeCatalog({
+        'b.yaml': '- id: YML-001\n  title: From YAML\n  technique: BVA\n  request: { path: /products/1 }\n  expect: { status: 200 }\n',
+        'a.json': [catalogCase({ tags: ['smoke'] })],
+        'notes.txt': 'ignored'
+      });
+      dirs.push(dir);
+
+      const cases = loadCatalog(dir);
+      expect(cases.map(testCase => [testCase.id, testCase.file])).toEqual([['TMP-001', 'a.json'], ['YML-001', 'b.yaml']]);
+      expect(cases[1]).toMatchObject({ technique: ['BVA'], tags: [], request: { method: 'GET', params: [] }, expect: { status: [200] } });
+      expect(loadCatalog(path.join(dir, 'missing'))).toEqual([]);
+      expect(loadCatalog().length).toBeGreaterThan(0);
+    });
+
+    /**
+     * CAT-002: Invalid cases rejected with file and id
+     *
+     * Test Design Technique: Negative Testing
+     * Expected Result: CatalogError naming the case, the file and the offending field
+     */
+    it('CAT-002: Should reject invalid cases naming the file and case id', () => {
+      const invalid = [
+        [catalogCase({ technique: 'Guesswork' }), /Invalid TMP-001 in bad\.json: "technique" must be one of \[Positive Testing, /],
+        [catalogCase({ expect: { status: 200, schema: 'order' } }), /"expect\.schema" must be one of/],
+        [catalogCase({ request: { endpoint: 'productById', path: '/products/1' } }), /contains a conflict between exclusive peers \[endpoint, path\]/],
+        [catalogCase({ expect: { status: 99 } }), /"expect\.status" must be greater than or equal to 100/],
+        [catalogCase({ request: { method: 'POST', endpoint: 'products', bodyRef: 'noSuchProduct' } }), /bodyRef "noSuchProduct" is not in data\/testData\.js/],
+        [{ title: 'No id', technique: 'EP', request: { path: '/products' }, expect: { status: 200 } }, /Invalid case 1 in bad\.json: "id" is required/]
+      ];
+
+      invalid.forEach(([testCase, message]) => {
+        const dir = writeCatalog({ 'bad.json': [testCase] });
+        dirs.push(dir);
+        expect(() => loadCatalogFile(path.join(dir, 'bad.json'))).toThrow(CatalogError);
+        expect(() => loadCatalogFile(path.join(dir, 'bad.json'))).toThrow(message);
+      });
+    });
+
+    /**
+     * CAT-003: Duplicate ids and unreadable files rejected
+     *
+     * Test Design Technique: Error Guessing
+     * Expected Result: CatalogError for an id used twice, broken YAML and a file that is not a list
+     */
+    it('CAT-003: Should reject duplicate ids and unreadable files', () => {
+      const duplicate = writeCatalog({ 'a.json': [catalogCase()], 'b.json': [catalogCase()] });
+      const broken = writeCatalog({ 'broken.yaml': '- id: [unclosed\n' });
+      const notList = writeCatalog({ 'object.json': catalogCase() });
+      dirs.push(duplicate, broken, notList);
+
+      expect(() => loadCatalog(duplicate)).toThrow('Duplicate case id TMP-001 in a.json and b.json');
+      expect(() => loadCatalog(broken)).toThrow(/^Cannot read catalog broken\.yaml: /);
+      expect(() => loadCatalog(notList)).toThrow('Catalog object.json must contain a list of cases');
+    });
+
+    /**
+     * CAT-004: Requests resolved from endpoints, paths and test data
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: Endpoint functions called with params; bodyRef resolved from data/testData.js
+     */
+    it('CAT-004: Should resolve endpoints, paths, query strings and body references', () => {
+      const [byEndpoint, byPath] = [
+        catalogCase({ request: { method: 'post', endpoint: 'products', bodyRef: 'validProduct', query: { limit: 1 } } }),
+        catalogCase({ request: { method: 'PUT', path: '/products/3', body: { title: 'x' }, headers: { 'X-Trace': 'on' } } })
+      ].map(testCase => {
+        const dir = writeCatalog({ 'case.json': [testCase] });
+        dirs.push(dir);
+        return loadCatalogFile(path.join(dir, 'case.json'))[0];
+      });
+
+      expect(resolveRequest(byEndpoint.request)).toEqual({
+        method: 'POST', endpoint: '/products', body: testData.validProduct, options: { query: { limit: 1 } }
+      });
+      expect(resolveRequest(byPath.request)).toEqual({
+        method: 'PUT', endpoint: '/products/3', body: { title: 'x' }, options: { headers: { 'X-Trace': 'on' } }
+      });
+      expect(resolveRequest({ method: 'GET', endpoint: 'cartsByUser', params: [2] }).endpoint).toBe('/carts/user/2');
+    });
+
+    /**
+     * CAT-005: Field operators checked
+     *
+     * Test Design Technique: Decision Table (operator × passing/failing value)
+     * Expected Result: One message per failing operator, naming the field, expectation and actual value
+     */
+    it('CAT-005: Should check every field operator', () => {
+      const response = {
+        status: 200,
+        json: { id: 4, price: 15.99, title: 'Mens Casual Slim Fit', rating: { rate: 2.1 }, tags: ['a', 'b'] }
+      };
+      const passing = {
+        id: 4,
+        price: { type: 'number', greaterThan: 0, lessThan: 16, min: 15.99, max: 15.99 },
+        'rating.rate': { oneOf: [2.1, 3] },
+        title: { matches: '^Mens', type: 'string' },
+        tags: { length: 2 },
+        'tags[1]': 'b',
+        image: { exists: false }
+      };
+      expect(evaluateResponse({ status: [200], fields: passing }, response)).toEqual([]);
+
+      const failing = {
+        id: 5,
+        price: { type: 'integer', greaterThan: 16, max: 10 },
+        title: { matches: '^Womens' },
+        tags: { length: 3 },
+        'rating.count': { exists: true }
+      };
+      expect(evaluateResponse({ status: [200], fields: failing }, response)).toEqual([
+        'id: expected 5 (got 4)',
+        'price: expected type integer (got 15.99)',
+        'price: expected more than 16 (got 15.99)',
+        'price: expected at most 10 (got 15.99)',
+        'title: expected to match /^Womens/ (got "Mens Casual Slim Fit")',
+        'tags: expected length 3 (got ["a","b"])',
+        'rating.count: expected to be present (got nothing)'
+      ]);
+    });
+
+    /**
+     * CAT-006: Status alternatives gate schema and field checks
+     *
+     * Test Design Technique: Decision Table (status listed/not listed × 2xx/error)
+     * Expected Result: Unlisted status is the only failure; listed error statuses skip schema and fields
+     */
+    it('CAT-006: Should check schema and fields only for listed 2xx responses', () => {
+      const expected = { status: [201, 400], schema: 'productWithoutRating', fields: { id: { type: 'integer' } } };
+
+      expect(evaluateResponse(expected, { status: 500, json: null })).toEqual(['status: expected 201 or 400 (got 500)']);
+      expect(evaluateResponse(expected, { status: 400, json: { message: 'bad' } })).toEqual([]);
+      const failures = evaluateResponse(expected, { status: 201, json: { id: 'x' } });
+      expect(failures[0]).toMatch(/^schema productWithoutRating: "id" must be a number/);
+      expect(failures[1]).toBe('id: expected type integer (got "x")');
+    });
+
+    /**
+     * CAT-007: Cases selected by tag
+     *
+     * Test Design Technique: Equivalence Partitioning (no tags, matching tag, no match)
+     * Expected Result: Any matching tag selects a case; no tags selects all; CATALOG_TAGS parsed as a list
+     */
+    it('CAT-007: Should select cases by tag', () => {
+      const cases = [
+        { id: 'A-1', tags: ['smoke', 'products'] },
+        { id: 'A-2', tags: ['carts'] },
+        { id: 'A-3', tags: [] }
+      ];
+
+      expect(selectCases(cases, []).map(testCase => testCase.id)).toEqual(['A-1', 'A-2', 'A-3']);
+      expect(selectCases(cases, ['smoke', 'carts']).map(testCase => testCase.id)).toEqual(['A-1', 'A-2']);
+      expect(selectCases(cases, ['users'])).toEqual([]);
+
+      const resolved = resolveConfig({
+        envName: 'local',
+        profiles: environments,
+        env: { CATALOG_TAGS: 'smoke, write' },
+        argv: []
+      }).config;
+      expect(resolved.catalogTags).toEqual(['smoke', 'write']);
+      expect(resolved.catalogDir).toBe('data/catalog');
+    });
+
+    /**
+     * CAT-008: Failing case reports every mismatch
+     *
+     * Test Design Technique: Negative Testing
+     * Expected Result: Wrong expectations on a real response listed together, not just the first
+     */
+    it('CAT-008: Should report every mismatch of a failing case', async () => {
+      const dir = writeCatalog({
+        'wrong.yaml': '- id: WRONG-001\n  title: Wrong expectations\n  technique: Negative Testing\n' +
+          '  request: { endpoint: productById, params: 1 }\n' +
+          '  expect:\n    status: 200\n    fields:\n      id: 2\n      price: { lessThan: 1 }\n'
+      });
+      dirs.push(dir);
+
+      const [testCase] = loadCatalogFile(path.join(dir, 'wrong.yaml'));
+      const { response, failures } = await runCatalogCase(testCase, apiClient);
+
+      expect(response.status).toBe(200);
+      expect(failures).toHaveLength(2);
+      expect(failures[0]).toBe('id: expected 2 (got 1)');
+      expect(failures[1]).toMatch(/^price: expected less than 1 \(got [\d.]+\)$/);
+    });
+  });
+});
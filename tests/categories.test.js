@@ -0,0 +1,141 @@
+/**
+ * Category Endpoint Tests
+ * Test scenarios for GET /products/categories and GET /products/category/{name}
+ *
+ * - CAT-001: Retrieve All Categories (Positive Testing)
+ * - CAT-002: Discovered Categories Match Live List (Positive Testing)
+ * - CAT-003: Products in Each Category (EP, data-driven from discovery)
+ * - CAT-004: Every Product Belongs to a Listed Category (EP)
+ * - CAT-005: Unknown Category (Negative Testing)
+ */
+
+const apiClient = require('../utils/apiClient');
+const { statusCodes } = require('../config/environment');
+const { assertProductStructure } = require('../utils/assertions');
+const { validateArrayResponse } = require('../utils/responseValidator');
+const { getCategories, hasDiscoveredCategories } = require('../utils/categoryDiscovery');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+const { schemas } = require('../utils/schemaValidator');
+
+describe('GET /products/categories - Product Categories', () => {
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Category Endpoint Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Category Endpoint Tests');
+  });
+
+  /**
+   * CAT-001: Retrieve all categories
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: 200 OK with a non-empty list of unique category names
+   */
+  it('CAT-001: Should retrieve all categories', async () => {
+    return apiClient.getAllCategories()
+      .expect('status', statusCodes.OK)
+      .expect('header', 'content-type', /json/)
+      .then((res) => {
+        expect(res.json).toMatchSchema(schemas.categories);
+
+        logTest(`Categories: ${res.json.join(', ')}`, 'info');
+      });
+  });
+
+  /**
+   * CAT-002: Discovered categories match the live list
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: The list used by data-driven suites equals the API list
+   */
+  it('CAT-002: Should feed data-driven suites the live category list', async () => {
+    if (!hasDiscoveredCategories()) {
+      logTest('Category discovery did not run; suites use data/testData.js categories', 'warn');
+    }
+
+    return apiClient.getAllCategories()
+      .expect('status', statusCodes.OK)
+      .then((res) => {
+        expect([...getCategories()].sort()).toEqual([...res.json].sort());
+      });
+  });
+
+  /**
+   * CAT-003: Products in each category
+   *
+   * Test Design Technique: Equivalence Partitioning (one partition per category)
+   * Expected Result: 200 OK with only products of that category
+   */
+  describe('CAT-003: Data-Driven: Products by Category', () => {
+    getCategories().forEach(category => {
+      it(`CAT-003: Should retrieve products in category: ${category}`, async () => {
+        return apiClient.getProductsByCategory(category)
+          .expect('status', statusCodes.OK)
+          .then((res) => {
+            validateArrayResponse(res, 1);
+            res.json.forEach(product => {
+              expect(product.category).toBe(category);
+              assertProductStructure(product, true);
+            });
+
+            expect(res.json).toMatchSchema(schemas.productsArray);
+          });
+      });
+    });
+  });
+
+  /**
+   * CAT-004: Every product belongs to a listed category
+   *
+   * Test Design Technique: Equivalence Partitioning
+   * Expected Result: Categories of all products equal the category list
+   */
+  it('CAT-004: Should list exactly the categories used by products', async () => {
+    const productsRes = await apiClient.getAllProducts().expect('status', statusCodes.OK);
+    const categoriesRes = await apiClient.getAllCategories().expect('status', statusCodes.OK);
+
+    const usedCategories = [...new Set(productsRes.json.map(product => product.category))];
+    expect(usedCategories.sort()).toEqual([...categoriesRes.json].sort());
+  });
+
+  /**
+   * CAT-005: Unknown category
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: 200 OK with an empty array OR 404 Not Found
+   */
+  it('CAT-005: Should return no products for an unknown category', async () => {
+    return apiClient.getProductsByCategory('no-such-category')
+      .then((res) => {
+        if (res.status === statusCodes.OK) {
+          expect(res.json).toEqual([]);
+        } else {
+          expect(res.status).toBe(statusCodes.NOT_FOUND);
+        }
+      });
+  });
+
+  /**
+   * Additional Test: reserved characters stay inside the category segment
+   */
+  it.each(['a/b', 'what?', 'c#d'])('Should encode the category name %p into one path segment', async (category) => {
+    const spec = apiClient.getProductsByCategory(category);
+    expect(new URL(spec._request.url).pathname).toBe(`/products/category/${encodeURIComponent(category)}`);
+
+    return spec.then((res) => {
+      if (res.status === statusCodes.OK) {
+        expect(res.json).toEqual([]);
+      } else {
+        expect(res.status).toBe(statusCodes.NOT_FOUND);
+      }
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Configuration Tests
+ * Test scenarios for layered config resolution and validation (config/configLoader.js)
+ *
+ * - CFG-001: Later Layers Override Earlier Ones (Positive Testing)
+ * - CFG-002: Every Setting Validated Per Environment Variable (EP + BVA)
+ * - CFG-003: Errors Name Every Problem and Its Layer (Error Guessing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { environments } = require('../config/environment');
+const { ConfigError, resolveConfig } = require('../config/configLoader');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+
+/**
+ * One row per environment variable: values that resolve (with the parsed
+ * result) and values that stop the run with a ConfigError
+ */
+const CONFIG_KEY_CASES = [
+  { variable: 'API_TIMEOUT', key: 'timeout', accepted: { 1: 1, 20000: 20000 }, rejected: ['0', '-1', '2.5', 'slow'] },
+  { variable: 'TEST_TIMEOUT', key: 'testTimeout', accepted: { 1: 1 }, rejected: ['0', 'never'] },
+  { variable: 'RETRY_ATTEMPTS', key: 'retryAttempts', accepted: { 0: 0, 3: 3 }, rejected: ['-1', '1.5'] },
+  { variable: 'RETRY_DELAY', key: 'retryDelay', accepted: { 0: 0 }, rejected: ['-1', 'soon'] },
+  {
+    variable: 'RETRY_STATUS_CODES',
+    key: 'retryStatusCodes',
+    accepted: { '503': [503], '400,599': [400, 599] },
+    rejected: ['399', '600', '503,abc']
+  },
+  { variable: 'EXCHANGE_HISTORY', key: 'exchangeHistory', accepted: { 0: 0, 20: 20 }, rejected: ['-1', '2.5', 'all'] },
+  {
+    variable: 'TEST_SEED',
+    key: 'testSeed',
+    accepted: { 0: 0, 4294967295: 4294967295 },
+    rejected: ['-1', '4294967296', 'abc']
+  },
+  { variable: 'LOG_LEVEL', key: 'logLevel', accepted: { error: 'error', debug: 'debug' }, rejected: ['trace', 'INFO'] },
+  { variable: 'LOG_FORMAT', key: 'logFormat', accepted: { json: 'json', pretty: 'pretty' }, rejected: ['xml'] },
+  { variable: 'LOG_FILES', key: 'logFiles', accepted: { true: true, false: false }, rejected: ['sometimes'] },
+  {
+    variable: 'CASSETTE_MODE',
+    key: 'cassetteMode',
+    accepted: { replay: 'replay', 'record-missing': 'record-missing' },
+    rejected: ['playback']
+  },
+  { variable: 'CONTRACT_MODE', key: 'contractMode', accepted: { strict: 'strict', off: 'off' }, rejected: ['loud'] },
+  {
+    variable: 'SCHEMA_DRIFT_FAIL_ON',
+    key: 'schemaDriftFailOn',
+    accepted: { 'field-removed,type-changed': ['field-removed', 'type-changed'] },
+    rejected: ['removed', 'field-removed,everything']
+  },
+  { variable: 'PROPERTY_RUNS', key: 'propertyRuns', accepted: { 1: 1 }, rejected: ['0', 'many'] },
+  { variable: 'PROPERTY_SEED', key: 'propertySeed', accepted: { 0: 0, 11: 11 }, rejected: ['-1', '4294967296'] },
+  { variable: 'COMBINATION_STRENGTH', key: 'combinationStrength', accepted: { 1: 1, 3: 3 }, rejected: ['0', '1.5', 'pairs'] },
+  { variable: 'LOAD_ENABLED', key: 'loadEnabled', accepted: { true: true, false: false }, rejected: ['sometimes'] },
+  { variable: 'LOAD_RATE', key: 'loadRate', accepted: { 0: 0, 2.5: 2.5 }, rejected: ['-1'] },
+  { variable: 'LOAD_MAX_ERROR_RATE', key: 'loadMaxErrorRate', accepted: { 0: 0, 1: 1 }, rejected: ['-0.1', '1.1'] }
+];
+
+/**
+ * Resolve the local profile with the given environment variables
+ * @param {object} env - Environment variables
+ * @param {object} options - Extra resolveConfig options
+ * @returns {object} Validated config
+ */
+function resolve(env, options = {}) {
+  return resolveConfig({ envName: 'local', profiles: environments, env, argv: [], ...options }).config;
+}
+
+describe('Configuration', () => {
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Configuration Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Configuration Tests');
+  });
+
+  /**
+   * CFG-001: Later layers override earlier ones
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Profile < profile file < environment variable < CLI override < programmatic override
+   */
+  it('CFG-001: Should let later layers override earlier ones', () => {
+    const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-config-'));
+    try {
+      fs.writeFileSync(path.join(profileDir, 'local.json'), JSON.stringify({ timeout: 1111, retryAttempts: 1 }));
+      const options = { profileDir, argv: ['--config.logLevel=warn', '--config.retryAttempts=2'] };
+
+      expect(resolve({}, { profileDir })).toMatchObject({ timeout: 1111, retryAttempts: 1 });
+      expect(resolve({ API_TIMEOUT: '2222', RETRY_ATTEMPTS: '4', LOG_LEVEL: 'error' }, options))
+        .toMatchObject({ timeout: 2222, retryAttempts: 2, logLevel: 'warn' });
+      expect(resolve({}, { ...options, overrides: { retryAttempts: 3 } }).retryAttempts).toBe(3);
+      expect(resolve({ API_TIMEOUT: '' }, { profileDir }).timeout).toBe(1111);
+    } finally {
+      fs.rmSync(profileDir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * CFG-002: Every setting validated per environment variable
+   *
+   * Test Design Technique: Equivalence Partitioning + Boundary Value Analysis (one row per variable)
+   * Expected Result: Accepted values parsed to the config type; rejected values are a ConfigError naming the variable
+   */
+  it.each(CONFIG_KEY_CASES)('CFG-002: Should validate $variable', ({ variable, key, accepted, rejected }) => {
+    Object.keys(accepted).forEach(value => {
+      expect(resolve({ [variable]: value })[key]).toEqual(accepted[value]);
+    });
+    rejected.forEach(value => {
+      expect(() => resolve({ [variable]: value })).toThrow(ConfigError);
+      expect(() => resolve({ [variable]: value })).toThrow(`(from ${variable})`);
+    });
+  });
+
+  /**
+   * CFG-003: Errors name every problem and its layer
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: Unknown profile lists the profiles; several bad values are reported together with their source
+   */
+  it('CFG-003: Should name every problem and the layer it came from', () => {
+    expect(() => resolveConfig({ envName: 'staging-eu', profiles: environments, env: {}, argv: [] }))
+      .toThrow('Unknown environment "staging-eu". Set NODE_ENV to one of:');
+
+    let error = null;
+    try {
+      resolve({ API_TIMEOUT: '-5' }, { argv: ['--config.logLevel=loud'] });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.message).toContain('Invalid configuration for environment "local"');
+    expect(error.message).toMatch(/"timeout" must be a positive number \(from API_TIMEOUT\)/);
+    expect(error.message).toMatch(/"logLevel" must be one of .* \(from CLI override\)/);
+  });
+});
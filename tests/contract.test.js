@@ -0,0 +1,293 @@
+/**
+ * Contract Validation Tests
+ * Test scenarios for validating ApiClient responses against the OpenAPI document
+ *
+ * - CON-001: Documented Endpoints Conform (Positive Testing)
+ * - CON-002: Undocumented Path, Method, Status and Content Type (EP)
+ * - CON-003: Missing and Undocumented Fields (Negative Testing)
+ * - CON-004: Type, Format and Range Violations With Field Paths (EP)
+ * - CON-005: Numeric Strings Accepted Like Joi (BVA)
+ * - CON-006: Strict Mode Fails, Warn Mode Logs (Decision Table)
+ * - CON-007: Violations Attributed to the Running Test (Positive Testing)
+ * - CON-008: Missing Document and Unknown Mode Rejected (Error Guessing)
+ * - CON-009: Negative Case Tolerated Under Strict Mode (Negative Testing)
+ */
+
+const apiClient = require('../utils/apiClient');
+const { statusCodes } = require('../config/environment');
+const {
+  Contract,
+  ContractError,
+  loadContract,
+  contractMode,
+  setContractMode,
+  contractValidation,
+  takeContractViolations,
+  reportContractViolations,
+  useContractMode,
+  tolerateContractViolations
+} = require('../utils/contract');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+
+/**
+ * Small document for the negative scenarios
+ */
+const PRODUCT_CONTRACT = new Contract({
+  paths: {
+    '/products/{id}': {
+      get: {
+        responses: {
+          200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Product' } } } },
+          404: { description: 'Not Found' }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Product: {
+        type: 'object',
+        required: ['id', 'title', 'price'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'integer', minimum: 0, exclusiveMinimum: true },
+          title: { type: 'string', minLength: 1 },
+          price: { type: 'number', minimum: 0 },
+          image: { type: 'string', format: 'uri' },
+          tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+          rating: {
+            type: 'object',
+            properties: { rate: { type: 'number', minimum: 0, maximum: 5 } }
+          }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Validate a GET /products/1 response body against PRODUCT_CONTRACT
+ * @param {*} body - Parsed body
+ * @returns {array} Violation messages
+ */
+function productViolations(body) {
+  return PRODUCT_CONTRACT.validate({
+    method: 'GET', endpoint: '/products/1', status: 200, contentType: 'application/json; charset=utf-8', body
+  });
+}
+
+describe('Contract Validation', () => {
+  useContractMode('strict');
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Contract Validation Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Contract Validation Tests');
+  });
+
+  /**
+   * CON-001: Documented endpoints conform
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: No violations for products, carts, users and login against docs/openapi.json
+   */
+  it('CON-001: Should find no violations on documented endpoints', async () => {
+    const responses = await Promise.all([
+      apiClient.getAllProducts(),
+      apiClient.getProductById(1),
+      apiClient.getAllCategories(),
+      apiClient.getCartById(1),
+      apiClient.getUserById(1),
+      apiClient.getProductById(9999)
+    ]);
+
+    responses.forEach(res => expect(res.contractViolations).toEqual([]));
+    expect(takeContractViolations()).toEqual([]);
+  });
+
+  /**
+   * CON-002: Undocumented path, method, status and content type
+   *
+   * Test Design Technique: Equivalence Partitioning (each level of the lookup)
+   * Expected Result: One violation naming what is undocumented; responses without content skip body checks
+   */
+  it('CON-002: Should report undocumented paths, methods, statuses and content types', () => {
+    const exchange = { method: 'GET', endpoint: '/products/1', status: 200, contentType: 'application/json', body: { id: 1, title: 'x', price: 1 } };
+
+    expect(PRODUCT_CONTRACT.validate({ ...exchange, endpoint: '/orders/1' })).toEqual(['undocumented path /orders/1']);
+    expect(PRODUCT_CONTRACT.validate({ ...exchange, method: 'PATCH' }))
+      .toEqual(['undocumented method PATCH for /products/{id}']);
+    expect(PRODUCT_CONTRACT.validate({ ...exchange, status: 503 }))
+      .toEqual(['undocumented status 503 for GET /products/{id} (documented: 200, 404)']);
+    expect(PRODUCT_CONTRACT.validate({ ...exchange, contentType: 'text/html' }))
+      .toEqual(['content-type "text/html" not documented for 200 (documented: application/json)']);
+    expect(PRODUCT_CONTRACT.validate({ ...exchange, body: undefined })).toEqual(['body is not valid JSON']);
+    expect(PRODUCT_CONTRACT.validate({ ...exchange, status: 404, contentType: 'text/plain', body: undefined })).toEqual([]);
+    expect(PRODUCT_CONTRACT.validate({ ...exchange, endpoint: '/products/1?limit=5' })).toEqual([]);
+  });
+
+  /**
+   * CON-003: Missing and undocumented fields
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: Missing required and extra fields reported with their paths
+   */
+  it('CON-003: Should report missing required and undocumented fields', () => {
+    expect(productViolations({ id: 1, title: 'Backpack', discount: 10 })).toEqual([
+      'body price: missing required field',
+      'body discount: undocumented field'
+    ]);
+    expect(productViolations({ id: 1, title: 'Backpack', price: 10, rating: { rate: 4, count: 3 } })).toEqual([]);
+  });
+
+  /**
+   * CON-004: Type, format and range violations with field paths
+   *
+   * Test Design Technique: Equivalence Partitioning (type, format, range, uniqueness)
+   * Expected Result: Each violation reported at its field path
+   */
+  it('CON-004: Should report type, format and range violations at their paths', () => {
+    expect(productViolations({
+      id: 0,
+      title: '',
+      price: 'free',
+      image: 'not a url',
+      tags: ['a', 'a', 3],
+      rating: { rate: 9 }
+    })).toEqual([
+      'body id: 0 is below the exclusive minimum 0',
+      'body title: shorter than 1 character(s)',
+      'body price: expected number, got string',
+      'body image: "not a url" is not a valid uri',
+      'body tags: items are not unique',
+      'body tags[2]: expected string, got number',
+      'body rating.rate: 9 is above the maximum 5'
+    ]);
+    expect(productViolations([])).toEqual(['body (root): expected object, got array']);
+  });
+
+  /**
+   * CON-005: Numeric strings accepted like Joi
+   *
+   * Test Design Technique: Boundary Value Analysis (numeric string, blank string, non-numeric string)
+   * Expected Result: "-37.3159" passes a number schema, "" and "abc" do not
+   */
+  it('CON-005: Should accept numeric strings where a number is documented', () => {
+    const contract = loadContract();
+    const geolocation = { $ref: '#/components/schemas/Geolocation' };
+
+    expect(contract.checkSchema(geolocation, { lat: '-37.3159', long: '81.1496' })).toEqual([]);
+    expect(contract.checkSchema(geolocation, { lat: '', long: 'abc' })).toEqual([
+      'lat: expected number, got string',
+      'long: expected number, got string'
+    ]);
+    expect(contract.checkSchema(geolocation, { lat: '-90.5', long: 0 })).toEqual(['lat: -90.5 is below the minimum -90']);
+  });
+
+  /**
+   * CON-006: Strict mode fails, warn mode logs
+   *
+   * Test Design Technique: Decision Table (mode × violations)
+   * Expected Result: strict throws ContractError listing each violation; warn and off do not throw
+   */
+  it('CON-006: Should fail in strict mode and only warn in warn mode', async () => {
+    const remove = apiClient.use(contractValidation({ load: () => PRODUCT_CONTRACT }));
+    try {
+      await apiClient.getAllProducts().expect('status', statusCodes.OK);
+      let error = null;
+      try {
+        reportContractViolations();
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(ContractError);
+      expect(error.message).toContain('GET /products → 200: undocumented path /products');
+
+      setContractMode('warn');
+      await apiClient.getAllProducts();
+      expect(() => reportContractViolations()).not.toThrow();
+      expect(takeContractViolations()).toEqual([]);
+
+      setContractMode('off');
+      const res = await apiClient.getAllProducts();
+      expect(res.contractViolations).toBeUndefined();
+      expect(takeContractViolations()).toEqual([]);
+    } finally {
+      remove();
+      setContractMode('strict');
+    }
+  });
+
+  /**
+   * CON-007: Violations attributed to the running test
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Each violation records test name, method, endpoint and status
+   */
+  it('CON-007: Should attribute violations to the running test', async () => {
+    const remove = apiClient.use(contractValidation({ load: () => PRODUCT_CONTRACT }));
+    try {
+      const res = await apiClient.get('/carts/1');
+      expect(res.contractViolations).toEqual(['undocumented path /carts/1']);
+      expect(takeContractViolations()).toEqual([{
+        test: 'Contract Validation CON-007: Should attribute violations to the running test',
+        method: 'GET',
+        endpoint: '/carts/1',
+        status: statusCodes.OK,
+        message: 'undocumented path /carts/1'
+      }]);
+    } finally {
+      remove();
+    }
+  });
+
+  /**
+   * CON-008: Missing document and unknown mode rejected
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: ContractError for a missing file, TypeError for an unknown mode, mode unchanged
+   */
+  it('CON-008: Should reject a missing document and an unknown mode', () => {
+    expect(() => loadContract('docs/no-such-openapi.json')).toThrow(ContractError);
+    expect(() => loadContract('docs/no-such-openapi.json')).toThrow('OpenAPI document not found');
+    expect(() => setContractMode('loud')).toThrow('Unknown contract mode "loud". Use one of: off, warn, strict');
+    expect(contractMode()).toBe('strict');
+  });
+
+  /**
+   * CON-009: Negative case tolerated under strict mode
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: The echo of a product without a title is logged, not thrown;
+   * a violation collected earlier still fails the test in strict mode
+   */
+  it('CON-009: Should tolerate a negative case under strict mode', async () => {
+    const remove = apiClient.use(contractValidation({ load: () => PRODUCT_CONTRACT }));
+    try {
+      await apiClient.get('/carts/1');
+    } finally {
+      remove();
+    }
+
+    const res = await tolerateContractViolations(() => apiClient.createProduct({ price: 10 }));
+    expect(res.contractViolations).toContain('body title: missing required field');
+    expect(contractMode()).toBe('strict');
+
+    let error = null;
+    try {
+      reportContractViolations();
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ContractError);
+    expect(error.message).toContain('GET /carts/1 → 200: undocumented path /carts/1');
+    expect(error.message).not.toContain('POST /products');
+  });
+});
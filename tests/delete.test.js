@@ -19,6 +19,7 @@ const {
   getInvalidProductId,
   getNonNumericProductId 
 } = require('../utils/testDataGenerator');
+const { logTest } = require('../utils/testHelpers');
 const testData = require('../data/testData');
 
 describe('DELETE /products/{id} - Delete Product', () => {
@@ -41,7 +42,7 @@ describe('DELETE /products/{id} - Delete Product', () => {
         // FakeStoreAPI returns the deleted product data
         if (deletedProduct) {
           expect(deletedProduct).toHaveProperty('id');
-          console.log(`Deleted product ID: ${productId}`);
+          logTest(`Deleted product ID: ${productId}`);
         }
       });
   });
@@ -58,9 +59,9 @@ describe('DELETE /products/{id} - Delete Product', () => {
         // FakeStoreAPI might return 200 with null or 404
         if (res.status === statusCodes.OK) {
           // Mock API might return success even for non-existent
-          console.log('Note: FakeStoreAPI returns 200 for non-existent delete');
+          logTest('Note: FakeStoreAPI returns 200 for non-existent delete');
         } else if (res.status === statusCodes.NOT_FOUND) {
-          console.log('Properly returned 404 for non-existent product');
+          logTest('Properly returned 404 for non-existent product');
         }
         
         // Either way, ensure no crash
@@ -87,7 +88,7 @@ describe('DELETE /products/{id} - Delete Product', () => {
           expect(deletedProduct.id).toBe(boundaryIds.min);
         }
         
-        console.log(`Deleted product with minimum ID: ${boundaryIds.min}`);
+        logTest(`Deleted product with minimum ID: ${boundaryIds.min}`);
       });
   });
 
@@ -107,7 +108,7 @@ describe('DELETE /products/{id} - Delete Product', () => {
           statusCodes.NOT_FOUND
         ]).toContain(res.status);
         
-        console.log(`Invalid ID format handled with status: ${res.status}`);
+        logTest(`Invalid ID format handled with status: ${res.status}`);
       });
   });
 
@@ -121,7 +122,7 @@ describe('DELETE /products/{id} - Delete Product', () => {
       .expect('status', statusCodes.OK)
       .then((res) => {
         expect(res.json).toBeDefined();
-        console.log(`Deleted product with maximum ID: ${boundaryIds.max}`);
+        logTest(`Deleted product with maximum ID: ${boundaryIds.max}`);
       });
   });
 
@@ -135,7 +136,7 @@ describe('DELETE /products/{id} - Delete Product', () => {
       .then((res) => {
         // Should return error for ID 0
         if (res.status === statusCodes.OK) {
-          console.log('Note: FakeStoreAPI accepts zero ID');
+          logTest('Note: FakeStoreAPI accepts zero ID');
         } else {
           expect([
             statusCodes.BAD_REQUEST,
@@ -159,7 +160,7 @@ describe('DELETE /products/{id} - Delete Product', () => {
           statusCodes.NOT_FOUND
         ]).toContain(res.status);
         
-        console.log('Negative ID properly rejected');
+        logTest('Negative ID properly rejected');
       });
   });
 
@@ -194,7 +195,7 @@ describe('DELETE /products/{id} - Delete Product', () => {
       .then((res) => {
         // Should still return success or 404
         expect([statusCodes.OK, statusCodes.NOT_FOUND]).toContain(res.status);
-        console.log('DELETE operation is idempotent');
+        logTest('DELETE operation is idempotent');
       });
   });
 });
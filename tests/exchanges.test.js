@@ -0,0 +1,314 @@
+/**
+ * HTTP Exchange Tests
+ * Test scenarios for the per-test request/response history reported on failure
+ *
+ * - EXC-001: Every Attempt Recorded With Request and Response (Positive Testing)
+ * - EXC-002: Only the Last EXCHANGE_HISTORY Exchanges Kept (BVA)
+ * - EXC-003: Network Errors Recorded Without a Response (Negative Testing)
+ * - EXC-004: curl Command Repeats the Request (Positive Testing)
+ * - EXC-005: curl Arguments Survive Shell Quoting (Error Guessing)
+ * - EXC-006: Secrets Masked Before Reporting (Positive Testing)
+ * - EXC-007: Failed Test Reported in the Output and an Artifact (Integration Testing)
+ * - EXC-008: Failures Tracked by the Test Environment (State Transition Testing)
+ * - EXC-009: Artifacts of Tests With the Same Name Prefix Kept Apart (BVA)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const apiClient = require('../utils/apiClient');
+const ApiTestEnvironment = require('../config/testEnvironment');
+const { config, endpoints, statusCodes } = require('../config/environment');
+const { logger } = require('../utils/logger');
+const { insertCassette, ejectCassette } = require('../utils/cassette');
+const {
+  recordExchange,
+  getExchanges,
+  resetExchanges,
+  maskExchange,
+  toCurl,
+  formatExchanges,
+  writeExchangeArtifact,
+  reportFailedExchanges
+} = require('../utils/exchanges');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+const testData = require('../data/testData');
+
+/**
+ * Exchange as ApiClient would record it, for tests that need no server
+ * @param {object} overrides - Fields to replace
+ * @returns {object} Exchange
+ */
+function sampleExchange(overrides = {}) {
+  return {
+    method: 'POST',
+    url: 'http://localhost:3000/auth/login',
+    request: {
+      headers: { 'content-type': 'application/json', 'authorization': 'Bearer abc', 'content-length': '41' },
+      body: { username: 'mor_2314', password: '83r5^_' }
+    },
+    response: {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json' },
+      body: { token: 'eyJhbGciOi' }
+    },
+    timings: { dns: 0, connect: 1, tls: 0, ttfb: 12, download: 1, total: 14 },
+    error: null,
+    ...overrides
+  };
+}
+
+describe('HTTP Exchanges', () => {
+  const dirs = [];
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('HTTP Exchange Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    teardownTestSuite('HTTP Exchange Tests');
+  });
+
+  /**
+   * EXC-001: Every attempt recorded with request and response
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Method, full URL, sent headers and body, status, response headers, body and timings
+   */
+  it('EXC-001: Should record each request ApiClient sends', async () => {
+    const product = testData.validProduct;
+
+    await apiClient.getProductById(1).expect('status', statusCodes.OK);
+    await apiClient.createProduct(product).expect('status', statusCodes.CREATED);
+
+    const exchanges = getExchanges();
+    expect(exchanges.map(exchange => `${exchange.method} ${exchange.url}`)).toEqual([
+      `GET ${apiClient.requestUrl(endpoints.productById(1))}`,
+      `POST ${apiClient.requestUrl(endpoints.products)}`
+    ]);
+    expect(exchanges[0].request.body).toBeNull();
+    expect(exchanges[1]).toMatchObject({
+      request: { headers: { 'content-type': 'application/json' }, body: product },
+      response: {
+        status: statusCodes.CREATED,
+        headers: { 'content-type': expect.stringContaining('application/json') },
+        body: expect.objectContaining({ title: product.title })
+      },
+      error: null
+    });
+    expect(exchanges[1].request.headers['x-correlation-id']).toBeDefined();
+    expect(exchanges[1].timings.total).toEqual(expect.any(Number));
+  });
+
+  /**
+   * EXC-002: Only the last EXCHANGE_HISTORY exchanges kept
+   *
+   * Test Design Technique: Boundary Value Analysis (limit 0, 1, exactly full, one over)
+   * Expected Result: Oldest dropped first; 0 records nothing; reset empties the history
+   */
+  it('EXC-002: Should keep only the most recent exchanges', () => {
+    const record = (count, limit) => {
+      resetExchanges();
+      for (let index = 1; index <= count; index++) {
+        recordExchange(sampleExchange({ url: `/${index}` }), limit);
+      }
+      return getExchanges().map(exchange => exchange.url);
+    };
+
+    expect(record(3, 0)).toEqual([]);
+    expect(record(3, 1)).toEqual(['/3']);
+    expect(record(3, 3)).toEqual(['/1', '/2', '/3']);
+    expect(record(4, 3)).toEqual(['/2', '/3', '/4']);
+    expect(config.exchangeHistory).toBe(5);
+
+    resetExchanges();
+    expect(getExchanges()).toEqual([]);
+  });
+
+  /**
+   * EXC-003: Network errors recorded without a response
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: One exchange per attempt (retries included), each with the error and no response
+   */
+  it('EXC-003: Should record requests that got no response', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}`;
+    await new Promise(resolve => closed.close(resolve));
+
+    // The request goes to the closed port, never the API: nothing to record or replay
+    insertCassette('exchanges-closed-port', { mode: 'passthrough' });
+    const apiBaseURL = config.baseURL;
+    config.baseURL = url;
+    try {
+      await expect(apiClient.get(endpoints.products, { retry: { attempts: 1, delay: 1 } })).rejects.toThrow();
+    } finally {
+      config.baseURL = apiBaseURL;
+      ejectCassette();
+    }
+
+    const exchanges = getExchanges();
+    expect(exchanges).toHaveLength(2);
+    exchanges.forEach(exchange => {
+      expect(exchange).toMatchObject({ method: 'GET', url: `${url}${endpoints.products}`, response: null, timings: null });
+      expect(exchange.error).toMatch(/ECONNREFUSED/);
+    });
+    expect(formatExchanges(exchanges)).toContain('  No response: ');
+  });
+
+  /**
+   * EXC-004: curl command repeats the request
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Method, URL, headers curl does not set itself, and the JSON body; none for a GET
+   */
+  it('EXC-004: Should build a curl command for the request', () => {
+    expect(toCurl(sampleExchange())).toBe([
+      'curl -X POST \'http://localhost:3000/auth/login\'',
+      '-H \'content-type: application/json\'',
+      '-H \'authorization: Bearer abc\'',
+      '--data-raw \'{"username":"mor_2314","password":"83r5^_"}\''
+    ].join(' \\\n  '));
+
+    const get = sampleExchange({ method: 'GET', url: 'http://localhost:3000/products?limit=5', request: { headers: {}, body: null } });
+    expect(toCurl(get)).toBe('curl -X GET \'http://localhost:3000/products?limit=5\'');
+  });
+
+  /**
+   * EXC-005: curl arguments survive shell quoting
+   *
+   * Test Design Technique: Error Guessing (quotes, $, backticks, newlines in values)
+   * Expected Result: A POSIX shell hands curl every argument unchanged
+   */
+  it('EXC-005: Should quote curl arguments for the shell', () => {
+    const body = { title: 'It\'s "$HOME" `id` \\ \n done' };
+    const exchange = sampleExchange({ request: { headers: { 'x-note': 'a\'b' }, body } });
+    const command = toCurl(exchange).replace(/^curl/, 'printf "%s\\n"');
+
+    const args = execFileSync('sh', ['-c', command], { encoding: 'utf8' });
+
+    expect(args).toBe(`-X\nPOST\n${exchange.url}\n-H\nx-note: a'b\n--data-raw\n${JSON.stringify(body)}\n`);
+  });
+
+  /**
+   * EXC-006: Secrets masked before reporting
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Authorization and set-cookie headers, password and token replaced with [REDACTED], also in
+   * string bodies (JSON masked per field, other text whole); the original is unchanged
+   */
+  it('EXC-006: Should mask secrets in reported exchanges', () => {
+    const exchange = sampleExchange();
+    exchange.response.headers['set-cookie'] = 'session=s3cr3t; HttpOnly';
+    const masked = maskExchange(exchange);
+
+    expect(masked.request.headers.authorization).toBe('[REDACTED]');
+    expect(masked.request.body).toEqual({ username: 'mor_2314', password: '[REDACTED]' });
+    expect(masked.response.headers).toEqual({ 'content-type': 'application/json', 'set-cookie': '[REDACTED]' });
+    expect(masked.response.body).toEqual({ token: '[REDACTED]' });
+    expect(toCurl(masked)).not.toContain('83r5^_');
+    expect(formatExchanges([masked])).not.toContain('s3cr3t');
+    expect(exchange.request.body.password).toBe('83r5^_');
+
+    const bodies = body => maskExchange(sampleExchange({
+      request: { headers: {}, body },
+      response: { ...sampleExchange().response, body }
+    }));
+    const json = bodies('{"username":"mor_2314","password":"83r5^_"}');
+    expect(json.request.body).toBe('{"username":"mor_2314","password":"[REDACTED]"}');
+    expect(json.response.body).toBe(json.request.body);
+    expect(bodies('username=mor_2314&password=83r5%5E_').request.body).toBe('[REDACTED]');
+    expect(bodies('Not Found').response.body).toBe('Not Found');
+    expect(bodies('"83r5^_"').request.body).toBe('"83r5^_"');
+  });
+
+  /**
+   * EXC-007: Failed test reported in the output and an artifact
+   *
+   * Test Design Technique: Integration Testing
+   * Expected Result: Error entry with every exchange and its curl command; JSON artifact named after the test; nothing without exchanges
+   */
+  it('EXC-007: Should print and store the exchanges of a failed test', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-exchanges-'));
+    dirs.push(dir);
+    const testPath = path.join(__dirname, 'post.test.js');
+    const saved = logger.write;
+    const lines = [];
+    logger.write = line => lines.push(line);
+
+    try {
+      resetExchanges();
+      expect(reportFailedExchanges({ testPath, testName: 'POST POST-001: Should create', dir })).toBeNull();
+
+      recordExchange(sampleExchange());
+      const file = reportFailedExchanges({ testPath, testName: 'POST POST-001: Should create', dir });
+
+      expect(path.relative(dir, file)).toBe(path.join('post', 'post-post-001-should-create.json'));
+      const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(artifact).toMatchObject({ test: 'POST POST-001: Should create', file: 'post.test.js' });
+      expect(artifact.exchanges).toEqual([{ ...maskExchange(sampleExchange()), curl: toCurl(maskExchange(sampleExchange())) }]);
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0]).toContain('❌ [HTTP Exchange Tests › EXC-007] Last 1 HTTP exchange(s) of the failed test');
+      expect(lines[0]).toContain('── Exchange 1/1: POST http://localhost:3000/auth/login');
+      expect(lines[0]).toContain('  Response: 200 OK in 14ms (dns 0ms, connect 1ms, tls 0ms, ttfb 12ms)');
+      expect(lines[0]).toContain('    curl -X POST \'http://localhost:3000/auth/login\'');
+    } finally {
+      logger.write = saved;
+    }
+  });
+
+  /**
+   * EXC-008: Failures tracked by the test environment
+   *
+   * Test Design Technique: State Transition Testing (test start -> failure -> next test start)
+   * Expected Result: Flag set by a failing test body or beforeEach hook, cleared when the next test starts
+   */
+  it('EXC-008: Should flag the running test once it fails', () => {
+    const environment = { global: {} };
+    const handle = event => ApiTestEnvironment.prototype.handleTestEvent.call(environment, event);
+
+    handle({ name: 'test_start' });
+    expect(environment.global.__TEST_FAILED__).toBe(false);
+    handle({ name: 'hook_failure', hook: { type: 'afterAll' } });
+    expect(environment.global.__TEST_FAILED__).toBe(false);
+    handle({ name: 'test_fn_failure' });
+    expect(environment.global.__TEST_FAILED__).toBe(true);
+
+    handle({ name: 'test_start' });
+    handle({ name: 'hook_failure', hook: { type: 'beforeEach' } });
+    expect(environment.global.__TEST_FAILED__).toBe(true);
+    expect(global.__TEST_FAILED__).toBe(false);
+  });
+
+  /**
+   * EXC-009: Artifacts of tests with the same name prefix kept apart
+   *
+   * Test Design Technique: Boundary Value Analysis (names equal up to the 80-character slug limit)
+   * Expected Result: Second and third artifacts get -2 and -3; the first is not overwritten; names are counted per test file
+   */
+  it('EXC-009: Should not overwrite artifacts of tests that share a name prefix', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-exchanges-'));
+    dirs.push(dir);
+    const prefix = `POST POST-005: Should handle ${'x'.repeat(60)}`;
+    const write = (testPath, testName) => path.relative(dir, writeExchangeArtifact({ testPath, testName, exchanges: [sampleExchange()], dir }));
+    const slug = 'post-post-005-should-handle-'.padEnd(80, 'x');
+
+    expect(write('/tests/post.test.js', `${prefix} price 0`)).toBe(path.join('post', `${slug}.json`));
+    expect(write('/tests/post.test.js', `${prefix} price -1`)).toBe(path.join('post', `${slug}-2.json`));
+    expect(write('/tests/post.test.js', `${prefix} price 1`)).toBe(path.join('post', `${slug}-3.json`));
+    expect(write('/tests/put.test.js', `${prefix} price 0`)).toBe(path.join('put', `${slug}.json`));
+
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'post', `${slug}.json`), 'utf8')).test).toBe(`${prefix} price 0`);
+  });
+});
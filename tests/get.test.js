@@ -7,6 +7,7 @@
  * - GET-002: Boundary Value - Minimum Product ID (BVA)
  * - GET-003: Boundary Value - Maximum Product ID (BVA)
  * - GET-004: Invalid Product ID - Out of Range (Negative Testing)
+ * - GET-005: Derived Product ID Boundaries (BVA, one case per schema limit)
  * 
  * Additional comprehensive tests included
  */
@@ -22,7 +23,8 @@ const {
   assertFieldType,
   assertInRange,
   assertStringNotEmpty,
-  assertArrayNotEmpty
+  assertArrayNotEmpty,
+  assertResponseTime
 } = require('../utils/assertions');
 const { 
   validateGetResponse,
@@ -39,9 +41,12 @@ const {
   teardownTestSuite,
   logTest,
   createSnapshot,
-  testContext 
+  testContext,
+  validateResponseTime
 } = require('../utils/testHelpers');
-const { schemas, validateSchema } = require('../utils/schemaValidator');
+const { schemas } = require('../utils/schemaValidator');
+const { deriveCases } = require('../utils/boundaryCases');
+const { getCategories } = require('../utils/categoryDiscovery');
 const testData = require('../data/testData');
 
 describe('GET /products/{id} - Retrieve Single Product', () => {
@@ -110,8 +115,7 @@ describe('GET /products/{id} - Retrieve Single Product', () => {
         expect(product.rating.count).toBeGreaterThanOrEqual(0);
         
         // Validate against Joi schema
-        const { error } = validateSchema(product, schemas.product);
-        expect(error).toBeUndefined();
+        expect(product).toMatchSchema(schemas.product);
         
         logTest('Product retrieved and validated successfully', 'success');
         createSnapshot('GET-001 Response', product);
@@ -213,6 +217,27 @@ describe('GET /products/{id} - Retrieve Single Product', () => {
       });
   });
 
+  /**
+   * Test Scenario 1.5: Derived Product ID Boundaries (BVA)
+   * GET-005: Just below, at and just above each limit of schemas.productId
+   * 
+   * Test Design Technique: Boundary Value Analysis (cases derived from the schema)
+   * Expected Result: Valid IDs return that product; invalid IDs 404 OR 200 with null
+   */
+  it.each(deriveCases(schemas.productId, { technique: 'BVA' }))('GET-005: Should handle $label', async ({ value, valid }) => {
+    return apiClient.getProductById(value)
+      .then((res) => {
+        if (valid) {
+          expect(res.status).toBe(statusCodes.OK);
+          expect(res.json.id).toBe(value);
+        } else if (res.status === statusCodes.OK) {
+          expect(res.json).toBeNull();
+        } else {
+          expect(res.status).toBe(statusCodes.NOT_FOUND);
+        }
+      });
+  });
+
   /**
    * Additional Test: Get all products
    * Validates array response and structure
@@ -285,7 +310,7 @@ describe('GET /products/{id} - Retrieve Single Product', () => {
    * Additional Test: Validate specific categories
    */
   it('Should retrieve products with valid categories', async () => {
-    const validCategories = testData.categories;
+    const validCategories = getCategories();
     
     return apiClient.getAllProducts()
       .expect('status', statusCodes.OK)
@@ -323,18 +348,18 @@ describe('GET /products/{id} - Retrieve Single Product', () => {
    * Additional Test: Response time validation
    */
   it('Should respond within acceptable time limits', async () => {
-    const startTime = Date.now();
     const productId = getValidProductId();
     
     return apiClient.getProductById(productId)
       .expect('status', statusCodes.OK)
       .then((res) => {
-        const responseTime = Date.now() - startTime;
-        
-        // Response should be under 3 seconds
-        expect(responseTime).toBeLessThan(3000);
+        // Response should be under 3 seconds (timings are absent on cassette replay)
+        assertResponseTime(res, 3000);
+        if (res.timings) {
+          expect(res.timings.ttfb).toBeLessThanOrEqual(res.timings.total);
+        }
         
-        logTest(`Response time: ${responseTime}ms`, 'success');
+        validateResponseTime(res, 3000);
         expect(res.json).toBeDefined();
       });
   });
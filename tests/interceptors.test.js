@@ -0,0 +1,303 @@
+/**
+ * Interceptor Pipeline Tests
+ * Test scenarios for request/response interceptors in ApiClient
+ *
+ * - INT-001: Request Interceptor Modifies Headers (Positive Testing)
+ * - INT-002: Async Request Interceptor (Positive Testing)
+ * - INT-003: Response Interceptor Sees Request and Response (Positive Testing)
+ * - INT-004: Interceptors Run in Registration Order (Positive Testing)
+ * - INT-005: Removed Interceptor No Longer Runs (Positive Testing)
+ * - INT-006: Per-Suite Interceptors (Positive Testing)
+ * - INT-007: Default Headers Do Not Override Request Headers (EP)
+ * - INT-008: Correlation IDs Are Unique Per Request (Positive Testing)
+ * - INT-009: Timing Interceptor (Positive Testing)
+ * - INT-010: Logging Interceptor Redacts Secrets (Positive Testing)
+ * - INT-011: Resource Methods Flow Through the Pipeline (Positive Testing)
+ * - INT-012: Failing Interceptors Fail the Request (Negative Testing)
+ */
+
+const apiClient = require('../utils/apiClient');
+const { endpoints, statusCodes } = require('../config/environment');
+const {
+  defaultHeaders,
+  correlationId,
+  timing,
+  logging,
+  useInterceptors
+} = require('../utils/interceptors');
+const { useContractMode } = require('../utils/contract');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  wait
+} = require('../utils/testHelpers');
+const testData = require('../data/testData');
+
+/**
+ * Read a header a Frisby spec was sent with
+ * @param {object} spec - Frisby spec returned by apiClient
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function requestHeaderOf(spec, name) {
+  return spec._request.headers.get(name);
+}
+
+describe('ApiClient - Interceptor Pipeline', () => {
+  // Interceptors here rewrite responses on purpose
+  useContractMode('off');
+
+  let removers = [];
+
+  /**
+   * Register an interceptor for the current test only
+   * @param {object} interceptor - Interceptor
+   */
+  function register(interceptor) {
+    removers.push(apiClient.use(interceptor));
+  }
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Interceptor Pipeline Tests');
+  });
+
+  // Remove interceptors registered by each test
+  afterEach(() => {
+    removers.forEach(remove => remove());
+    removers = [];
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Interceptor Pipeline Tests');
+  });
+
+  /**
+   * INT-001: Request interceptor modifies headers
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Header added by the interceptor is sent
+   */
+  it('INT-001: Should send headers added by a request interceptor', async () => {
+    register({ request: (request) => { request.headers['X-Test-Suite'] = 'interceptors'; } });
+
+    const spec = apiClient.get(endpoints.products);
+    expect(requestHeaderOf(spec, 'x-test-suite')).toBe('interceptors');
+
+    return spec.expect('status', statusCodes.OK);
+  });
+
+  /**
+   * INT-002: Async request interceptor
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Request waits for the interceptor; chained expectations still apply
+   */
+  it('INT-002: Should wait for async request interceptors', async () => {
+    register({
+      request: async (request) => {
+        await wait(10);
+        return { ...request, endpoint: endpoints.productById(2) };
+      }
+    });
+
+    return apiClient.getProductById(1)
+      .expect('status', statusCodes.OK)
+      .then((res) => {
+        expect(res.json.id).toBe(2);
+      });
+  });
+
+  /**
+   * INT-003: Response interceptor sees request and response
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Handler receives both, its changes are visible to the test
+   */
+  it('INT-003: Should pass response and request to response interceptors', async () => {
+    const seen = [];
+    register({
+      response: (response, request) => {
+        seen.push(`${request.method} ${request.endpoint} ${response.status}`);
+        response.checkedBy = 'INT-003';
+      }
+    });
+
+    const res = await apiClient.getProductById(1).expect('status', statusCodes.OK);
+
+    expect(seen).toEqual([`GET ${endpoints.productById(1)} ${statusCodes.OK}`]);
+    expect(res.checkedBy).toBe('INT-003');
+  });
+
+  /**
+   * INT-004: Interceptors run in registration order
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Sync and async handlers interleave in order for both phases
+   */
+  it('INT-004: Should run interceptors in registration order', async () => {
+    const calls = [];
+    register({ request: () => { calls.push('request-1'); }, response: () => { calls.push('response-1'); } });
+    register({ request: async () => { await wait(5); calls.push('request-2'); } });
+    register({ request: () => { calls.push('request-3'); }, response: async () => { calls.push('response-3'); } });
+
+    await apiClient.getAllCategories().expect('status', statusCodes.OK);
+
+    expect(calls).toEqual(['request-1', 'request-2', 'request-3', 'response-1', 'response-3']);
+  });
+
+  /**
+   * INT-005: Removed interceptor no longer runs
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Calling the remover stops the interceptor
+   */
+  it('INT-005: Should stop running an interceptor once removed', async () => {
+    let calls = 0;
+    const remove = apiClient.use({ request: () => { calls += 1; } });
+
+    await apiClient.getAllCategories();
+    remove();
+    await apiClient.getAllCategories();
+
+    expect(calls).toBe(1);
+  });
+
+  /**
+   * INT-006: Per-suite interceptors
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Registered for the describe block only
+   */
+  describe('INT-006: Per-suite registration', () => {
+    useInterceptors(defaultHeaders({ 'X-Suite': 'INT-006' }));
+
+    it('INT-006: Should apply suite interceptors inside the describe block', async () => {
+      const spec = apiClient.getAllCategories();
+      expect(requestHeaderOf(spec, 'x-suite')).toBe('INT-006');
+
+      return spec.expect('status', statusCodes.OK);
+    });
+  });
+
+  it('INT-006: Should not apply suite interceptors outside the describe block', async () => {
+    const spec = apiClient.getAllCategories();
+    expect(requestHeaderOf(spec, 'x-suite')).toBeNull();
+
+    return spec.expect('status', statusCodes.OK);
+  });
+
+  /**
+   * INT-007: Default headers do not override request headers
+   *
+   * Test Design Technique: Equivalence Partitioning (header set / not set on request)
+   * Expected Result: Request header wins, missing headers are filled in
+   */
+  it('INT-007: Should fill in default headers without overriding explicit ones', async () => {
+    register(defaultHeaders({ 'X-Client': 'default', 'X-Tenant': 'default' }));
+
+    const spec = apiClient.get(endpoints.products, { headers: { 'X-Tenant': 'explicit' } });
+
+    expect(requestHeaderOf(spec, 'x-client')).toBe('default');
+    expect(requestHeaderOf(spec, 'x-tenant')).toBe('explicit');
+
+    return spec.expect('status', statusCodes.OK);
+  });
+
+  /**
+   * INT-008: Correlation IDs are unique per request
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Registered globally in jest.setup; header matches response.correlationId
+   */
+  it('INT-008: Should tag every request with its own correlation ID', async () => {
+    const first = apiClient.getProductById(1);
+    const second = apiClient.getProductById(1);
+    const firstId = requestHeaderOf(first, 'x-correlation-id');
+
+    expect(firstId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(requestHeaderOf(second, 'x-correlation-id')).not.toBe(firstId);
+
+    const res = await first;
+    await second;
+    expect(res.correlationId).toBe(firstId);
+
+    const custom = correlationId({ header: 'X-Request-ID', generate: () => 'fixed-id' });
+    const request = { headers: {}, meta: {} };
+    custom.request(request);
+    expect(request.headers['X-Request-ID']).toBe('fixed-id');
+  });
+
+  /**
+   * INT-009: Timing interceptor
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: response.elapsedMs covers at least Frisby's response time
+   */
+  it('INT-009: Should record elapsed time on the response', async () => {
+    register(timing());
+
+    const res = await apiClient.getAllProducts().expect('status', statusCodes.OK);
+
+    expect(typeof res.elapsedMs).toBe('number');
+    expect(res.elapsedMs).toBeGreaterThanOrEqual(res.responseTime);
+  });
+
+  /**
+   * INT-010: Logging interceptor redacts secrets
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Request and response logged, Authorization and password masked
+   */
+  it('INT-010: Should log traffic with secrets redacted', async () => {
+    const lines = [];
+    register(logging({ log: message => lines.push(message) }));
+
+    await apiClient.post(endpoints.auth, testData.authCredentials, { auth: 'secret-token' });
+
+    const output = lines.join('\n');
+    expect(lines).toHaveLength(2);
+    expect(output).toContain(`→ POST ${endpoints.auth}`);
+    expect(output).toMatch(/← \d{3} POST \/auth\/login \(\d+ms\)/);
+    expect(output).toContain('"Authorization":"[REDACTED]"');
+    expect(output).toContain('"password":"[REDACTED]"');
+    expect(output).not.toContain('secret-token');
+    expect(output).not.toContain(testData.authCredentials.password);
+  });
+
+  /**
+   * INT-011: Resource methods flow through the pipeline
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Every product/cart/user method passes through interceptors
+   */
+  it('INT-011: Should route resource-specific methods through interceptors', async () => {
+    const methods = [];
+    register({ request: (request) => { methods.push(request.method); } });
+
+    await apiClient.getProductById(1);
+    await apiClient.createCart(testData.validCart);
+    await apiClient.updateUser(1, testData.updateUser);
+    await apiClient.deleteProduct(1);
+
+    expect(methods).toEqual(['GET', 'POST', 'PUT', 'DELETE']);
+  });
+
+  /**
+   * INT-012: Failing interceptors fail the request
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: Sync errors throw, async errors reject
+   */
+  it('INT-012: Should surface interceptor errors to the test', async () => {
+    const removeSync = apiClient.use({ request: () => { throw new Error('sync interceptor failed'); } });
+    expect(() => apiClient.getAllProducts()).toThrow('sync interceptor failed');
+    removeSync();
+
+    register({ request: async () => { throw new Error('async interceptor failed'); } });
+    await expect(apiClient.getAllProducts()).rejects.toThrow('async interceptor failed');
+
+    expect(() => apiClient.use({})).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Load Tests
+ * Product endpoints under load, with latency percentiles checked against the
+ * thresholds in config (loadMaxP95, loadMaxP99, loadMaxErrorRate)
+ *
+ * Enabled by default only for the local profile; against the live API set
+ * LOAD_ENABLED=true. Runs in passthrough cassette mode only, since recording a
+ * load run would store thousands of interactions.
+ *
+ * - LOAD-001: Product Endpoints Meet Latency and Error Thresholds (Performance Testing)
+ * - LOAD-002: Arrival Rate Drives Request Count (Performance Testing)
+ * - LOAD-003: Failed Requests Counted Once in the Error Rate (Negative Testing)
+ * - LOAD-004: Percentiles by Nearest Rank (BVA)
+ * - LOAD-005: Threshold Breaches Listed Per Endpoint (Negative Testing)
+ * - LOAD-006: JSON and HTML Reports Written (Positive Testing)
+ * - LOAD-007: Unknown ApiClient Method Rejected (Error Guessing)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { config } = require('../config/environment');
+const {
+  runLoad,
+  summarizeLatency,
+  evaluateThresholds,
+  writeLoadReport
+} = require('../utils/loadRunner');
+const { getTimingSamples } = require('../utils/timings');
+const { generateProductData, getValidProductId } = require('../utils/testDataGenerator');
+const { useContractMode } = require('../utils/contract');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+
+/**
+ * Product traffic mix: mostly single-product reads
+ */
+const PRODUCT_SCENARIOS = [
+  { method: 'getProductById', args: () => [getValidProductId()], weight: 3 },
+  { method: 'getAllProducts', args: () => [{ limit: 5 }], weight: 1 },
+  { method: 'createProduct', args: () => [generateProductData()], weight: 1 }
+];
+
+/**
+ * Length of the short runs that check runner behaviour rather than the API
+ */
+const SHORT_RUN_MS = 500;
+
+const describeLoad = config.loadEnabled && config.cassetteMode === 'passthrough' ? describe : describe.skip;
+
+describeLoad('Load - Product Endpoints', () => {
+  // Load runs measure latency; LOAD-003 hits an undocumented path on purpose
+  useContractMode('off');
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Load Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Load Tests');
+  });
+
+  /**
+   * LOAD-001: Product endpoints meet latency and error thresholds
+   *
+   * Test Design Technique: Performance Testing (closed model, config concurrency and duration)
+   * Expected Result: Every endpoint within p95/p99/error-rate thresholds; reports written
+   */
+  it('LOAD-001: Should keep product endpoints within latency and error thresholds', async () => {
+    const result = await runLoad(PRODUCT_SCENARIOS);
+    const { json, html } = writeLoadReport(result);
+
+    logTest(`${result.totals.requests} requests, ${result.totals.throughput} req/s, ` +
+      `p95 ${result.totals.latency.p95}ms, p99 ${result.totals.latency.p99}ms`, 'info');
+    logTest(`Load report: ${json}, ${html}`, 'info');
+
+    expect(result.totals.requests).toBeGreaterThan(0);
+    expect(Object.keys(result.endpoints)).toEqual(
+      expect.arrayContaining(['GET /products', 'GET /products/:id', 'POST /products'])
+    );
+    expect(result.breaches).toEqual([]);
+    expect(result.passed).toBe(true);
+  }, config.loadDuration + config.testTimeout);
+
+  /**
+   * LOAD-002: Arrival rate drives request count
+   *
+   * Test Design Technique: Performance Testing (open model)
+   * Expected Result: About rate × duration requests, none dropped
+   */
+  it('LOAD-002: Should start requests at the configured arrival rate', async () => {
+    const rate = 20;
+    const result = await runLoad(PRODUCT_SCENARIOS, { duration: SHORT_RUN_MS, rate });
+    const expected = rate * (SHORT_RUN_MS / 1000);
+
+    expect(result.model).toBe('open');
+    expect(result.dropped).toBe(0);
+    expect(result.totals.requests).toBe(expected);
+  });
+
+  /**
+   * LOAD-003: Failed requests counted once in the error rate
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: 404s counted as errors per endpoint, status codes tallied; every 503 reaches the
+   *   error rate with one request each, despite retryAttempts, and adds no samples to the timing report
+   */
+  it('LOAD-003: Should count failing responses once in the error rate', async () => {
+    const notFound = await runLoad([
+      { method: 'getProductById', args: () => [1] },
+      { method: 'get', args: () => ['/no-such-endpoint'] }
+    ], { duration: SHORT_RUN_MS, concurrency: 2, random: () => 0.9 });
+
+    const missing = notFound.endpoints['GET /no-such-endpoint'];
+    expect(missing.errorRate).toBe(1);
+    expect(missing.statusCodes).toEqual({ 404: missing.requests });
+    expect(notFound.endpoints['GET /products/:id']).toBeUndefined();
+    expect(notFound.passed).toBe(false);
+
+    let hits = 0;
+    const unavailable = http.createServer((req, res) => {
+      hits += 1;
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+    await new Promise(resolve => unavailable.listen(0, '127.0.0.1', resolve));
+    const samplesBefore = JSON.stringify(getTimingSamples());
+    const saved = { baseURL: config.baseURL, retryAttempts: config.retryAttempts };
+    Object.assign(config, { baseURL: `http://127.0.0.1:${unavailable.address().port}`, retryAttempts: 2 });
+
+    try {
+      const result = await runLoad([{ method: 'getProductById', args: () => [1] }], { duration: SHORT_RUN_MS, concurrency: 1 });
+
+      expect(result.totals.requests).toBe(hits);
+      expect(result.endpoints['GET /products/:id'].statusCodes).toEqual({ 503: hits });
+      expect(result.totals.errorRate).toBe(1);
+      expect(JSON.stringify(getTimingSamples())).toBe(samplesBefore);
+    } finally {
+      Object.assign(config, saved);
+      await new Promise(resolve => unavailable.close(resolve));
+    }
+  });
+
+  /**
+   * LOAD-004: Percentiles by nearest rank
+   *
+   * Test Design Technique: Boundary Value Analysis (1..100, single sample, empty)
+   * Expected Result: p50/p90/p95/p99 equal the nearest-rank values
+   */
+  it('LOAD-004: Should compute p50/p90/p95/p99 latency by nearest rank', () => {
+    const values = Array.from({ length: 100 }, (_, index) => 100 - index);
+
+    expect(summarizeLatency(values)).toEqual({
+      min: 1, avg: 50.5, p50: 50, p90: 90, p95: 95, p99: 99, max: 100
+    });
+    expect(summarizeLatency([42]).p99).toBe(42);
+    expect(summarizeLatency([]).p50).toBe(0);
+  });
+
+  /**
+   * LOAD-005: Threshold breaches listed per endpoint
+   *
+   * Test Design Technique: Negative Testing (p95 above, p99 at, error rate above the limit)
+   * Expected Result: One message per breach naming the endpoint; limits themselves pass
+   */
+  it('LOAD-005: Should list every breached threshold', () => {
+    const summary = (p95, p99, errorRate) => ({ latency: { p95, p99 }, errorRate });
+    const breaches = evaluateThresholds({
+      totals: summary(150, 200, 0.01),
+      endpoints: {
+        'GET /products/:id': summary(100, 200, 0),
+        'POST /products': summary(300, 200, 0.5)
+      }
+    }, { maxP95: 200, maxP99: 200, maxErrorRate: 0.01 });
+
+    expect(breaches).toEqual([
+      'POST /products: p95 300ms exceeds 200ms',
+      'POST /products: error rate 0.5 exceeds 0.01'
+    ]);
+  });
+
+  /**
+   * LOAD-006: JSON and HTML reports written
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: JSON round-trips the result; HTML lists endpoints and breaches escaped
+   */
+  it('LOAD-006: Should write JSON and HTML reports', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-load-'));
+    try {
+      const result = await runLoad([{ method: 'getProductById', args: () => [1] }], {
+        duration: SHORT_RUN_MS,
+        concurrency: 1,
+        thresholds: { maxP95: 0.001 }
+      });
+      const { json, html } = writeLoadReport(result, 'products', dir);
+
+      expect(JSON.parse(fs.readFileSync(json, 'utf8'))).toEqual(result);
+      const page = fs.readFileSync(html, 'utf8');
+      expect(page).toContain('<td>GET /products/:id</td>');
+      expect(page).toContain('p95');
+      expect(page).toContain('exceeds 0.001ms');
+      expect(page).not.toContain('<script');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * LOAD-007: Unknown ApiClient method rejected
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: TypeError before any request is sent
+   */
+  it('LOAD-007: Should reject scenarios that name no ApiClient method', async () => {
+    await expect(runLoad([{ method: 'getProdcutById' }], { duration: SHORT_RUN_MS }))
+      .rejects.toThrow('Load scenario must name an ApiClient method or provide run(), got "getProdcutById"');
+    await expect(runLoad([])).rejects.toThrow(TypeError);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Local Server Tests
+ * Test scenarios for the offline stand-in server (server/localServer.js), run
+ * against an instance started by this suite in every environment
+ *
+ * - SRV-001: Malformed Percent-Encoding in the Path (Error Guessing)
+ * - SRV-002: Server-Assigned IDs Kept on Create and Update (Negative Testing)
+ * - SRV-003: Carts and Users Carry the Version Key (Positive Testing)
+ */
+
+const apiClient = require('../utils/apiClient');
+const { config, endpoints, statusCodes } = require('../config/environment');
+const { startLocalServer } = require('../server/localServer');
+const seedData = require('../server/seedData');
+const { useContractMode } = require('../utils/contract');
+const { useCassette } = require('../utils/cassette');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+
+describe('Local Server', () => {
+  // The checks cover the stand-in itself, not the documented API
+  useContractMode('off');
+  useCassette('local-server', { mode: 'passthrough' });
+
+  let server;
+  let apiBaseURL;
+
+  // Setup before all tests
+  beforeAll(async () => {
+    setupTestSuite('Local Server Tests');
+    server = await startLocalServer();
+    apiBaseURL = config.baseURL;
+    config.baseURL = server.url;
+  });
+
+  // Teardown after all tests
+  afterAll(async () => {
+    config.baseURL = apiBaseURL;
+    await server.close();
+    teardownTestSuite('Local Server Tests');
+  });
+
+  /**
+   * SRV-001: Product ID with a truncated %-escape
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: 400 Bad Request, answered rather than left hanging
+   */
+  it('SRV-001: Should reject a product path with malformed percent-encoding', async () => {
+    const res = await apiClient.get(`${endpoints.products}/%E0%A4%A`, { retry: false });
+
+    expect(res.status).toBe(statusCodes.BAD_REQUEST);
+    expect(res.json.message).toBe(`Malformed URL path: ${endpoints.products}/%E0%A4%A`);
+  });
+
+  /**
+   * SRV-002: Server-assigned IDs kept on create and update
+   *
+   * Test Design Technique: Negative Testing (client-supplied id in the body)
+   * Expected Result: POST echoes the next free id, PUT the id from the path, whatever id the body carries
+   */
+  it('SRV-002: Should keep the server-assigned id when the body carries one', async () => {
+    const created = await apiClient.createCart({ id: 999, userId: 1, date: '2024-01-01', products: [] });
+    expect(created.status).toBe(statusCodes.CREATED);
+    expect(created.json).toMatchObject({ id: seedData.carts.length + 1, userId: 1 });
+
+    const updated = await apiClient.updateUser(2, { id: 999, username: 'renamed' });
+    expect(updated.status).toBe(statusCodes.OK);
+    expect(updated.json).toEqual({ id: 2, username: 'renamed' });
+  });
+
+  /**
+   * SRV-003: Carts and users carry the version key
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Every cart and user has __v: 0, as on the public API; products have none
+   */
+  it('SRV-003: Should return carts and users with their __v version key', async () => {
+    const [carts, users, product] = await Promise.all([
+      apiClient.getAllCarts(),
+      apiClient.getAllUsers(),
+      apiClient.getProductById(1)
+    ]);
+
+    carts.json.concat(users.json).forEach(record => {
+      expect(record.__v).toBe(0);
+    });
+    expect(product.json).not.toHaveProperty('__v');
+  });
+});
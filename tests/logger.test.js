@@ -0,0 +1,237 @@
+/**
+ * Logger Tests
+ * Test scenarios for the leveled, structured logger
+ *
+ * - LOG-001: Entries Above the Configured Level Not Printed (BVA)
+ * - LOG-002: Pretty Lines Tagged With Suite and Scenario (Positive Testing)
+ * - LOG-003: JSON Lines Carry Every Field (Positive Testing)
+ * - LOG-004: Running Jest Test Tagged Automatically (Positive Testing)
+ * - LOG-005: logTest and createSnapshot Honor the Level (Regression Testing)
+ * - LOG-006: Per-Test Log Files Keep Every Level (Positive Testing)
+ * - LOG-007: HTML Report Links Built From the Log Indexes (Integration Testing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  Logger,
+  logger,
+  formatLogEntry,
+  logFileName,
+  resetLogFiles,
+  writeLogLinks
+} = require('../utils/logger');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest,
+  createSnapshot
+} = require('../utils/testHelpers');
+
+const NOW = () => new Date('2024-05-01T10:00:00.000Z');
+
+/**
+ * Logger writing into an array
+ * @param {object} options - Logger options
+ * @returns {object} { log, lines }
+ */
+function capturingLogger(options = {}) {
+  const lines = [];
+  const log = new Logger({ context: () => ({}), now: NOW, write: line => lines.push(line), ...options });
+  return { log, lines };
+}
+
+describe('Logger', () => {
+  const dirs = [];
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Logger Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    teardownTestSuite('Logger Tests');
+  });
+
+  /**
+   * LOG-001: Entries above the configured level not printed
+   *
+   * Test Design Technique: Boundary Value Analysis (level just below, at and above the configured one)
+   * Expected Result: Only entries at or below the level printed; each level lets through the ones before it
+   */
+  it('LOG-001: Should print only entries within the configured level', () => {
+    const printed = level => {
+      const { log, lines } = capturingLogger({ level });
+      ['error', 'warn', 'info', 'debug'].forEach(name => log[name](name));
+      log.log('success', 'success');
+      return lines.map(line => line.split(' ').pop());
+    };
+
+    expect(printed('error')).toEqual(['error']);
+    expect(printed('warn')).toEqual(['error', 'warn']);
+    expect(printed('info')).toEqual(['error', 'warn', 'info', 'success']);
+    expect(printed('debug')).toEqual(['error', 'warn', 'info', 'debug', 'success']);
+  });
+
+  /**
+   * LOG-002: Pretty lines tagged with suite and scenario
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Timestamp, level icon and [suite › scenario] (test name when there is no ID); data as a JSON block
+   */
+  it('LOG-002: Should tag pretty lines with the suite and scenario', () => {
+    const context = { test: 'GET /products GET-001: Should list', scenario: 'GET-001' };
+    const { log, lines } = capturingLogger({ context: () => context });
+
+    log.setSuite('GET Endpoint Tests');
+    log.info('Listed products', { count: 20 });
+    log.log('success', 'Done');
+    log.setSuite(null);
+    context.scenario = undefined;
+    log.warn('No ID');
+    log.error('Broken', { data: { id: 1 } });
+
+    expect(lines).toEqual([
+      '[2024-05-01T10:00:00.000Z] ℹ️ [GET Endpoint Tests › GET-001] Listed products {"count":20}',
+      '[2024-05-01T10:00:00.000Z] ✅ [GET Endpoint Tests › GET-001] Done',
+      '[2024-05-01T10:00:00.000Z] ⚠️ [GET /products GET-001: Should list] No ID',
+      '[2024-05-01T10:00:00.000Z] ❌ [GET /products GET-001: Should list] Broken\n{\n  "id": 1\n}'
+    ]);
+    expect(formatLogEntry({ time: 't', level: 'debug', message: 'bare' })).toBe('[t] 🔍 bare');
+  });
+
+  /**
+   * LOG-003: JSON lines carry every field
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: One parseable object per line with time, level, suite, test, scenario, message and extra fields
+   */
+  it('LOG-003: Should write one JSON object per line', () => {
+    const { log, lines } = capturingLogger({
+      format: 'json',
+      context: () => ({ suite: 'get', test: 'GET GET-001: Should list', scenario: 'GET-001' })
+    });
+
+    log.info('Listed products', { count: 20 });
+    log.log('success', 'Done');
+    log.log('verbose', 'Unknown level');
+
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      { time: '2024-05-01T10:00:00.000Z', level: 'info', suite: 'get', test: 'GET GET-001: Should list', scenario: 'GET-001', message: 'Listed products', count: 20 },
+      expect.objectContaining({ level: 'info', message: 'Done' }),
+      expect.objectContaining({ level: 'info', message: 'Unknown level' })
+    ]);
+    lines.forEach(line => expect(line).not.toContain('\n'));
+  });
+
+  /**
+   * LOG-004: Running Jest test tagged automatically
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Default context is this test file, this test's full name and its scenario ID
+   */
+  it('LOG-004: Should tag entries with the running test by default', () => {
+    const lines = [];
+    const log = new Logger({ format: 'json', write: line => lines.push(line) });
+
+    const entry = log.info('Inside a test');
+    expect(entry).toMatchObject({
+      suite: 'logger',
+      test: 'Logger LOG-004: Should tag entries with the running test by default',
+      scenario: 'LOG-004'
+    });
+    expect(JSON.parse(lines[0])).toEqual(entry);
+  });
+
+  /**
+   * LOG-005: logTest and createSnapshot honor the level
+   *
+   * Test Design Technique: Regression Testing
+   * Expected Result: logTest keeps its (message, level) signature; snapshots only printed at debug
+   */
+  it('LOG-005: Should route logTest and createSnapshot through the leveled logger', () => {
+    const saved = { level: logger.level, write: logger.write };
+    const lines = [];
+    logger.write = line => lines.push(line);
+
+    try {
+      logger.level = 'info';
+      logTest('Visible', 'success');
+      logTest('Hidden', 'debug');
+      createSnapshot('POST-001 Request', { title: 'x' });
+      expect(lines).toHaveLength(1);
+      expect(lines[0]).toMatch(/✅ \[Logger Tests › LOG-005\] Visible$/);
+
+      logger.level = 'debug';
+      createSnapshot('POST-001 Request', { title: 'x' });
+      expect(lines[1]).toMatch(/🔍 \[Logger Tests › LOG-005\] 📸 Snapshot: POST-001 Request\n\{\n {2}"title": "x"\n\}$/);
+    } finally {
+      Object.assign(logger, saved);
+    }
+  });
+
+  /**
+   * LOG-006: Per-test log files keep every level
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: One file per test that logged, named after the test, with entries of every level; index lists them
+   */
+  it('LOG-006: Should write each test\'s entries to its own log file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-logs-'));
+    dirs.push(dir);
+    const { log, lines } = capturingLogger({ level: 'error' });
+    const testPath = path.join(__dirname, 'get.test.js');
+
+    log.startTestLog();
+    log.debug('Request sent');
+    log.error('Wrong status');
+    const file = log.endTestLog({ testPath, testName: 'GET GET-001: Should list', dir });
+    log.startTestLog();
+    expect(log.endTestLog({ testPath, testName: 'GET GET-002: Quiet', dir })).toBeNull();
+    log.startTestLog();
+    log.info('Same name');
+    log.endTestLog({ testPath, testName: 'GET GET-001: Should list', dir });
+    log.writeLogIndex('get', dir);
+
+    expect(lines).toEqual(['[2024-05-01T10:00:00.000Z] ❌ Wrong status']);
+    expect(path.relative(dir, file)).toBe(path.join('get', 'get-get-001-should-list.log'));
+    expect(fs.readFileSync(file, 'utf8')).toBe(
+      '[2024-05-01T10:00:00.000Z] 🔍 Request sent\n[2024-05-01T10:00:00.000Z] ❌ Wrong status\n'
+    );
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'get', 'index.json'), 'utf8'))).toEqual([
+      { testPath, testName: 'GET GET-001: Should list', file: 'get/get-get-001-should-list.log' },
+      { testPath, testName: 'GET GET-001: Should list', file: 'get/get-get-001-should-list-2.log' }
+    ]);
+    expect(logFileName('!!!')).toBe('test.log');
+  });
+
+  /**
+   * LOG-007: HTML report links built from the log indexes
+   *
+   * Test Design Technique: Integration Testing
+   * Expected Result: links.js maps test file + full name to a path relative to the report, and adds a link per test
+   */
+  it('LOG-007: Should generate the script linking tests to their logs', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-logs-'));
+    dirs.push(root);
+    const dir = path.join(root, 'logs');
+    const { log } = capturingLogger();
+
+    log.startTestLog();
+    log.info('Logged');
+    log.endTestLog({ testPath: '/repo/tests/get.test.js', testName: 'GET GET-001: Should list', dir });
+    log.writeLogIndex('get', dir);
+
+    expect(writeLogLinks(dir)).toBe(1);
+    const script = fs.readFileSync(path.join(dir, 'links.js'), 'utf8');
+    expect(script).toContain('"/repo/tests/get.test.js\\nGET GET-001: Should list": "logs/get/get-get-001-should-list.log"');
+    expect(script).toContain("querySelectorAll('.test-result')");
+
+    resetLogFiles(dir);
+    expect(fs.existsSync(dir)).toBe(false);
+    expect(writeLogLinks(dir)).toBe(0);
+  });
+});
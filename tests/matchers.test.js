@@ -0,0 +1,181 @@
+/**
+ * Custom Matcher Tests
+ * Test scenarios for the Jest matchers registered in config/jest.setup.js
+ *
+ * - MATCH-001: toMatchSchema Passes Valid Responses and Data (Positive Testing)
+ * - MATCH-002: toMatchSchema Reports Field Paths (Negative Testing)
+ * - MATCH-003: toBeValidProduct With and Without Rating (EP)
+ * - MATCH-004: toHaveStatus (Positive + Negative Testing)
+ * - MATCH-005: toHaveHeader by Presence, Value and Pattern (EP)
+ * - MATCH-006: toRespondWithin (BVA)
+ * - MATCH-007: Matchers Reject Non-Response Input (Error Guessing)
+ */
+
+const apiClient = require('../utils/apiClient');
+const { statusCodes } = require('../config/environment');
+const { schemas } = require('../utils/schemaValidator');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+const testData = require('../data/testData');
+
+/**
+ * Capture the failure message of an assertion
+ * @param {Function} assertion - Assertion expected to fail
+ * @returns {string} Failure message
+ */
+function failureOf(assertion) {
+  try {
+    assertion();
+  } catch (error) {
+    return error.message;
+  }
+  throw new Error('Expected assertion to fail, but it passed');
+}
+
+describe('Custom Jest Matchers', () => {
+  let productResponse;
+
+  // Setup before all tests
+  beforeAll(async () => {
+    setupTestSuite('Custom Matcher Tests');
+    productResponse = await apiClient.getProductById(1);
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Custom Matcher Tests');
+  });
+
+  /**
+   * MATCH-001: toMatchSchema passes valid responses and data
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Accepts a Frisby response or its parsed body
+   */
+  it('MATCH-001: Should accept responses and data that match the schema', () => {
+    expect(productResponse).toMatchSchema(schemas.product);
+    expect(productResponse.json).toMatchSchema(schemas.product);
+    expect(testData.validProduct).toMatchSchema(schemas.createProduct);
+    expect({ title: '' }).not.toMatchSchema(schemas.createProduct);
+  });
+
+  /**
+   * MATCH-002: toMatchSchema reports field paths
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: Every failing field listed with path, rule and received value
+   */
+  it('MATCH-002: Should report the path, rule and value of each schema violation', () => {
+    const broken = {
+      ...productResponse.json,
+      price: 'free',
+      rating: { ...productResponse.json.rating, rate: 9 }
+    };
+
+    const message = failureOf(() => expect(broken).toMatchSchema(schemas.product));
+
+    expect(message).toContain('found 2 problem(s)');
+    expect(message).toContain('at price: "price" must be a number');
+    expect(message).toContain('Expected: number.base');
+    expect(message).toMatch(/Received: .*"free"/);
+    expect(message).toContain('at rating.rate:');
+    expect(message).toContain('Offending data:');
+    expect(message).toContain(`"title": ${JSON.stringify(broken.title)}`);
+
+    const arrayMessage = failureOf(() => expect([broken]).toMatchSchema(schemas.productsArray));
+    expect(arrayMessage).toContain('at [0].price:');
+  });
+
+  /**
+   * MATCH-003: toBeValidProduct with and without rating
+   *
+   * Test Design Technique: Equivalence Partitioning (rating required / not required)
+   * Expected Result: Rating only required when requested
+   */
+  it('MATCH-003: Should validate products with and without rating', () => {
+    const { rating, ...withoutRating } = productResponse.json;
+
+    expect(productResponse).toBeValidProduct();
+    expect(productResponse.json).toBeValidProduct({ rating: true });
+    expect(withoutRating).toBeValidProduct({ rating: false });
+    expect(withoutRating).not.toBeValidProduct({ rating: true });
+
+    const message = failureOf(() => expect(withoutRating).toBeValidProduct());
+    expect(message).toContain('be a valid product with rating');
+    expect(message).toContain('at rating: "rating" is required');
+  });
+
+  /**
+   * MATCH-004: toHaveStatus
+   *
+   * Test Design Technique: Positive + Negative Testing
+   * Expected Result: Failure shows URL, expected vs received status and the body
+   */
+  it('MATCH-004: Should compare status codes and show the response on failure', async () => {
+    expect(productResponse).toHaveStatus(statusCodes.OK);
+    expect(productResponse).not.toHaveStatus(statusCodes.NOT_FOUND);
+
+    const missing = await apiClient.getProductById(9999);
+    const message = failureOf(() => expect(missing).toHaveStatus(statusCodes.OK));
+
+    expect(message).toMatch(/Response: .*\/products\/9999 → \d{3}/);
+    expect(message).toMatch(/Expected status: .*200/);
+    expect(message).toMatch(new RegExp(`Received status: .*${missing.status}`));
+    expect(message).toContain('Response body:');
+  });
+
+  /**
+   * MATCH-005: toHaveHeader by presence, value and pattern
+   *
+   * Test Design Technique: Equivalence Partitioning (presence / exact / RegExp)
+   * Expected Result: Case-insensitive lookup; failure lists the headers present
+   */
+  it('MATCH-005: Should check header presence, exact value and pattern', () => {
+    const contentType = productResponse.headers.get('content-type');
+
+    expect(productResponse).toHaveHeader('Content-Type');
+    expect(productResponse).toHaveHeader('content-type', contentType);
+    expect(productResponse).toHaveHeader('content-type', /application\/json/);
+    expect(productResponse).not.toHaveHeader('x-not-sent');
+
+    const message = failureOf(() => expect(productResponse).toHaveHeader('content-type', /xml/));
+    expect(message).toContain('Header "content-type" expected to be /xml/');
+    expect(message).toContain('Response headers:');
+    expect(message).toContain(`content-type: ${contentType}`);
+
+    expect(failureOf(() => expect(productResponse).toHaveHeader('x-not-sent')))
+      .toContain('Received: header missing');
+  });
+
+  /**
+   * MATCH-006: toRespondWithin
+   *
+   * Test Design Technique: Boundary Value Analysis (budget = actual time, actual - 1)
+   * Expected Result: Passes at the boundary, fails just below it
+   */
+  it('MATCH-006: Should compare response time against a budget', () => {
+    const actual = productResponse.timings ? productResponse.timings.total : productResponse.responseTime;
+
+    expect(productResponse).toRespondWithin(actual);
+    expect(productResponse).toRespondWithin(actual + 1000);
+
+    const message = failureOf(() => expect(productResponse).toRespondWithin(actual - 1));
+    expect(message).toContain(`Expected response time: <= "${actual - 1}ms"`);
+    expect(message).toContain(`Received response time: "${actual}ms"`);
+  });
+
+  /**
+   * MATCH-007: Matchers reject non-response input
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: TypeError naming the matcher
+   */
+  it('MATCH-007: Should reject input that is not a Frisby response', () => {
+    expect(() => expect({ status: 200 }).toHaveStatus(200)).toThrow('toHaveStatus expects a Frisby response');
+    expect(() => expect(productResponse.json).toHaveHeader('content-type')).toThrow(TypeError);
+    expect(() => expect(productResponse.json).toRespondWithin(100)).toThrow(TypeError);
+    expect(() => expect(productResponse).toMatchSchema({})).toThrow('toMatchSchema expects a Joi schema');
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * OpenAPI Document Tests
+ * Test scenarios for the OpenAPI 3 document generated from the Joi schemas
+ *
+ * - OAS-001: Committed Document Matches the Schemas (Drift Check)
+ * - OAS-002: Joi Constraints, Patterns, Dates and Array Rules Converted (EP)
+ * - OAS-003: Every Endpoint Documented (Coverage)
+ * - OAS-004: Request Examples Satisfy Their Schemas (Positive Testing)
+ * - OAS-005: Response Codes Taken From statusCodes (Positive Testing)
+ * - OAS-006: Drift Reported Per Field (Negative Testing)
+ * - OAS-007: Unsupported Joi Type Rejected (Error Guessing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Joi = require('joi');
+const { endpoints, statusCodes } = require('../config/environment');
+const { schemas } = require('../utils/schemaValidator');
+const {
+  OPENAPI_FILE,
+  joiToOpenApi,
+  generateOpenApiDocument,
+  checkOpenApiDrift
+} = require('../utils/openApi');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+
+describe('OpenAPI Document', () => {
+  let document;
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('OpenAPI Document Tests');
+    document = generateOpenApiDocument();
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('OpenAPI Document Tests');
+  });
+
+  /**
+   * OAS-001: Committed document matches the schemas
+   *
+   * Test Design Technique: Drift Check
+   * Expected Result: docs/openapi.json equals a freshly generated document
+   */
+  it('OAS-001: Should keep docs/openapi.json in sync with the Joi schemas', () => {
+    const { drifted, differences } = checkOpenApiDrift();
+
+    if (drifted) {
+      throw new Error(`${path.relative(process.cwd(), OPENAPI_FILE)} is out of date, run \`npm run openapi:generate\`:\n` +
+        differences.map(difference => `  - ${difference}`).join('\n'));
+    }
+    expect(differences).toEqual([]);
+  });
+
+  /**
+   * OAS-002: Joi constraints, patterns, dates and array rules converted
+   *
+   * Test Design Technique: Equivalence Partitioning (required / optional, integer / number, strict / unknown keys,
+   *   string, date and array types)
+   * Expected Result: required list, integer type, exclusive minimum, uri format, additionalProperties;
+   *   regex as pattern, ISO date or date-time as pattern, unique/min items kept
+   */
+  it('OAS-002: Should convert required keys, numeric rules, formats, patterns, dates and array rules', () => {
+    const product = document.components.schemas.Product;
+
+    expect(product.type).toBe('object');
+    expect(product.required).toEqual(['id', 'title', 'price', 'description', 'category', 'image']);
+    expect(product.additionalProperties).toBe(false);
+    expect(product.properties.id).toEqual({ type: 'integer', minimum: 0, exclusiveMinimum: true });
+    expect(product.properties.price).toEqual({ type: 'number', minimum: 0, exclusiveMinimum: true });
+    expect(product.properties.image).toEqual({ type: 'string', format: 'uri' });
+    expect(product.properties.rating.properties.rate).toEqual({ type: 'number', minimum: 0, maximum: 5 });
+    expect(document.components.schemas.ProductWithoutRating.properties.price).toEqual({ type: 'number', minimum: 0 });
+    expect(document.components.schemas.Error.additionalProperties).toBe(true);
+
+    const zipcode = document.components.schemas.Address.properties.zipcode;
+    expect(new RegExp(zipcode.pattern).test('12926-3874')).toBe(true);
+    expect(new RegExp(zipcode.pattern).test('1292')).toBe(false);
+
+    const date = new RegExp(document.components.schemas.Cart.properties.date.pattern);
+    expect(date.test('2020-03-02T00:00:00.000Z')).toBe(true);
+    expect(date.test('2019-12-10')).toBe(true);
+    expect(date.test('12/10/2019')).toBe(false);
+    expect(document.components.schemas.User.properties.email.format).toBe('email');
+    expect(document.components.schemas.Categories).toEqual({
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      uniqueItems: true,
+      minItems: 1
+    });
+    expect(joiToOpenApi(Joi.string().valid('asc', 'desc').allow(null)))
+      .toEqual({ type: 'string', enum: ['asc', 'desc'], nullable: true });
+  });
+
+  /**
+   * OAS-003: Every endpoint documented
+   *
+   * Test Design Technique: Coverage (endpoint map vs paths)
+   * Expected Result: One path per entry in config/environment.js endpoints, path parameters declared
+   */
+  it('OAS-003: Should document every endpoint in the endpoint map', () => {
+    const paths = Object.keys(document.paths);
+    expect(paths).toHaveLength(Object.keys(endpoints).length);
+
+    expect(paths).toEqual(expect.arrayContaining([
+      endpoints.products,
+      endpoints.productById('{id}'),
+      decodeURI(endpoints.productsByCategory('{category}')),
+      endpoints.cartsByUser('{userId}'),
+      endpoints.auth
+    ]));
+
+    Object.keys(document.paths).forEach(template => {
+      const declared = (template.match(/\{(\w+)\}/g) || []).map(param => param.slice(1, -1));
+      Object.values(document.paths[template]).forEach(operation => {
+        const pathParams = (operation.parameters || []).filter(param => param.in === 'path').map(param => param.name);
+        expect(pathParams).toEqual(declared);
+      });
+    });
+  });
+
+  /**
+   * OAS-004: Request examples satisfy their schemas
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Every requestBody example (from data/testData.js) validates against the Joi schema it documents
+   */
+  it('OAS-004: Should use request examples that satisfy their own schemas', () => {
+    const bySchemaName = {};
+    Object.keys(schemas).forEach(key => {
+      bySchemaName[`#/components/schemas/${key.charAt(0).toUpperCase()}${key.slice(1)}`] = schemas[key];
+    });
+
+    let examples = 0;
+    Object.values(document.paths).forEach(item => {
+      Object.values(item).filter(operation => operation.requestBody).forEach(operation => {
+        const { schema, example } = operation.requestBody.content['application/json'];
+        expect(example).toBeDefined();
+        expect(example).toMatchSchema(bySchemaName[schema.$ref]);
+        examples += 1;
+      });
+    });
+    expect(examples).toBe(7);
+  });
+
+  /**
+   * OAS-005: Response codes taken from statusCodes
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Every documented status is a statusCodes value with a JSON schema reference
+   */
+  it('OAS-005: Should document responses with codes from statusCodes', () => {
+    const known = Object.values(statusCodes).map(String);
+
+    Object.values(document.paths).forEach(item => {
+      Object.values(item).forEach(operation => {
+        expect(Object.keys(operation.responses)).toContain(String(statusCodes.OK));
+        Object.keys(operation.responses).forEach(code => {
+          expect(known).toContain(code);
+          expect(operation.responses[code].content['application/json'].schema.$ref)
+            .toMatch(/^#\/components\/schemas\/\w+$/);
+        });
+      });
+    });
+    expect(Object.keys(document.paths[endpoints.auth].post.responses))
+      .toEqual([String(statusCodes.OK), String(statusCodes.BAD_REQUEST), String(statusCodes.UNAUTHORIZED)]);
+  });
+
+  /**
+   * OAS-006: Drift reported per field
+   *
+   * Test Design Technique: Negative Testing (changed, removed and missing document)
+   * Expected Result: Each difference listed by path; missing file reported as drift
+   */
+  it('OAS-006: Should report each difference between the committed and generated documents', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-openapi-'));
+    const file = path.join(dir, 'openapi.json');
+
+    try {
+      const stale = JSON.parse(JSON.stringify(document));
+      stale.components.schemas.Product.properties.price.minimum = 1;
+      delete stale.paths['/users'].post;
+      stale.paths['/carts'].get.summary = 'Old summary';
+      fs.writeFileSync(file, JSON.stringify(stale));
+
+      const { drifted, differences } = checkOpenApiDrift(file);
+      expect(drifted).toBe(true);
+      expect(differences).toEqual(expect.arrayContaining([
+        'changed components.schemas.Product.properties.price.minimum',
+        'added paths./users.post',
+        'changed paths./carts.get.summary'
+      ]));
+      expect(differences).toHaveLength(3);
+
+      expect(checkOpenApiDrift(path.join(dir, 'missing.json')).drifted).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * OAS-007: Unsupported Joi type rejected
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: TypeError naming the type and field path
+   */
+  it('OAS-007: Should reject Joi types with no OpenAPI equivalent', () => {
+    expect(() => joiToOpenApi(Joi.object({ callback: Joi.function() })))
+      .toThrow('Cannot convert Joi type "function" at callback to OpenAPI');
+  });
+});
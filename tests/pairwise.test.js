@@ -0,0 +1,210 @@
+/**
+ * Combinatorial Payload Tests
+ * Test scenarios for the all-pairs / n-wise payload generator
+ *
+ * - PAIR-001: Every Pair of Product Value Classes Covered With Far Fewer Payloads (Combinatorial Testing)
+ * - PAIR-002: Known Minimal Set for Three Binary Fields (Positive Testing)
+ * - PAIR-003: Strength Configurable From Each-Choice to n-Wise (EP)
+ * - PAIR-004: Payloads Built From the Chosen Classes (Positive Testing)
+ * - PAIR-005: Same Factors Give the Same Payloads (Regression Testing)
+ * - PAIR-006: Coverage Measured for Hand-Picked Sets (Positive Testing)
+ * - PAIR-007: Invalid Strengths and Empty Fields Rejected (BVA + Error Guessing)
+ */
+
+const { seedRandom } = require('../utils/random');
+const { schemas, validateSchema } = require('../utils/schemaValidator');
+const {
+  productValueClasses,
+  generateCombinations,
+  combinationCoverage,
+  formatCombinationCoverage
+} = require('../utils/testDataGenerator');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+
+/**
+ * Every pair of (field, class) assignments no row of the set contains
+ * @param {object} factors - { field: { className: value } }
+ * @param {array} rows - Class name per field
+ * @returns {array} Missing pairs as "field=class & field=class"
+ */
+function missingPairs(factors, rows) {
+  const fields = Object.keys(factors);
+  const missing = [];
+  fields.forEach((first, index) => {
+    fields.slice(index + 1).forEach(second => {
+      Object.keys(factors[first]).forEach(a => {
+        Object.keys(factors[second]).forEach(b => {
+          if (!rows.some(row => row[first] === a && row[second] === b)) {
+            missing.push(`${first}=${a} & ${second}=${b}`);
+          }
+        });
+      });
+    });
+  });
+  return missing;
+}
+
+describe('Combinatorial Payloads', () => {
+  const factors = productValueClasses();
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Combinatorial Payload Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Combinatorial Payload Tests');
+  });
+
+  /**
+   * PAIR-001: Every pair of product value classes covered with far fewer payloads
+   *
+   * Test Design Technique: Combinatorial Testing (independent pair check)
+   * Expected Result: No pair of classes from two fields missing; coverage 100% with at least 6 × 6 rows
+   *   (the two largest fields), well under 10% of 5400 combinations
+   */
+  it('PAIR-001: Should cover every pair of product field value classes with far fewer payloads', () => {
+    const { cases, coverage } = generateCombinations(factors, { strength: 2 });
+
+    expect(missingPairs(factors, cases.map(testCase => testCase.classes))).toEqual([]);
+    expect(coverage).toMatchObject({ strength: 2, covered: coverage.total, percent: 100 });
+    expect(coverage.exhaustive).toBe(6 * 6 * 6 * 5 * 5);
+    expect(coverage.rows).toBeGreaterThanOrEqual(36);
+    expect(coverage.rows).toBeLessThan(coverage.exhaustive / 10);
+    expect(formatCombinationCoverage(coverage))
+      .toBe(`${coverage.rows} payload(s) cover 100% of value-class pairs (${coverage.total}/${coverage.total}); ` +
+        'exhaustive testing needs 5400');
+    logTest(formatCombinationCoverage(coverage), 'info');
+  });
+
+  /**
+   * PAIR-002: Known minimal set for three binary fields
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: 4 rows (the optimum) instead of 8
+   */
+  it('PAIR-002: Should find the minimal pairwise set for three binary fields', () => {
+    const binary = { a: { on: true, off: false }, b: { on: true, off: false }, c: { on: true, off: false } };
+    const { cases, coverage } = generateCombinations(binary, { strength: 2 });
+
+    expect(cases.map(testCase => testCase.label)).toEqual([
+      'a=on, b=on, c=on',
+      'a=on, b=off, c=off',
+      'a=off, b=on, c=off',
+      'a=off, b=off, c=on'
+    ]);
+    expect(coverage).toMatchObject({ rows: 4, covered: 12, total: 12, exhaustive: 8 });
+  });
+
+  /**
+   * PAIR-003: Strength configurable from each-choice to n-wise
+   *
+   * Test Design Technique: Equivalence Partitioning (strength 1, 2, 3, all fields)
+   * Expected Result: Full coverage at every strength; set size grows with it; all fields = exhaustive
+   */
+  it('PAIR-003: Should cover every combination of the requested strength', () => {
+    const sizes = [1, 2, 3].map(strength => {
+      const { coverage } = generateCombinations(factors, { strength });
+      expect(coverage).toMatchObject({ strength, percent: 100 });
+      return coverage.rows;
+    });
+
+    expect(sizes[0]).toBe(6);
+    expect(sizes[1]).toBeGreaterThan(sizes[0]);
+    expect(sizes[2]).toBeGreaterThan(sizes[1]);
+
+    const small = { a: { x: 1, y: 2 }, b: { x: 1, y: 2, z: 3 } };
+    expect(generateCombinations(small, { strength: 2 }).cases).toHaveLength(6);
+    expect(generateCombinations(factors).coverage.strength).toBe(2);
+  });
+
+  /**
+   * PAIR-004: Payloads built from the chosen classes
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Each field holds its class value; "missing" classes leave the field out
+   */
+  it('PAIR-004: Should build each payload from its value classes', () => {
+    const { cases } = generateCombinations(factors);
+
+    cases.forEach(({ classes, payload, label }) => {
+      Object.keys(factors).forEach(field => {
+        if (classes[field] === 'missing') {
+          expect(payload).not.toHaveProperty(field);
+        } else {
+          expect(payload[field]).toEqual(factors[field][classes[field]]);
+        }
+      });
+      expect(label).toBe(Object.keys(factors).map(field => `${field}=${classes[field]}`).join(', '));
+    });
+    expect(cases[0].payload).toEqual({
+      title: 'Pairwise Product',
+      price: 19.99,
+      description: 'Payload built from one value class per field',
+      category: 'electronics',
+      image: 'https://fakestoreapi.com/img/pairwise.jpg'
+    });
+  });
+
+  /**
+   * Additional Test: wrong-type classes stay invalid after Joi conversion
+   */
+  it('Should make every payload with a wrong-type class fail the schema', () => {
+    Object.keys(factors).filter(field => 'wrongType' in factors[field]).forEach(field => {
+      const payload = { ...generateCombinations(factors).cases[0].payload, [field]: factors[field].wrongType };
+      expect(validateSchema(payload, schemas.createProduct).error).toBeTruthy();
+    });
+  });
+
+  /**
+   * PAIR-005: Same factors give the same payloads
+   *
+   * Test Design Technique: Regression Testing
+   * Expected Result: Identical sets whatever the random seed, so test names stay stable
+   */
+  it('PAIR-005: Should generate the same set regardless of the random seed', () => {
+    seedRandom('PAIR-005 first');
+    const first = generateCombinations(productValueClasses());
+    seedRandom('PAIR-005 second');
+    const second = generateCombinations(productValueClasses());
+
+    expect(second).toEqual(first);
+  });
+
+  /**
+   * PAIR-006: Coverage measured for hand-picked sets
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: One all-valid payload covers 10 of the pairs; an empty set none
+   */
+  it('PAIR-006: Should report the pair coverage of any set of payloads', () => {
+    const allValid = { title: 'valid', price: 'valid', description: 'valid', category: 'valid', image: 'valid' };
+    const total = generateCombinations(factors).coverage.total;
+
+    expect(combinationCoverage(factors, [allValid], 2)).toMatchObject({ rows: 1, covered: 10, total });
+    expect(combinationCoverage(factors, [], 2)).toMatchObject({ covered: 0, percent: 0 });
+    expect(combinationCoverage(factors, [allValid], 1).covered).toBe(5);
+  });
+
+  /**
+   * PAIR-007: Invalid strengths and empty fields rejected
+   *
+   * Test Design Technique: Boundary Value Analysis (0, 1, fields, fields + 1) + Error Guessing
+   * Expected Result: TypeError outside 1..fields or for a field without classes
+   */
+  it('PAIR-007: Should reject strengths that do not fit and fields without classes', () => {
+    const binary = { a: { on: true, off: false }, b: { on: true, off: false } };
+
+    expect(() => generateCombinations(binary, { strength: 0 }))
+      .toThrow('Combination strength must be an integer from 1 to 2 (the number of fields), got 0');
+    expect(generateCombinations(binary, { strength: 1 }).cases).toHaveLength(2);
+    expect(generateCombinations(binary, { strength: 2 }).cases).toHaveLength(4);
+    expect(() => generateCombinations(binary, { strength: 3 })).toThrow(TypeError);
+    expect(() => generateCombinations({ ...binary, c: {} })).toThrow('Field "c" has no value classes');
+  });
+});
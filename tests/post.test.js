@@ -7,6 +7,8 @@
  * - POST-002: Boundary Value - Minimum Price (BVA)
  * - POST-003: Missing Required Field (Negative Testing)
  * - POST-004: Invalid Data Type (Negative Testing + Error Guessing)
+ * - POST-005: Derived Field Boundaries and Partitions (BVA + EP, one case per schema rule)
+ * - POST-006: Pairwise Field Value Classes (Combinatorial Testing)
  * 
  * Additional comprehensive tests included
  */
@@ -32,15 +34,23 @@ const {
   generateZeroPriceProduct,
   generateNegativePriceProduct,
   generateLongStringProduct,
-  generateEmptyStringProduct
+  generateEmptyStringProduct,
+  productValueClasses,
+  generateCombinations,
+  formatCombinationCoverage
 } = require('../utils/testDataGenerator');
 const {
   setupTestSuite,
   teardownTestSuite,
   logTest,
   createSnapshot,
+  expectPayloadOutcome,
   testContext
 } = require('../utils/testHelpers');
+const { getCategories } = require('../utils/categoryDiscovery');
+const { schemas, validateSchema } = require('../utils/schemaValidator');
+const { tolerateContractViolations } = require('../utils/contract');
+const { deriveCases } = require('../utils/boundaryCases');
 const testData = require('../data/testData');
 
 describe('POST /products - Create New Product', () => {
@@ -137,7 +147,7 @@ describe('POST /products - Create New Product', () => {
     logTest('Testing POST with missing title field', 'info');
     createSnapshot('POST-003 Request (Missing Title)', incompleteProduct);
     
-    return apiClient.createProduct(incompleteProduct)
+    return tolerateContractViolations(() => apiClient.createProduct(incompleteProduct)
       .then((res) => {
         // FakeStoreAPI might still accept it (returns 200) as it's a mock API
         // In real API, this should return 400 or 422
@@ -154,7 +164,7 @@ describe('POST /products - Create New Product', () => {
           ]).toContain(res.status);
           logTest('Validation error returned as expected', 'success');
         }
-      });
+      }));
   });
 
   /**
@@ -170,7 +180,7 @@ describe('POST /products - Create New Product', () => {
     logTest('Testing POST with invalid price data type', 'info');
     createSnapshot('POST-004 Request (Invalid Type)', invalidProduct);
     
-    return apiClient.createProduct(invalidProduct)
+    return tolerateContractViolations(() => apiClient.createProduct(invalidProduct)
       .then((res) => {
         // FakeStoreAPI might convert string to number or accept it
         
@@ -185,7 +195,57 @@ describe('POST /products - Create New Product', () => {
           ]).toContain(res.status);
           logTest('Type validation error returned as expected', 'success');
         }
-      });
+      }));
+  });
+
+  /**
+   * Test Scenario 2.5: Derived Field Boundaries and Partitions (BVA + EP)
+   * POST-005: validProduct with one field varied per rule of schemas.createProduct
+   * 
+   * Test Design Technique: Boundary Value Analysis + Equivalence Partitioning (derived from the schema)
+   * Expected Result: Valid payloads echoed with an id; invalid ones 400/422 OR accepted (mock API behavior)
+   */
+  it.each(
+    deriveCases(schemas.createProduct, { base: testData.validProduct, name: 'product' })
+      .filter(testCase => testCase.field !== 'product')
+  )('POST-005: Should handle $label', async ({ input, valid }) => {
+    const send = () => apiClient.createProduct(input)
+      .then((res) => expectPayloadOutcome(res, valid, {
+        onValid: () => {
+          expect(res.json).toMatchObject(input);
+          testContext.addCreatedProduct(res.json.id);
+        }
+      }));
+    return valid ? send() : tolerateContractViolations(send);
+  });
+
+  /**
+   * Test Scenario 2.6: Pairwise Field Value Classes (Combinatorial Testing)
+   * POST-006: One payload per row of an all-pairs covering set over the field
+   * value classes (valid, empty, long, unicode, wrong type, missing, ...)
+   * 
+   * Test Design Technique: Combinatorial Testing (config.combinationStrength, pairwise by default)
+   * Expected Result: Schema-valid payloads echoed with an id; the rest 400/422 OR accepted (mock API behavior)
+   */
+  describe('POST-006: Pairwise field value classes', () => {
+    const { cases, coverage } = generateCombinations(productValueClasses());
+
+    beforeAll(() => {
+      logTest(formatCombinationCoverage(coverage), 'info');
+    });
+
+    it.each(cases)('POST-006: Should handle $label', async ({ payload }) => {
+      const valid = !validateSchema(payload, schemas.createProduct).error;
+
+      const send = () => apiClient.createProduct(payload)
+        .then((res) => expectPayloadOutcome(res, valid, {
+          onValid: () => {
+            expect(res.json).toMatchObject(payload);
+            testContext.addCreatedProduct(res.json.id);
+          }
+        }));
+      return valid ? send() : tolerateContractViolations(send);
+    });
   });
 
   /**
@@ -243,7 +303,7 @@ describe('POST /products - Create New Product', () => {
     
     logTest('Testing negative price handling', 'info');
     
-    return apiClient.createProduct(productData)
+    return tolerateContractViolations(() => apiClient.createProduct(productData)
       .then((res) => {
         if (res.status === statusCodes.OK || res.status === statusCodes.CREATED) {
           logTest('Note: FakeStoreAPI accepts negative price (mock behavior)', 'warn');
@@ -251,7 +311,7 @@ describe('POST /products - Create New Product', () => {
           expect(res.status).toBeGreaterThanOrEqual(400);
           logTest('Negative price rejected appropriately', 'success');
         }
-      });
+      }));
   });
 
   /**
@@ -278,7 +338,7 @@ describe('POST /products - Create New Product', () => {
    * Data-Driven Test: Create multiple products with different categories
    */
   describe('Data-Driven: Multiple Product Categories', () => {
-    const categories = testData.categories;
+    const categories = getCategories();
     
     categories.forEach(category => {
       it(`Should create product in category: ${category}`, async () => {
@@ -0,0 +1,190 @@
+/**
+ * Property-Based Tests
+ * Product payloads generated from the createProduct schema, checked against
+ * properties that must hold for every input
+ *
+ * - PROP-001: POST Echoes Every Submitted Field (Property-Based Testing)
+ * - PROP-002: PUT Never Changes the Id (Property-Based Testing)
+ * - PROP-003: Generated Payloads Satisfy Their Schemas (Positive Testing)
+ * - PROP-004: Failing Input Shrunk to a Minimal Counterexample (Negative Testing)
+ * - PROP-005: Counterexamples Saved and Replayed First (Regression Testing)
+ * - PROP-006: Failure Reports a Seed That Reproduces It (Error Guessing)
+ * - PROP-007: Unsupported Joi Rules Rejected (Error Guessing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiClient = require('../utils/apiClient');
+const { config, statusCodes } = require('../config/environment');
+const { schemas } = require('../utils/schemaValidator');
+const {
+  PropertyError,
+  createRandom,
+  integer,
+  record,
+  fromJoi,
+  checkProperty,
+  assertProperty
+} = require('../utils/propertyTesting');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+
+/**
+ * Time allowed for a property that sends one request per run
+ */
+const LIVE_PROPERTY_TIMEOUT = config.testTimeout + config.propertyRuns * 1000;
+
+describe('Property-Based - Product Payloads', () => {
+  const productPayload = fromJoi(schemas.createProduct);
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Property-Based Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Property-Based Tests');
+  });
+
+  /**
+   * PROP-001: POST echoes every submitted field
+   *
+   * Test Design Technique: Property-Based Testing (config.propertyRuns generated payloads)
+   * Expected Result: Every response contains each submitted field unchanged, plus a numeric id
+   */
+  it('PROP-001: Should echo every submitted field on POST /products', async () => {
+    const result = await assertProperty('POST /products echoes every submitted field', productPayload, async payload => {
+      const res = await apiClient.createProduct(payload);
+      expect([statusCodes.OK, statusCodes.CREATED]).toContain(res.status);
+      expect(res.json).toMatchObject(payload);
+      expect(res.json.id).toEqual(expect.any(Number));
+    });
+
+    logTest(`${result.runs} payloads echoed (seed ${result.seed})`, 'success');
+  }, LIVE_PROPERTY_TIMEOUT);
+
+  /**
+   * PROP-002: PUT never changes the id
+   *
+   * Test Design Technique: Property-Based Testing (existing ids × generated payloads)
+   * Expected Result: The response id equals the id in the path
+   */
+  it('PROP-002: Should never change the id on PUT /products/:id', async () => {
+    const update = record({ id: integer({ min: 1, max: 20 }), payload: productPayload });
+
+    const result = await assertProperty('PUT /products/:id never changes the id', update, async ({ id, payload }) => {
+      const res = await apiClient.updateProduct(id, payload);
+      expect(res.status).toBe(statusCodes.OK);
+      expect(res.json.id).toBe(id);
+    });
+
+    logTest(`${result.runs} updates kept their id (seed ${result.seed})`, 'success');
+  }, LIVE_PROPERTY_TIMEOUT);
+
+  /**
+   * PROP-003: Generated payloads satisfy their schemas
+   *
+   * Test Design Technique: Positive Testing (500 inputs per schema, no requests)
+   * Expected Result: Every generated product and cart payload passes its Joi schema
+   */
+  it('PROP-003: Should only generate payloads that satisfy their schemas', async () => {
+    const cartPayload = fromJoi(schemas.createCart);
+
+    await assertProperty('generated products satisfy createProduct', productPayload,
+      payload => expect(payload).toMatchSchema(schemas.createProduct), { runs: 500, regressionDir: false });
+    await assertProperty('generated carts satisfy createCart', cartPayload,
+      payload => expect(payload).toMatchSchema(schemas.createCart), { runs: 500, regressionDir: false });
+  });
+
+  /**
+   * PROP-004: Failing input shrunk to a minimal counterexample
+   *
+   * Test Design Technique: Negative Testing (property false for price >= 100 or long titles)
+   * Expected Result: Counterexample at the boundary with every other field at its simplest
+   */
+  it('PROP-004: Should shrink a failing payload to a minimal counterexample', async () => {
+    const result = await checkProperty('price stays below 100', productPayload,
+      payload => payload.price < 100, { seed: 7, regressionDir: false });
+
+    expect(result.passed).toBe(false);
+    expect(result.counterexample).toEqual({
+      title: 'a',
+      price: 100,
+      description: 'a',
+      category: 'a',
+      image: 'https://fakestoreapi.com/img/'
+    });
+    expect(result.shrinks).toBeGreaterThan(0);
+    expect(result.original.price).toBeGreaterThanOrEqual(100);
+  });
+
+  /**
+   * PROP-005: Counterexamples saved and replayed first
+   *
+   * Test Design Technique: Regression Testing
+   * Expected Result: Failure saved once; the next run fails on it before generating anything
+   */
+  it('PROP-005: Should save counterexamples and replay them before random runs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-properties-'));
+    const property = payload => !payload.title.includes('a');
+    try {
+      const first = await checkProperty('titles avoid the letter a', productPayload, property, { seed: 3, regressionDir: dir });
+      expect(first.source).toBe('random');
+
+      const saved = JSON.parse(fs.readFileSync(first.file, 'utf8'));
+      expect(path.basename(first.file)).toBe('titles-avoid-the-letter-a.json');
+      expect(saved.cases).toEqual([{ seed: 3, counterexample: first.counterexample, failure: 'property returned false' }]);
+
+      const second = await checkProperty('titles avoid the letter a', productPayload, property, { seed: 99, regressionDir: dir });
+      expect(second).toMatchObject({ source: 'regression', runs: 0, counterexample: first.counterexample });
+      expect(JSON.parse(fs.readFileSync(first.file, 'utf8')).cases).toHaveLength(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * PROP-006: Failure reports a seed that reproduces it
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: PropertyError naming the property, seed, counterexample, failure and replay command;
+   *   the same seed generates the same inputs, another seed different ones
+   */
+  it('PROP-006: Should report a seed that reproduces a failing property', async () => {
+    const failing = assertProperty('prices are integers', productPayload, payload => {
+      expect(Number.isInteger(payload.price)).toBe(true);
+    }, { seed: 11, regressionDir: false });
+
+    await expect(failing).rejects.toThrow(PropertyError);
+    await failing.catch(error => {
+      expect(error.message).toMatch(/^Property "prices are integers" failed after \d+ run\(s\) \(seed 11\)/);
+      expect(error.message).toContain('Counterexample: {"title":"a","price":0.01,');
+      expect(error.message).toContain('Failure: expect(received).toBe(expected)');
+      expect(error.message).toContain('Reproduce with PROPERTY_SEED=11');
+      expect(error.result.counterexample.price).toBe(0.01);
+    });
+
+    const sample = seed => {
+      const random = createRandom(seed);
+      return Array.from({ length: 10 }, () => productPayload.generate(random));
+    };
+    expect(sample(11)).toEqual(sample(11));
+    expect(sample(11)).not.toEqual(sample(12));
+  });
+
+  /**
+   * PROP-007: Unsupported Joi rules rejected
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: TypeError naming the rule and field path
+   */
+  it('PROP-007: Should reject schemas with rules it cannot generate', () => {
+    expect(() => fromJoi(schemas.createUser))
+      .toThrow('Cannot generate values for Joi rule "pattern" at address.zipcode');
+  });
+});
@@ -1,6 +1,9 @@
 /**
  * PUT Endpoint Tests
  * Test scenarios for PUT /products/{id} endpoint
+ *
+ * - PUT-005: Derived Price Boundaries (BVA + EP, one case per price rule)
+ * - PUT-006: Pairwise Field Value Classes (Combinatorial Testing)
  */
 
 const frisby = require('frisby');
@@ -18,8 +21,15 @@ const {
 const { 
   generateProductData,
   getValidProductId,
-  getInvalidProductId 
+  getInvalidProductId,
+  productValueClasses,
+  generateCombinations,
+  formatCombinationCoverage
 } = require('../utils/testDataGenerator');
+const { logTest, expectPayloadOutcome } = require('../utils/testHelpers');
+const { schemas, validateSchema } = require('../utils/schemaValidator');
+const { tolerateContractViolations } = require('../utils/contract');
+const { deriveCases } = require('../utils/boundaryCases');
 const testData = require('../data/testData');
 
 describe('PUT /products/{id} - Update Product', () => {
@@ -43,7 +53,7 @@ describe('PUT /products/{id} - Update Product', () => {
         // Validate updated data matches submission
         validateProductMatchesSubmittedData(updatedProduct, updateData);
         
-        console.log(`Updated product ID: ${productId}`);
+        logTest(`Updated product ID: ${productId}`);
       });
   });
 
@@ -66,10 +76,10 @@ describe('PUT /products/{id} - Update Product', () => {
         if (res.status === statusCodes.OK) {
           // If it creates new product, verify ID
           expect(res.json).toHaveProperty('id');
-          console.log('Note: FakeStoreAPI may create product with PUT on non-existent ID');
+          logTest('Note: FakeStoreAPI may create product with PUT on non-existent ID');
         } else if (res.status === statusCodes.NOT_FOUND) {
           // Proper error handling
-          console.log('Properly returned 404 for non-existent product');
+          logTest('Properly returned 404 for non-existent product');
         }
       });
   });
@@ -87,11 +97,11 @@ describe('PUT /products/{id} - Update Product', () => {
         // Document behavior with zero price
         if (res.status === statusCodes.OK) {
           expect(res.json.price).toBe(0);
-          console.log('Zero price accepted for update');
+          logTest('Zero price accepted for update');
         } else {
           // If rejected
           expect(res.status).toBeGreaterThanOrEqual(400);
-          console.log('Zero price rejected');
+          logTest('Zero price rejected');
         }
       });
   });
@@ -104,11 +114,11 @@ describe('PUT /products/{id} - Update Product', () => {
     const productId = 7;
     const updateData = testData.negativePriceProduct;
     
-    return apiClient.updateProduct(productId, updateData)
+    return tolerateContractViolations(() => apiClient.updateProduct(productId, updateData)
       .then((res) => {
         // FakeStoreAPI might accept it (mock API) or reject it
         if (res.status === statusCodes.OK) {
-          console.log('Note: FakeStoreAPI accepts negative price (mock behavior)');
+          logTest('Note: FakeStoreAPI accepts negative price (mock behavior)');
           // In real API, this should be rejected
         } else {
           // Proper validation
@@ -116,9 +126,56 @@ describe('PUT /products/{id} - Update Product', () => {
             statusCodes.BAD_REQUEST,
             statusCodes.UNPROCESSABLE_ENTITY
           ]).toContain(res.status);
-          console.log('Negative price properly rejected');
+          logTest('Negative price properly rejected');
         }
-      });
+      }));
+  });
+
+  /**
+   * Test Scenario 3.5: Derived Price Boundaries (BVA + EP)
+   * PUT-005: updateProduct with price varied per rule of schemas.createProduct
+   *
+   * Test Design Technique: Boundary Value Analysis + Equivalence Partitioning (derived from the schema)
+   * Expected Result: Valid prices stored as sent; invalid ones 400/422 OR accepted (mock API behavior)
+   */
+  it.each(
+    deriveCases(schemas.createProduct, { base: testData.updateProduct, fields: ['price'] })
+  )('PUT-005: Should handle $label', async ({ input, valid }) => {
+    const productId = 3;
+
+    const send = () => apiClient.updateProduct(productId, input)
+      .then((res) => expectPayloadOutcome(res, valid, {
+        accepted: [statusCodes.OK],
+        onValid: () => expect(res.json.price).toBe(input.price)
+      }));
+    return valid ? send() : tolerateContractViolations(send);
+  });
+
+  /**
+   * Test Scenario 3.6: Pairwise Field Value Classes (Combinatorial Testing)
+   * PUT-006: One update per row of an all-pairs covering set over the field value classes
+   *
+   * Test Design Technique: Combinatorial Testing (config.combinationStrength, pairwise by default)
+   * Expected Result: Schema-valid updates stored as sent; the rest 400/422 OR accepted (mock API behavior)
+   */
+  describe('PUT-006: Pairwise field value classes', () => {
+    const { cases, coverage } = generateCombinations(productValueClasses());
+
+    beforeAll(() => {
+      logTest(formatCombinationCoverage(coverage), 'info');
+    });
+
+    it.each(cases)('PUT-006: Should handle $label', async ({ payload }) => {
+      const productId = 4;
+      const valid = !validateSchema(payload, schemas.createProduct).error;
+
+      const send = () => apiClient.updateProduct(productId, payload)
+        .then((res) => expectPayloadOutcome(res, valid, {
+          accepted: [statusCodes.OK],
+          onValid: () => expect(res.json).toMatchObject({ id: productId, ...payload })
+        }));
+      return valid ? send() : tolerateContractViolations(send);
+    });
   });
 
   /**
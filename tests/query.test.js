@@ -0,0 +1,255 @@
+/**
+ * Query Parameter Tests
+ * Test scenarios for ?limit and ?sort on collection endpoints
+ *
+ * - QUERY-001: Query Parameters Are Encoded (Positive Testing)
+ * - QUERY-002: Limit = 1, Lower Valid Boundary (BVA)
+ * - QUERY-003: Limit = Max, Upper Valid Boundary (BVA)
+ * - QUERY-004: Limit = Max + 1, Over Maximum (BVA)
+ * - QUERY-005: Limit = 0, Just Below Lower Boundary (BVA + Negative Testing)
+ * - QUERY-006: Negative Limit (EP + Negative Testing)
+ * - QUERY-007: Non-Numeric Limit (Error Guessing)
+ * - QUERY-008: Sort Descending (Positive Testing)
+ * - QUERY-009: Sort Ascending (Positive Testing)
+ * - QUERY-010: Sort Combined with Limit (Positive Testing)
+ * - QUERY-011: Invalid Sort Value (Error Guessing)
+ * - QUERY-012: Limit and Sort on Carts and Users (EP)
+ */
+
+const apiClient = require('../utils/apiClient');
+const {
+  endpoints,
+  statusCodes,
+  validProductRange,
+  validCartRange,
+  validUserRange
+} = require('../config/environment');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+
+/**
+ * Assert the API rejected an invalid query parameter, or ignored it (mock behavior)
+ * @param {object} res - Frisby response
+ * @param {number} total - Total number of records in the collection
+ * @param {string} description - What was invalid, for logging
+ */
+function expectRejectedOrIgnored(res, total, description) {
+  if (res.status === statusCodes.OK) {
+    logTest(`Note: API ignores ${description} (mock behavior)`, 'warn');
+    expect(Array.isArray(res.json)).toBe(true);
+    expect(res.json.length).toBeLessThanOrEqual(total);
+  } else {
+    expect(res.status).toBe(statusCodes.BAD_REQUEST);
+  }
+}
+
+/**
+ * Map a collection response to its IDs
+ * @param {object} res - Frisby response
+ * @returns {array} IDs in response order
+ */
+function idsOf(res) {
+  return res.json.map(item => item.id);
+}
+
+describe('Query Parameters - limit and sort', () => {
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Query Parameter Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Query Parameter Tests');
+  });
+
+  /**
+   * QUERY-001: Query parameters are encoded
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Values are percent-encoded, arrays repeat the key, empty values are dropped
+   */
+  it('QUERY-001: Should encode query parameters from an object', () => {
+    const url = apiClient.buildUrl(endpoints.products, {
+      q: "men's clothing & more",
+      tag: ['a', 'b'],
+      limit: 5,
+      sort: undefined,
+      page: null
+    });
+
+    expect(url).toBe(`${apiClient.baseURL}/products?q=men%27s+clothing+%26+more&tag=a&tag=b&limit=5`);
+    expect(apiClient.buildUrl(endpoints.products, {})).toBe(`${apiClient.baseURL}/products`);
+  });
+
+  describe('limit (boundary values)', () => {
+
+    /**
+     * QUERY-002: limit = 1
+     *
+     * Test Design Technique: Boundary Value Analysis
+     * Expected Result: Exactly one product
+     */
+    it('QUERY-002: Should return exactly one product with limit=1', async () => {
+      return apiClient.getAllProducts({ limit: 1 })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json).toHaveLength(1);
+        });
+    });
+
+    /**
+     * QUERY-003: limit = max
+     *
+     * Test Design Technique: Boundary Value Analysis
+     * Expected Result: All products
+     */
+    it('QUERY-003: Should return all products with limit=max', async () => {
+      return apiClient.getAllProducts({ limit: validProductRange.max })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json).toHaveLength(validProductRange.max);
+        });
+    });
+
+    /**
+     * QUERY-004: limit = max + 1
+     *
+     * Test Design Technique: Boundary Value Analysis
+     * Expected Result: All products, never more than exist
+     */
+    it('QUERY-004: Should cap results at the collection size with limit=max+1', async () => {
+      return apiClient.getAllProducts({ limit: validProductRange.max + 1 })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json).toHaveLength(validProductRange.max);
+        });
+    });
+
+    /**
+     * QUERY-005: limit = 0
+     *
+     * Test Design Technique: Boundary Value Analysis + Negative Testing
+     * Expected Result: 400 Bad Request OR limit ignored (mock API behavior)
+     */
+    it('QUERY-005: Should handle limit=0 (just below lower boundary)', async () => {
+      return apiClient.getAllProducts({ limit: 0 })
+        .then((res) => expectRejectedOrIgnored(res, validProductRange.max, 'limit=0'));
+    });
+
+    /**
+     * QUERY-006: negative limit
+     *
+     * Test Design Technique: Equivalence Partitioning + Negative Testing
+     * Expected Result: 400 Bad Request OR limit ignored (mock API behavior)
+     */
+    it('QUERY-006: Should handle a negative limit', async () => {
+      return apiClient.getAllProducts({ limit: -1 })
+        .then((res) => expectRejectedOrIgnored(res, validProductRange.max, 'limit=-1'));
+    });
+
+    /**
+     * QUERY-007: non-numeric limit
+     *
+     * Test Design Technique: Error Guessing
+     * Expected Result: 400 Bad Request OR limit ignored (mock API behavior)
+     */
+    it('QUERY-007: Should handle a non-numeric limit', async () => {
+      return apiClient.getAllProducts({ limit: 'abc' })
+        .then((res) => expectRejectedOrIgnored(res, validProductRange.max, 'limit=abc'));
+    });
+  });
+
+  describe('sort', () => {
+
+    /**
+     * QUERY-008: sort=desc
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: Product IDs strictly descending
+     */
+    it('QUERY-008: Should return product IDs in descending order with sort=desc', async () => {
+      return apiClient.getAllProducts({ sort: 'desc' })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          const ids = idsOf(res);
+          expect(ids).toHaveLength(validProductRange.max);
+          expect(ids[0]).toBe(validProductRange.max);
+          ids.slice(1).forEach((id, index) => {
+            expect(id).toBeLessThan(ids[index]);
+          });
+        });
+    });
+
+    /**
+     * QUERY-009: sort=asc
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: Product IDs strictly ascending
+     */
+    it('QUERY-009: Should return product IDs in ascending order with sort=asc', async () => {
+      return apiClient.getAllProducts({ sort: 'asc' })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          const ids = idsOf(res);
+          expect(ids[0]).toBe(validProductRange.min);
+          ids.slice(1).forEach((id, index) => {
+            expect(id).toBeGreaterThan(ids[index]);
+          });
+        });
+    });
+
+    /**
+     * QUERY-010: sort combined with limit
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: The highest IDs, in descending order
+     */
+    it('QUERY-010: Should apply limit after sorting', async () => {
+      return apiClient.getAllProducts({ sort: 'desc', limit: 3 })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          const max = validProductRange.max;
+          expect(idsOf(res)).toEqual([max, max - 1, max - 2]);
+        });
+    });
+
+    /**
+     * QUERY-011: invalid sort value
+     *
+     * Test Design Technique: Error Guessing
+     * Expected Result: 400 Bad Request OR sort ignored (mock API behavior)
+     */
+    it('QUERY-011: Should handle an invalid sort value', async () => {
+      return apiClient.getAllProducts({ sort: 'sideways' })
+        .then((res) => expectRejectedOrIgnored(res, validProductRange.max, 'sort=sideways'));
+    });
+  });
+
+  /**
+   * QUERY-012: limit and sort on carts and users
+   *
+   * Test Design Technique: Equivalence Partitioning (one partition per resource)
+   * Expected Result: Same limit/sort semantics as products
+   */
+  describe('QUERY-012: Other collections', () => {
+    const collections = [
+      { name: 'carts', fetch: query => apiClient.getAllCarts(query), max: validCartRange.max },
+      { name: 'users', fetch: query => apiClient.getAllUsers(query), max: validUserRange.max }
+    ];
+
+    collections.forEach(({ name, fetch, max }) => {
+      it(`QUERY-012: Should limit and sort ${name}`, async () => {
+        return fetch({ limit: 2, sort: 'desc' })
+          .expect('status', statusCodes.OK)
+          .then((res) => {
+            expect(idsOf(res)).toEqual([max, max - 1]);
+          });
+      });
+    });
+  });
+});
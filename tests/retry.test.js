@@ -0,0 +1,276 @@
+/**
+ * Retry Policy Tests
+ * Test scenarios for ApiClient retries with exponential backoff
+ *
+ * - RETRY-001: Transient Status Retried Until Success (Positive Testing)
+ * - RETRY-002: Socket Reset Retried (Positive Testing)
+ * - RETRY-003: Attempts Exhausted Returns Last Response (BVA)
+ * - RETRY-004: Non-Retryable Status Not Retried (EP)
+ * - RETRY-005: POST Not Retried Unless Allowed (EP)
+ * - RETRY-006: Idempotent Writes Retried (EP)
+ * - RETRY-007: Retries Disabled (Negative Testing)
+ * - RETRY-008: Custom Retryable Status Codes (Positive Testing)
+ * - RETRY-009: Persistent Network Failure Rejects (Negative Testing)
+ * - RETRY-010: Backoff Grows Exponentially With Jitter (BVA)
+ */
+
+const http = require('http');
+const apiClient = require('../utils/apiClient');
+const { config, statusCodes } = require('../config/environment');
+const { resolveRetryPolicy, canRetry, computeDelay } = require('../utils/retryPolicy');
+const { useContractMode } = require('../utils/contract');
+const { useCassette } = require('../utils/cassette');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+
+/**
+ * Fast retry settings so the suite does not wait on real backoff
+ */
+const FAST_RETRY = { attempts: 2, delay: 1, maxDelay: 5 };
+
+/**
+ * Start a server that answers from a script of outcomes, then 200 OK
+ * Each outcome is a status code or 'reset' (destroy the socket).
+ * @returns {Promise} Resolves with { url, script(outcomes), hits(), close() }
+ */
+function startFlakyServer() {
+  let outcomes = [];
+  let hits = 0;
+
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    const outcome = outcomes.length ? outcomes.shift() : statusCodes.OK;
+    if (outcome === 'reset') {
+      req.socket.destroy();
+      return;
+    }
+    res.writeHead(outcome, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: outcome, hit: hits }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        script(next) {
+          outcomes = [...next];
+          hits = 0;
+        },
+        hits: () => hits,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('ApiClient - Retry Policy', () => {
+  // The flaky server answers with scripted statuses outside the contract
+  useContractMode('off');
+
+  // Requests go to the flaky server started below, never the API, so there is
+  // nothing to record or replay: keep the suite in passthrough in every CASSETTE_MODE
+  useCassette('retry', { mode: 'passthrough' });
+
+  let flaky;
+  let apiBaseURL;
+
+  // Setup before all tests
+  beforeAll(async () => {
+    setupTestSuite('Retry Policy Tests');
+    flaky = await startFlakyServer();
+    apiBaseURL = config.baseURL;
+    config.baseURL = flaky.url;
+  });
+
+  // Teardown after all tests
+  afterAll(async () => {
+    config.baseURL = apiBaseURL;
+    await flaky.close();
+    teardownTestSuite('Retry Policy Tests');
+  });
+
+  /**
+   * RETRY-001: Transient status retried until success
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: 200 OK after two 503s, retryCount = 2
+   */
+  it('RETRY-001: Should retry a GET on 503 until it succeeds', async () => {
+    flaky.script([503, 503]);
+
+    const res = await apiClient.get('/products', { retry: FAST_RETRY })
+      .expect('status', statusCodes.OK);
+
+    expect(res.retryCount).toBe(2);
+    expect(flaky.hits()).toBe(3);
+  });
+
+  /**
+   * RETRY-002: Socket reset retried
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Network error retried, 200 OK, retryCount = 1
+   */
+  it('RETRY-002: Should retry after a socket reset', async () => {
+    flaky.script(['reset']);
+
+    const res = await apiClient.get('/products', { retry: FAST_RETRY })
+      .expect('status', statusCodes.OK);
+
+    expect(res.retryCount).toBe(1);
+  });
+
+  /**
+   * RETRY-003: Attempts exhausted
+   *
+   * Test Design Technique: Boundary Value Analysis (failures = attempts + 1)
+   * Expected Result: Last failing response returned, retryCount = attempts
+   */
+  it('RETRY-003: Should return the last response once attempts are exhausted', async () => {
+    flaky.script([502, 502, 502]);
+
+    const res = await apiClient.get('/products', { retry: FAST_RETRY })
+      .expect('status', 502);
+
+    expect(res.retryCount).toBe(FAST_RETRY.attempts);
+    expect(flaky.hits()).toBe(FAST_RETRY.attempts + 1);
+  });
+
+  /**
+   * RETRY-004: Non-retryable status
+   *
+   * Test Design Technique: Equivalence Partitioning (client error / server error not listed)
+   * Expected Result: Returned immediately, retryCount = 0
+   */
+  [statusCodes.NOT_FOUND, 500].forEach(status => {
+    it(`RETRY-004: Should not retry status ${status}`, async () => {
+      flaky.script([status]);
+
+      const res = await apiClient.get('/products', { retry: FAST_RETRY })
+        .expect('status', status);
+
+      expect(res.retryCount).toBe(0);
+      expect(flaky.hits()).toBe(1);
+    });
+  });
+
+  /**
+   * RETRY-005: POST not retried unless allowed
+   *
+   * Test Design Technique: Equivalence Partitioning (non-idempotent methods)
+   * Expected Result: POST fails fast by default, retried with allowNonIdempotent
+   */
+  it('RETRY-005: Should not retry POST unless explicitly allowed', async () => {
+    flaky.script([503]);
+    const res = await apiClient.post('/products', { title: 'once' }, { retry: FAST_RETRY })
+      .expect('status', 503);
+    expect(res.retryCount).toBe(0);
+    expect(flaky.hits()).toBe(1);
+
+    flaky.script([503]);
+    const allowed = await apiClient.post('/products', { title: 'twice' }, {
+      retry: { ...FAST_RETRY, allowNonIdempotent: true }
+    }).expect('status', statusCodes.OK);
+    expect(allowed.retryCount).toBe(1);
+
+    expect(canRetry('PATCH', resolveRetryPolicy(FAST_RETRY))).toBe(false);
+  });
+
+  /**
+   * RETRY-006: Idempotent writes retried
+   *
+   * Test Design Technique: Equivalence Partitioning (idempotent methods)
+   * Expected Result: PUT and DELETE retried like GET
+   */
+  it('RETRY-006: Should retry idempotent PUT and DELETE', async () => {
+    flaky.script([504]);
+    const put = await apiClient.put('/products/1', { title: 'retry' }, { retry: FAST_RETRY })
+      .expect('status', statusCodes.OK);
+    expect(put.retryCount).toBe(1);
+
+    flaky.script([504]);
+    const del = await apiClient.delete('/products/1', { retry: FAST_RETRY })
+      .expect('status', statusCodes.OK);
+    expect(del.retryCount).toBe(1);
+  });
+
+  /**
+   * RETRY-007: Retries disabled
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: `retry: false` and retryAttempts = 0 both send once
+   */
+  it('RETRY-007: Should send once when retries are disabled', async () => {
+    flaky.script([503]);
+    const disabled = await apiClient.get('/products', { retry: false });
+    expect(disabled.status).toBe(503);
+    expect(flaky.hits()).toBe(1);
+
+    const configuredAttempts = config.retryAttempts;
+    config.retryAttempts = 0;
+    try {
+      flaky.script([503]);
+      const res = await apiClient.get('/products');
+      expect(res.retryCount).toBe(0);
+      expect(flaky.hits()).toBe(1);
+    } finally {
+      config.retryAttempts = configuredAttempts;
+    }
+  });
+
+  /**
+   * RETRY-008: Custom retryable status codes
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: 500 retried when listed in statusCodes
+   */
+  it('RETRY-008: Should retry statuses listed in the policy', async () => {
+    flaky.script([500]);
+
+    const res = await apiClient.get('/products', { retry: { ...FAST_RETRY, statusCodes: [500] } })
+      .expect('status', statusCodes.OK);
+
+    expect(res.retryCount).toBe(1);
+  });
+
+  /**
+   * RETRY-009: Persistent network failure
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: Rejects with the network error, retryCount = attempts
+   */
+  it('RETRY-009: Should reject once network retries are exhausted', async () => {
+    flaky.script(['reset', 'reset', 'reset']);
+
+    const error = await apiClient.get('/products', { retry: FAST_RETRY }).then(
+      () => null,
+      err => err
+    );
+
+    expect(error).not.toBeNull();
+    expect(error.name).toBe('FetchError');
+    expect(error.retryCount).toBe(FAST_RETRY.attempts);
+  });
+
+  /**
+   * RETRY-010: Backoff grows exponentially with jitter
+   *
+   * Test Design Technique: Boundary Value Analysis (random = 0 and ~1, cap)
+   * Expected Result: Delay in [backoff/2, backoff], backoff doubling up to maxDelay
+   */
+  it('RETRY-010: Should compute exponential backoff with jitter', () => {
+    const policy = resolveRetryPolicy({ delay: 100, maxDelay: 1000 });
+
+    expect(computeDelay(1, policy, () => 0)).toBe(50);
+    expect(computeDelay(1, policy, () => 0.999)).toBe(100);
+    expect(computeDelay(2, policy, () => 0)).toBe(100);
+    expect(computeDelay(3, policy, () => 0.999)).toBe(400);
+    expect(computeDelay(10, policy, () => 0.999)).toBe(1000);
+
+    expect(resolveRetryPolicy(3).attempts).toBe(3);
+    expect(resolveRetryPolicy(false).attempts).toBe(0);
+    expect(resolveRetryPolicy().statusCodes).toEqual(config.retryStatusCodes);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Run Summary Tests
+ * Test scenarios for the run summary reporter and reports/results.json
+ *
+ * - SUM-001: Totals Counted From Jest Results (Positive Testing)
+ * - SUM-002: Per-Suite Breakdown Including Suites That Did Not Run (EP)
+ * - SUM-003: Retries Counted From Test Invocations (BVA)
+ * - SUM-004: Slowest Tests Listed in Order (Positive Testing)
+ * - SUM-005: Environment, Base URL and Seed Recorded (Positive Testing)
+ * - SUM-006: Report Box Shows Real Numbers and Breakdown (Positive Testing)
+ * - SUM-007: Empty Run Summarized Without Errors (Error Guessing)
+ * - SUM-008: Reporter Prints and Writes results.json (Integration Testing)
+ * - SUM-009: HTTP Retries Counted Per Test File (Integration Testing)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const RunSummaryReporter = require('../config/runSummaryReporter');
+const apiClient = require('../utils/apiClient');
+const { env, config, endpoints, statusCodes } = require('../config/environment');
+const { runSeed } = require('../utils/random');
+const { insertCassette, ejectCassette } = require('../utils/cassette');
+const {
+  writeHttpRetries,
+  readHttpRetries,
+  resetHttpRetries,
+  summarizeRun,
+  formatRunSummary,
+  writeRunSummary
+} = require('../utils/runSummary');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  generateTestReport
+} = require('../utils/testHelpers');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Jest assertion result
+ * @param {string} name - Full test name
+ * @param {string} status - Jest status
+ * @param {number} duration - Duration in ms
+ * @param {number} invocations - Times the test ran
+ * @returns {object} Assertion result
+ */
+function assertion(name, status = 'passed', duration = 10, invocations = 1) {
+  return { fullName: name, title: name, ancestorTitles: [], status, duration, invocations };
+}
+
+/**
+ * Aggregated results for two suites that ran and one that did not
+ * @returns {object} Aggregated results as passed to onRunComplete
+ */
+function aggregatedResults() {
+  return {
+    startTime: 1000,
+    testResults: [
+      {
+        testFilePath: path.join(ROOT, 'tests', 'get.test.js'),
+        perfStats: { start: 1000, end: 1400 },
+        testResults: [
+          assertion('GET-001 all products', 'passed', 120),
+          assertion('GET-002 single product', 'failed', 300, 3),
+          assertion('GET-003 todo', 'todo', 0)
+        ]
+      },
+      {
+        testFilePath: path.join(ROOT, 'tests', 'post.test.js'),
+        perfStats: { start: 1000, end: 1250 },
+        testResults: [
+          assertion('POST-001 create', 'passed', 40),
+          assertion('POST-002 skipped', 'pending', 0),
+          assertion('POST-003 flaky', 'passed', 80, 2)
+        ]
+      },
+      {
+        testFilePath: path.join(ROOT, 'tests', 'broken.test.js'),
+        testExecError: { message: "Cannot find module '../missing'\n    at require" },
+        testResults: []
+      }
+    ]
+  };
+}
+
+describe('Run Summary', () => {
+  const dirs = [];
+  const options = { rootDir: ROOT, now: 3000, environment: 'staging', baseURL: 'https://staging.example.com', seed: 42, httpRetries: { get: 4 } };
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Run Summary Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    teardownTestSuite('Run Summary Tests');
+  });
+
+  /**
+   * SUM-001: Totals counted from Jest results
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Passed/failed/skipped (pending + todo) across suites; pass rate over all tests; HTTP retries of every file; wall-clock duration
+   */
+  it('SUM-001: Should count totals from the aggregated Jest results', () => {
+    const summary = summarizeRun(aggregatedResults(), options);
+
+    expect(summary.totals).toEqual({
+      suites: 3, total: 6, passed: 3, failed: 1, skipped: 2, retries: 3, httpRetries: 4, passRate: 50, duration: 2000
+    });
+    expect(summary.success).toBe(false);
+    expect(summary.generatedAt).toBe(new Date(3000).toISOString());
+  });
+
+  /**
+   * SUM-002: Per-suite breakdown including suites that did not run
+   *
+   * Test Design Technique: Equivalence Partitioning (failing suite, passing suite, suite that did not run)
+   * Expected Result: One entry per file with relative path, counts, duration and the first line of any error
+   */
+  it('SUM-002: Should break the results down per suite', () => {
+    const { suites } = summarizeRun(aggregatedResults(), options);
+
+    expect(suites).toEqual([
+      { file: 'tests/get.test.js', total: 3, passed: 1, failed: 1, skipped: 1, retries: 2, httpRetries: 4, duration: 400, error: null },
+      { file: 'tests/post.test.js', total: 3, passed: 2, failed: 0, skipped: 1, retries: 1, httpRetries: 0, duration: 250, error: null },
+      { file: 'tests/broken.test.js', total: 0, passed: 0, failed: 0, skipped: 0, retries: 0, httpRetries: 0, duration: 0, error: "Cannot find module '../missing'" }
+    ]);
+  });
+
+  /**
+   * SUM-003: Retries counted from test invocations
+   *
+   * Test Design Technique: Boundary Value Analysis (invocations missing, 1, 2, 3)
+   * Expected Result: Retries = invocations - 1; tests without an invocation count ran once
+   */
+  it('SUM-003: Should count retries from test invocations', () => {
+    const results = {
+      testResults: [{
+        testFilePath: path.join(ROOT, 'tests', 'retry.test.js'),
+        testResults: [
+          { ...assertion('no count'), invocations: undefined },
+          assertion('once', 'passed', 1, 1),
+          assertion('twice', 'passed', 1, 2),
+          assertion('three times', 'failed', 1, 3)
+        ]
+      }]
+    };
+
+    expect(summarizeRun(results, options).totals.retries).toBe(3);
+  });
+
+  /**
+   * SUM-004: Slowest tests listed in order
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Longest first across suites, limited to the requested count
+   */
+  it('SUM-004: Should list the slowest tests first', () => {
+    const { slowest } = summarizeRun(aggregatedResults(), { ...options, slowest: 3 });
+
+    expect(slowest).toEqual([
+      { file: 'tests/get.test.js', name: 'GET-002 single product', duration: 300 },
+      { file: 'tests/get.test.js', name: 'GET-001 all products', duration: 120 },
+      { file: 'tests/post.test.js', name: 'POST-003 flaky', duration: 80 }
+    ]);
+    expect(summarizeRun(aggregatedResults(), { ...options, slowest: 0 }).slowest).toEqual([]);
+  });
+
+  /**
+   * SUM-005: Environment, base URL and seed recorded
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Given values kept; by default the current environment, its base URL ("local server" for the local profile) and the run seed
+   */
+  it('SUM-005: Should record the environment, base URL and seed', () => {
+    expect(summarizeRun(aggregatedResults(), options)).toMatchObject({
+      environment: 'staging', baseURL: 'https://staging.example.com', seed: 42
+    });
+
+    const defaults = summarizeRun(aggregatedResults(), { rootDir: ROOT });
+    expect(defaults).toMatchObject({ environment: env, seed: runSeed() });
+    expect(defaults.baseURL).toBe(config.useLocalServer ? 'local server' : config.baseURL);
+    expect(defaults.baseURL).not.toBeNull();
+  });
+
+  /**
+   * SUM-006: Report box shows real numbers and breakdown
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: generateTestReport box with the run's totals, then environment, suites and slowest tests
+   */
+  it('SUM-006: Should print the run totals, suites and slowest tests', () => {
+    const report = formatRunSummary(summarizeRun(aggregatedResults(), { ...options, slowest: 1 }));
+
+    expect(report).toMatch(/Total Tests: +6 ║/);
+    expect(report).toMatch(/Skipped: +2 ║/);
+    expect(report).toMatch(/Pass Rate: +50.00% ║/);
+    expect(report).toMatch(/Retries: +3 ║/);
+    expect(report).toMatch(/HTTP Retries: +4 ║/);
+    expect(report).toMatch(/Duration: +2000ms ║/);
+    expect(report).toMatch(/Seed: +42 ║/);
+    expect(report).toContain('Environment: staging (https://staging.example.com)');
+    expect(report).toContain('  ✗ tests/get.test.js     1 passed, 1 failed, 1 skipped  400ms');
+    expect(report).toContain('  ✓ tests/post.test.js    2 passed, 0 failed, 1 skipped  250ms');
+    expect(report).toContain("  ✗ tests/broken.test.js  did not run: Cannot find module '../missing'  0ms");
+    expect(report).toContain('Slowest tests:\n  1.    300ms  tests/get.test.js › GET-002 single product');
+  });
+
+  /**
+   * SUM-007: Empty run summarized without errors
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: Zero totals, 0% pass rate, successful; box without breakdown as before
+   */
+  it('SUM-007: Should summarize a run without tests', () => {
+    const summary = summarizeRun({ testResults: [] }, options);
+
+    expect(summary.totals).toEqual({ suites: 0, total: 0, passed: 0, failed: 0, skipped: 0, retries: 0, httpRetries: 0, passRate: 0, duration: 0 });
+    expect(summary.success).toBe(true);
+    expect(generateTestReport({ total: 0, seed: 7 })).not.toContain('Suites:');
+    expect(formatRunSummary({ ...summary, environment: 'local', baseURL: null }))
+      .toContain('Environment: local (in-process local server)');
+  });
+
+  /**
+   * SUM-008: Reporter prints and writes results.json
+   *
+   * Test Design Technique: Integration Testing
+   * Expected Result: Summary printed, JSON file written with the same data; errors only warned
+   */
+  it('SUM-008: Should print the summary and write results.json', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-summary-'));
+    dirs.push(dir);
+    const reporter = new RunSummaryReporter({ rootDir: ROOT }, { outputFile: path.join(dir, 'nested', 'results.json'), slowest: 2 });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      reporter.onRunComplete(new Set(), aggregatedResults());
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('TEST EXECUTION REPORT'));
+      const written = JSON.parse(fs.readFileSync(path.join(dir, 'nested', 'results.json'), 'utf8'));
+      expect(written.totals).toMatchObject({ total: 6, failed: 1 });
+      expect(written.slowest).toHaveLength(2);
+      expect(written.suites.map(suite => suite.file)).toEqual(['tests/get.test.js', 'tests/post.test.js', 'tests/broken.test.js']);
+
+      reporter.onRunComplete(new Set(), { testResults: null });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Run summary not written'));
+    } finally {
+      log.mockRestore();
+      warn.mockRestore();
+    }
+
+    expect(writeRunSummary({ totals: {} }, path.join(dir, 'plain.json'))).toBe(path.join(dir, 'plain.json'));
+  });
+
+  /**
+   * SUM-009: HTTP retries counted per test file
+   *
+   * Test Design Technique: Integration Testing (ApiClient retry -> per-file count -> run summary)
+   * Expected Result: Every request ApiClient re-sends is counted once, written under the file name and read back; reset removes the counts
+   */
+  it('SUM-009: Should count the requests ApiClient retried', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-retries-'));
+    dirs.push(dir);
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+      hits += 1;
+      res.writeHead(hits < 3 ? 503 : statusCodes.OK, { 'Content-Type': 'application/json' });
+      res.end('[]');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // The request goes to the server above, never the API: nothing to record or replay
+    insertCassette('run-summary-retries', { mode: 'passthrough' });
+    const apiBaseURL = config.baseURL;
+    config.baseURL = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const res = await apiClient.get(endpoints.products, { retry: { attempts: 3, delay: 1 } });
+      expect(res.retryCount).toBe(2);
+    } finally {
+      config.baseURL = apiBaseURL;
+      ejectCassette();
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    writeHttpRetries('runSummary', dir);
+    expect(readHttpRetries(dir)).toEqual({ runSummary: 2 });
+    const results = { testResults: [{ testFilePath: path.join(ROOT, 'tests', 'runSummary.test.js'), testResults: [assertion('SUM-009')] }] };
+    expect(summarizeRun(results, { ...options, httpRetries: readHttpRetries(dir) }).totals.httpRetries).toBe(2);
+
+    resetHttpRetries(dir);
+    expect(readHttpRetries(dir)).toEqual({});
+  });
+});
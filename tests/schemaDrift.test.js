@@ -0,0 +1,237 @@
+/**
+ * Schema Drift Tests
+ * Test scenarios for inferred response schemas and the committed baselines
+ *
+ * - DRIFT-001: Responses Match the Committed Baseline (Drift Check)
+ * - DRIFT-002: Structure Inferred From Samples (EP)
+ * - DRIFT-003: Added, Removed and Optional Fields Reported With Paths (Negative Testing)
+ * - DRIFT-004: Type and Nullability Changes Reported (EP)
+ * - DRIFT-005: New Enum Values Reported as Widening (Positive Testing)
+ * - DRIFT-006: Policy Decides What Breaks the Build (Decision Table)
+ * - DRIFT-007: Baseline Round Trip and Unknown Kinds (Error Guessing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { env } = require('../config/environment');
+const {
+  baselineFile,
+  inferSchema,
+  diffSchemas,
+  captureSchemas,
+  loadSchemaBaseline,
+  writeSchemaBaseline,
+  compareWithBaseline,
+  formatDriftReport
+} = require('../utils/schemaDrift');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+
+/**
+ * A product as the API sends it
+ * @param {object} overrides - Fields to replace (undefined removes the field)
+ * @returns {object} Product
+ */
+function product(overrides = {}) {
+  const value = {
+    id: 1,
+    title: 'Backpack',
+    price: 109.95,
+    category: "men's clothing",
+    image: 'https://fakestoreapi.com/img/1.jpg',
+    rating: { rate: 3.9, count: 120 },
+    ...overrides
+  };
+  Object.keys(value).filter(key => value[key] === undefined).forEach(key => delete value[key]);
+  return value;
+}
+
+/**
+ * Messages from diffing two product lists
+ * @param {array} before - Baseline sample
+ * @param {array} after - Current sample
+ * @returns {array} Change messages
+ */
+function listDrift(before, after) {
+  const options = { enums: ['[].category'] };
+  return diffSchemas(inferSchema(before, options), inferSchema(after, options)).map(change => change.message);
+}
+
+describe('Schema Drift', () => {
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Schema Drift Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Schema Drift Tests');
+  });
+
+  /**
+   * DRIFT-001: Responses match the committed baseline
+   *
+   * Test Design Technique: Drift Check
+   * Expected Result: No change of a kind in config.schemaDriftFailOn; other changes logged
+   *   (a missing baseline file is baseline-missing for every endpoint)
+   */
+  it('DRIFT-001: Should match the committed schema baseline', async () => {
+    const baseline = loadSchemaBaseline();
+    if (!baseline) {
+      logTest(`No schema baseline for "${env}" at ${path.relative(process.cwd(), baselineFile())}; ` +
+        'run `npm run schema:baseline` to record one', 'warn');
+    }
+
+    const result = compareWithBaseline(baseline, await captureSchemas());
+    if (result.warnings.length > 0) {
+      logTest(formatDriftReport({ breaking: [], warnings: result.warnings }), 'warn');
+    }
+    if (result.breaking.length > 0) {
+      throw new Error(`${formatDriftReport(result)}\nIf the change is intended, run \`npm run schema:baseline\` and commit the result.`);
+    }
+    expect(result.breaking).toEqual([]);
+  });
+
+  /**
+   * DRIFT-002: Structure inferred from samples
+   *
+   * Test Design Technique: Equivalence Partitioning (scalar types, nesting, mixed samples)
+   * Expected Result: integer/number told apart and merged, required = keys in every sample, nulls make fields nullable
+   */
+  it('DRIFT-002: Should infer types, required fields and nullability from samples', () => {
+    const schema = inferSchema([
+      product(),
+      product({ id: 2, price: 22, image: null, rating: undefined })
+    ]);
+
+    expect(schema.type).toBe('array');
+    expect(schema.items.required).toEqual(['category', 'id', 'image', 'price', 'title']);
+    expect(schema.items.properties.id).toEqual({ type: 'integer' });
+    expect(schema.items.properties.price).toEqual({ type: 'number' });
+    expect(schema.items.properties.image).toEqual({ type: 'string', nullable: true });
+    expect(schema.items.properties.rating.properties.count).toEqual({ type: 'integer' });
+    expect(inferSchema([])).toEqual({ type: 'array' });
+    expect(inferSchema(undefined)).toEqual({ type: 'empty' });
+    expect(inferSchema([1, 'a']).items).toEqual({ type: ['integer', 'string'] });
+  });
+
+  /**
+   * DRIFT-003: Added, removed and optional fields reported with paths
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: One change per field, named by its path; a field missing from some items becomes
+   *   optional; empty lists report nothing
+   */
+  it('DRIFT-003: Should report added, removed and optional fields with their paths', () => {
+    const changes = listDrift(
+      [product()],
+      [product({ image: undefined, discount: 10, rating: { rate: 3.9, count: 120, votes: [] } })]
+    );
+
+    expect(changes).toEqual([
+      'removed field [].image (string)',
+      'added field [].rating.votes (array)',
+      'added field [].discount (integer)'
+    ]);
+
+    expect(listDrift([product()], [product(), product({ rating: undefined })]))
+      .toEqual(['[].rating became optional (missing from some responses)']);
+    expect(listDrift([product(), product({ rating: undefined })], [product()]))
+      .toEqual(['[].rating became required']);
+    expect(listDrift([product()], [])).toEqual([]);
+  });
+
+  /**
+   * DRIFT-004: Type and nullability changes reported
+   *
+   * Test Design Technique: Equivalence Partitioning (type change, widening, null appears, null disappears)
+   * Expected Result: Type changes show before → after; nullability reported separately
+   */
+  it('DRIFT-004: Should report type and nullability changes', () => {
+    expect(listDrift([product()], [product({ price: '109.95' })]))
+      .toEqual(['[].price changed type: number → string']);
+    expect(listDrift([product({ rating: { rate: 4, count: 1 } })], [product()]))
+      .toEqual(['[].rating.rate changed type: integer → number']);
+    expect(listDrift([product()], [product(), product({ title: null })]))
+      .toEqual(['[].title became nullable']);
+    expect(listDrift([product(), product({ title: null })], [product()]))
+      .toEqual(['[].title is no longer nullable']);
+  });
+
+  /**
+   * DRIFT-005: New enum values reported as widening
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: New category reported as enum-widened, vanished one as enum-narrowed
+   */
+  it('DRIFT-005: Should report new categories as enum widening', () => {
+    const changes = diffSchemas(
+      inferSchema(['electronics', 'jewelery'], { enums: ['[]'] }),
+      inferSchema(['electronics', 'toys'], { enums: ['[]'] })
+    );
+
+    expect(changes).toEqual([
+      { kind: 'enum-widened', path: '[]', message: '[] gained value(s): "toys"' },
+      { kind: 'enum-narrowed', path: '[]', message: '[] lost value(s): "jewelery"' }
+    ]);
+    expect(listDrift([product()], [product({ category: 'toys' })]))
+      .toEqual(['[].category gained value(s): "toys"', '[].category lost value(s): "men\'s clothing"']);
+  });
+
+  /**
+   * DRIFT-006: Policy decides what breaks the build
+   *
+   * Test Design Technique: Decision Table (change kind × failOn)
+   * Expected Result: Kinds in failOn are breaking, the rest warnings; new targets reported as baseline-missing
+   */
+  it('DRIFT-006: Should split changes into breaking and warnings by policy', () => {
+    const capture = products => ({ endpoint: 'GET /products', schema: inferSchema(products, { enums: ['[].category'] }) });
+    const baseline = { products: capture([product()]) };
+    const captured = {
+      products: capture([product({ price: '1', discount: 5, category: 'toys' })]),
+      carts: { endpoint: 'GET /carts', schema: inferSchema([]) }
+    };
+
+    const byDefault = compareWithBaseline(baseline, captured, ['field-removed', 'type-changed']);
+    expect(byDefault.breaking.map(change => change.kind)).toEqual(['type-changed']);
+    expect(byDefault.warnings.map(change => change.kind)).toEqual(['enum-widened', 'enum-narrowed', 'field-added', 'baseline-missing']);
+
+    const strict = compareWithBaseline(baseline, captured, ['field-added', 'enum-widened', 'baseline-missing']);
+    expect(strict.breaking.map(change => change.kind)).toEqual(['enum-widened', 'field-added', 'baseline-missing']);
+
+    const report = formatDriftReport(byDefault);
+    expect(report).toContain('Breaking schema changes (1):\n  - GET /products: [].price changed type: number → string');
+    expect(report).toContain('  - GET /carts: no baseline recorded');
+    expect(formatDriftReport(compareWithBaseline(baseline, { products: baseline.products }, []))).toBe('No schema drift');
+  });
+
+  /**
+   * DRIFT-007: Baseline round trip and unknown kinds
+   *
+   * Test Design Technique: Error Guessing
+   * Expected Result: Written baseline loads back unchanged; missing file is null and reported as
+   *   baseline-missing for every endpoint, breaking only when the policy says so; unknown kind is a TypeError
+   */
+  it('DRIFT-007: Should round-trip baselines and reject unknown drift kinds', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-drift-'));
+    try {
+      const captured = { products: { endpoint: 'GET /products', schema: inferSchema([product()]) } };
+      const file = writeSchemaBaseline(captured, path.join(dir, 'nested', 'test.json'));
+
+      expect(loadSchemaBaseline(file)).toEqual(captured);
+      expect(loadSchemaBaseline(path.join(dir, 'missing.json'))).toBeNull();
+      const missing = compareWithBaseline(null, captured, ['field-removed']);
+      expect(missing.warnings.map(change => `${change.endpoint} ${change.kind}`)).toEqual(['GET /products baseline-missing']);
+      expect(missing.breaking).toEqual([]);
+      expect(compareWithBaseline(null, captured, ['baseline-missing']).breaking).toHaveLength(1);
+      expect(() => compareWithBaseline(captured, captured, ['field-renamed']))
+        .toThrow('Unknown schema drift kind(s) field-renamed');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Seeded Random Data Tests
+ * Test scenarios for reproducible test data: run seed, per-test seeds and replay
+ *
+ * - SEED-001: Same Seed and Label Produce the Same Sequence (Positive Testing)
+ * - SEED-002: Generators Repeat After Reseeding (Positive Testing)
+ * - SEED-003: Each Test Seeded From Its Full Name (Positive Testing)
+ * - SEED-004: Run Seed Published and Overridable (State Transition)
+ * - SEED-005: Cassette Replay Reuses the Recorded Seed (Regression Testing)
+ * - SEED-006: Seed Shown in Reports (Positive Testing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const apiClient = require('../utils/apiClient');
+const { insertCassette, ejectCassette } = require('../utils/cassette');
+const {
+  SEED_ENV_VAR,
+  createRandom,
+  deriveSeed,
+  runSeed,
+  setRunSeed,
+  seedRandom,
+  currentSeed
+} = require('../utils/random');
+const {
+  generateRandomString,
+  generateProductData,
+  generateCartData,
+  generateUserData,
+  getValidProductId,
+  getInvalidProductId
+} = require('../utils/testDataGenerator');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  generateTestReport
+} = require('../utils/testHelpers');
+const { useContractMode } = require('../utils/contract');
+
+/**
+ * One of every kind of generated value
+ * @returns {object} Generated data
+ */
+function sampleData() {
+  return {
+    text: generateRandomString(12),
+    product: generateProductData(),
+    cart: generateCartData(),
+    user: generateUserData(),
+    validId: getValidProductId(),
+    invalidId: getInvalidProductId()
+  };
+}
+
+describe('Seeded Random Data', () => {
+  // SEED-005 replays a cassette written in this file, not the documented API
+  useContractMode('off');
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Seeded Random Data Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('Seeded Random Data Tests');
+  });
+
+  /**
+   * SEED-001: Same seed and label produce the same sequence
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Identical numbers in [0, 1) for one seed, different for another; the same
+   *   (run seed, label) always derives the same 32-bit seed, across releases
+   */
+  it('SEED-001: Should produce the same sequence for the same seed and label', () => {
+    const sequence = seed => {
+      const next = createRandom(seed);
+      return Array.from({ length: 20 }, () => next());
+    };
+
+    expect(sequence(42)).toEqual(sequence(42));
+    expect(sequence(42)).not.toEqual(sequence(43));
+    sequence(0).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+
+    expect(deriveSeed(42, 'SEED')).toBe(2002711622);
+    expect(deriveSeed(43, 'SEED')).toBe(2362161495);
+    expect(deriveSeed(42, 'SEED-001')).not.toBe(deriveSeed(42, 'SEED-002'));
+  });
+
+  /**
+   * SEED-002: Generators repeat after reseeding
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Strings, products, carts, users and IDs identical after reseeding with the same label,
+   *   also on another day
+   */
+  it('SEED-002: Should repeat generated payloads and IDs after reseeding', () => {
+    seedRandom('SEED-002 sample');
+    const first = sampleData();
+    jest.useFakeTimers({ now: Date.now() + 400 * 24 * 60 * 60 * 1000 });
+    let second;
+    try {
+      seedRandom('SEED-002 sample');
+      second = sampleData();
+    } finally {
+      jest.useRealTimers();
+    }
+    seedRandom('SEED-002 other sample');
+    const other = sampleData();
+
+    expect(second).toEqual(first);
+    expect(other).not.toEqual(first);
+  });
+
+  /**
+   * SEED-003: Each test seeded from its full name
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Seed derived from the run seed and this test's name; reseeding with it replays the test's data
+   */
+  it('SEED-003: Should seed each test from its full name', () => {
+    const testName = expect.getState().currentTestName;
+    const data = sampleData();
+
+    expect(currentSeed()).toEqual({ label: testName, seed: deriveSeed(runSeed(), testName) });
+    seedRandom(testName);
+    expect(sampleData()).toEqual(data);
+  });
+
+  /**
+   * SEED-004: Run seed published and overridable
+   *
+   * Test Design Technique: State Transition (published → overridden → restored)
+   * Expected Result: runSeed() follows FAKESTORE_SEED until setRunSeed(), then returns to it
+   */
+  it('SEED-004: Should use the published run seed unless overridden', () => {
+    const published = Number(process.env[SEED_ENV_VAR]);
+    expect(runSeed()).toBe(published);
+
+    try {
+      setRunSeed(7);
+      expect(runSeed()).toBe(7);
+      expect(seedRandom('label')).toBe(deriveSeed(7, 'label'));
+    } finally {
+      setRunSeed(null);
+    }
+    expect(runSeed()).toBe(published);
+  });
+
+  /**
+   * SEED-005: Cassette replay reuses the recorded seed
+   *
+   * Test Design Technique: Regression Testing (record in one run, replay in another)
+   * Expected Result: Cassette stores the seed; a later run adopting it sends the same body and is served from the cassette
+   */
+  it('SEED-005: Should replay generated request bodies using the recorded seed', async () => {
+    const dir = fs.mkdtempSync(`${os.tmpdir()}/fakestore-seed-`);
+    const postGeneratedProduct = () => {
+      seedRandom('SEED-005 product');
+      return apiClient.createProduct(generateProductData());
+    };
+
+    try {
+      insertCassette('seeded', { mode: 'record', dir });
+      await postGeneratedProduct();
+      ejectCassette();
+
+      // A later run with a different seed
+      setRunSeed(runSeed() + 1);
+      const cassette = insertCassette('seeded', { mode: 'replay', dir });
+      expect(cassette.seed).toBe(Number(process.env[SEED_ENV_VAR]));
+
+      setRunSeed(cassette.seed);
+      const res = await postGeneratedProduct();
+      expect(res.replayed).toBe(true);
+    } finally {
+      ejectCassette();
+      setRunSeed(null);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * SEED-006: Seed shown in reports
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Run summary lists the run seed
+   */
+  it('SEED-006: Should show the run seed in the run summary', () => {
+    const report = generateTestReport({ passed: 1, failed: 0, total: 1, duration: 5 });
+    expect(report).toMatch(new RegExp(`Seed: +${runSeed()} `));
+    expect(generateTestReport({ total: 0, seed: 99 })).toMatch(/Seed: +99 /);
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Request Timing Tests
+ * Test scenarios for the DNS/connect/TTFB/total timings captured by ApiClient
+ *
+ * - TIME-001: Every Response Carries a Timing Breakdown (Positive Testing)
+ * - TIME-002: TTFB and Download Reflect Server Delays (BVA)
+ * - TIME-003: Latency Assertions Measure the Real Time and Show the Breakdown (Negative Testing)
+ * - TIME-004: Timings Recorded Per Endpoint (EP)
+ * - TIME-005: Percentile Summary (BVA)
+ * - TIME-006: Per-File Samples Merged Into the Timing Report (Positive Testing)
+ * - TIME-007: Requests That Never Reach the Network Have No Timings (Error Guessing)
+ * - TIME-008: Connections Reused Between Requests (Positive Testing)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const apiClient = require('../utils/apiClient');
+const { config, endpoints, statusCodes } = require('../config/environment');
+const { assertResponseTime } = require('../utils/assertions');
+const {
+  createRequestTimer,
+  endpointKey,
+  getTimingSamples,
+  percentile,
+  summarizeTimings,
+  writeTimingSamples,
+  mergeTimingReports
+} = require('../utils/timings');
+const { useContractMode } = require('../utils/contract');
+const { useCassette } = require('../utils/cassette');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+
+/**
+ * Delay used by the slow server, large enough to stand out from local noise
+ */
+const DELAY_MS = 60;
+
+/**
+ * Start a server that waits DELAY_MS before sending headers (/slow-headers)
+ * or between headers and the end of the body (/slow-body)
+ * @returns {Promise} Resolves with { url, connections(), close() }
+ */
+function startSlowServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/slow-headers')) {
+      setTimeout(() => {
+        res.writeHead(statusCodes.OK, { 'Content-Type': 'application/json' });
+        res.end('{"slow":"headers"}');
+      }, DELAY_MS);
+      return;
+    }
+    res.writeHead(statusCodes.OK, { 'Content-Type': 'application/json' });
+    res.write('{"slow":');
+    setTimeout(() => res.end('"body"}'), DELAY_MS);
+  });
+  let connections = 0;
+  server.on('connection', () => {
+    connections += 1;
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        connections: () => connections,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('ApiClient - Request Timings', () => {
+  // The slow server serves paths outside the contract
+  useContractMode('off');
+
+  // Requests go to the slow server started below, never the API, so there is
+  // nothing to record or replay: keep the suite in passthrough in every CASSETTE_MODE
+  useCassette('timings', { mode: 'passthrough' });
+
+  let slow;
+
+  // Setup before all tests
+  beforeAll(async () => {
+    setupTestSuite('Request Timing Tests');
+    slow = await startSlowServer();
+  });
+
+  // Teardown after all tests
+  afterAll(async () => {
+    await slow.close();
+    teardownTestSuite('Request Timing Tests');
+  });
+
+  /**
+   * Send a GET to the slow server
+   * @param {string} endpoint - /slow-headers or /slow-body
+   * @returns {Promise} Frisby response
+   */
+  async function getSlow(endpoint) {
+    const apiBaseURL = config.baseURL;
+    config.baseURL = slow.url;
+    try {
+      return await apiClient.get(endpoint, { retry: false });
+    } finally {
+      config.baseURL = apiBaseURL;
+    }
+  }
+
+  /**
+   * TIME-001: Every response carries a timing breakdown
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: dns, connect, tls, ttfb, download, total are non-negative
+   *                  and the phases add up within total
+   */
+  it('TIME-001: Should expose dns, connect, tls, ttfb, download and total on the response', async () => {
+    const res = await apiClient.getProductById(1)
+      .expect('status', statusCodes.OK);
+
+    const { dns, connect, tls, ttfb, download, total } = res.timings;
+    [dns, connect, tls, ttfb, download, total].forEach(value => {
+      expect(typeof value).toBe('number');
+      expect(value).toBeGreaterThanOrEqual(0);
+    });
+    expect(ttfb).toBeLessThanOrEqual(total);
+    expect(dns + connect + tls).toBeLessThanOrEqual(ttfb + 0.05);
+    expect(Math.abs(ttfb + download - total)).toBeLessThanOrEqual(0.05);
+  });
+
+  /**
+   * TIME-002: TTFB and download reflect server delays
+   *
+   * Test Design Technique: Boundary Value Analysis (delay before headers / before body end)
+   * Expected Result: Delay before headers lands in ttfb, delay mid-body lands in download
+   */
+  it('TIME-002: Should attribute server delays to ttfb or download', async () => {
+    const slowHeaders = await getSlow('/slow-headers');
+    expect(slowHeaders.timings.ttfb).toBeGreaterThanOrEqual(DELAY_MS - 5);
+    expect(slowHeaders.timings.download).toBeLessThan(DELAY_MS);
+
+    const slowBody = await getSlow('/slow-body');
+    expect(slowBody.json).toEqual({ slow: 'body' });
+    expect(slowBody.timings.download).toBeGreaterThanOrEqual(DELAY_MS - 5);
+    expect(slowBody.timings.ttfb).toBeLessThan(DELAY_MS);
+    expect(slowBody.timings.total).toBeGreaterThanOrEqual(DELAY_MS - 5);
+  });
+
+  /**
+   * TIME-003: Latency assertions measure the real time and show the breakdown
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: Budget below the measured total fails, budget above passes; the toRespondWithin
+   *   failure message includes the measured total and each phase
+   */
+  it('TIME-003: Should fail latency assertions below the measured time and show the breakdown', async () => {
+    const res = await getSlow('/slow-headers');
+
+    expect(() => assertResponseTime(res, DELAY_MS - 10)).toThrow();
+    expect(() => assertResponseTime(res, res.timings.total + 1000)).not.toThrow();
+    expect(res).toRespondWithin(res.timings.total);
+    expect(res).not.toRespondWithin(DELAY_MS - 10);
+
+    let message = '';
+    try {
+      expect(res).toRespondWithin(DELAY_MS - 10);
+    } catch (error) {
+      message = error.message;
+    }
+    expect(message).toContain(`Received response time: "${res.timings.total}ms"`);
+    expect(message).toMatch(/Breakdown: dns [\d.]+ms, connect [\d.]+ms, tls [\d.]+ms, ttfb [\d.]+ms, download [\d.]+ms/);
+  });
+
+  /**
+   * TIME-004: Timings recorded per endpoint
+   *
+   * Test Design Technique: Equivalence Partitioning (IDs collapsed to one endpoint)
+   * Expected Result: Requests for different IDs grouped under GET /products/:id
+   */
+  it('TIME-004: Should record timings per endpoint with IDs collapsed', async () => {
+    const key = endpointKey('GET', '/products/2');
+    const before = (getTimingSamples()[key] || []).length;
+
+    await apiClient.getProductById(2);
+    await apiClient.getProductById(3);
+
+    expect(key).toBe('GET /products/:id');
+    expect(endpointKey('GET', '/carts/user/2')).toBe('GET /carts/user/:id');
+    expect(endpointKey('GET', '/products/category/jewelery')).toBe('GET /products/category/jewelery');
+    expect(getTimingSamples()[key].length).toBe(before + 2);
+  });
+
+  /**
+   * TIME-005: Percentile summary
+   *
+   * Test Design Technique: Boundary Value Analysis (single sample, p0 / p100)
+   * Expected Result: Nearest-rank percentiles, min/avg/p95/max per endpoint
+   */
+  it('TIME-005: Should summarize samples with nearest-rank percentiles', () => {
+    const values = Array.from({ length: 20 }, (_, index) => index + 1);
+
+    expect(percentile(values, 95)).toBe(19);
+    expect(percentile(values, 100)).toBe(20);
+    expect(percentile(values, 0)).toBe(1);
+    expect(percentile([7], 50)).toBe(7);
+    expect(percentile([], 95)).toBe(0);
+
+    const summary = summarizeTimings({
+      'GET /products': values.map(total => ({ ttfb: total / 2, total }))
+    });
+    expect(summary['GET /products']).toEqual({
+      count: 20,
+      ttfb: { min: 0.5, avg: 5.25, p95: 9.5, max: 10 },
+      total: { min: 1, avg: 10.5, p95: 19, max: 20 }
+    });
+  });
+
+  /**
+   * TIME-006: Per-file samples merged into the timing report
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Report lists every recorded endpoint; per-file samples removed
+   */
+  it('TIME-006: Should merge per-file samples into one report', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-timings-'));
+    const samplesDir = path.join(dir, 'timings');
+    const reportFile = path.join(dir, 'endpoint-timings.json');
+
+    try {
+      writeTimingSamples('timings', samplesDir);
+      fs.writeFileSync(path.join(samplesDir, 'other.json'), JSON.stringify({
+        'GET /users': [{ ttfb: 1, total: 2 }]
+      }));
+
+      const summary = mergeTimingReports(samplesDir, reportFile);
+      const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+
+      expect(report.endpoints).toEqual(summary);
+      expect(summary['GET /users'].count).toBe(1);
+      expect(summary['GET /products/:id'].count).toBeGreaterThanOrEqual(1);
+      expect(fs.existsSync(samplesDir)).toBe(false);
+      expect(mergeTimingReports(samplesDir, reportFile)).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * TIME-007: Requests that never reach the network have no timings
+   *
+   * Test Design Technique: Error Guessing (unused timer, caller-supplied agent)
+   * Expected Result: result() is null; a caller's own agent is used as-is, without timings
+   */
+  it('TIME-007: Should leave timings off when the request bypasses the timing agent', async () => {
+    expect(createRequestTimer().result()).toBeNull();
+
+    const { Agent } = config.baseURL.startsWith('https:') ? https : http;
+    const agent = new Agent({ keepAlive: false });
+    const res = await apiClient.get(endpoints.productById(1), { agent })
+      .expect('status', statusCodes.OK);
+
+    expect(res.timings).toBeUndefined();
+    expect(typeof res.responseTime).toBe('number');
+    agent.destroy();
+  });
+
+  /**
+   * TIME-008: Connections reused between requests
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Back-to-back requests share one keep-alive connection; the reused one
+   *   reports 0 for dns, connect and tls but still measures ttfb and total
+   */
+  it('TIME-008: Should reuse connections and report no connection phases for a reused one', async () => {
+    const before = slow.connections();
+    await getSlow('/slow-headers');
+    const reused = await getSlow('/slow-headers');
+
+    expect(slow.connections() - before).toBeLessThanOrEqual(1);
+    expect(reused.timings).toMatchObject({ dns: 0, connect: 0, tls: 0 });
+    expect(reused.timings.ttfb).toBeGreaterThanOrEqual(DELAY_MS - 5);
+    expect(reused.timings.total).toBeGreaterThanOrEqual(reused.timings.ttfb);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Traceability Matrix Tests
+ * Test scenarios for joining declared scenario IDs with test results
+ *
+ * - TRACE-001: Scenarios Declared in README Tables (Positive Testing)
+ * - TRACE-002: Scenarios Declared in Test File Comments (Positive Testing)
+ * - TRACE-003: Tests Matched to Scenarios by Title or Describe (EP)
+ * - TRACE-004: Repeated Tests Combined Into One Result (Decision Table)
+ * - TRACE-005: Scenarios Without Tests and Tests Without Scenarios Reported (Negative Testing)
+ * - TRACE-006: Markdown, CSV and HTML Written With Special Characters Escaped (Positive Testing + Error Guessing)
+ * - TRACE-007: Reporter Builds the Matrix From Jest Results (Integration Testing)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TraceabilityReporter = require('../config/traceabilityReporter');
+const {
+  parseReadmeScenarios,
+  parseTestFileScenarios,
+  collectDeclaredScenarios,
+  scenarioIdOf,
+  buildTraceabilityMatrix,
+  formatTraceabilitySummary,
+  renderTraceabilityMarkdown,
+  renderTraceabilityCsv,
+  renderTraceabilityHtml,
+  writeTraceabilityReport
+} = require('../utils/traceability');
+const {
+  setupTestSuite,
+  teardownTestSuite
+} = require('../utils/testHelpers');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Test result in the shape the reporter passes on
+ * @param {string} title - Test title
+ * @param {string} status - Jest status
+ * @param {object} overrides - Fields to replace
+ * @returns {object} Test result
+ */
+function testResult(title, status = 'passed', overrides = {}) {
+  const ancestorTitles = overrides.ancestorTitles || ['Suite'];
+  return {
+    file: 'tests/sample.test.js',
+    title,
+    ancestorTitles,
+    fullName: [...ancestorTitles, title].join(' '),
+    status,
+    duration: 10,
+    ...overrides
+  };
+}
+
+/**
+ * Declared scenarios by ID for tests/sample.test.js
+ * @param {array} ids - Scenario IDs
+ * @returns {object} Scenarios by ID
+ */
+function declaredScenarios(ids) {
+  return Object.fromEntries(ids.map(id => [id, {
+    id,
+    description: `Scenario ${id}`,
+    technique: 'EP',
+    file: 'tests/sample.test.js',
+    declaredIn: ['README.md']
+  }]));
+}
+
+describe('Traceability Matrix', () => {
+  const dirs = [];
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('Traceability Matrix Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    teardownTestSuite('Traceability Matrix Tests');
+  });
+
+  /**
+   * TRACE-001: Scenarios declared in README tables
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Rows under a heading naming a test file are declarations for that file; other tables ignored
+   */
+  it('TRACE-001: Should read scenario tables under test file headings', () => {
+    const readme = [
+      '### GET Endpoint Tests (`tests/get.test.js`)',
+      '| ID | Description | Technique |',
+      '|----|-------------|-----------|',
+      '| GET-001 | Get all products | Positive Testing |',
+      '| GET-002 | Get single product | Positive Testing |',
+      '',
+      '### Environment Variables',
+      '| Variable | Description | Default |',
+      '| ABC-001 | Not a scenario table | - |'
+    ].join('\n');
+
+    expect(parseReadmeScenarios(readme)).toEqual([
+      { id: 'GET-001', description: 'Get all products', technique: 'Positive Testing', file: 'tests/get.test.js', source: 'README.md' },
+      { id: 'GET-002', description: 'Get single product', technique: 'Positive Testing', file: 'tests/get.test.js', source: 'README.md' }
+    ]);
+
+    const declared = parseReadmeScenarios(fs.readFileSync(path.join(ROOT, 'README.md'), 'utf8'));
+    expect(declared.map(scenario => scenario.id)).toEqual(expect.arrayContaining(['GET-001', 'CAT-008', 'TRACE-007']));
+  });
+
+  /**
+   * TRACE-002: Scenarios declared in test file comments
+   *
+   * Test Design Technique: Positive Testing
+   * Expected Result: Header list entries give title and technique; doc block lines give a description
+   */
+  it('TRACE-002: Should read scenario IDs from test file comments', () => {
+    const source = [
+      '/**',
+      ' * - ABC-001: Header Entry (BVA + EP)',
+      ' */',
+      '  /**',
+      '   * ABC-002: Doc block only (not a technique)',
+      '   */',
+      "  it('ABC-003: Not a comment', () => {});"
+    ].join('\n');
+
+    expect(parseTestFileScenarios(source, 'tests/abc.test.js')).toEqual([
+      { id: 'ABC-001', description: 'Header Entry', technique: 'BVA + EP', file: 'tests/abc.test.js', source: 'tests/abc.test.js' },
+      { id: 'ABC-002', description: 'Doc block only (not a technique)', technique: '', file: 'tests/abc.test.js', source: 'tests/abc.test.js' }
+    ]);
+
+    const declared = collectDeclaredScenarios({ rootDir: ROOT, testFiles: ['tests/traceability.test.js', 'tests/catalog.test.js'] });
+    expect(declared['TRACE-004']).toMatchObject({ technique: 'Decision Table', declaredIn: ['README.md', 'tests/traceability.test.js'] });
+    expect(declared['PRD-001']).toMatchObject({ file: 'tests/catalog.test.js', declaredIn: ['data/catalog/products.yaml'] });
+    expect(declared['GET-001']).toBeUndefined();
+  });
+
+  /**
+   * TRACE-003: Tests matched to scenarios by title or describe
+   *
+   * Test Design Technique: Equivalence Partitioning (ID in title, in a describe, nowhere)
+   * Expected Result: The title wins, then the innermost describe; IDs inside a title do not count
+   */
+  it('TRACE-003: Should match tests to scenario IDs from their titles', () => {
+    expect(scenarioIdOf({ title: 'GET-001: Should get all products', ancestorTitles: ['GET'] })).toBe('GET-001');
+    expect(scenarioIdOf({ title: 'title=valid, price=zero', ancestorTitles: ['POST', 'POST-006: Pairwise payloads'] })).toBe('POST-006');
+    expect(scenarioIdOf({ title: 'PRD-001: Product (Positive Testing)', ancestorTitles: ['CAT-001: Outer'] })).toBe('PRD-001');
+    expect(scenarioIdOf({ title: 'Should behave like GET-001', ancestorTitles: ['Suite'] })).toBeNull();
+    expect(scenarioIdOf({ title: 'GET-01: Two digits', ancestorTitles: [] })).toBeNull();
+  });
+
+  /**
+   * TRACE-004: Repeated tests combined into one result
+   *
+   * Test Design Technique: Decision Table (any failed / any passed / all skipped)
+   * Expected Result: One row per scenario with its test count and total duration; a single failure fails it
+   */
+  it('TRACE-004: Should combine the results of every test of a scenario', () => {
+    const tests = [
+      testResult('SMP-001: case a'), testResult('SMP-001: case b', 'failed'), testResult('SMP-001: case c', 'pending'),
+      testResult('SMP-002: case a'), testResult('SMP-002: case b', 'pending'),
+      testResult('SMP-003: case a', 'pending'), testResult('SMP-003: case b', 'todo')
+    ];
+    const matrix = buildTraceabilityMatrix(declaredScenarios(['SMP-001', 'SMP-002', 'SMP-003']), tests);
+
+    expect(matrix.scenarios.map(scenario => [scenario.id, scenario.tests, scenario.result, scenario.duration])).toEqual([
+      ['SMP-001', 3, 'failed', 30],
+      ['SMP-002', 2, 'passed', 20],
+      ['SMP-003', 2, 'skipped', 20]
+    ]);
+    expect(matrix.summary).toMatchObject({ scenarios: 3, passed: 1, failed: 1, skipped: 1, missing: 0, tests: 7 });
+  });
+
+  /**
+   * TRACE-005: Scenarios without tests and tests without scenarios reported
+   *
+   * Test Design Technique: Negative Testing
+   * Expected Result: Declared-only scenarios "missing"; undeclared IDs kept with their title; ID-less tests untraced
+   */
+  it('TRACE-005: Should report declared scenarios without tests and tests without scenario IDs', () => {
+    const tests = [
+      testResult('SMP-001: Covered'),
+      testResult('SMP-009: Undeclared but tested'),
+      testResult('Should do something', 'failed')
+    ];
+    const matrix = buildTraceabilityMatrix(declaredScenarios(['SMP-001', 'SMP-002']), tests);
+
+    expect(matrix.scenarios.map(scenario => [scenario.id, scenario.result, scenario.declaredIn])).toEqual([
+      ['SMP-001', 'passed', ['README.md']],
+      ['SMP-002', 'missing', ['README.md']],
+      ['SMP-009', 'passed', []]
+    ]);
+    expect(matrix.scenarios[2].description).toBe('Undeclared but tested');
+    expect(matrix.untraced).toEqual([
+      { file: 'tests/sample.test.js', name: 'Suite Should do something', result: 'failed', duration: 10 }
+    ]);
+    expect(formatTraceabilitySummary(matrix.summary))
+      .toBe('3 scenario(s): 2 passed, 0 failed, 0 skipped, 1 without tests; 1 of 3 test(s) without a scenario ID');
+
+    const markdown = renderTraceabilityMarkdown(matrix, '2024-01-01T00:00:00.000Z');
+    expect(markdown).toContain('## Declared scenarios without tests (1)\n\n- **SMP-002** Scenario SMP-002 (tests/sample.test.js)');
+    expect(markdown).toContain('| SMP-009 | Undeclared but tested |  | tests/sample.test.js | 1 | ✅ passed | 10 | (not declared) |');
+    expect(renderTraceabilityHtml(matrix)).toContain('<tr class="missing"><td>SMP-002</td>');
+  });
+
+  /**
+   * TRACE-006: Markdown, CSV and HTML written with special characters escaped
+   *
+   * Test Design Technique: Positive Testing + Error Guessing (commas, quotes, pipes, markup in titles)
+   * Expected Result: Three files with the same rows; CSV has one line per scenario and untraced test;
+   *   CSV fields quoted, Markdown pipes escaped, HTML markup escaped
+   */
+  it('TRACE-006: Should write the matrix as Markdown, CSV and HTML with special characters escaped', () => {
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-trace-')), 'nested');
+    dirs.push(path.dirname(dir));
+    const matrix = buildTraceabilityMatrix(declaredScenarios(['SMP-001', 'SMP-002']), [
+      testResult('SMP-001: Covered'), testResult('Untraced')
+    ]);
+
+    const files = writeTraceabilityReport(matrix, dir, 'matrix');
+    expect(Object.values(files).map(file => path.basename(file))).toEqual(['matrix.md', 'matrix.csv', 'matrix.html']);
+    expect(fs.readFileSync(files.csv, 'utf8').trim().split('\n')).toEqual([
+      'kind,scenario,description,technique,file,tests,result,duration_ms,declared_in',
+      'scenario,SMP-001,Scenario SMP-001,EP,tests/sample.test.js,1,passed,10,README.md',
+      'scenario,SMP-002,Scenario SMP-002,EP,tests/sample.test.js,0,missing,0,README.md',
+      'untraced-test,,Suite Untraced,,tests/sample.test.js,1,passed,10,'
+    ]);
+    expect(fs.readFileSync(files.markdown, 'utf8')).toMatch(/^# Traceability Matrix\n/);
+    expect(fs.readFileSync(files.html, 'utf8')).toContain('<h2>Tests without a scenario ID (1)</h2>');
+
+    const escaped = buildTraceabilityMatrix({}, [
+      testResult('SMP-001: Price "0", <b>bold</b> | piped')
+    ]);
+
+    expect(renderTraceabilityCsv(escaped)).toContain('scenario,SMP-001,"Price ""0"", <b>bold</b> | piped",');
+    expect(renderTraceabilityMarkdown(escaped)).toContain('| SMP-001 | Price "0", <b>bold</b> \\| piped |');
+    const html = renderTraceabilityHtml(escaped);
+    expect(html).toContain('<td>Price &quot;0&quot;, &lt;b&gt;bold&lt;/b&gt; | piped</td>');
+    expect(html).not.toContain('<b>bold</b>');
+  });
+
+  /**
+   * TRACE-007: Reporter builds the matrix from Jest results
+   *
+   * Test Design Technique: Integration Testing
+   * Expected Result: Aggregated results for this file turned into reports naming its scenarios; errors only warned
+   */
+  it('TRACE-007: Should write reports from aggregated Jest results', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fakestore-trace-'));
+    dirs.push(dir);
+    const reporter = new TraceabilityReporter({ rootDir: ROOT }, { outputDirectory: dir, outputName: 'run' });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      reporter.onRunComplete(new Set(), {
+        testResults: [{
+          testFilePath: path.join(ROOT, 'tests', 'traceability.test.js'),
+          testResults: [
+            { title: 'TRACE-001: Should read', ancestorTitles: ['Traceability Matrix'], fullName: 'x', status: 'passed', duration: 3 },
+            { title: 'TRACE-002: Should read', ancestorTitles: ['Traceability Matrix'], fullName: 'y', status: 'failed', duration: 4 }
+          ]
+        }]
+      });
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('7 scenario(s): 1 passed, 1 failed, 0 skipped, 5 without tests'));
+      const csv = fs.readFileSync(path.join(dir, 'run.csv'), 'utf8');
+      expect(csv).toContain('scenario,TRACE-002,Scenarios declared in test file comments,Positive Testing,tests/traceability.test.js,1,failed,4,');
+
+      reporter.onRunComplete(new Set(), { testResults: null });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Traceability matrix not written'));
+    } finally {
+      log.mockRestore();
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * User Endpoint Tests
+ * Test scenarios for the /users resource
+ *
+ * Implements the user management scenarios:
+ * - USER-001: Retrieve All Users (Positive Testing)
+ * - USER-002: Retrieve User with Valid ID (Positive Testing)
+ * - USER-003: Boundary Value - Minimum User ID (BVA)
+ * - USER-004: Boundary Value - Maximum User ID (BVA)
+ * - USER-005: User ID Just Above Maximum (BVA + Negative Testing)
+ * - USER-006: Invalid User ID Format (Negative Testing + Error Guessing)
+ * - USER-007: Create User with Valid Data (Positive Testing)
+ * - USER-008: Invalid Email Formats (Negative Testing + Error Guessing)
+ * - USER-009: Missing Address Parts (Negative Testing + EP)
+ * - USER-010: Malformed Phone Numbers (Negative Testing + Error Guessing)
+ * - USER-011: Update User with Valid Data (Positive Testing)
+ * - USER-012: Delete Existing User (Positive Testing)
+ * - USER-013: Delete Non-Existent User (Negative Testing)
+ */
+
+const apiClient = require('../utils/apiClient');
+const { statusCodes, validUserRange } = require('../config/environment');
+const { assertContentType, assertStringNotEmpty } = require('../utils/assertions');
+const { validateArrayResponse } = require('../utils/responseValidator');
+const {
+  generateUserData,
+  generateInvalidEmailUser,
+  generateIncompleteAddressUser,
+  generateMalformedPhoneUser,
+  getValidUserId
+} = require('../utils/testDataGenerator');
+const {
+  setupTestSuite,
+  teardownTestSuite,
+  logTest
+} = require('../utils/testHelpers');
+const { schemas } = require('../utils/schemaValidator');
+const { tolerateContractViolations } = require('../utils/contract');
+const testData = require('../data/testData');
+
+/**
+ * Assert the API either accepted an invalid user (mock behavior) or rejected it
+ * @param {object} res - Frisby response
+ * @param {string} description - What was invalid, for logging
+ */
+function expectAcceptedOrRejected(res, description) {
+  if (res.status === statusCodes.OK || res.status === statusCodes.CREATED) {
+    logTest(`Note: FakeStoreAPI accepts ${description} (mock behavior)`, 'warn');
+    expect(res.json).toHaveProperty('id');
+  } else {
+    expect([
+      statusCodes.BAD_REQUEST,
+      statusCodes.UNPROCESSABLE_ENTITY
+    ]).toContain(res.status);
+  }
+}
+
+describe('/users - User Management', () => {
+
+  // Setup before all tests
+  beforeAll(() => {
+    setupTestSuite('User Endpoint Tests');
+  });
+
+  // Teardown after all tests
+  afterAll(() => {
+    teardownTestSuite('User Endpoint Tests');
+  });
+
+  describe('GET /users', () => {
+
+    /**
+     * USER-001: Retrieve all users
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with users matching the nested user schema
+     */
+    it('USER-001: Should retrieve all users with valid structure', async () => {
+      return apiClient.getAllUsers()
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          validateArrayResponse(res, 1);
+          assertContentType(res, 'application/json');
+
+          expect(res.json).toMatchSchema(schemas.usersArray);
+
+          logTest(`Retrieved ${res.json.length} users`, 'success');
+        });
+    });
+
+    /**
+     * USER-002: Retrieve a user with a valid ID
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with name, address and geolocation objects
+     */
+    it('USER-002: Should retrieve user with valid ID and nested objects', async () => {
+      const userId = getValidUserId();
+
+      return apiClient.getUserById(userId)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          const user = res.json;
+          expect(user.id).toBe(userId);
+
+          expect(user.name).toMatchSchema(schemas.userName);
+          expect(user.address).toMatchSchema(schemas.address);
+          expect(user.address.geolocation).toMatchSchema(schemas.geolocation);
+          expect(user).toMatchSchema(schemas.user);
+
+          assertStringNotEmpty(user.email);
+          assertStringNotEmpty(user.username);
+        });
+    });
+
+    /**
+     * USER-003: Boundary Value - Minimum User ID
+     *
+     * Test Design Technique: Boundary Value Analysis
+     * Expected Result: 200 OK with user ID 1
+     */
+    it('USER-003: Should retrieve user with minimum ID (boundary value)', async () => {
+      return apiClient.getUserById(validUserRange.min)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json.id).toBe(validUserRange.min);
+        });
+    });
+
+    /**
+     * USER-004: Boundary Value - Maximum User ID
+     *
+     * Test Design Technique: Boundary Value Analysis
+     * Expected Result: 200 OK with user ID 10
+     */
+    it('USER-004: Should retrieve user with maximum ID (boundary value)', async () => {
+      return apiClient.getUserById(validUserRange.max)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json.id).toBe(validUserRange.max);
+        });
+    });
+
+    /**
+     * USER-005: User ID just above the maximum
+     *
+     * Test Design Technique: Boundary Value Analysis + Negative Testing
+     * Expected Result: 404 Not Found OR null response
+     */
+    it('USER-005: Should handle user ID just above maximum (boundary value)', async () => {
+      return apiClient.getUserById(validUserRange.max + 1)
+        .then((res) => {
+          // FakeStoreAPI returns null for non-existent users
+          if (res.status === statusCodes.OK) {
+            expect(res.json).toBeNull();
+          } else {
+            expect(res.status).toBe(statusCodes.NOT_FOUND);
+          }
+        });
+    });
+
+    /**
+     * USER-006: Invalid user ID format
+     *
+     * Test Design Technique: Negative Testing + Error Guessing
+     * Expected Result: 400 Bad Request OR 404 Not Found
+     */
+    it('USER-006: Should handle invalid user ID format gracefully', async () => {
+      return apiClient.getUserById('abc')
+        .then((res) => {
+          expect([
+            statusCodes.BAD_REQUEST,
+            statusCodes.NOT_FOUND
+          ]).toContain(res.status);
+        });
+    });
+
+    /**
+     * Additional Test: Limit users
+     */
+    it('Should return a limited number of users', async () => {
+      return apiClient.getAllUsers({ limit: 3 })
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json.length).toBe(3);
+        });
+    });
+  });
+
+  describe('POST /users', () => {
+
+    /**
+     * USER-007: Create user with valid data
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200/201 with new user ID
+     */
+    it('USER-007: Should create user with valid data', async () => {
+      const userData = testData.validUser;
+
+      expect(userData).toMatchSchema(schemas.createUser);
+
+      return apiClient.createUser(userData)
+        .then((res) => {
+          expect([statusCodes.OK, statusCodes.CREATED]).toContain(res.status);
+          expect(res.json).toHaveProperty('id');
+          expect(typeof res.json.id).toBe('number');
+          expect(res.json.email).toBe(userData.email);
+          expect(res.json.address).toEqual(userData.address);
+
+          logTest(`User created with ID: ${res.json.id}`, 'success');
+        });
+    });
+
+    /**
+     * Additional Test: Create user with generated data
+     */
+    it('Should create user with dynamically generated data', async () => {
+      const userData = generateUserData();
+
+      expect(userData).toMatchSchema(schemas.createUser);
+
+      return apiClient.createUser(userData)
+        .then((res) => {
+          expect([statusCodes.OK, statusCodes.CREATED]).toContain(res.status);
+          expect(res.json.username).toBe(userData.username);
+        });
+    });
+
+    /**
+     * USER-008: Invalid email formats
+     *
+     * Test Design Technique: Negative Testing + Error Guessing
+     * Expected Result: Schema rejects payload; API returns 400/422 OR accepts (mock)
+     */
+    describe('USER-008: Invalid email formats', () => {
+      testData.invalidEmails.forEach(email => {
+        it(`USER-008: Should handle invalid email "${email}"`, async () => {
+          const userData = generateInvalidEmailUser(email);
+
+          expect(userData).not.toMatchSchema(schemas.createUser);
+
+          return tolerateContractViolations(() => apiClient.createUser(userData)
+            .then((res) => expectAcceptedOrRejected(res, `invalid email "${email}"`)));
+        });
+      });
+    });
+
+    /**
+     * USER-009: Missing address parts
+     *
+     * Test Design Technique: Negative Testing + Equivalence Partitioning
+     * Expected Result: Schema rejects payload; API returns 400/422 OR accepts (mock)
+     */
+    describe('USER-009: Missing address parts', () => {
+      testData.addressFields.forEach(field => {
+        it(`USER-009: Should handle address without ${field}`, async () => {
+          const userData = generateIncompleteAddressUser(field);
+
+          expect(userData).not.toMatchSchema(schemas.createUser);
+
+          return tolerateContractViolations(() => apiClient.createUser(userData)
+            .then((res) => expectAcceptedOrRejected(res, `address without ${field}`)));
+        });
+      });
+    });
+
+    /**
+     * USER-010: Malformed phone numbers
+     *
+     * Test Design Technique: Negative Testing + Error Guessing
+     * Expected Result: Schema rejects payload; API returns 400/422 OR accepts (mock)
+     */
+    describe('USER-010: Malformed phone numbers', () => {
+      testData.malformedPhones.forEach(phone => {
+        it(`USER-010: Should handle malformed phone "${phone}"`, async () => {
+          const userData = generateMalformedPhoneUser(phone);
+
+          expect(userData).not.toMatchSchema(schemas.createUser);
+
+          return tolerateContractViolations(() => apiClient.createUser(userData)
+            .then((res) => expectAcceptedOrRejected(res, `malformed phone "${phone}"`)));
+        });
+      });
+    });
+  });
+
+  describe('PUT /users/{id}', () => {
+
+    /**
+     * USER-011: Update user with valid data
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with user ID unchanged and updated fields
+     */
+    it('USER-011: Should update user with valid data', async () => {
+      const userId = getValidUserId();
+      const updateData = testData.updateUser;
+
+      return apiClient.updateUser(userId, updateData)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json.id).toBe(userId);
+          expect(res.json.email).toBe(updateData.email);
+          expect(res.json.name).toEqual(updateData.name);
+          expect(res.json.address).toEqual(updateData.address);
+        });
+    });
+  });
+
+  describe('DELETE /users/{id}', () => {
+
+    /**
+     * USER-012: Delete existing user
+     *
+     * Test Design Technique: Positive Testing
+     * Expected Result: 200 OK with the deleted user
+     */
+    it('USER-012: Should delete existing user', async () => {
+      const userId = getValidUserId();
+
+      return apiClient.deleteUser(userId)
+        .expect('status', statusCodes.OK)
+        .then((res) => {
+          expect(res.json).toBeDefined();
+          if (res.json) {
+            expect(res.json.id).toBe(userId);
+          }
+        });
+    });
+
+    /**
+     * USER-013: Delete non-existent user
+     *
+     * Test Design Technique: Negative Testing
+     * Expected Result: 404 Not Found OR 200 with null (mock API behavior)
+     */
+    it('USER-013: Should handle deletion of non-existent user', async () => {
+      return apiClient.deleteUser(validUserRange.max + 100)
+        .then((res) => {
+          if (res.status === statusCodes.OK) {
+            expect(res.json).toBeNull();
+          } else {
+            expect(res.status).toBe(statusCodes.NOT_FOUND);
+          }
+        });
+    });
+  });
+});
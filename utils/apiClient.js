@@ -5,101 +5,425 @@
 
 const frisby = require('frisby');
 const { config, endpoints } = require('../config/environment');
+const { attachCassette } = require('./cassette');
+const { logTest, wait } = require('./testHelpers');
+const {
+  resolveRetryPolicy,
+  canRetry,
+  isNetworkError,
+  isRetryableStatus,
+  computeDelay
+} = require('./retryPolicy');
+const { createRequestTimer, recordTimings } = require('./timings');
+const { describeExchange, recordExchange } = require('./exchanges');
+const { recordHttpRetry } = require('./runSummary');
+
+/**
+ * Build an encoded query string from a parameter object
+ * @param {object} params - Query parameters (undefined/null values are skipped,
+ *   arrays become repeated keys)
+ * @returns {string} Query string including leading '?', or '' if empty
+ */
+function toQueryString(params = {}) {
+  const search = new URLSearchParams();
+  Object.keys(params).forEach(key => {
+    const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+    values
+      .filter(value => value !== undefined && value !== null)
+      .forEach(value => search.append(key, String(value)));
+  });
+  const query = search.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Methods sent without a request body
+ */
+const BODYLESS_METHODS = ['GET', 'DELETE'];
+
+/**
+ * Whether a value is a Promise (or Promise-like)
+ * @param {*} value - Any value
+ * @returns {boolean} True if value has a then() method
+ */
+function isThenable(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Run interceptor handlers in order, each receiving the previous result
+ * A handler may return a replacement value, nothing (keep the current value)
+ * or a Promise of either; the chain only goes async once a Promise appears.
+ * @param {array} handlers - Handler functions
+ * @param {*} value - Value passed to the first handler
+ * @param {...*} extra - Additional arguments passed to every handler
+ * @returns {*} Final value, or a Promise of it
+ */
+function runHandlers(handlers, value, ...extra) {
+  for (let i = 0; i < handlers.length; i++) {
+    const result = handlers[i](value, ...extra);
+    if (isThenable(result)) {
+      return result.then(next => runHandlers(handlers.slice(i + 1), next === undefined ? value : next, ...extra));
+    }
+    if (result !== undefined) {
+      value = result;
+    }
+  }
+  return value;
+}
 
 class ApiClient {
-  constructor() {
-    this.baseURL = config.baseURL;
+  /**
+   * @param {object} options - Client options
+   * @param {object|number|boolean} options.retry - Retry policy for requests that set none (default from config)
+   * @param {boolean} options.recordTimings - Add response timings to reports/endpoint-timings.json (default true)
+   */
+  constructor({ retry, recordTimings = true } = {}) {
+    this.authToken = null;
+    this.authEnabled = false;
+    this.interceptors = [];
+    this.defaultRetry = retry;
+    this.recordTimings = recordTimings;
+  }
+
+  /**
+   * Base URL of the API under test
+   * Read on every request so a URL resolved at startup (local server) applies
+   * @returns {string} Base URL
+   */
+  get baseURL() {
+    return config.baseURL;
   }
 
   /**
    * Build full URL from endpoint
    * @param {string} endpoint - API endpoint path
+   * @param {object} query - Query parameters to encode
    * @returns {string} Full URL
    */
-  buildUrl(endpoint) {
-    return `${this.baseURL}${endpoint}`;
+  buildUrl(endpoint, query = {}) {
+    return `${this.baseURL}${endpoint}${toQueryString(query)}`;
+  }
+
+  /**
+   * Build the URL handed to Frisby
+   * Frisby runs encodeURI() over string URLs, which would double-encode the
+   * already-encoded path segments and query string, so URLs are passed as URL objects.
+   * @param {string} endpoint - API endpoint path
+   * @param {object} query - Query parameters to encode
+   * @returns {URL} URL for Frisby
+   */
+  requestUrl(endpoint, query = {}) {
+    return new URL(this.buildUrl(endpoint, query));
+  }
+
+  /**
+   * Store the bearer token used for authenticated requests
+   * @param {string} token - Bearer token (JWT)
+   */
+  setAuthToken(token) {
+    this.authToken = token;
+  }
+
+  /**
+   * Attach the bearer token to every request by default (per-suite opt-in)
+   * @param {boolean} enabled - Whether requests are authenticated by default
+   */
+  useAuth(enabled = true) {
+    this.authEnabled = enabled;
+  }
+
+  /**
+   * Forget the bearer token and stop authenticating requests
+   */
+  clearAuth() {
+    this.authToken = null;
+    this.authEnabled = false;
+  }
+
+  /**
+   * Resolve request options, attaching an Authorization header when requested
+   * @param {object} options - Request options; `auth` may be true/false or a token string,
+   *   `query` is consumed by requestUrl(), `retry` by buildRequest()
+   * @returns {object} Options to pass to Frisby
+   * @throws {Error} If authentication is requested but no token is available
+   */
+  resolveOptions(options = {}) {
+    const { auth, query, retry, ...rest } = options;
+    const useAuth = auth === undefined ? this.authEnabled : auth !== false;
+    if (!useAuth) {
+      return rest;
+    }
+
+    const token = typeof auth === 'string' ? auth : this.authToken;
+    if (!token) {
+      throw new Error('Authenticated request requested but no token is available. Call auth.authenticate() first.');
+    }
+
+    return {
+      ...rest,
+      headers: {
+        ...rest.headers,
+        Authorization: `Bearer ${token}`
+      }
+    };
+  }
+
+  /**
+   * Register an interceptor for every request made through this client
+   * @param {object} interceptor - { request, response } handlers (either may be omitted)
+   *   request(request) may modify or replace the request description;
+   *   response(response, request) may modify or replace the Frisby response.
+   *   Both may return a Promise. Handlers run in registration order.
+   * @returns {Function} Call to remove the interceptor again
+   */
+  use(interceptor) {
+    if (!interceptor || (typeof interceptor.request !== 'function' && typeof interceptor.response !== 'function')) {
+      throw new TypeError('Interceptor must define a request and/or response function');
+    }
+
+    this.interceptors.push(interceptor);
+    return () => {
+      this.interceptors = this.interceptors.filter(registered => registered !== interceptor);
+    };
+  }
+
+  /**
+   * Remove every registered interceptor
+   */
+  clearInterceptors() {
+    this.interceptors = [];
+  }
+
+  /**
+   * Describe a request before it runs through the request interceptors
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {object} body - Request body (ignored for GET and DELETE)
+   * @param {object} options - Request options (`auth`, `query`, `retry`, `headers`, fetch params)
+   * @returns {object} { method, endpoint, query, body, headers, params, retry, meta }
+   */
+  buildRequest(method, endpoint, body, options = {}) {
+    const { headers = {}, ...params } = this.resolveOptions(options);
+    return {
+      method,
+      endpoint,
+      query: options.query || {},
+      body,
+      headers: { ...headers },
+      params,
+      retry: resolveRetryPolicy(options.retry === undefined ? this.defaultRetry : options.retry),
+      meta: {}
+    };
+  }
+
+  /**
+   * Send a request through the interceptor pipeline
+   * Stays synchronous unless a request interceptor returns a Promise, so
+   * spec._request is available immediately in the common case.
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {object} body - Request body (ignored for GET and DELETE)
+   * @param {object} options - Request options
+   * @returns {object} Frisby instance
+   */
+  request(method, endpoint, body, options = {}) {
+    const handlers = this.interceptors.filter(interceptor => interceptor.request)
+      .map(interceptor => interceptor.request);
+    const prepared = runHandlers(handlers, this.buildRequest(method, endpoint, body, options));
+    if (!isThenable(prepared)) {
+      return this.dispatch(prepared);
+    }
+
+    // Hand back a spec now; expectations chained onto it run after the real fetch
+    const spec = this.createSpec();
+    spec._fetch = prepared.then(request => {
+      const chained = spec._fetch;
+      const sent = this.dispatch(request, spec)._fetch;
+      spec._fetch = chained;
+      return sent;
+    });
+    return spec;
+  }
+
+  /**
+   * Hand an intercepted request to Frisby, with retries and response interceptors
+   * @param {object} request - Request description from buildRequest()
+   * @param {object} spec - Frisby spec to send it with
+   * @returns {object} Frisby instance
+   */
+  dispatch(request, spec = this.createSpec()) {
+    this.send(request, spec);
+    spec._fetch = this.retryFailures(request, spec);
+
+    const handlers = this.interceptors.filter(interceptor => interceptor.response)
+      .map(interceptor => interceptor.response);
+    return handlers.length > 0
+      ? spec.then(response => runHandlers(handlers, response, request))
+      : spec;
+  }
+
+  /**
+   * Send one attempt of a request
+   * The response carries `timings` ({ dns, connect, tls, ttfb, download, total } in ms)
+   * unless it was replayed from a cassette. The attempt is kept in the test's exchange history.
+   * @param {object} request - Request description from buildRequest()
+   * @param {object} spec - Frisby spec to send it with
+   * @returns {object} Frisby instance
+   */
+  send(request, spec) {
+    const timer = createRequestTimer();
+    const init = { agent: timer.agent, ...request.params };
+    if (Object.keys(request.headers).length > 0) {
+      init.headers = request.headers;
+    }
+    if (!BODYLESS_METHODS.includes(request.method)) {
+      init.body = request.body;
+    }
+
+    spec[request.method.toLowerCase()](this.requestUrl(request.endpoint, request.query), init)
+      .timeout(config.timeout);
+
+    spec._fetch = spec._fetch.then(response => {
+      const timings = timer.result();
+      if (timings) {
+        response.timings = timings;
+        if (this.recordTimings) {
+          recordTimings(request.method, request.endpoint, timings);
+        }
+      }
+      recordExchange(describeExchange(request, spec._request, response));
+      return response;
+    }, error => {
+      recordExchange(describeExchange(request, spec._request, null, error));
+      throw error;
+    });
+    return spec;
+  }
+
+  /**
+   * Re-send a request while it fails with a retryable status or network error
+   * The final response (or error) carries `retryCount`, the number of retries made.
+   * @param {object} request - Request description from buildRequest()
+   * @param {object} spec - Frisby spec holding the first attempt
+   * @returns {Promise} Resolves with the final Frisby response
+   */
+  retryFailures(request, spec) {
+    const policy = request.retry;
+    const maxRetries = canRetry(request.method, policy) ? policy.attempts : 0;
+    let retries = 0;
+
+    const retry = (reason) => {
+      retries += 1;
+      recordHttpRetry();
+      const delay = computeDelay(retries, policy);
+      logTest(`Retrying ${request.method} ${request.endpoint} after ${reason} (retry ${retries}/${maxRetries}, waiting ${delay}ms)`, 'warn');
+      return wait(delay).then(() => settle(this.send(request, this.createSpec())));
+    };
+
+    const settle = (attempt) => attempt._fetch.then(response => {
+      spec._request = attempt._request;
+      spec._response = response;
+      if (retries < maxRetries && isRetryableStatus(response.status, policy)) {
+        return retry(`status ${response.status}`);
+      }
+      response.retryCount = retries;
+      return response;
+    }, error => {
+      if (retries < maxRetries && isNetworkError(error)) {
+        return retry(error.message);
+      }
+      error.retryCount = retries;
+      throw error;
+    });
+
+    return settle(spec);
+  }
+
+  /**
+   * Create the Frisby spec for one request
+   * Routed through the current cassette when record/replay is active
+   * @returns {object} Frisby instance
+   */
+  createSpec() {
+    return frisby.use(attachCassette);
   }
 
   /**
    * GET request
    * @param {string} endpoint - API endpoint
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (`query` object is URL-encoded)
    * @returns {object} Frisby instance
    */
   get(endpoint, options = {}) {
-    return frisby
-      .get(this.buildUrl(endpoint), options)
-      .timeout(config.timeout);
+    return this.request('GET', endpoint, undefined, options);
   }
 
   /**
    * POST request
    * @param {string} endpoint - API endpoint
    * @param {object} body - Request body
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (`query` object is URL-encoded)
    * @returns {object} Frisby instance
    */
   post(endpoint, body, options = {}) {
-    return frisby
-      .post(this.buildUrl(endpoint), {
-        body: body,
-        ...options
-      })
-      .timeout(config.timeout);
+    return this.request('POST', endpoint, body, options);
   }
 
   /**
    * PUT request
    * @param {string} endpoint - API endpoint
    * @param {object} body - Request body
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (`query` object is URL-encoded)
    * @returns {object} Frisby instance
    */
   put(endpoint, body, options = {}) {
-    return frisby
-      .put(this.buildUrl(endpoint), {
-        body: body,
-        ...options
-      })
-      .timeout(config.timeout);
+    return this.request('PUT', endpoint, body, options);
   }
 
   /**
    * DELETE request
    * @param {string} endpoint - API endpoint
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (`query` object is URL-encoded)
    * @returns {object} Frisby instance
    */
   delete(endpoint, options = {}) {
-    return frisby
-      .delete(this.buildUrl(endpoint), options)
-      .timeout(config.timeout);
+    return this.request('DELETE', endpoint, undefined, options);
   }
 
   /**
    * PATCH request
    * @param {string} endpoint - API endpoint
    * @param {object} body - Request body
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (`query` object is URL-encoded)
    * @returns {object} Frisby instance
    */
   patch(endpoint, body, options = {}) {
-    return frisby
-      .patch(this.buildUrl(endpoint), {
-        body: body,
-        ...options
-      })
-      .timeout(config.timeout);
+    return this.request('PATCH', endpoint, body, options);
+  }
+
+  // Authentication methods
+
+  /**
+   * Log in and obtain a token
+   * @param {object} credentials - { username, password }
+   * @returns {object} Frisby instance
+   */
+  login(credentials) {
+    return this.post(endpoints.auth, credentials, { auth: false });
   }
 
   // Product-specific methods
   
   /**
    * Get all products
+   * @param {object} query - Optional query parameters
+   * @param {number} query.limit - Maximum number of products
+   * @param {string} query.sort - Sort order by ID ('asc' or 'desc')
    * @returns {object} Frisby instance
    */
-  getAllProducts() {
-    return this.get(endpoints.products);
+  getAllProducts({ limit, sort } = {}) {
+    return this.get(endpoints.products, { query: { limit, sort } });
   }
 
   /**
@@ -138,6 +462,150 @@ class ApiClient {
   deleteProduct(id) {
     return this.delete(endpoints.productById(id));
   }
+
+  // Category-specific methods
+
+  /**
+   * Get all product categories
+   * @returns {object} Frisby instance
+   */
+  getAllCategories() {
+    return this.get(endpoints.categories);
+  }
+
+  /**
+   * Get products in a category
+   * @param {string} category - Category name (URL-encoded into the path)
+   * @param {object} query - Optional query parameters
+   * @param {number} query.limit - Maximum number of products
+   * @param {string} query.sort - Sort order by ID ('asc' or 'desc')
+   * @returns {object} Frisby instance
+   */
+  getProductsByCategory(category, { limit, sort } = {}) {
+    return this.get(endpoints.productsByCategory(category), { query: { limit, sort } });
+  }
+
+  // Cart-specific methods
+
+  /**
+   * Get all carts
+   * @param {object} query - Optional query parameters
+   * @param {number} query.limit - Maximum number of carts
+   * @param {string} query.sort - Sort order by ID ('asc' or 'desc')
+   * @param {string} query.startdate - Earliest cart date (YYYY-MM-DD)
+   * @param {string} query.enddate - Latest cart date (YYYY-MM-DD)
+   * @returns {object} Frisby instance
+   */
+  getAllCarts({ limit, sort, startdate, enddate } = {}) {
+    return this.get(endpoints.carts, { query: { limit, sort, startdate, enddate } });
+  }
+
+  /**
+   * Get carts within a date range
+   * @param {string} startdate - Earliest cart date (YYYY-MM-DD)
+   * @param {string} enddate - Latest cart date (YYYY-MM-DD)
+   * @returns {object} Frisby instance
+   */
+  getCartsInDateRange(startdate, enddate) {
+    return this.getAllCarts({ startdate, enddate });
+  }
+
+  /**
+   * Get single cart by ID
+   * @param {number} id - Cart ID
+   * @returns {object} Frisby instance
+   */
+  getCartById(id) {
+    return this.get(endpoints.cartById(id));
+  }
+
+  /**
+   * Get all carts belonging to a user
+   * @param {number} userId - User ID
+   * @returns {object} Frisby instance
+   */
+  getCartsByUser(userId) {
+    return this.get(endpoints.cartsByUser(userId));
+  }
+
+  /**
+   * Create new cart
+   * @param {object} cartData - Cart data
+   * @returns {object} Frisby instance
+   */
+  createCart(cartData) {
+    return this.post(endpoints.carts, cartData);
+  }
+
+  /**
+   * Update cart
+   * @param {number} id - Cart ID
+   * @param {object} cartData - Updated cart data
+   * @returns {object} Frisby instance
+   */
+  updateCart(id, cartData) {
+    return this.put(endpoints.cartById(id), cartData);
+  }
+
+  /**
+   * Delete cart
+   * @param {number} id - Cart ID
+   * @returns {object} Frisby instance
+   */
+  deleteCart(id) {
+    return this.delete(endpoints.cartById(id));
+  }
+
+  // User-specific methods
+
+  /**
+   * Get all users
+   * @param {object} query - Optional query parameters
+   * @param {number} query.limit - Maximum number of users
+   * @param {string} query.sort - Sort order by ID ('asc' or 'desc')
+   * @returns {object} Frisby instance
+   */
+  getAllUsers({ limit, sort } = {}) {
+    return this.get(endpoints.users, { query: { limit, sort } });
+  }
+
+  /**
+   * Get single user by ID
+   * @param {number} id - User ID
+   * @returns {object} Frisby instance
+   */
+  getUserById(id) {
+    return this.get(endpoints.userById(id));
+  }
+
+  /**
+   * Create new user
+   * @param {object} userData - User data
+   * @returns {object} Frisby instance
+   */
+  createUser(userData) {
+    return this.post(endpoints.users, userData);
+  }
+
+  /**
+   * Update user
+   * @param {number} id - User ID
+   * @param {object} userData - Updated user data
+   * @returns {object} Frisby instance
+   */
+  updateUser(id, userData) {
+    return this.put(endpoints.userById(id), userData);
+  }
+
+  /**
+   * Delete user
+   * @param {number} id - User ID
+   * @returns {object} Frisby instance
+   */
+  deleteUser(id) {
+    return this.delete(endpoints.userById(id));
+  }
 }
 
 module.exports = new ApiClient();
+module.exports.ApiClient = ApiClient;
@@ -4,6 +4,7 @@
  */
 
 const { statusCodes } = require('../config/environment');
+const { decodeJwt } = require('./auth');
 
 /**
  * Assert status code
@@ -78,11 +79,14 @@ function assertProductData(actual, expected) {
 
 /**
  * Assert response time is acceptable
+ * Uses the total time measured by ApiClient (response.timings), falling back
+ * to Frisby's own measurement for responses sent outside ApiClient.
  * @param {object} response - Frisby response object
  * @param {number} maxTime - Maximum acceptable time in ms
  */
 function assertResponseTime(response, maxTime = 3000) {
-  const responseTime = response._fetchRes.elapsedTime || 0;
+  const responseTime = response.timings ? response.timings.total : response.responseTime;
+  expect(typeof responseTime).toBe('number');
   expect(responseTime).toBeLessThan(maxTime);
 }
 
@@ -141,6 +145,38 @@ function assertStringNotEmpty(str) {
   expect(str.trim()).not.toBe('');
 }
 
+/**
+ * Assert token is a well-formed JWT
+ * @param {string} token - JWT
+ * @param {string} expectedAlg - Expected signing algorithm
+ */
+function assertJwtStructure(token, expectedAlg = 'HS256') {
+  assertStringNotEmpty(token);
+  expect(token.split('.')).toHaveLength(3);
+
+  const { header, payload, signature } = decodeJwt(token);
+  expect(header.alg).toBe(expectedAlg);
+  expect(typeof payload).toBe('object');
+  assertStringNotEmpty(signature);
+}
+
+/**
+ * Assert JWT payload contains expected claims
+ * @param {string} token - JWT
+ * @param {object} expectedClaims - Claims that must be present with these values
+ */
+function assertJwtClaims(token, expectedClaims) {
+  const { payload } = decodeJwt(token);
+  expect(payload).toMatchObject(expectedClaims);
+
+  if (payload.iat !== undefined) {
+    expect(payload.iat * 1000).toBeLessThanOrEqual(Date.now() + 60000);
+  }
+  if (payload.exp !== undefined) {
+    expect(payload.exp * 1000).toBeGreaterThan(Date.now());
+  }
+}
+
 module.exports = {
   assertStatusCode,
   assertRequiredFields,
@@ -152,5 +188,7 @@ module.exports = {
   assertContentType,
   assertErrorResponse,
   assertInRange,
-  assertStringNotEmpty
+  assertStringNotEmpty,
+  assertJwtStructure,
+  assertJwtClaims
 };
@@ -0,0 +1,246 @@
+/**
+ * Authentication Utility
+ * Logs in via /auth/login, caches tokens and decodes JWT claims
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiClient = require('./apiClient');
+const { config, statusCodes } = require('../config/environment');
+const testData = require('../data/testData');
+
+/**
+ * Environment variable naming the test run the token cache files belong to
+ */
+const CACHE_RUN_ENV_VAR = 'FAKESTORE_AUTH_RUN';
+
+/**
+ * Token cache files of one run: fakestore-auth-<run>-<worker pid>.json
+ * @returns {string} File name prefix
+ */
+function cacheFilePrefix() {
+  return `fakestore-auth-${process.env[CACHE_RUN_ENV_VAR] || process.pid}-`;
+}
+
+/**
+ * Token cache file for this worker process
+ * Jest gives every test file a fresh module registry, so an in-memory cache
+ * alone would only last one file; the file keeps tokens for the whole worker
+ * until config/globalTeardown.js removes the run's files.
+ * @returns {string} File path
+ */
+function tokenCacheFile() {
+  return path.join(os.tmpdir(), `${cacheFilePrefix()}${process.pid}.json`);
+}
+
+/**
+ * In-memory view of the worker token cache
+ */
+let tokenCache = null;
+
+/**
+ * Error thrown when authentication fails or a token is malformed
+ */
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Get login credentials from .env (AUTH_USERNAME / AUTH_PASSWORD)
+ * Falls back to the public FakeStoreAPI demo account
+ * @returns {object} { username, password }
+ */
+function getCredentials() {
+  return {
+    username: process.env.AUTH_USERNAME || testData.authCredentials.username,
+    password: process.env.AUTH_PASSWORD || testData.authCredentials.password
+  };
+}
+
+/**
+ * Load the worker token cache
+ * @returns {object} Tokens keyed by baseURL, username and password hash
+ */
+function loadCache() {
+  if (tokenCache) {
+    return tokenCache;
+  }
+  // With cassettes, every file must log in itself so its cassette holds the login
+  if (config.cassetteMode !== 'passthrough') {
+    tokenCache = {};
+    return tokenCache;
+  }
+  try {
+    tokenCache = JSON.parse(fs.readFileSync(tokenCacheFile(), 'utf8'));
+  } catch (error) {
+    tokenCache = {};
+  }
+  return tokenCache;
+}
+
+/**
+ * Persist the worker token cache
+ * The file holds bearer tokens, so only the user running the tests may read it.
+ */
+function saveCache() {
+  if (config.cassetteMode !== 'passthrough') {
+    return;
+  }
+  fs.writeFileSync(tokenCacheFile(), JSON.stringify(tokenCache), { mode: 0o600 });
+}
+
+/**
+ * Publish the run ID to the Jest workers (called by config/globalSetup.js)
+ * Workers name their cache files after it, so the teardown can find them.
+ */
+function publishTokenCacheRun() {
+  process.env[CACHE_RUN_ENV_VAR] = String(process.pid);
+}
+
+/**
+ * Remove this run's token cache files (called by config/globalTeardown.js)
+ * @returns {number} Number of files removed
+ */
+function removeTokenCaches() {
+  const prefix = cacheFilePrefix();
+  const files = fs.readdirSync(os.tmpdir()).filter(file => file.startsWith(prefix) && file.endsWith('.json'));
+  files.forEach(file => fs.rmSync(path.join(os.tmpdir(), file), { force: true }));
+  return files.length;
+}
+
+/**
+ * Build cache key for a user against the current API
+ * The password is part of the key (as a hash), so a token is only reused for
+ * the credentials it was issued for.
+ * @param {string} username - Username
+ * @param {string} password - Password (omit for the prefix shared by all of the user's entries)
+ * @returns {string} Cache key
+ */
+function cacheKey(username, password) {
+  const prefix = `${config.baseURL}|${username}|`;
+  return password === undefined
+    ? prefix
+    : `${prefix}${crypto.createHash('sha256').update(String(password)).digest('hex')}`;
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - base64url encoded JSON
+ * @param {string} name - Segment name, for error messages
+ * @returns {object} Decoded object
+ */
+function decodeSegment(segment, name) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError(`Malformed JWT: ${name} is not base64url-encoded JSON`);
+  }
+}
+
+/**
+ * Decode a JWT without verifying its signature
+ * @param {string} token - JWT
+ * @returns {object} { header, payload, signature }
+ * @throws {AuthError} If the token is not a three-part JWT
+ */
+function decodeJwt(token) {
+  if (typeof token !== 'string') {
+    throw new AuthError(`Malformed JWT: expected a string, got ${typeof token}`);
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError(`Malformed JWT: expected 3 segments, got ${parts.length}`);
+  }
+
+  return {
+    header: decodeSegment(parts[0], 'header'),
+    payload: decodeSegment(parts[1], 'payload'),
+    signature: parts[2]
+  };
+}
+
+/**
+ * Check whether a token has expired (tokens without `exp` never expire)
+ * @param {string} token - JWT
+ * @returns {boolean} Whether the token is expired
+ */
+function isTokenExpired(token) {
+  const { payload } = decodeJwt(token);
+  return typeof payload.exp === 'number' && payload.exp * 1000 <= Date.now();
+}
+
+/**
+ * Log in and return the token, reusing a cached token for this worker
+ * The token is also stored on apiClient for `auth: true` requests.
+ * @param {object} credentials - { username, password } (defaults to .env)
+ * @returns {Promise} Resolves with the token
+ * @throws {AuthError} If login does not return a token
+ */
+async function authenticate(credentials = getCredentials()) {
+  const cache = loadCache();
+  const key = cacheKey(credentials.username, credentials.password);
+
+  let token = cache[key];
+  if (!token || isTokenExpired(token)) {
+    const res = await apiClient.login(credentials);
+    if (res.status !== statusCodes.OK || !res.json || !res.json.token) {
+      throw new AuthError(`Login failed for "${credentials.username}" with status ${res.status}`, res.status);
+    }
+
+    token = res.json.token;
+    cache[key] = token;
+    saveCache();
+  }
+
+  apiClient.setAuthToken(token);
+  return token;
+}
+
+/**
+ * Drop the cached token for a user (e.g. after a 401)
+ * @param {string} username - Username (defaults to .env user)
+ */
+function invalidateToken(username = getCredentials().username) {
+  const cache = loadCache();
+  const prefix = cacheKey(username);
+  Object.keys(cache).filter(key => key.startsWith(prefix)).forEach(key => {
+    delete cache[key];
+  });
+  saveCache();
+  apiClient.clearAuth();
+}
+
+/**
+ * Authenticate every request in the enclosing describe block
+ * Call inside describe(): registers beforeAll/afterAll hooks
+ * @param {object} credentials - { username, password } (defaults to .env)
+ */
+function useAuthentication(credentials) {
+  beforeAll(async () => {
+    await authenticate(credentials);
+    apiClient.useAuth(true);
+  });
+
+  afterAll(() => {
+    apiClient.clearAuth();
+  });
+}
+
+module.exports = {
+  AuthError,
+  getCredentials,
+  authenticate,
+  invalidateToken,
+  useAuthentication,
+  decodeJwt,
+  isTokenExpired,
+  publishTokenCacheRun,
+  removeTokenCaches
+};
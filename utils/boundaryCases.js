@@ -0,0 +1,387 @@
+/**
+ * Boundary and Partition Cases
+ * Labeled BVA and EP test cases derived from a Joi schema
+ *
+ * Every limit in the schema (min, max, greater, less, positive, negative,
+ * string and array lengths) yields a value just below, at and just above it;
+ * every field yields one value per wrong type, a missing-key case and, for
+ * uri/email/integer/date rules, a value outside the format. Each case carries
+ * the validity the schema implies, so a suite can run them through it.each
+ * and a constraint added to the schema gains its cases without new tests.
+ *
+ * Rules with no derivable boundary (pattern, custom) add no cases of their
+ * own; string lengths are not derived for fields that also carry a format.
+ */
+
+const { rulesOf } = require('./propertyTesting');
+
+/**
+ * One wrong-type value per Joi type, keyed by the type it stands for
+ */
+const WRONG_TYPES = {
+  string: { number: 12345, boolean: true, null: null, object: {} },
+  number: { string: 'abc', boolean: true, null: null, object: {} },
+  boolean: { string: 'abc', number: 12345, null: null, object: {} },
+  date: { string: 'not a date', boolean: true, null: null, object: {} },
+  array: { string: 'abc', number: 12345, null: null, object: {} },
+  object: { string: 'abc', number: 12345, null: null, array: [] }
+};
+
+/**
+ * Values outside a string format, keyed by rule
+ */
+const FORMAT_VIOLATIONS = {
+  uri: 'not a uri',
+  email: 'not-an-email'
+};
+
+/**
+ * Smallest step between two numbers the field can tell apart
+ * @param {object} rules - Number rules
+ * @returns {number} 1 for integers, 10^-precision otherwise (cents by default)
+ */
+function numberStep(rules) {
+  if (rules.integer) {
+    return 1;
+  }
+  return Math.pow(10, -(rules.precision ? rules.precision.limit : 2));
+}
+
+/**
+ * Add a multiple of the step without floating point noise
+ * @param {number} value - Start
+ * @param {number} step - Step
+ * @param {number} times - Steps to add (negative subtracts)
+ * @returns {number} Rounded result
+ */
+function offset(value, step, times) {
+  const decimals = step < 1 ? Math.round(-Math.log10(step)) : 0;
+  return Number((value + step * times).toFixed(decimals));
+}
+
+/**
+ * Numeric limits of a number description
+ * positive/negative count as an exclusive limit of 0.
+ * @param {object} rules - Number rules
+ * @returns {array} [{ name, text, limit, exclusive, lower }]
+ */
+function numberLimits(rules) {
+  const limits = [];
+  const sign = rules.sign ? rules.sign.sign : null;
+  if (rules.min) {
+    limits.push({ name: 'min', text: `min ${rules.min.limit}`, limit: rules.min.limit, exclusive: false, lower: true });
+  }
+  if (rules.greater) {
+    limits.push({ name: 'greater', text: `> ${rules.greater.limit}`, limit: rules.greater.limit, exclusive: true, lower: true });
+  }
+  if (sign === 'positive') {
+    limits.push({ name: 'positive', text: 'positive', limit: 0, exclusive: true, lower: true });
+  }
+  if (rules.max) {
+    limits.push({ name: 'max', text: `max ${rules.max.limit}`, limit: rules.max.limit, exclusive: false, lower: false });
+  }
+  if (rules.less) {
+    limits.push({ name: 'less', text: `< ${rules.less.limit}`, limit: rules.less.limit, exclusive: true, lower: false });
+  }
+  if (sign === 'negative') {
+    limits.push({ name: 'negative', text: 'negative', limit: 0, exclusive: true, lower: false });
+  }
+  return limits;
+}
+
+/**
+ * Whether a number satisfies every limit and the integer rule
+ * @param {number} value - Candidate
+ * @param {object} rules - Number rules
+ * @returns {boolean} True if valid
+ */
+function numberSatisfies(value, rules) {
+  if (rules.integer && !Number.isInteger(value)) {
+    return false;
+  }
+  return numberLimits(rules).every(({ limit, exclusive, lower }) => {
+    if (lower) {
+      return exclusive ? value > limit : value >= limit;
+    }
+    return exclusive ? value < limit : value <= limit;
+  });
+}
+
+/**
+ * Length limits of a string or array description
+ * @param {object} rules - String or array rules
+ * @returns {array} [{ name, text, limit }]
+ */
+function lengthLimits(rules) {
+  return ['min', 'length', 'max']
+    .filter(name => rules[name])
+    .map(name => ({ name, text: `${name === 'length' ? 'length' : `${name} length`} ${rules[name].limit}`, limit: rules[name].limit }));
+}
+
+/**
+ * Whether a length satisfies every length limit
+ * @param {number} length - Candidate length
+ * @param {object} rules - String or array rules
+ * @returns {boolean} True if valid
+ */
+function lengthSatisfies(length, rules) {
+  return (!rules.min || length >= rules.min.limit) &&
+    (!rules.max || length <= rules.max.limit) &&
+    (!rules.length || length === rules.length.limit);
+}
+
+/**
+ * Short printable form of a case value
+ * @param {*} value - Value
+ * @returns {string} Printable value
+ */
+function show(value) {
+  if (typeof value === 'string' && value.length > 12) {
+    return `"${value.slice(0, 3)}…" (${value.length} chars)`;
+  }
+  if (Array.isArray(value)) {
+    return `${value.length} item(s)`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Copy of the base with one path set or removed
+ * @param {*} base - Valid input
+ * @param {array} path - Keys and indexes
+ * @param {*} value - New value
+ * @param {boolean} remove - Delete the key instead of setting it
+ * @returns {*} New input
+ */
+function withValue(base, path, value, remove = false) {
+  if (path.length === 0) {
+    return value;
+  }
+  const copy = Array.isArray(base) ? base.slice() : { ...base };
+  const [key, ...rest] = path;
+  if (rest.length === 0) {
+    if (remove) {
+      delete copy[key];
+    } else {
+      copy[key] = value;
+    }
+    return copy;
+  }
+  copy[key] = withValue(copy[key], rest, value, remove);
+  return copy;
+}
+
+/**
+ * Printable field path
+ * @param {array} path - Keys and indexes
+ * @param {string} name - Name of the root value
+ * @returns {string} e.g. products[0].quantity
+ */
+function fieldName(path, name) {
+  if (path.length === 0) {
+    return name;
+  }
+  const root = typeof path[0] === 'number' ? name : '';
+  return path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : (text ? `${text}.${key}` : key)), root);
+}
+
+/**
+ * Cases for one number field
+ * @param {object} rules - Number rules
+ * @param {Function} make - (label, technique, rule, value, valid) => adds a case
+ */
+function numberCases(rules, make) {
+  const step = numberStep(rules);
+  numberLimits(rules).forEach(({ name, text, limit }) => {
+    [['just below', -1], ['at', 0], ['just above', 1]].forEach(([position, times]) => {
+      const value = offset(limit, step, times);
+      make(`${position} ${text}`, 'BVA', name, value, numberSatisfies(value, rules));
+    });
+  });
+  if (rules.integer) {
+    const limits = numberLimits(rules);
+    const inside = limits.length > 0 ? offset(limits[0].limit, 1, limits[0].lower ? 1 : -1) : 1;
+    make('not an integer', 'EP', 'integer', inside + 0.5, false);
+  }
+}
+
+/**
+ * Cases for one string field
+ * @param {object} rules - String rules
+ * @param {object} description - Joi describe() output
+ * @param {Function} make - (label, technique, rule, value, valid) => adds a case
+ */
+function stringCases(rules, description, make) {
+  const format = Object.keys(FORMAT_VIOLATIONS).find(name => rules[name]);
+  const allowsEmpty = (description.allow || []).includes('');
+  if (format) {
+    make(`not a valid ${format}`, 'EP', format, FORMAT_VIOLATIONS[format], false);
+  } else if (!rules.pattern) {
+    lengthLimits(rules).forEach(({ name, text, limit }) => {
+      [['just below', -1], ['at', 0], ['just above', 1]].forEach(([position, times]) => {
+        const length = limit + times;
+        if (length > 0) {
+          make(`${position} ${text}`, 'BVA', name, 'a'.repeat(length), lengthSatisfies(length, rules));
+        }
+      });
+    });
+  }
+  make('empty string', 'EP', 'empty', '', allowsEmpty);
+}
+
+/**
+ * Cases for one array field's length
+ * @param {object} rules - Array rules
+ * @param {array} current - Valid array from the base input
+ * @param {Function} make - (label, technique, rule, value, valid) => adds a case
+ */
+function arrayCases(rules, current, make) {
+  if (!Array.isArray(current) || current.length === 0) {
+    return;
+  }
+  lengthLimits(rules).forEach(({ name, text, limit }) => {
+    [['just below', -1], ['at', 0], ['just above', 1]].forEach(([position, times]) => {
+      const length = limit + times;
+      if (length >= 0) {
+        // Repeating items breaks unique(), so lengths past the base count as invalid there
+        const value = Array.from({ length }, (item, index) => current[index % current.length]);
+        make(`${position} ${text}`, 'BVA', name, value, lengthSatisfies(length, rules) && (!rules.unique || length <= current.length));
+      }
+    });
+  });
+}
+
+/**
+ * Case for an object key left out
+ * @param {array} path - Keys and indexes from the root
+ * @param {boolean} required - Whether the key is required
+ * @param {object} context - { base, name }
+ * @returns {object} Case
+ */
+function missingCase(path, required, context) {
+  const field = fieldName(path, context.name);
+  return {
+    label: `${field} missing${required ? '' : ' (optional)'}`,
+    technique: 'EP',
+    field,
+    rule: 'required',
+    value: undefined,
+    input: withValue(context.base, path, undefined, true),
+    valid: !required
+  };
+}
+
+/**
+ * Walk a description and collect cases for it and everything below it
+ * @param {object} description - Joi describe() output
+ * @param {array} path - Keys and indexes from the root
+ * @param {object} context - { base, name, cases }
+ */
+function collect(description, path, context) {
+  const rules = rulesOf(description);
+  const flags = description.flags || {};
+  const field = fieldName(path, context.name);
+  const current = path.reduce((value, key) => (value === undefined ? undefined : value[key]), context.base);
+  const make = (label, technique, rule, value, valid) => {
+    context.cases.push({
+      label: `${field} ${label} (${show(value)})`,
+      technique,
+      field,
+      rule,
+      value,
+      input: withValue(context.base, path, value),
+      valid
+    });
+  };
+
+  if (typeof path[path.length - 1] === 'string') {
+    context.cases.push(missingCase(path, flags.presence === 'required', context));
+  }
+
+  const allowed = description.allow || [];
+  Object.entries(WRONG_TYPES[description.type] || {}).forEach(([type, value]) => {
+    make(`as ${type}`, 'EP', 'type', value, allowed.some(item => item === value));
+  });
+
+  switch (description.type) {
+    case 'number':
+      numberCases(rules, make);
+      break;
+    case 'string':
+      stringCases(rules, description, make);
+      break;
+    case 'array':
+      arrayCases(rules, current, make);
+      if (Array.isArray(current) && current.length > 0 && description.items && description.items.length === 1) {
+        collect(description.items[0], [...path, 0], context);
+      }
+      break;
+    case 'object':
+      Object.entries(description.keys || {}).forEach(([key, child]) => {
+        const required = (child.flags || {}).presence === 'required';
+        if (current !== undefined && current !== null && current[key] !== undefined) {
+          collect(child, [...path, key], context);
+        } else if (required) {
+          throw new TypeError(`Base input is missing required field ${fieldName([...path, key], context.name)}`);
+        } else {
+          context.cases.push(missingCase([...path, key], required, context));
+        }
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Derive labeled BVA and EP cases from a Joi schema
+ * @param {object} schema - Joi schema
+ * @param {object} options - Options
+ * @param {*} options.base - Valid input the cases vary one field of (required for objects)
+ * @param {string} options.name - Name of the root value in labels (default: its Joi label, or "value")
+ * @param {array} options.fields - Only keep cases for these field paths
+ * @param {string} options.technique - Only keep 'BVA' or 'EP' cases
+ * @returns {array} [{ label, technique, field, rule, value, input, valid }]
+ * @throws {TypeError} If the base input lacks a required field
+ */
+function deriveCases(schema, { base, name, fields, technique } = {}) {
+  const description = schema.describe();
+  const context = {
+    base,
+    name: name || (description.flags || {}).label || 'value',
+    cases: []
+  };
+  collect(description, [], context);
+
+  const seen = new Set();
+  return context.cases.filter(testCase => {
+    const key = `${testCase.field}:${testCase.value === undefined ? 'missing' : JSON.stringify(testCase.value)}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return (!fields || fields.includes(testCase.field)) && (!technique || testCase.technique === technique);
+  });
+}
+
+/**
+ * Smallest and largest valid integer of a bounded integer schema
+ * @param {object} schema - Joi number schema with integer() and lower/upper limits
+ * @returns {object} { min, max }
+ * @throws {TypeError} If the schema is not a bounded integer
+ */
+function integerRange(schema) {
+  const rules = rulesOf(schema.describe());
+  const limits = numberLimits(rules);
+  const lower = limits.filter(limit => limit.lower).map(({ limit, exclusive }) => (exclusive ? Math.floor(limit) + 1 : Math.ceil(limit)));
+  const upper = limits.filter(limit => !limit.lower).map(({ limit, exclusive }) => (exclusive ? Math.ceil(limit) - 1 : Math.floor(limit)));
+  if (!rules.integer || lower.length === 0 || upper.length === 0) {
+    throw new TypeError('integerRange() needs an integer schema with a lower and an upper limit');
+  }
+  return { min: Math.max(...lower), max: Math.min(...upper) };
+}
+
+module.exports = {
+  deriveCases,
+  integerRange
+};
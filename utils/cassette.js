@@ -0,0 +1,403 @@
+/**
+ * Cassette Recorder
+ * VCR-style record/replay of ApiClient traffic to JSON fixture files
+ *
+ * Modes (config.cassetteMode / CASSETTE_MODE):
+ *   - passthrough:    Always hit the network, record nothing (default)
+ *   - record:         Always hit the network and rewrite the cassette
+ *   - replay:         Never hit the network; fail if no interaction matches
+ *   - record-missing: Replay matches, hit the network and record the rest
+ *
+ * Interactions are matched on method + URL (relative to baseURL) + body, so a
+ * cassette recorded against one host replays against any other. The run seed
+ * is saved with the interactions; config/jest.setup.js reuses it when
+ * replaying, so generated request bodies match the recorded ones.
+ *
+ * Cassettes are committed, so secrets never reach them: body fields and headers
+ * named in DEFAULT_REDACTED_FIELDS (utils/interceptors.js) are stored as
+ * [REDACTED], and requests are matched on that masked body. A JWT keeps its
+ * header and claims but loses its signature, so replayed tokens still decode
+ * but cannot be used against the API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const FrisbyResponse = require('frisby/src/frisby/response');
+const { config } = require('../config/environment');
+const { runSeed } = require('./random');
+
+const CASSETTE_MODES = ['record', 'replay', 'passthrough', 'record-missing'];
+
+/**
+ * Response headers that describe one connection rather than the resource
+ */
+const VOLATILE_HEADERS = ['date', 'connection', 'keep-alive', 'transfer-encoding', 'content-length', 'set-cookie'];
+
+/**
+ * Inserted cassettes, innermost last (see insertCassette / ejectCassette)
+ */
+const cassetteStack = [];
+
+/**
+ * Error thrown when a cassette cannot serve a request
+ */
+class CassetteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CassetteError';
+  }
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal JSON compares equal
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Shorten long values for error messages
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text, truncated with an ellipsis if needed
+ */
+function truncate(text, maxLength = 200) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Normalize a request body for storage and matching
+ * @param {string} body - Raw request body as sent
+ * @returns {*} Parsed JSON, the raw string if not JSON, or null if absent
+ */
+function normalizeBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return String(body);
+  }
+}
+
+/**
+ * Replacement for a secret stored in a cassette
+ * @param {*} value - Secret value
+ * @returns {string} JWT without its signature, or [REDACTED]
+ */
+function maskSecret(value) {
+  const parts = typeof value === 'string' ? value.split('.') : [];
+  return parts.length === 3 ? `${parts[0]}.${parts[1]}.REDACTED` : '[REDACTED]';
+}
+
+/**
+ * Mask the secrets in a body or headers object before it is matched or stored
+ * @param {*} value - Normalized body or headers
+ * @returns {*} Copy with DEFAULT_REDACTED_FIELDS masked
+ */
+function maskSecrets(value) {
+  // Required lazily: interceptors.js requires apiClient, which requires this module
+  const { redact, DEFAULT_REDACTED_FIELDS } = require('./interceptors');
+  return redact(value, DEFAULT_REDACTED_FIELDS, maskSecret);
+}
+
+/**
+ * Strip the configured base URL so cassettes are host-independent
+ * @param {string} url - Absolute request URL
+ * @returns {string} Path and query
+ */
+function relativeUrl(url) {
+  return config.baseURL && url.startsWith(config.baseURL) ? url.slice(config.baseURL.length) : url;
+}
+
+/**
+ * Whether a response body should be stored as JSON
+ * @param {object} headers - Response headers keyed by lower-case name
+ * @returns {boolean} True for JSON content types
+ */
+function isJsonContent(headers) {
+  return /json/.test(headers['content-type'] || '');
+}
+
+class Cassette {
+  /**
+   * @param {string} name - Cassette name (file name without extension)
+   * @param {object} options - Cassette options
+   * @param {string} options.mode - One of CASSETTE_MODES (defaults to config.cassetteMode)
+   * @param {string} options.dir - Cassette directory (defaults to config.cassetteDir)
+   */
+  constructor(name, { mode = config.cassetteMode, dir = config.cassetteDir } = {}) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new CassetteError(`Unknown cassette mode "${mode}". Use one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    this.name = name;
+    this.mode = mode;
+    this.filePath = path.resolve(__dirname, '..', dir, `${name}.json`);
+    this.exists = fs.existsSync(this.filePath);
+    const recorded = mode === 'record' || !this.exists ? { interactions: [] } : this.load();
+    this.interactions = recorded.interactions;
+    this.seed = recorded.seed === undefined ? null : recorded.seed;
+    this.played = new Set();
+    this.dirty = false;
+  }
+
+  /**
+   * Read the cassette file
+   * @returns {object} { interactions, seed }
+   * @throws {CassetteError} If the file is not a valid cassette
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new CassetteError(`Could not read cassette ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the cassette file if anything was recorded
+   */
+  save() {
+    if (!this.dirty) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, `${JSON.stringify({
+      name: this.name,
+      recordedAt: new Date().toISOString(),
+      seed: runSeed(),
+      interactions: this.interactions
+    }, null, 2)}\n`);
+    this.dirty = false;
+  }
+
+  /**
+   * Whether requests may reach the network
+   * @returns {boolean} True unless replaying only
+   */
+  get allowsNetwork() {
+    return this.mode !== 'replay';
+  }
+
+  /**
+   * Find the recorded interaction for a request
+   * Repeated identical requests replay their recordings in order, then keep
+   * replaying the last one.
+   * @param {object} request - { method, url, body } as stored in the cassette
+   * @returns {object|undefined} Matching interaction
+   */
+  find(request) {
+    if (this.mode === 'record') {
+      return undefined;
+    }
+
+    const body = canonicalJson(request.body);
+    const matches = this.interactions.filter(interaction =>
+      interaction.request.method === request.method &&
+      interaction.request.url === request.url &&
+      canonicalJson(interaction.request.body) === body);
+
+    const next = matches.find(interaction => !this.played.has(interaction)) || matches[matches.length - 1];
+    if (next) {
+      this.played.add(next);
+    }
+    return next;
+  }
+
+  /**
+   * Append an interaction
+   * @param {object} request - { method, url, body }
+   * @param {object} response - { status, statusText, headers, body }
+   */
+  record(request, response) {
+    const interaction = { request, response };
+    this.interactions.push(interaction);
+    this.played.add(interaction);
+    this.dirty = true;
+  }
+}
+
+/**
+ * Describe a request the way it is stored in a cassette (secrets masked)
+ * @param {object} fetchRequest - node-fetch Request built by Frisby
+ * @param {object} params - Fetch params passed to spec.fetch()
+ * @returns {object} { method, url, body }
+ */
+function describeRequest(fetchRequest, params) {
+  return {
+    method: fetchRequest.method,
+    url: relativeUrl(fetchRequest.url),
+    body: maskSecrets(normalizeBody(params.body))
+  };
+}
+
+/**
+ * Capture a live Frisby response for storage (secrets masked)
+ * @param {object} response - FrisbyResponse
+ * @returns {object} { status, statusText, headers, body }
+ */
+function describeResponse(response) {
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    if (!VOLATILE_HEADERS.includes(name)) {
+      headers[name] = value;
+    }
+  });
+
+  let body = response.body === '' ? null : response.body;
+  if (body !== null && isJsonContent(headers) && response.json !== undefined) {
+    body = response.json;
+  }
+
+  return {
+    status: response.status,
+    statusText: response._response.statusText,
+    headers: maskSecrets(headers),
+    body: maskSecrets(body)
+  };
+}
+
+/**
+ * Build a FrisbyResponse from a recorded interaction
+ * @param {object} recorded - Recorded response
+ * @param {string} url - Request URL
+ * @returns {object} FrisbyResponse
+ */
+function replayResponse(recorded, url) {
+  let text = '';
+  if (recorded.body !== null) {
+    text = isJsonContent(recorded.headers) ? JSON.stringify(recorded.body) : recorded.body;
+  }
+
+  const response = new FrisbyResponse(new fetch.Response(text, {
+    url,
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: recorded.headers
+  }));
+  response._responseTimeMs = 0;
+  response._body = text;
+  if (isJsonContent(recorded.headers) && recorded.status !== 204 && text.length > 0) {
+    response._json = JSON.parse(text);
+  }
+  response.replayed = true;
+  return response;
+}
+
+/**
+ * Get the innermost inserted cassette
+ * @returns {Cassette|null} Current cassette
+ */
+function currentCassette() {
+  return cassetteStack.length ? cassetteStack[cassetteStack.length - 1] : null;
+}
+
+/**
+ * Insert a cassette; ApiClient traffic goes through it until ejected
+ * @param {string} name - Cassette name
+ * @param {object} options - { mode, dir } (default to config)
+ * @returns {Cassette} Inserted cassette
+ */
+function insertCassette(name, options = {}) {
+  const cassette = new Cassette(name, options);
+  cassetteStack.push(cassette);
+  return cassette;
+}
+
+/**
+ * Eject the innermost cassette, saving new recordings
+ * @returns {Cassette|null} Ejected cassette
+ */
+function ejectCassette() {
+  const cassette = cassetteStack.pop() || null;
+  if (cassette) {
+    cassette.save();
+  }
+  return cassette;
+}
+
+/**
+ * Route ApiClient traffic in the enclosing describe block through a cassette
+ * Call inside describe(): registers beforeAll/afterAll hooks
+ * @param {string} name - Cassette name
+ * @param {object} options - { mode, dir } (default to config)
+ */
+function useCassette(name, options = {}) {
+  beforeAll(() => {
+    insertCassette(name, options);
+  });
+
+  afterAll(() => {
+    ejectCassette();
+  });
+}
+
+/**
+ * Frisby plugin: serve a spec from the current cassette
+ * Use as frisby.use(attachCassette); a no-op in passthrough mode.
+ * @param {object} spec - FrisbySpec
+ */
+function attachCassette(spec) {
+  const cassette = currentCassette();
+  if (!cassette || cassette.mode === 'passthrough') {
+    return;
+  }
+
+  const liveFetch = spec.fetch;
+  spec.fetch = function cassetteFetch(url, params = {}, options = {}) {
+    const fetchRequest = new fetch.Request(this._formatUrl(url, options.urlEncode), this._fetchParams(params));
+    const request = describeRequest(fetchRequest, params);
+
+    const interaction = cassette.find(request);
+    if (interaction) {
+      this._request = fetchRequest;
+      this._fetch = Promise.resolve(replayResponse(interaction.response, fetchRequest.url))
+        .then(response => {
+          this._response = response;
+          return response;
+        });
+      return this;
+    }
+
+    if (!cassette.allowsNetwork) {
+      const reason = cassette.exists ? 'has no matching interaction' : 'does not exist';
+      throw new CassetteError(
+        `Cassette "${cassette.name}" ${reason} for ${request.method} ${request.url}` +
+        `${request.body === null ? '' : ` with body ${truncate(canonicalJson(request.body))}`}\n` +
+        `  File: ${cassette.filePath}\n` +
+        '  Re-record with CASSETTE_MODE=record or CASSETTE_MODE=record-missing'
+      );
+    }
+
+    liveFetch.call(this, url, params, options);
+    this._fetch = this._fetch.then(response => {
+      cassette.record(request, describeResponse(response));
+      return response;
+    });
+    return this;
+  };
+}
+
+module.exports = {
+  CASSETTE_MODES,
+  Cassette,
+  CassetteError,
+  attachCassette,
+  currentCassette,
+  insertCassette,
+  ejectCassette,
+  useCassette
+};
@@ -0,0 +1,370 @@
+/**
+ * Test Case Catalog
+ * Scenarios described in JSON or YAML files and turned into Jest tests
+ *
+ * Every file in config.catalogDir (default data/catalog) holds a list of
+ * cases: an id, a title, the test design technique, tags, the request to send
+ * and the expected status, response schema and field values. describeCatalog()
+ * sends each request through ApiClient and checks the response with the Joi
+ * schemas in utils/schemaValidator.js, so a new scenario needs no JavaScript.
+ *
+ * Run `node utils/catalog.js` to validate the catalog without sending requests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { config, endpoints } = require('../config/environment');
+const { schemas, validateSchema } = require('./schemaValidator');
+const { tolerateContractViolations } = require('./contract');
+const testData = require('../data/testData');
+
+const CATALOG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Test design techniques a case may name (as in the README scenario tables)
+ */
+const TECHNIQUES = [
+  'Positive Testing',
+  'Negative Testing',
+  'BVA',
+  'EP',
+  'Error Guessing',
+  'Decision Table',
+  'State Transition'
+];
+
+/**
+ * Operators a field assertion may use instead of a plain expected value
+ */
+const FIELD_OPERATORS = ['equals', 'type', 'min', 'max', 'greaterThan', 'lessThan', 'matches', 'oneOf', 'exists', 'length'];
+
+const statusCode = Joi.number().integer().min(100).max(599);
+
+/**
+ * Shape of one catalog case
+ */
+const catalogCaseSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Z][A-Z0-9]*-\d+$/).required(),
+  title: Joi.string().required(),
+  technique: Joi.array().items(Joi.string().valid(...TECHNIQUES)).single().min(1).required(),
+  tags: Joi.array().items(Joi.string()).default([]),
+  request: Joi.object({
+    method: Joi.string().uppercase().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE').default('GET'),
+    endpoint: Joi.string().valid(...Object.keys(endpoints)),
+    params: Joi.array().items(Joi.string(), Joi.number()).single().default([]),
+    path: Joi.string().pattern(/^\//),
+    query: Joi.object().pattern(Joi.string(), [Joi.string(), Joi.number(), Joi.boolean()]),
+    headers: Joi.object().pattern(Joi.string(), Joi.string()),
+    body: Joi.any(),
+    bodyRef: Joi.string()
+  }).xor('endpoint', 'path').oxor('body', 'bodyRef').required(),
+  expect: Joi.object({
+    status: Joi.array().items(statusCode).single().min(1).required(),
+    schema: Joi.string().valid(...Object.keys(schemas)),
+    fields: Joi.object().pattern(Joi.string(), Joi.any())
+  }).required()
+});
+
+/**
+ * Error thrown for catalog files or cases that cannot be used
+ */
+class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogError';
+  }
+}
+
+/**
+ * Read one catalog file
+ * @param {string} file - JSON or YAML file holding a list of cases
+ * @returns {array} Cases, validated, with defaults applied and `file` set
+ * @throws {CatalogError} If the file cannot be parsed or a case is invalid
+ */
+function loadCatalogFile(file) {
+  const name = path.basename(file);
+  let cases;
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    cases = file.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new CatalogError(`Cannot read catalog ${name}: ${error.message}`);
+  }
+  if (!Array.isArray(cases)) {
+    throw new CatalogError(`Catalog ${name} must contain a list of cases`);
+  }
+
+  return cases.map((testCase, index) => {
+    const { value, error } = catalogCaseSchema.validate(testCase, { abortEarly: false });
+    if (error) {
+      const label = testCase && testCase.id ? testCase.id : `case ${index + 1}`;
+      throw new CatalogError(`Invalid ${label} in ${name}: ${error.message}`);
+    }
+    if (value.request.bodyRef && readPath(testData, value.request.bodyRef) === undefined) {
+      throw new CatalogError(`Invalid ${value.id} in ${name}: bodyRef "${value.request.bodyRef}" is not in data/testData.js`);
+    }
+    return { ...value, file: name };
+  });
+}
+
+/**
+ * Read every catalog file in a directory
+ * @param {string} dir - Catalog directory (default config.catalogDir)
+ * @returns {array} Cases from all files, in file name order
+ * @throws {CatalogError} If a file or case is invalid, or two cases share an id
+ */
+function loadCatalog(dir = path.resolve(process.cwd(), config.catalogDir)) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = fs.readdirSync(dir)
+    .filter(file => CATALOG_EXTENSIONS.includes(path.extname(file)))
+    .sort();
+
+  const cases = files.flatMap(file => loadCatalogFile(path.join(dir, file)));
+  const seen = {};
+  cases.forEach(testCase => {
+    if (seen[testCase.id]) {
+      throw new CatalogError(`Duplicate case id ${testCase.id} in ${seen[testCase.id]} and ${testCase.file}`);
+    }
+    seen[testCase.id] = testCase.file;
+  });
+  return cases;
+}
+
+/**
+ * Cases carrying at least one of the tags
+ * @param {array} cases - Catalog cases
+ * @param {array} tags - Tags to keep (empty keeps everything)
+ * @returns {array} Selected cases
+ */
+function selectCases(cases, tags = config.catalogTags) {
+  if (!tags || tags.length === 0) {
+    return cases;
+  }
+  return cases.filter(testCase => testCase.tags.some(tag => tags.includes(tag)));
+}
+
+/**
+ * Value at a path such as "rating.rate", "[0].id" or "products.length"
+ * @param {*} value - Root value
+ * @param {string} fieldPath - Dotted path with [n] for array items
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+function readPath(value, fieldPath) {
+  return fieldPath.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)
+    .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+/**
+ * Method, endpoint and body of a case's request
+ * @param {object} request - Case request
+ * @returns {object} { method, endpoint, body, options }
+ */
+function resolveRequest(request) {
+  const target = endpoints[request.endpoint];
+  const endpoint = request.path || (typeof target === 'function' ? target(...request.params) : target);
+  const body = request.bodyRef ? readPath(testData, request.bodyRef) : request.body;
+  const options = {};
+  if (request.query) {
+    options.query = request.query;
+  }
+  if (request.headers) {
+    options.headers = request.headers;
+  }
+  return { method: request.method, endpoint, body, options };
+}
+
+/**
+ * JSON type name used by the "type" operator
+ * @param {*} value - Any value
+ * @returns {string} null, array, integer, number, string, boolean, object or undefined
+ */
+function typeName(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Failures of one field assertion
+ * A plain value is compared for equality; an object made only of operators
+ * ({ min: 0, type: 'number' }) checks each operator.
+ * @param {string} field - Field path
+ * @param {*} actual - Value in the response
+ * @param {*} expected - Expected value or operator object
+ * @returns {array} Failure messages
+ */
+function checkField(field, actual, expected) {
+  const isOperators = expected !== null && typeof expected === 'object' && !Array.isArray(expected) &&
+    Object.keys(expected).length > 0 && Object.keys(expected).every(key => FIELD_OPERATORS.includes(key));
+  const operators = isOperators ? expected : { equals: expected };
+  const shown = JSON.stringify(actual);
+  const failures = [];
+
+  Object.entries(operators).forEach(([operator, operand]) => {
+    const fail = text => failures.push(`${field}: ${text} (got ${shown === undefined ? 'nothing' : shown})`);
+    switch (operator) {
+      case 'equals':
+        if (JSON.stringify(actual) !== JSON.stringify(operand)) {
+          fail(`expected ${JSON.stringify(operand)}`);
+        }
+        break;
+      case 'type': {
+        const actualType = typeName(actual);
+        if (actualType !== operand && !(operand === 'number' && actualType === 'integer')) {
+          fail(`expected type ${operand}`);
+        }
+        break;
+      }
+      case 'min':
+        if (!(actual >= operand)) {
+          fail(`expected at least ${operand}`);
+        }
+        break;
+      case 'max':
+        if (!(actual <= operand)) {
+          fail(`expected at most ${operand}`);
+        }
+        break;
+      case 'greaterThan':
+        if (!(actual > operand)) {
+          fail(`expected more than ${operand}`);
+        }
+        break;
+      case 'lessThan':
+        if (!(actual < operand)) {
+          fail(`expected less than ${operand}`);
+        }
+        break;
+      case 'matches':
+        if (typeof actual !== 'string' || !new RegExp(operand).test(actual)) {
+          fail(`expected to match /${operand}/`);
+        }
+        break;
+      case 'oneOf':
+        if (!operand.some(option => JSON.stringify(option) === JSON.stringify(actual))) {
+          fail(`expected one of ${JSON.stringify(operand)}`);
+        }
+        break;
+      case 'exists':
+        if ((actual !== undefined) !== operand) {
+          fail(operand ? 'expected to be present' : 'expected to be absent');
+        }
+        break;
+      case 'length':
+        if (actual === null || actual === undefined || actual.length !== operand) {
+          fail(`expected length ${operand}`);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+  return failures;
+}
+
+/**
+ * Everything a response does wrong against a case's expectations
+ * The schema and fields describe a successful response, so they are only
+ * checked when the status is 2xx.
+ * @param {object} expected - Case `expect` block
+ * @param {object} response - { status, json }
+ * @returns {array} Failure messages (empty when the response is as expected)
+ */
+function evaluateResponse(expected, response) {
+  if (!expected.status.includes(response.status)) {
+    return [`status: expected ${expected.status.join(' or ')} (got ${response.status})`];
+  }
+  if (response.status < 200 || response.status >= 300) {
+    return [];
+  }
+
+  const failures = [];
+  if (expected.schema) {
+    const { error } = validateSchema(response.json, schemas[expected.schema]);
+    if (error) {
+      failures.push(`schema ${expected.schema}: ${error.message}`);
+    }
+  }
+  Object.entries(expected.fields || {}).forEach(([field, value]) => {
+    failures.push(...checkField(field, readPath(response.json, field), value));
+  });
+  return failures;
+}
+
+/**
+ * Send a case's request and check the response
+ * @param {object} testCase - Catalog case
+ * @param {object} client - ApiClient
+ * @returns {Promise} Resolves with { response, failures }
+ */
+async function runCatalogCase(testCase, client) {
+  const { method, endpoint, body, options } = resolveRequest(testCase.request);
+  const response = await client.request(method, endpoint, body, options);
+  return { response, failures: evaluateResponse(testCase.expect, response) };
+}
+
+/**
+ * Define one Jest test per catalog case, grouped by file
+ * Test names are "<id>: <title> (<technique>)", so -t "<id>" runs one case.
+ * Negative Testing cases tolerate contract violations (see tolerateContractViolations()).
+ * @param {array} cases - Catalog cases (default: loadCatalog())
+ * @param {object} options - Options
+ * @param {object} options.client - ApiClient (default: the shared instance)
+ * @param {array} options.tags - Only define cases with one of these tags (default config.catalogTags)
+ */
+function describeCatalog(cases = loadCatalog(), { client = require('./apiClient'), tags = config.catalogTags } = {}) {
+  const selected = selectCases(cases, tags);
+  const files = [...new Set(selected.map(testCase => testCase.file))];
+
+  files.forEach(file => {
+    describe(`Catalog: ${file}`, () => {
+      selected.filter(testCase => testCase.file === file).forEach(testCase => {
+        it(`${testCase.id}: ${testCase.title} (${testCase.technique.join(', ')})`, async () => {
+          const run = () => runCatalogCase(testCase, client);
+          const { failures } = await (testCase.technique.includes('Negative Testing') ? tolerateContractViolations(run) : run());
+          expect(failures).toEqual([]);
+        });
+      });
+    });
+  });
+}
+
+module.exports = {
+  TECHNIQUES,
+  FIELD_OPERATORS,
+  CatalogError,
+  loadCatalogFile,
+  loadCatalog,
+  selectCases,
+  readPath,
+  resolveRequest,
+  evaluateResponse,
+  runCatalogCase,
+  describeCatalog
+};
+
+if (require.main === module) {
+  try {
+    const cases = loadCatalog();
+    const byFile = {};
+    cases.forEach(testCase => {
+      byFile[testCase.file] = (byFile[testCase.file] || 0) + 1;
+    });
+    Object.entries(byFile).forEach(([file, count]) => console.log(`${file}: ${count} case(s)`));
+    console.log(`Catalog OK: ${cases.length} case(s) in ${config.catalogDir}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
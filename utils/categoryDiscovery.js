@@ -0,0 +1,70 @@
+/**
+ * Category Discovery
+ * Fetches the live category list once per run and shares it with every worker
+ *
+ * config/globalSetup.js calls discoverCategories() before any worker starts
+ * and publishes the result through an environment variable, which Jest
+ * workers inherit. Test files read it synchronously via getCategories(), so
+ * data-driven suites can build their it() cases from it at collection time.
+ */
+
+const { schemas, validateSchema } = require('./schemaValidator');
+const testData = require('../data/testData');
+
+const CATEGORIES_ENV_VAR = 'FAKESTORE_CATEGORIES';
+
+/**
+ * Fetch and validate the category list from the API
+ * @returns {Promise} Resolves with an array of category names
+ * @throws {Error} If the request fails or the response is not a category list
+ */
+async function discoverCategories() {
+  // Required lazily so getCategories() stays usable without the HTTP stack
+  const apiClient = require('./apiClient');
+  const res = await apiClient.getAllCategories();
+
+  if (res.status !== 200) {
+    throw new Error(`Category discovery failed with status ${res.status}`);
+  }
+
+  const { error } = validateSchema(res.json, schemas.categories);
+  if (error) {
+    throw new Error(`Category discovery returned an invalid list: ${error.message}`);
+  }
+
+  return res.json;
+}
+
+/**
+ * Publish discovered categories for this run
+ * @param {array} categories - Category names
+ */
+function publishCategories(categories) {
+  process.env[CATEGORIES_ENV_VAR] = JSON.stringify(categories);
+}
+
+/**
+ * Whether categories were discovered for this run
+ * @returns {boolean} True if discovery succeeded
+ */
+function hasDiscoveredCategories() {
+  return Boolean(process.env[CATEGORIES_ENV_VAR]);
+}
+
+/**
+ * Get the categories to test against
+ * Falls back to testData.categories when discovery did not run or failed
+ * @returns {array} Category names
+ */
+function getCategories() {
+  const published = process.env[CATEGORIES_ENV_VAR];
+  return published ? JSON.parse(published) : [...testData.categories];
+}
+
+module.exports = {
+  CATEGORIES_ENV_VAR,
+  discoverCategories,
+  publishCategories,
+  hasDiscoveredCategories,
+  getCategories
+};
@@ -0,0 +1,530 @@
+/**
+ * Contract Validation
+ * Checks every ApiClient response against an OpenAPI document: path, method,
+ * status code, content type and body schema
+ *
+ * Modes (config.contractMode, or useContractMode() per suite):
+ *   off    - no validation (default)
+ *   warn   - violations are logged after each test
+ *   strict - a test that received a violating response fails
+ *
+ * The document defaults to docs/openapi.json (config.contractSpec), generated
+ * from the Joi schemas by utils/openApi.js. Like Joi, numeric strings are
+ * accepted where a number is documented (FakeStoreAPI sends coordinates as
+ * strings).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { config } = require('../config/environment');
+const { logTest } = require('./testHelpers');
+
+const CONTRACT_MODES = ['off', 'warn', 'strict'];
+
+/**
+ * Violations collected since the last report
+ */
+let violations = [];
+
+/**
+ * Mode set by useContractMode(), overriding config.contractMode
+ */
+let modeOverride = null;
+
+/**
+ * Loaded documents, keyed by resolved file path
+ */
+const loadedContracts = {};
+
+/**
+ * Error thrown when a contract cannot be loaded, or for violations in strict mode
+ */
+class ContractError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContractError';
+  }
+}
+
+/**
+ * Readable name of a value's JSON type
+ * @param {*} value - Any value
+ * @returns {string} null, array, object, string, number or boolean
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Join a field path, e.g. ("rating", "rate") -> "rating.rate", ("", 0) -> "[0]"
+ * @param {string} location - Parent path ('' at the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path
+ */
+function childPath(location, key) {
+  if (typeof key === 'number') {
+    return `${location}[${key}]`;
+  }
+  return location ? `${location}.${key}` : key;
+}
+
+/**
+ * Check a string against an OpenAPI format
+ * @param {string} format - email, uri, date or date-time (others pass)
+ * @param {string} value - String value
+ * @returns {boolean} True if the value matches
+ */
+function matchesFormat(format, value) {
+  switch (format) {
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    case 'uri':
+      try {
+        return Boolean(new URL(value));
+      } catch (error) {
+        return false;
+      }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    case 'date-time':
+      return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Contract loaded from an OpenAPI document
+ */
+class Contract {
+  /**
+   * @param {object} document - Parsed OpenAPI 3 document
+   * @param {string} file - Source file, for messages
+   */
+  constructor(document, file = '<inline>') {
+    this.document = document;
+    this.file = file;
+    // Literal paths before templated ones, so /products/categories wins over /products/{id}
+    this.routes = Object.keys(document.paths || {})
+      .map(template => ({
+        template,
+        params: (template.match(/\{[^}]+\}/g) || []).length,
+        pattern: new RegExp(`^${template
+          .split(/\{[^}]+\}/)
+          .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[^/]+')}/?$`)
+      }))
+      .sort((a, b) => a.params - b.params);
+  }
+
+  /**
+   * Find the documented path for an endpoint
+   * @param {string} endpoint - Request path, e.g. /products/7
+   * @returns {string|null} Path template, e.g. /products/{id}
+   */
+  matchPath(endpoint) {
+    const pathname = endpoint.split('?')[0];
+    const route = this.routes.find(candidate => candidate.pattern.test(pathname));
+    return route ? route.template : null;
+  }
+
+  /**
+   * Resolve a local $ref
+   * @param {object} schema - Schema that may be a { $ref }
+   * @returns {object} Referenced schema
+   * @throws {ContractError} If the reference does not resolve
+   */
+  resolve(schema) {
+    if (!schema || !schema.$ref) {
+      return schema;
+    }
+    const target = schema.$ref.replace(/^#\//, '').split('/')
+      .reduce((node, segment) => (node ? node[segment] : undefined), this.document);
+    if (!target) {
+      throw new ContractError(`Unresolved $ref ${schema.$ref} in ${this.file}`);
+    }
+    return this.resolve(target);
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {object} schema - OpenAPI schema object
+   * @param {*} value - Value to check
+   * @param {string} location - Field path ('' at the root)
+   * @returns {array} Problems as "<path>: <message>"
+   */
+  checkSchema(schema, value, location = '') {
+    const resolved = this.resolve(schema) || {};
+    const at = location || '(root)';
+    const problems = [];
+
+    if (value === null) {
+      return resolved.nullable || !resolved.type ? [] : [`${at}: expected ${resolved.type}, got null`];
+    }
+
+    if (resolved.oneOf) {
+      const matches = resolved.oneOf.filter(option => this.checkSchema(option, value, location).length === 0).length;
+      if (matches !== 1) {
+        problems.push(`${at}: matches ${matches} of ${resolved.oneOf.length} oneOf schemas`);
+      }
+    }
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      problems.push(`${at}: ${JSON.stringify(value)} is not one of ${JSON.stringify(resolved.enum)}`);
+    }
+
+    switch (resolved.type) {
+      case 'object':
+        return problems.concat(this.checkObject(resolved, value, location));
+      case 'array':
+        return problems.concat(this.checkArray(resolved, value, location));
+      case 'string':
+        return problems.concat(this.checkString(resolved, value, at));
+      case 'number':
+      case 'integer':
+        return problems.concat(this.checkNumber(resolved, value, at));
+      case 'boolean':
+        return typeof value === 'boolean' ? problems : problems.concat(`${at}: expected boolean, got ${typeOf(value)}`);
+      default:
+        return problems;
+    }
+  }
+
+  /**
+   * Validate an object: type, required and undocumented fields, properties
+   * @param {object} schema - Resolved object schema
+   * @param {*} value - Value to check
+   * @param {string} location - Field path
+   * @returns {array} Problems
+   */
+  checkObject(schema, value, location) {
+    if (typeOf(value) !== 'object') {
+      return [`${location || '(root)'}: expected object, got ${typeOf(value)}`];
+    }
+
+    const properties = schema.properties || {};
+    const problems = [];
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        problems.push(`${childPath(location, key)}: missing required field`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        problems.push(...this.checkSchema(properties[key], value[key], childPath(location, key)));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${childPath(location, key)}: undocumented field`);
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * Validate an array: type, size, uniqueness and items
+   * @param {object} schema - Resolved array schema
+   * @param {*} value - Value to check
+   * @param {string} location - Field path
+   * @returns {array} Problems
+   */
+  checkArray(schema, value, location) {
+    const at = location || '(root)';
+    if (!Array.isArray(value)) {
+      return [`${at}: expected array, got ${typeOf(value)}`];
+    }
+
+    const problems = [];
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${at}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${at}: expected at most ${schema.maxItems} item(s), got ${value.length}`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      problems.push(`${at}: items are not unique`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...this.checkSchema(schema.items, item, childPath(location, index))));
+    }
+    return problems;
+  }
+
+  /**
+   * Validate a string: type, length, pattern and format
+   * @param {object} schema - Resolved string schema
+   * @param {*} value - Value to check
+   * @param {string} at - Field path for messages
+   * @returns {array} Problems
+   */
+  checkString(schema, value, at) {
+    if (typeof value !== 'string') {
+      return [`${at}: expected string, got ${typeOf(value)}`];
+    }
+
+    const problems = [];
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${at}: shorter than ${schema.minLength} character(s)`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${at}: longer than ${schema.maxLength} character(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push(`${at}: ${JSON.stringify(value)} does not match /${schema.pattern}/`);
+    }
+    if (schema.format && !matchesFormat(schema.format, value)) {
+      problems.push(`${at}: ${JSON.stringify(value)} is not a valid ${schema.format}`);
+    }
+    return problems;
+  }
+
+  /**
+   * Validate a number: type (numeric strings accepted), integer and range
+   * @param {object} schema - Resolved number/integer schema
+   * @param {*} value - Value to check
+   * @param {string} at - Field path for messages
+   * @returns {array} Problems
+   */
+  checkNumber(schema, value, at) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || Number.isNaN(number)) {
+      return [`${at}: expected ${schema.type}, got ${typeOf(value)}`];
+    }
+
+    const problems = [];
+    if (schema.type === 'integer' && !Number.isInteger(number)) {
+      problems.push(`${at}: expected integer, got ${number}`);
+    }
+    if (schema.minimum !== undefined) {
+      const tooLow = schema.exclusiveMinimum ? number <= schema.minimum : number < schema.minimum;
+      if (tooLow) {
+        problems.push(`${at}: ${number} is below the ${schema.exclusiveMinimum ? 'exclusive ' : ''}minimum ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined) {
+      const tooHigh = schema.exclusiveMaximum ? number >= schema.maximum : number > schema.maximum;
+      if (tooHigh) {
+        problems.push(`${at}: ${number} is above the ${schema.exclusiveMaximum ? 'exclusive ' : ''}maximum ${schema.maximum}`);
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Validate one exchange against the document
+   * @param {object} exchange - { method, endpoint, status, contentType, body }
+   *   where body is the parsed JSON (undefined if the body was not JSON)
+   * @returns {array} Violation messages (empty if the response conforms)
+   */
+  validate({ method, endpoint, status, contentType, body }) {
+    const template = this.matchPath(endpoint);
+    if (!template) {
+      return [`undocumented path ${endpoint.split('?')[0]}`];
+    }
+
+    const operation = this.document.paths[template][method.toLowerCase()];
+    if (!operation) {
+      return [`undocumented method ${method.toUpperCase()} for ${template}`];
+    }
+
+    const responses = operation.responses || {};
+    const documented = responses[String(status)] || responses[`${String(status)[0]}XX`] || responses.default;
+    if (!documented) {
+      return [`undocumented status ${status} for ${method.toUpperCase()} ${template} ` +
+        `(documented: ${Object.keys(responses).join(', ')})`];
+    }
+    if (!documented.content) {
+      return [];
+    }
+
+    const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+    const media = documented.content[mediaType];
+    if (!media) {
+      return [`content-type "${mediaType || '(none)'}" not documented for ${status} ` +
+        `(documented: ${Object.keys(documented.content).join(', ')})`];
+    }
+    if (!media.schema) {
+      return [];
+    }
+    if (body === undefined && /json/.test(mediaType)) {
+      return ['body is not valid JSON'];
+    }
+    return this.checkSchema(media.schema, body).map(problem => `body ${problem}`);
+  }
+}
+
+/**
+ * Load (and cache) an OpenAPI document
+ * @param {string} file - JSON or YAML file, relative to the project root (defaults to config.contractSpec)
+ * @returns {Contract} Loaded contract
+ * @throws {ContractError} If the file is missing or cannot be parsed
+ */
+function loadContract(file = config.contractSpec) {
+  const resolved = path.resolve(__dirname, '..', file);
+  if (loadedContracts[resolved]) {
+    return loadedContracts[resolved];
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new ContractError(`OpenAPI document not found: ${resolved}. Run \`npm run openapi:generate\` or set CONTRACT_SPEC.`);
+  }
+
+  let document;
+  try {
+    const raw = fs.readFileSync(resolved, 'utf8');
+    document = resolved.endsWith('.json') ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new ContractError(`Could not parse OpenAPI document ${resolved}: ${error.message}`);
+  }
+
+  loadedContracts[resolved] = new Contract(document, resolved);
+  return loadedContracts[resolved];
+}
+
+/**
+ * Effective contract mode
+ * @returns {string} off, warn or strict
+ */
+function contractMode() {
+  return modeOverride || config.contractMode;
+}
+
+/**
+ * Override the contract mode (null restores config.contractMode)
+ * @param {string|null} mode - off, warn, strict or null
+ * @throws {TypeError} If the mode is unknown
+ */
+function setContractMode(mode) {
+  if (mode !== null && !CONTRACT_MODES.includes(mode)) {
+    throw new TypeError(`Unknown contract mode "${mode}". Use one of: ${CONTRACT_MODES.join(', ')}`);
+  }
+  modeOverride = mode;
+}
+
+/**
+ * Name of the running test, or null inside beforeAll/afterAll
+ * @returns {string|null} Full test name
+ */
+function currentTestName() {
+  return typeof expect === 'function' ? expect.getState().currentTestName || null : null;
+}
+
+/**
+ * Response interceptor recording contract violations
+ * Registered for every suite by config/jest.setup.js; does nothing while the mode is off.
+ * @param {object} options - Interceptor options
+ * @param {Function} options.load - Returns the Contract to validate against
+ * @returns {object} Interceptor
+ */
+function contractValidation({ load = () => loadContract() } = {}) {
+  return {
+    response(response, request) {
+      if (contractMode() === 'off') {
+        return;
+      }
+
+      const problems = load().validate({
+        method: request.method,
+        endpoint: request.endpoint,
+        status: response.status,
+        contentType: response.headers.get('content-type'),
+        body: response.json
+      });
+      problems.forEach(message => violations.push({
+        test: currentTestName(),
+        method: request.method,
+        endpoint: request.endpoint,
+        status: response.status,
+        message
+      }));
+      response.contractViolations = problems;
+    }
+  };
+}
+
+/**
+ * Return and clear the violations collected so far
+ * @returns {array} { test, method, endpoint, status, message }
+ */
+function takeContractViolations() {
+  const taken = violations;
+  violations = [];
+  return taken;
+}
+
+/**
+ * Report violations collected since the last call
+ * Called by config/jest.setup.js after each test and after each file.
+ * @throws {ContractError} In strict mode, if any violation was collected
+ */
+function reportContractViolations() {
+  const found = takeContractViolations();
+  if (found.length === 0 || contractMode() === 'off') {
+    return;
+  }
+
+  const lines = found.map(({ method, endpoint, status, message }) => `${method} ${endpoint} → ${status}: ${message}`);
+  if (contractMode() === 'strict') {
+    throw new ContractError(`Response(s) violate the OpenAPI contract:\n${lines.map(line => `  - ${line}`).join('\n')}`);
+  }
+  lines.forEach(line => logTest(`Contract: ${line}`, 'warn'));
+}
+
+/**
+ * Use a contract mode for one suite
+ * Registers beforeAll/afterAll hooks; call inside describe().
+ * @param {string} mode - off, warn or strict
+ */
+function useContractMode(mode) {
+  beforeAll(() => {
+    setContractMode(mode);
+  });
+
+  afterAll(() => {
+    try {
+      reportContractViolations();
+    } finally {
+      setContractMode(null);
+    }
+  });
+}
+
+/**
+ * Run a negative test's requests with strict mode lowered to warn
+ * An API that accepts an invalid payload echoes it back, and the echo breaks
+ * the response schema. The negative test already tolerates the acceptance, so
+ * the violations it causes are logged instead of failing the test. Violations
+ * collected before the call are still reported in strict mode after the test.
+ * @param {Function} fn - Sends the requests; may return a promise
+ * @returns {Promise} Resolves with the callback result
+ */
+async function tolerateContractViolations(fn) {
+  if (contractMode() !== 'strict') {
+    return fn();
+  }
+
+  const earlier = takeContractViolations();
+  const previous = modeOverride;
+  setContractMode('warn');
+  try {
+    return await fn();
+  } finally {
+    reportContractViolations();
+    modeOverride = previous;
+    violations = earlier.concat(violations);
+  }
+}
+
+module.exports = {
+  CONTRACT_MODES,
+  Contract,
+  ContractError,
+  loadContract,
+  contractMode,
+  setContractMode,
+  contractValidation,
+  takeContractViolations,
+  reportContractViolations,
+  useContractMode,
+  tolerateContractViolations
+};
@@ -0,0 +1,282 @@
+/**
+ * HTTP Exchanges
+ * Keeps the last request/response exchanges of the running test, and reports
+ * them when the test fails
+ *
+ * ApiClient records every attempt it sends (retries included). Before each
+ * test the history is cleared; it holds the last EXCHANGE_HISTORY exchanges
+ * (0 turns recording off). When a test fails, config/jest.setup.js prints the
+ * exchanges, each with a curl command that repeats the request, and writes
+ * them to reports/exchanges/<test file>/<test name>.json.
+ *
+ * Authorization, cookie, password and token values are masked in both, in
+ * headers and bodies of either direction, so replace [REDACTED] before
+ * running a curl command that needs them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config/environment');
+const { logger, logFileName } = require('./logger');
+
+const EXCHANGES_DIR = path.join(__dirname, '..', 'reports', 'exchanges');
+
+/**
+ * Exchanges recorded since the running test started, oldest first
+ */
+let history = [];
+
+/**
+ * Artifact names written by this test file, per folder, so tests whose names
+ * share the first 80 characters get -2, -3, ... instead of overwriting each other
+ */
+const artifactNames = new Map();
+
+/**
+ * Headers of a fetch Request or Response as a plain object
+ * @param {object} headers - node-fetch Headers
+ * @returns {object} Header name -> value
+ */
+function headersToObject(headers) {
+  const result = {};
+  if (headers) {
+    headers.forEach((value, name) => {
+      result[name] = value;
+    });
+  }
+  return result;
+}
+
+/**
+ * Describe one request attempt and its outcome
+ * @param {object} request - Request description from apiClient.buildRequest()
+ * @param {object} sent - node-fetch Request Frisby sent (spec._request)
+ * @param {object} response - FrisbyResponse, or null when the request failed
+ * @param {Error} error - Network or timeout error, when there is no response
+ * @returns {object} { method, url, request: { headers, body }, response: { status, statusText, headers, body }, timings, error }
+ */
+function describeExchange(request, sent, response, error = null) {
+  const exchange = {
+    method: request.method,
+    url: sent ? sent.url : request.endpoint,
+    request: {
+      headers: sent ? headersToObject(sent.headers) : { ...request.headers },
+      body: request.body === undefined || ['GET', 'DELETE'].includes(request.method) ? null : request.body
+    },
+    response: null,
+    timings: null,
+    error: error ? error.message : null
+  };
+
+  if (response) {
+    exchange.response = {
+      status: response.status,
+      statusText: response._response ? response._response.statusText : '',
+      headers: headersToObject(response.headers),
+      body: response.json !== undefined ? response.json : (response.body || null)
+    };
+    exchange.timings = response.timings || { total: response.responseTime };
+  }
+  return exchange;
+}
+
+/**
+ * Add an exchange to the running test's history, dropping the oldest beyond EXCHANGE_HISTORY
+ * @param {object} exchange - Result of describeExchange()
+ * @param {number} limit - Exchanges to keep (default EXCHANGE_HISTORY)
+ */
+function recordExchange(exchange, limit = config.exchangeHistory) {
+  if (limit <= 0) {
+    return;
+  }
+  history.push(exchange);
+  if (history.length > limit) {
+    history = history.slice(-limit);
+  }
+}
+
+/**
+ * Exchanges recorded since the last reset
+ * @returns {array} Exchanges, oldest first
+ */
+function getExchanges() {
+  return [...history];
+}
+
+/**
+ * Forget the recorded exchanges (before each test)
+ */
+function resetExchanges() {
+  history = [];
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Mask sensitive fields of a request or response body
+ * JSON sent as a string is parsed, masked and serialized again; other strings
+ * are replaced whole when they name a masked field (e.g. a form-encoded password).
+ * @param {*} body - Body as recorded
+ * @returns {*} Masked body
+ */
+function maskBody(body) {
+  const { redact, DEFAULT_REDACTED_FIELDS } = require('./interceptors');
+  if (typeof body !== 'string') {
+    return redact(body);
+  }
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed && typeof parsed === 'object') {
+      return JSON.stringify(redact(parsed));
+    }
+  } catch (error) {
+    // Not JSON: checked as plain text below
+  }
+  const text = body.toLowerCase();
+  return DEFAULT_REDACTED_FIELDS.some(field => text.includes(field)) ? '[REDACTED]' : body;
+}
+
+/**
+ * Mask sensitive headers and body fields of an exchange
+ * @param {object} exchange - Result of describeExchange()
+ * @returns {object} Copy safe to print and store
+ */
+function maskExchange(exchange) {
+  const { redact } = require('./interceptors');
+  return {
+    ...exchange,
+    request: { headers: redact(exchange.request.headers), body: maskBody(exchange.request.body) },
+    response: exchange.response && {
+      ...exchange.response,
+      headers: redact(exchange.response.headers),
+      body: maskBody(exchange.response.body)
+    }
+  };
+}
+
+/**
+ * curl command that repeats an exchange's request
+ * Headers curl sets itself (content-length, host, connection, ...) are left out.
+ * @param {object} exchange - Result of describeExchange()
+ * @returns {string} Command
+ */
+function toCurl(exchange) {
+  const skipped = ['content-length', 'host', 'connection', 'accept-encoding', 'user-agent'];
+  const parts = [`curl -X ${exchange.method} ${shellQuote(exchange.url)}`];
+  Object.entries(exchange.request.headers)
+    .filter(([name]) => !skipped.includes(name.toLowerCase()))
+    .forEach(([name, value]) => parts.push(`-H ${shellQuote(`${name}: ${value}`)}`));
+  if (exchange.request.body !== null) {
+    const body = typeof exchange.request.body === 'string' ? exchange.request.body : JSON.stringify(exchange.request.body);
+    parts.push(`--data-raw ${shellQuote(body)}`);
+  }
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * Exchanges as text for the test output
+ * @param {array} exchanges - Results of describeExchange(), masked
+ * @returns {string} One block per exchange, oldest first
+ */
+function formatExchanges(exchanges) {
+  const indent = text => text.replace(/^/gm, '    ');
+  const json = value => indent(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  const headerLines = headers => Object.entries(headers).map(([name, value]) => `    ${name}: ${value}`);
+
+  return exchanges.map((exchange, index) => {
+    const lines = [
+      `── Exchange ${index + 1}/${exchanges.length}: ${exchange.method} ${exchange.url}`,
+      '  Request headers:', ...headerLines(exchange.request.headers)
+    ];
+    if (exchange.request.body !== null) {
+      lines.push('  Request body:', json(exchange.request.body));
+    }
+    if (exchange.response) {
+      const { dns, connect, tls, ttfb, total } = exchange.timings;
+      const timings = ttfb === undefined ? `${total}ms` : `${total}ms (dns ${dns}ms, connect ${connect}ms, tls ${tls}ms, ttfb ${ttfb}ms)`;
+      lines.push(`  Response: ${exchange.response.status} ${exchange.response.statusText} in ${timings}`,
+        '  Response headers:', ...headerLines(exchange.response.headers));
+      if (exchange.response.body !== null) {
+        lines.push('  Response body:', json(exchange.response.body));
+      }
+    } else {
+      lines.push(`  No response: ${exchange.error}`);
+    }
+    lines.push('  Repeat with:', indent(toCurl(exchange)));
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Write a failed test's exchanges to reports/exchanges/<test file>/<test name>.json
+ * @param {object} options - Options
+ * @param {string} options.testPath - Absolute test file path
+ * @param {string} options.testName - Full test name
+ * @param {array} options.exchanges - Results of describeExchange(), masked
+ * @param {string} options.dir - Artifact root (default reports/exchanges)
+ * @returns {string} Artifact path
+ */
+function writeExchangeArtifact({ testPath, testName, exchanges, dir = EXCHANGES_DIR }) {
+  const folder = path.join(dir, path.basename(testPath, '.test.js'));
+  if (!artifactNames.has(folder)) {
+    artifactNames.set(folder, new Set());
+  }
+  const file = path.join(folder, logFileName(testName, artifactNames.get(folder)).replace(/\.log$/, '.json'));
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({
+    test: testName,
+    file: path.basename(testPath),
+    exchanges: exchanges.map(exchange => ({ ...exchange, curl: toCurl(exchange) }))
+  }, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Remove the previous run's exchange artifacts
+ * @param {string} dir - Artifact root (default reports/exchanges)
+ */
+function resetExchangeArtifacts(dir = EXCHANGES_DIR) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Report the running test's exchanges after it failed
+ * Logged at error level and written as an artifact; nothing happens when no request was sent.
+ * @param {object} options - Options
+ * @param {string} options.testPath - Absolute test file path
+ * @param {string} options.testName - Full test name
+ * @param {string} options.dir - Artifact root (default reports/exchanges)
+ * @returns {string|null} Artifact path, or null when there was nothing to report
+ */
+function reportFailedExchanges({ testPath, testName, dir = EXCHANGES_DIR }) {
+  const exchanges = getExchanges().map(maskExchange);
+  if (exchanges.length === 0) {
+    return null;
+  }
+
+  const file = writeExchangeArtifact({ testPath, testName, exchanges, dir });
+  logger.error(`Last ${exchanges.length} HTTP exchange(s) of the failed test (${path.relative(process.cwd(), file)}):\n` +
+    formatExchanges(exchanges));
+  return file;
+}
+
+module.exports = {
+  EXCHANGES_DIR,
+  describeExchange,
+  recordExchange,
+  getExchanges,
+  resetExchanges,
+  maskExchange,
+  toCurl,
+  formatExchanges,
+  writeExchangeArtifact,
+  resetExchangeArtifacts,
+  reportFailedExchanges
+};
@@ -5,14 +5,48 @@
 
 const apiClient = require('./apiClient');
 const assertions = require('./assertions');
+const auth = require('./auth');
+const boundaryCases = require('./boundaryCases');
+const cassette = require('./cassette');
+const catalog = require('./catalog');
+const contract = require('./contract');
+const exchanges = require('./exchanges');
+const interceptors = require('./interceptors');
+const loadRunner = require('./loadRunner');
+const logger = require('./logger');
+const openApi = require('./openApi');
+const propertyTesting = require('./propertyTesting');
+const random = require('./random');
 const responseValidator = require('./responseValidator');
+const retryPolicy = require('./retryPolicy');
+const runSummary = require('./runSummary');
+const schemaDrift = require('./schemaDrift');
 const schemaValidator = require('./schemaValidator');
 const testDataGenerator = require('./testDataGenerator');
+const timings = require('./timings');
+const traceability = require('./traceability');
 
 module.exports = {
   apiClient,
   assertions,
+  auth,
+  boundaryCases,
+  cassette,
+  catalog,
+  contract,
+  exchanges,
+  interceptors,
+  loadRunner,
+  logger,
+  openApi,
+  propertyTesting,
+  random,
   responseValidator,
+  retryPolicy,
+  runSummary,
+  schemaDrift,
   schemaValidator,
-  testDataGenerator
+  testDataGenerator,
+  timings,
+  traceability
 };
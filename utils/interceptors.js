@@ -0,0 +1,139 @@
+/**
+ * Built-in Interceptors
+ * Request/response interceptors for apiClient.use()
+ *
+ * An interceptor is an object with optional `request(request)` and
+ * `response(response, request)` handlers. `request` is the description built
+ * by apiClient.buildRequest(): { method, endpoint, query, body, headers, params, meta },
+ * where `meta` is scratch space shared with the response handlers.
+ */
+
+const crypto = require('crypto');
+const apiClient = require('./apiClient');
+const { logTest } = require('./testHelpers');
+
+/**
+ * Header names and body fields masked by the logging interceptor and in reported HTTP exchanges
+ */
+const DEFAULT_REDACTED_FIELDS = ['authorization', 'cookie', 'set-cookie', 'password', 'token'];
+
+/**
+ * Add headers to every request; headers set on the request itself win
+ * @param {object} headers - Default headers
+ * @returns {object} Interceptor
+ */
+function defaultHeaders(headers) {
+  return {
+    request(request) {
+      request.headers = { ...headers, ...request.headers };
+    }
+  };
+}
+
+/**
+ * Tag every request with a unique correlation ID
+ * The ID is sent as a header and exposed as response.correlationId.
+ * @param {object} options - Interceptor options
+ * @param {string} options.header - Header name
+ * @param {Function} options.generate - ID generator
+ * @returns {object} Interceptor
+ */
+function correlationId({ header = 'X-Correlation-ID', generate = () => crypto.randomUUID() } = {}) {
+  return {
+    request(request) {
+      const existing = Object.keys(request.headers)
+        .find(name => name.toLowerCase() === header.toLowerCase());
+      request.meta.correlationId = existing ? request.headers[existing] : generate();
+      request.headers[existing || header] = request.meta.correlationId;
+    },
+    response(response, request) {
+      response.correlationId = request.meta.correlationId;
+    }
+  };
+}
+
+/**
+ * Measure wall-clock time from interception to response
+ * Exposed as response.elapsedMs (includes interceptor time, unlike Frisby's responseTime)
+ * @returns {object} Interceptor
+ */
+function timing() {
+  return {
+    request(request) {
+      request.meta.startedAt = Date.now();
+    },
+    response(response, request) {
+      response.elapsedMs = Date.now() - request.meta.startedAt;
+    }
+  };
+}
+
+/**
+ * Mask sensitive header values and body fields
+ * @param {*} value - Headers object, body or any nested value
+ * @param {array} fields - Lower-case names to mask
+ * @param {Function} mask - Receives (value, key) of a matching field, returns its replacement
+ * @returns {*} Copy with matching values replaced by '[REDACTED]' (or by mask's result)
+ */
+function redact(value, fields = DEFAULT_REDACTED_FIELDS, mask = () => '[REDACTED]') {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, fields, mask));
+  }
+  if (value && typeof value === 'object') {
+    const masked = {};
+    Object.keys(value).forEach(key => {
+      masked[key] = fields.includes(key.toLowerCase()) ? mask(value[key], key) : redact(value[key], fields, mask);
+    });
+    return masked;
+  }
+  return value;
+}
+
+/**
+ * Log every request and response, with sensitive fields redacted
+ * @param {object} options - Interceptor options
+ * @param {Function} options.log - Receives (message, level); defaults to logTest
+ * @param {array} options.redactFields - Lower-case header/body field names to mask
+ * @returns {object} Interceptor
+ */
+function logging({ log = logTest, redactFields = DEFAULT_REDACTED_FIELDS } = {}) {
+  return {
+    request(request) {
+      request.meta.loggedAt = Date.now();
+      const body = request.body === undefined ? '' : ` body=${JSON.stringify(redact(request.body, redactFields))}`;
+      log(`→ ${request.method} ${request.endpoint} headers=${JSON.stringify(redact(request.headers, redactFields))}${body}`, 'info');
+    },
+    response(response, request) {
+      const level = response.status >= 400 ? 'warn' : 'info';
+      log(`← ${response.status} ${request.method} ${request.endpoint} (${Date.now() - request.meta.loggedAt}ms)`, level);
+    }
+  };
+}
+
+/**
+ * Register interceptors for the enclosing describe block
+ * Call inside describe(): registers beforeAll/afterAll hooks
+ * @param {...object} interceptors - Interceptors to register
+ */
+function useInterceptors(...interceptors) {
+  let removers = [];
+
+  beforeAll(() => {
+    removers = interceptors.map(interceptor => apiClient.use(interceptor));
+  });
+
+  afterAll(() => {
+    removers.forEach(remove => remove());
+    removers = [];
+  });
+}
+
+module.exports = {
+  defaultHeaders,
+  correlationId,
+  timing,
+  logging,
+  DEFAULT_REDACTED_FIELDS,
+  redact,
+  useInterceptors
+};
@@ -0,0 +1,377 @@
+/**
+ * Load Runner
+ * Drives ApiClient methods under load and reports throughput, error rate and
+ * latency percentiles per endpoint
+ *
+ * Two load models:
+ *   closed (concurrency) - N virtual users, each sending its next request as
+ *                          soon as the previous one finishes
+ *   open (rate)          - requests start at a fixed arrival rate (per second),
+ *                          however slowly responses come back
+ *
+ * Latency is measured by the caller, from calling the ApiClient method to the
+ * response being parsed, so it includes any queueing on the client side.
+ * Named methods run on the runner's own ApiClient, which never retries (a 5xx
+ * or 429 counts as an error) and keeps its samples out of
+ * reports/endpoint-timings.json.
+ * Defaults and thresholds come from config (loadDuration, loadConcurrency,
+ * loadRate, loadMaxP95, loadMaxP99, loadMaxErrorRate).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { ApiClient } = require('./apiClient');
+const { config } = require('../config/environment');
+const { endpointKey, percentile } = require('./timings');
+const { wait } = require('./testHelpers');
+
+const REPORT_DIR = path.join(__dirname, '..', 'reports');
+
+/**
+ * Client for named load scenarios: no retries, no endpoint timing samples
+ */
+const loadClient = new ApiClient({ retry: false, recordTimings: false });
+
+/**
+ * Requests allowed in flight in the open model before new arrivals are dropped
+ */
+const DEFAULT_MAX_IN_FLIGHT = 100;
+
+/**
+ * Round to hundredths of a millisecond
+ * @param {number} ms - Milliseconds
+ * @returns {number} Rounded milliseconds
+ */
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+/**
+ * Normalize a scenario definition
+ * @param {object} scenario - { method, args, weight } to call loadClient[method](...args()),
+ *   or { name, run, weight } for a custom function returning a Frisby spec or promise
+ * @returns {object} { name, weight, run }
+ * @throws {TypeError} If the scenario names no ApiClient method and has no run function
+ */
+function resolveScenario(scenario) {
+  const { method, args = () => [], weight = 1 } = scenario;
+  if (typeof scenario.run === 'function') {
+    return { name: scenario.name || 'custom', weight, run: scenario.run };
+  }
+  if (typeof loadClient[method] !== 'function') {
+    throw new TypeError(`Load scenario must name an ApiClient method or provide run(), got "${method}"`);
+  }
+  return {
+    name: scenario.name || method,
+    weight,
+    run: () => loadClient[method](...args())
+  };
+}
+
+/**
+ * Build a weighted scenario picker
+ * @param {array} scenarios - Resolved scenarios
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {Function} Returns the next scenario to run
+ */
+function scenarioPicker(scenarios, random) {
+  const totalWeight = scenarios.reduce((sum, scenario) => sum + scenario.weight, 0);
+  return () => {
+    let roll = random() * totalWeight;
+    return scenarios.find(scenario => {
+      roll -= scenario.weight;
+      return roll < 0;
+    }) || scenarios[scenarios.length - 1];
+  };
+}
+
+/**
+ * Endpoint a finished request went to
+ * @param {object} spec - Frisby spec returned by the scenario
+ * @param {string} fallback - Label used when the request never got built
+ * @returns {string} e.g. "GET /products/:id"
+ */
+function endpointOf(spec, fallback) {
+  const request = spec && spec._request;
+  if (!request) {
+    return fallback;
+  }
+  return endpointKey(request.method, new URL(request.url).pathname);
+}
+
+/**
+ * Run one scenario and time it
+ * @param {object} scenario - Resolved scenario
+ * @returns {Promise} Resolves with { endpoint, latency, status, ok, error }
+ */
+async function execute(scenario) {
+  const startedAt = performance.now();
+  let spec;
+  try {
+    spec = scenario.run();
+    const response = await spec;
+    return {
+      endpoint: endpointOf(spec, scenario.name),
+      latency: performance.now() - startedAt,
+      status: response.status,
+      ok: response.status < 400
+    };
+  } catch (error) {
+    return {
+      endpoint: endpointOf(spec, scenario.name),
+      latency: performance.now() - startedAt,
+      status: null,
+      ok: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Latency distribution of a list of samples
+ * @param {array} values - Latencies in ms
+ * @returns {object} { min, avg, p50, p90, p95, p99, max }
+ */
+function summarizeLatency(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  return {
+    min: round(sorted[0] || 0),
+    avg: round(sorted.length ? sum / sorted.length : 0),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1] || 0)
+  };
+}
+
+/**
+ * Summarize a group of request outcomes
+ * @param {array} outcomes - Results of execute()
+ * @param {number} durationMs - Wall-clock length of the run
+ * @returns {object} { requests, errors, errorRate, throughput, statusCodes, latency, sampleErrors }
+ */
+function summarizeOutcomes(outcomes, durationMs) {
+  const errors = outcomes.filter(outcome => !outcome.ok);
+  const statusCodes = {};
+  outcomes.forEach(outcome => {
+    const key = outcome.status === null ? 'network error' : String(outcome.status);
+    statusCodes[key] = (statusCodes[key] || 0) + 1;
+  });
+
+  return {
+    requests: outcomes.length,
+    errors: errors.length,
+    errorRate: outcomes.length ? Math.round((errors.length / outcomes.length) * 10000) / 10000 : 0,
+    throughput: round(outcomes.length / (durationMs / 1000)),
+    statusCodes,
+    latency: summarizeLatency(outcomes.map(outcome => outcome.latency)),
+    sampleErrors: [...new Set(errors.filter(outcome => outcome.error).map(outcome => outcome.error))].slice(0, 5)
+  };
+}
+
+/**
+ * Compare a run against latency and error-rate thresholds
+ * Checked for the run as a whole and for every endpoint.
+ * @param {object} result - { totals, endpoints } from runLoad()
+ * @param {object} thresholds - { maxP95, maxP99, maxErrorRate }
+ * @returns {array} One message per breached threshold (empty if all met)
+ */
+function evaluateThresholds(result, thresholds) {
+  const breaches = [];
+  const groups = [['all endpoints', result.totals], ...Object.entries(result.endpoints)];
+
+  groups.forEach(([label, summary]) => {
+    if (summary.latency.p95 > thresholds.maxP95) {
+      breaches.push(`${label}: p95 ${summary.latency.p95}ms exceeds ${thresholds.maxP95}ms`);
+    }
+    if (summary.latency.p99 > thresholds.maxP99) {
+      breaches.push(`${label}: p99 ${summary.latency.p99}ms exceeds ${thresholds.maxP99}ms`);
+    }
+    if (summary.errorRate > thresholds.maxErrorRate) {
+      breaches.push(`${label}: error rate ${summary.errorRate} exceeds ${thresholds.maxErrorRate}`);
+    }
+  });
+
+  return breaches;
+}
+
+/**
+ * Run scenarios under load
+ * @param {array} scenarios - Scenario definitions (see resolveScenario)
+ * @param {object} options - Load options (defaults from config)
+ * @param {number} options.duration - Run length in ms
+ * @param {number} options.concurrency - Virtual users (closed model)
+ * @param {number} options.rate - Arrivals per second; > 0 selects the open model
+ * @param {number} options.maxInFlight - Open model: arrivals beyond this many in flight are dropped
+ * @param {object} options.thresholds - { maxP95, maxP99, maxErrorRate }
+ * @param {Function} options.random - Source of randomness for scenario selection
+ * @returns {Promise} Resolves with the run summary, including `breaches` and `passed`
+ */
+async function runLoad(scenarios, {
+  duration = config.loadDuration,
+  concurrency = config.loadConcurrency,
+  rate = config.loadRate,
+  maxInFlight = DEFAULT_MAX_IN_FLIGHT,
+  thresholds = {},
+  random = Math.random
+} = {}) {
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    throw new TypeError('runLoad expects at least one scenario');
+  }
+
+  const pick = scenarioPicker(scenarios.map(resolveScenario), random);
+  const limits = {
+    maxP95: config.loadMaxP95,
+    maxP99: config.loadMaxP99,
+    maxErrorRate: config.loadMaxErrorRate,
+    ...thresholds
+  };
+  const outcomes = [];
+  const startedAt = new Date();
+  const start = performance.now();
+  const endAt = start + duration;
+  let dropped = 0;
+
+  if (rate > 0) {
+    const interval = 1000 / rate;
+    const inFlight = new Set();
+    for (let arrival = 0; start + arrival * interval < endAt; arrival += 1) {
+      await wait(Math.max(0, start + arrival * interval - performance.now()));
+      if (inFlight.size >= maxInFlight) {
+        dropped += 1;
+        continue;
+      }
+      const pending = execute(pick()).then(outcome => {
+        outcomes.push(outcome);
+        inFlight.delete(pending);
+      });
+      inFlight.add(pending);
+    }
+    await Promise.all(inFlight);
+  } else {
+    const virtualUser = async () => {
+      while (performance.now() < endAt) {
+        outcomes.push(await execute(pick()));
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, virtualUser));
+  }
+
+  const durationMs = performance.now() - start;
+  const byEndpoint = {};
+  outcomes.forEach(outcome => {
+    byEndpoint[outcome.endpoint] = byEndpoint[outcome.endpoint] || [];
+    byEndpoint[outcome.endpoint].push(outcome);
+  });
+
+  const endpoints = {};
+  Object.keys(byEndpoint).sort().forEach(key => {
+    endpoints[key] = summarizeOutcomes(byEndpoint[key], durationMs);
+  });
+
+  const result = {
+    startedAt: startedAt.toISOString(),
+    baseURL: config.baseURL,
+    model: rate > 0 ? 'open' : 'closed',
+    concurrency: rate > 0 ? null : concurrency,
+    rate: rate > 0 ? rate : null,
+    durationMs: round(durationMs),
+    dropped,
+    totals: summarizeOutcomes(outcomes, durationMs),
+    endpoints,
+    thresholds: limits
+  };
+  result.breaches = evaluateThresholds(result, limits);
+  result.passed = result.breaches.length === 0;
+  return result;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to print
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a load run as a standalone HTML page
+ * @param {object} result - Result of runLoad()
+ * @param {string} title - Page title
+ * @returns {string} HTML document
+ */
+function renderLoadReportHtml(result, title = 'Load Test Report') {
+  const rows = [['All endpoints', result.totals], ...Object.entries(result.endpoints)].map(([label, summary]) => {
+    const { latency } = summary;
+    const cells = [
+      label, summary.requests, summary.throughput, `${(summary.errorRate * 100).toFixed(2)}%`,
+      latency.p50, latency.p90, latency.p95, latency.p99, latency.max
+    ];
+    return `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+  }).join('\n');
+  const verdict = result.passed
+    ? '<p class="pass">All thresholds met</p>'
+    : `<ul class="fail">${result.breaches.map(breach => `<li>${escapeHtml(breach)}</li>`).join('')}</ul>`;
+  const load = result.model === 'open' ? `${result.rate} requests/s` : `${result.concurrency} virtual users`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  .pass { color: #2a7d2a; }
+  .fail { color: #b22222; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(result.baseURL)} &middot; ${escapeHtml(result.model)} model, ${escapeHtml(load)} for
+${escapeHtml(result.durationMs)}ms &middot; started ${escapeHtml(result.startedAt)}</p>
+<p>Thresholds: p95 &le; ${escapeHtml(result.thresholds.maxP95)}ms, p99 &le; ${escapeHtml(result.thresholds.maxP99)}ms,
+error rate &le; ${escapeHtml(result.thresholds.maxErrorRate * 100)}%</p>
+${verdict}
+<table>
+<tr><th>Endpoint</th><th>Requests</th><th>Req/s</th><th>Errors</th><th>p50 ms</th><th>p90 ms</th><th>p95 ms</th><th>p99 ms</th><th>Max ms</th></tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a load run to <dir>/<name>.json and <dir>/<name>.html
+ * @param {object} result - Result of runLoad()
+ * @param {string} name - Report file name without extension
+ * @param {string} dir - Output directory (defaults to ./reports)
+ * @returns {object} { json, html } - Paths of the written files
+ */
+function writeLoadReport(result, name = 'load-report', dir = REPORT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const json = path.join(dir, `${name}.json`);
+  const html = path.join(dir, `${name}.html`);
+  fs.writeFileSync(json, JSON.stringify(result, null, 2));
+  fs.writeFileSync(html, renderLoadReportHtml(result));
+  return { json, html };
+}
+
+module.exports = {
+  runLoad,
+  summarizeLatency,
+  evaluateThresholds,
+  renderLoadReportHtml,
+  writeLoadReport
+};
@@ -0,0 +1,309 @@
+/**
+ * Logger
+ * Leveled, structured test logging
+ *
+ * Entries below the configured level (LOG_LEVEL: error < warn < info < debug)
+ * are not printed. Each entry is tagged with the suite (the name given to
+ * setupTestSuite(), else the test file), the running test's full name and its
+ * scenario ID, and printed in one of two formats (LOG_FORMAT):
+ *   pretty - [2024-05-01T10:00:00.000Z] ℹ️ [GET Endpoint Tests › GET-001] message
+ *   json   - {"time":"...","level":"info","suite":"...","test":"...","scenario":"GET-001","message":"..."}
+ *
+ * With LOG_FILES=true every entry logged during a test, whatever its level, is
+ * also written to reports/logs/<test file>/<test>.log, and
+ * reports/logs/links.js adds a link to each test's log in reports/test-report.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config/environment');
+const { SCENARIO_ID } = require('./traceability');
+
+const LOG_DIR = path.join(__dirname, '..', 'reports', 'logs');
+
+/**
+ * Levels by severity; a level prints when it is at or below the configured one
+ */
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/**
+ * Pretty-format prefix per level ('success' is logged as info)
+ */
+const ICONS = {
+  error: '❌',
+  warn: '⚠️',
+  info: 'ℹ️',
+  success: '✅',
+  debug: '🔍'
+};
+
+/**
+ * Suite, test and scenario of the running Jest test
+ * @returns {object} { suite, test, scenario }, empty outside Jest
+ */
+function jestContext() {
+  if (typeof expect === 'undefined' || typeof expect.getState !== 'function') {
+    return {};
+  }
+  const { currentTestName, testPath } = expect.getState();
+  const scenario = currentTestName ? currentTestName.match(SCENARIO_ID) : null;
+  return {
+    suite: testPath ? path.basename(testPath, '.test.js') : undefined,
+    test: currentTestName || undefined,
+    scenario: scenario ? scenario[1] : undefined
+  };
+}
+
+/**
+ * Format one entry for output
+ * @param {object} entry - { time, level, suite, test, scenario, message, ...fields }
+ * @param {string} format - 'pretty' or 'json'
+ * @param {string} icon - Pretty-format prefix (defaults to the level's)
+ * @returns {string} Formatted entry
+ */
+function formatLogEntry(entry, format = 'pretty', icon = ICONS[entry.level]) {
+  if (format === 'json') {
+    return JSON.stringify(entry);
+  }
+
+  const { time, level, suite, test, scenario, message, data, ...fields } = entry;
+  const tag = [suite, scenario || test].filter(Boolean).join(' › ');
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  const block = data === undefined ? '' : `\n${JSON.stringify(data, null, 2)}`;
+  return `[${time}] ${icon} ${tag ? `[${tag}] ` : ''}${message}${extra}${block}`;
+}
+
+/**
+ * File name for a test's log: its full name as a slug
+ * @param {string} testName - Full test name
+ * @param {Set} taken - Names already used in the same directory
+ * @returns {string} File name ending in .log
+ */
+function logFileName(testName, taken = new Set()) {
+  const slug = testName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80) || 'test';
+  let name = `${slug}.log`;
+  for (let index = 2; taken.has(name); index++) {
+    name = `${slug}-${index}.log`;
+  }
+  taken.add(name);
+  return name;
+}
+
+class Logger {
+  /**
+   * @param {object} options - Logger options
+   * @param {string} options.level - Most detailed level printed (default info)
+   * @param {string} options.format - 'pretty' or 'json' (default pretty)
+   * @param {Function} options.write - Receives each formatted line (default console.log)
+   * @param {Function} options.context - Returns { suite, test, scenario } for each entry (default the running Jest test)
+   * @param {Function} options.now - Returns the current Date
+   */
+  constructor({ level = 'info', format = 'pretty', write, context = jestContext, now = () => new Date() } = {}) {
+    this.level = level;
+    this.format = format;
+    this.write = write || (line => console.log(line));
+    this.context = context;
+    this.now = now;
+    this.suite = null;
+    this.testEntries = null;
+    this.logFiles = [];
+    this.fileNames = new Set();
+  }
+
+  /**
+   * Whether a level is printed
+   * @param {string} level - Level name
+   * @returns {boolean} True at or below the configured level
+   */
+  isEnabled(level) {
+    return LOG_LEVELS[level] <= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Name entries after a suite (setupTestSuite) until cleared with null
+   * @param {string|null} suite - Suite name
+   */
+  setSuite(suite) {
+    this.suite = suite;
+  }
+
+  /**
+   * Log a message
+   * @param {string} level - error, warn, info, debug, or success (info with a ✅)
+   * @param {string} message - Message
+   * @param {object} fields - Extra structured fields (`data` is pretty-printed as JSON)
+   * @returns {object} The entry
+   */
+  log(level, message, fields = {}) {
+    const icon = ICONS[level] || ICONS.info;
+    const severity = LOG_LEVELS[level] === undefined ? 'info' : level;
+    const context = this.context();
+    const entry = Object.fromEntries(Object.entries({
+      time: this.now().toISOString(),
+      level: severity,
+      suite: this.suite || context.suite,
+      test: context.test,
+      scenario: context.scenario,
+      message,
+      ...fields
+    }).filter(([, value]) => value !== undefined));
+
+    if (this.testEntries) {
+      this.testEntries.push({ entry, icon });
+    }
+    if (this.isEnabled(severity)) {
+      this.write(formatLogEntry(entry, this.format, icon));
+    }
+    return entry;
+  }
+
+  /**
+   * Log an error
+   * @param {string} message - Message
+   * @param {object} fields - Extra structured fields
+   * @returns {object} The entry
+   */
+  error(message, fields) {
+    return this.log('error', message, fields);
+  }
+
+  /**
+   * Log a warning
+   * @param {string} message - Message
+   * @param {object} fields - Extra structured fields
+   * @returns {object} The entry
+   */
+  warn(message, fields) {
+    return this.log('warn', message, fields);
+  }
+
+  /**
+   * Log information
+   * @param {string} message - Message
+   * @param {object} fields - Extra structured fields
+   * @returns {object} The entry
+   */
+  info(message, fields) {
+    return this.log('info', message, fields);
+  }
+
+  /**
+   * Log detail only wanted when debugging
+   * @param {string} message - Message
+   * @param {object} fields - Extra structured fields
+   * @returns {object} The entry
+   */
+  debug(message, fields) {
+    return this.log('debug', message, fields);
+  }
+
+  /**
+   * Start collecting every entry (all levels) for the test about to run
+   */
+  startTestLog() {
+    this.testEntries = [];
+  }
+
+  /**
+   * Write the entries collected since startTestLog() to a per-test log file
+   * Nothing is written for a test that logged nothing.
+   * @param {object} options - Options
+   * @param {string} options.testPath - Absolute test file path
+   * @param {string} options.testName - Full test name
+   * @param {string} options.dir - Log root (default reports/logs)
+   * @returns {string|null} Log file path, or null when nothing was logged
+   */
+  endTestLog({ testPath, testName, dir = LOG_DIR }) {
+    const entries = this.testEntries || [];
+    this.testEntries = null;
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const folder = path.basename(testPath, '.test.js');
+    const file = path.join(dir, folder, logFileName(testName, this.fileNames));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${entries.map(({ entry, icon }) => formatLogEntry(entry, this.format, icon)).join('\n')}\n`);
+    this.logFiles.push({ testPath, testName, file: `${folder}/${path.basename(file)}` });
+    return file;
+  }
+
+  /**
+   * Write the test file's log index (test -> log file), read by writeLogLinks()
+   * @param {string} name - Test file name without .test.js
+   * @param {string} dir - Log root (default reports/logs)
+   */
+  writeLogIndex(name, dir = LOG_DIR) {
+    if (this.logFiles.length > 0) {
+      fs.mkdirSync(path.join(dir, name), { recursive: true });
+      fs.writeFileSync(path.join(dir, name, 'index.json'), JSON.stringify(this.logFiles, null, 2));
+    }
+    this.logFiles = [];
+    this.fileNames = new Set();
+  }
+}
+
+/**
+ * Remove the previous run's logs
+ * @param {string} dir - Log root (default reports/logs)
+ */
+function resetLogFiles(dir = LOG_DIR) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Write links.js, the script that links each test in the HTML report to its log
+ * jest-html-reporter loads it through `customScriptPath` (relative to the report).
+ * @param {string} dir - Log root (default reports/logs)
+ * @returns {number} Number of linked logs
+ */
+function writeLogLinks(dir = LOG_DIR) {
+  const links = {};
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter(folder => fs.existsSync(path.join(dir, folder, 'index.json')))
+      .forEach(folder => {
+        JSON.parse(fs.readFileSync(path.join(dir, folder, 'index.json'), 'utf8')).forEach(log => {
+          links[`${log.testPath}\n${log.testName}`] = `${path.basename(dir)}/${log.file}`;
+        });
+      });
+  }
+
+  const script = `// Generated by utils/logger.js: links each test in test-report.html to its log
+var TEST_LOGS = ${JSON.stringify(links, null, 2)};
+document.querySelectorAll('.suite-container').forEach(function (suite) {
+  var file = suite.querySelector('.suite-path').textContent;
+  suite.querySelectorAll('.test-result').forEach(function (test) {
+    var ancestors = test.querySelector('.test-suitename').textContent.trim();
+    var title = test.querySelector('.test-title').textContent;
+    var log = TEST_LOGS[file + '\\n' + (ancestors ? ancestors.split(' > ').concat(title).join(' ') : title)];
+    if (log) {
+      var link = document.createElement('a');
+      link.href = log;
+      link.textContent = 'log';
+      link.className = 'test-log';
+      test.querySelector('.test-info').appendChild(link);
+    }
+  });
+});
+`;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'links.js'), script);
+  return Object.keys(links).length;
+}
+
+/**
+ * Shared logger configured from LOG_LEVEL and LOG_FORMAT
+ */
+const logger = new Logger({ level: config.logLevel, format: config.logFormat });
+
+module.exports = {
+  LOG_DIR,
+  LOG_LEVELS,
+  Logger,
+  logger,
+  formatLogEntry,
+  logFileName,
+  resetLogFiles,
+  writeLogLinks
+};
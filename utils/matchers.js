@@ -0,0 +1,247 @@
+/**
+ * Custom Jest Matchers
+ * Registered in config/jest.setup.js via expect.extend()
+ *
+ * Each matcher accepts a Frisby response or plain data (toMatchSchema,
+ * toBeValidProduct), and failure messages show the field path, expected vs
+ * received values and a snippet of the offending response.
+ */
+
+const { schemas, validateSchema } = require('./schemaValidator');
+
+/**
+ * Maximum characters of a response shown in failure messages
+ */
+const SNIPPET_LENGTH = 600;
+
+/**
+ * Whether a value is a Frisby response
+ * @param {*} value - Any value
+ * @returns {boolean} True if value wraps a fetch response
+ */
+function isResponse(value) {
+  return Boolean(value) && typeof value === 'object' && '_response' in value && 'status' in value;
+}
+
+/**
+ * Get the data to validate from a Frisby response or plain value
+ * @param {*} received - Frisby response or data
+ * @returns {*} Parsed JSON body (or raw body) for responses, otherwise the value itself
+ */
+function dataOf(received) {
+  if (!isResponse(received)) {
+    return received;
+  }
+  return received.json !== undefined ? received.json : received.body;
+}
+
+/**
+ * Short description of a response for failure messages
+ * @param {object} response - Frisby response
+ * @returns {string} e.g. "http://host/products/999 → 404"
+ */
+function describeResponse(response) {
+  return `${response._response.url || '<unknown url>'} → ${response.status}`;
+}
+
+/**
+ * Pretty-print a value, truncated for failure messages
+ * @param {*} value - Value to print
+ * @returns {string} Indented JSON snippet
+ */
+function snippet(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  if (text === undefined) {
+    return String(value);
+  }
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}\n… (${text.length - SNIPPET_LENGTH} more characters)` : text;
+}
+
+/**
+ * Format a Joi error path, e.g. ['rating', 'rate'] -> "rating.rate", [0, 'id'] -> "[0].id"
+ * @param {array} path - Joi detail path
+ * @returns {string} Readable field path
+ */
+function formatPath(path) {
+  if (path.length === 0) {
+    return '(root)';
+  }
+  return path.map((segment, index) => {
+    if (typeof segment === 'number') {
+      return `[${segment}]`;
+    }
+    return index === 0 ? segment : `.${segment}`;
+  }).join('');
+}
+
+/**
+ * Read the value at a Joi error path
+ * @param {*} data - Validated data
+ * @param {array} path - Joi detail path
+ * @returns {*} Value at path (undefined if missing)
+ */
+function valueAt(data, path) {
+  return path.reduce((value, segment) => (value === null || value === undefined ? undefined : value[segment]), data);
+}
+
+/**
+ * Build a schema-validation matcher result
+ * @param {object} context - Matcher `this`
+ * @param {string} matcherName - Matcher name for the hint
+ * @param {*} received - Frisby response or data
+ * @param {object} schema - Joi schema
+ * @param {string} expectation - Human description of the expectation
+ * @returns {object} { pass, message }
+ */
+function schemaResult(context, matcherName, received, schema, expectation) {
+  const data = dataOf(received);
+  const { error } = validateSchema(data, schema);
+  const pass = !error;
+  const hint = context.utils.matcherHint(matcherName, undefined, undefined, { isNot: context.isNot });
+  const source = isResponse(received) ? `Response: ${describeResponse(received)}\n` : '';
+
+  if (pass) {
+    return {
+      pass,
+      message: () => `${hint}\n\n${source}Expected value not to ${expectation}, but it did:\n${snippet(data)}`
+    };
+  }
+
+  const problems = error.details.map(detail => [
+    `  at ${formatPath(detail.path)}: ${detail.message}`,
+    `    Expected: ${detail.type}`,
+    `    Received: ${context.utils.printReceived(valueAt(data, detail.path))}`
+  ].join('\n')).join('\n');
+
+  return {
+    pass,
+    message: () => `${hint}\n\n${source}Expected value to ${expectation}, found ${error.details.length} problem(s):\n` +
+      `${problems}\n\nOffending data:\n${snippet(data)}`
+  };
+}
+
+/**
+ * Expect data (or a response body) to satisfy a Joi schema
+ * @param {*} received - Frisby response or data
+ * @param {object} schema - Joi schema, e.g. schemas.product
+ * @returns {object} Matcher result
+ */
+function toMatchSchema(received, schema) {
+  if (!schema || typeof schema.validate !== 'function') {
+    throw new TypeError('toMatchSchema expects a Joi schema, e.g. schemas.product');
+  }
+  return schemaResult(this, 'toMatchSchema', received, schema, 'match schema');
+}
+
+/**
+ * Product schema with the (otherwise optional) rating required
+ */
+const ratedProductSchema = schemas.product.keys({ rating: schemas.rating.required() });
+
+/**
+ * Expect data (or a response body) to be a valid product
+ * @param {*} received - Frisby response or product
+ * @param {object} options - Matcher options
+ * @param {boolean} options.rating - Whether the rating object is required
+ * @returns {object} Matcher result
+ */
+function toBeValidProduct(received, { rating = true } = {}) {
+  const schema = rating ? ratedProductSchema : schemas.product;
+  return schemaResult(this, 'toBeValidProduct', received, schema,
+    `be a valid product${rating ? ' with rating' : ''}`);
+}
+
+/**
+ * Expect a response to have a status code
+ * @param {object} received - Frisby response
+ * @param {number} expected - Expected status code
+ * @returns {object} Matcher result
+ */
+function toHaveStatus(received, expected) {
+  if (!isResponse(received)) {
+    throw new TypeError('toHaveStatus expects a Frisby response');
+  }
+
+  const pass = received.status === expected;
+  const hint = this.utils.matcherHint('toHaveStatus', undefined, undefined, { isNot: this.isNot });
+  return {
+    pass,
+    message: () => `${hint}\n\n` +
+      `Response: ${describeResponse(received)}\n` +
+      `Expected status: ${this.isNot ? 'not ' : ''}${this.utils.printExpected(expected)}\n` +
+      `Received status: ${this.utils.printReceived(received.status)}\n\n` +
+      `Response body:\n${snippet(dataOf(received))}`
+  };
+}
+
+/**
+ * Expect a response to carry a header, optionally matching a value
+ * @param {object} received - Frisby response
+ * @param {string} name - Header name (case-insensitive)
+ * @param {string|RegExp} pattern - Exact value or pattern (omit to check presence only)
+ * @returns {object} Matcher result
+ */
+function toHaveHeader(received, name, pattern) {
+  if (!isResponse(received)) {
+    throw new TypeError('toHaveHeader expects a Frisby response');
+  }
+
+  const actual = received.headers.get(name);
+  let pass = actual !== null;
+  if (pass && pattern !== undefined) {
+    pass = pattern instanceof RegExp ? pattern.test(actual) : actual === pattern;
+  }
+
+  const present = [];
+  received.headers.forEach((value, header) => present.push(`  ${header}: ${value}`));
+  const expected = pattern === undefined ? 'present' : this.utils.printExpected(pattern);
+  const hint = this.utils.matcherHint('toHaveHeader', undefined, undefined, { isNot: this.isNot });
+
+  return {
+    pass,
+    message: () => `${hint}\n\n` +
+      `Response: ${describeResponse(received)}\n` +
+      `Header "${name}" expected ${this.isNot ? 'not ' : ''}to be ${expected}\n` +
+      `Received: ${actual === null ? 'header missing' : this.utils.printReceived(actual)}\n\n` +
+      `Response headers:\n${present.join('\n')}`
+  };
+}
+
+/**
+ * Expect a response to have arrived within a time budget
+ * Uses the total time measured by ApiClient (response.timings) when present,
+ * otherwise Frisby's responseTime.
+ * @param {object} received - Frisby response
+ * @param {number} maxMs - Maximum response time in milliseconds
+ * @returns {object} Matcher result
+ */
+function toRespondWithin(received, maxMs) {
+  if (!isResponse(received)) {
+    throw new TypeError('toRespondWithin expects a Frisby response');
+  }
+
+  const { timings } = received;
+  const actual = timings ? timings.total : received.responseTime;
+  const pass = typeof actual === 'number' && actual <= maxMs;
+  const hint = this.utils.matcherHint('toRespondWithin', undefined, undefined, { isNot: this.isNot });
+  const breakdown = timings
+    ? `\nBreakdown: dns ${timings.dns}ms, connect ${timings.connect}ms, tls ${timings.tls}ms, ` +
+      `ttfb ${timings.ttfb}ms, download ${timings.download}ms`
+    : '';
+
+  return {
+    pass,
+    message: () => `${hint}\n\n` +
+      `Response: ${describeResponse(received)}\n` +
+      `Expected response time: ${this.isNot ? '> ' : '<= '}${this.utils.printExpected(`${maxMs}ms`)}\n` +
+      `Received response time: ${this.utils.printReceived(`${actual}ms`)}${breakdown}`
+  };
+}
+
+module.exports = {
+  toMatchSchema,
+  toBeValidProduct,
+  toHaveStatus,
+  toHaveHeader,
+  toRespondWithin
+};
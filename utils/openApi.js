@@ -0,0 +1,537 @@
+/**
+ * OpenAPI Generator
+ * Builds an OpenAPI 3 document from the Joi schemas in utils/schemaValidator.js
+ * and the endpoint map in config/environment.js
+ *
+ * The committed copy lives in docs/openapi.json:
+ *   npm run openapi:generate   # rewrite docs/openapi.json
+ *   npm run openapi:check      # exit 1 if docs/openapi.json is out of date
+ *
+ * Joi objects reject unknown keys by default, so converted objects get
+ * `additionalProperties: false` unless the schema allows unknown keys.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Joi = require('joi');
+const { environments, endpoints, statusCodes } = require('../config/environment');
+const { schemas } = require('./schemaValidator');
+const testData = require('../data/testData');
+const { version } = require('../package.json');
+
+const OPENAPI_FILE = path.join(__dirname, '..', 'docs', 'openapi.json');
+
+/**
+ * Schemas that only exist in the document: write responses echo the request
+ * body with the new record's id
+ */
+const recordId = Joi.number().integer().positive().required();
+const echoSchemas = {
+  createdCart: schemas.createCart.keys({ id: recordId }),
+  createdUser: schemas.createUser.keys({ id: recordId })
+};
+
+/**
+ * Reusable query and path parameters
+ */
+const parameters = {
+  id: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+  userId: { name: 'userId', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+  category: { name: 'category', in: 'path', required: true, schema: { type: 'string' } },
+  limit: { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1 } },
+  sort: { name: 'sort', in: 'query', required: false, schema: { type: 'string', enum: ['asc', 'desc'] } },
+  startdate: { name: 'startdate', in: 'query', required: false, schema: { type: 'string', format: 'date' } },
+  enddate: { name: 'enddate', in: 'query', required: false, schema: { type: 'string', format: 'date' } }
+};
+
+/**
+ * Operations per endpoint (keys of `endpoints` in config/environment.js)
+ * Responses map statusCodes names to schema names; `body` and `example` give
+ * the request body schema and its example from data/testData.js.
+ */
+const operations = {
+  products: {
+    tag: 'products',
+    get: { summary: 'List products', query: ['limit', 'sort'], responses: { OK: 'productsArray', BAD_REQUEST: 'error' } },
+    post: {
+      summary: 'Create a product',
+      body: 'createProduct',
+      example: testData.validProduct,
+      responses: { OK: 'productWithoutRating', CREATED: 'productWithoutRating', BAD_REQUEST: 'error' }
+    }
+  },
+  productById: {
+    tag: 'products',
+    pathParam: 'id',
+    get: { summary: 'Get a product', responses: { OK: 'product', BAD_REQUEST: 'error', NOT_FOUND: 'error' } },
+    put: {
+      summary: 'Replace a product',
+      body: 'createProduct',
+      example: testData.updateProduct,
+      responses: { OK: 'productWithoutRating', BAD_REQUEST: 'error', NOT_FOUND: 'error' }
+    },
+    delete: { summary: 'Delete a product', responses: { OK: 'product', BAD_REQUEST: 'error', NOT_FOUND: 'error' } }
+  },
+  categories: {
+    tag: 'products',
+    get: { summary: 'List product categories', responses: { OK: 'categories' } }
+  },
+  productsByCategory: {
+    tag: 'products',
+    pathParam: 'category',
+    get: {
+      summary: 'List products in a category',
+      query: ['limit', 'sort'],
+      responses: { OK: 'productsArray', BAD_REQUEST: 'error' }
+    }
+  },
+  carts: {
+    tag: 'carts',
+    get: {
+      summary: 'List carts',
+      query: ['limit', 'sort', 'startdate', 'enddate'],
+      responses: { OK: 'cartsArray', BAD_REQUEST: 'error' }
+    },
+    post: {
+      summary: 'Create a cart',
+      body: 'createCart',
+      example: testData.validCart,
+      responses: { OK: 'createdCart', CREATED: 'createdCart', BAD_REQUEST: 'error' }
+    }
+  },
+  cartById: {
+    tag: 'carts',
+    pathParam: 'id',
+    get: { summary: 'Get a cart', responses: { OK: 'cart', BAD_REQUEST: 'error', NOT_FOUND: 'error' } },
+    put: {
+      summary: 'Replace a cart',
+      body: 'createCart',
+      example: testData.updateCart,
+      responses: { OK: 'createdCart', BAD_REQUEST: 'error', NOT_FOUND: 'error' }
+    },
+    delete: { summary: 'Delete a cart', responses: { OK: 'cart', BAD_REQUEST: 'error', NOT_FOUND: 'error' } }
+  },
+  cartsByUser: {
+    tag: 'carts',
+    pathParam: 'userId',
+    get: { summary: 'List carts of a user', responses: { OK: 'cartsArray', BAD_REQUEST: 'error' } }
+  },
+  users: {
+    tag: 'users',
+    get: { summary: 'List users', query: ['limit', 'sort'], responses: { OK: 'usersArray', BAD_REQUEST: 'error' } },
+    post: {
+      summary: 'Create a user',
+      body: 'createUser',
+      example: testData.validUser,
+      responses: { OK: 'createdUser', CREATED: 'createdUser', BAD_REQUEST: 'error' }
+    }
+  },
+  userById: {
+    tag: 'users',
+    pathParam: 'id',
+    get: { summary: 'Get a user', responses: { OK: 'user', BAD_REQUEST: 'error', NOT_FOUND: 'error' } },
+    put: {
+      summary: 'Replace a user',
+      body: 'createUser',
+      example: testData.updateUser,
+      responses: { OK: 'createdUser', BAD_REQUEST: 'error', NOT_FOUND: 'error' }
+    },
+    delete: { summary: 'Delete a user', responses: { OK: 'user', BAD_REQUEST: 'error', NOT_FOUND: 'error' } }
+  },
+  auth: {
+    tag: 'auth',
+    post: {
+      summary: 'Log in and receive a JWT',
+      body: 'loginRequest',
+      example: { username: testData.authCredentials.username, password: testData.authCredentials.password },
+      responses: { OK: 'loginResponse', BAD_REQUEST: 'error', UNAUTHORIZED: 'error' }
+    }
+  }
+};
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Joi.date().iso() accepts a date or a date-time, so it maps to a pattern
+ * rather than `format: date-time`
+ */
+const ISO_DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?)?$';
+
+/**
+ * Component name for a schema key, e.g. productWithoutRating -> ProductWithoutRating
+ * @param {string} key - Key in schemas (or echoSchemas)
+ * @returns {string} Component name
+ */
+function componentName(key) {
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Reference to a component schema
+ * @param {string} key - Key in schemas (or echoSchemas)
+ * @returns {object} { $ref }
+ */
+function schemaRef(key) {
+  return { $ref: `#/components/schemas/${componentName(key)}` };
+}
+
+/**
+ * Turn a Joi regex description ("/^\d{5}$/i") into a pattern string
+ * @param {string} regex - Regex as printed by Joi describe()
+ * @returns {string} Pattern without delimiters and flags
+ */
+function patternOf(regex) {
+  return regex.slice(1, regex.lastIndexOf('/'));
+}
+
+/**
+ * Apply Joi number rules to an OpenAPI schema
+ * @param {object} target - OpenAPI schema being built
+ * @param {object} rule - Joi rule description
+ */
+function applyNumberRule(target, { name, args = {} }) {
+  switch (name) {
+    case 'integer':
+      target.type = 'integer';
+      break;
+    case 'min':
+      target.minimum = args.limit;
+      break;
+    case 'max':
+      target.maximum = args.limit;
+      break;
+    case 'greater':
+      target.minimum = args.limit;
+      target.exclusiveMinimum = true;
+      break;
+    case 'less':
+      target.maximum = args.limit;
+      target.exclusiveMaximum = true;
+      break;
+    case 'sign':
+      if (args.sign === 'positive') {
+        target.minimum = 0;
+        target.exclusiveMinimum = true;
+      } else {
+        target.maximum = 0;
+        target.exclusiveMaximum = true;
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Apply Joi string rules to an OpenAPI schema
+ * @param {object} target - OpenAPI schema being built
+ * @param {object} rule - Joi rule description
+ */
+function applyStringRule(target, { name, args = {} }) {
+  switch (name) {
+    case 'min':
+      target.minLength = args.limit;
+      break;
+    case 'max':
+      target.maxLength = args.limit;
+      break;
+    case 'length':
+      target.minLength = args.limit;
+      target.maxLength = args.limit;
+      break;
+    case 'email':
+      target.format = 'email';
+      break;
+    case 'uri':
+      target.format = 'uri';
+      break;
+    case 'pattern':
+      target.pattern = patternOf(args.regex);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Apply Joi array rules to an OpenAPI schema
+ * @param {object} target - OpenAPI schema being built
+ * @param {object} rule - Joi rule description
+ */
+function applyArrayRule(target, { name, args = {} }) {
+  switch (name) {
+    case 'min':
+      target.minItems = args.limit;
+      break;
+    case 'max':
+      target.maxItems = args.limit;
+      break;
+    case 'length':
+      target.minItems = args.limit;
+      target.maxItems = args.limit;
+      break;
+    case 'unique':
+      target.uniqueItems = true;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Convert a Joi schema description to an OpenAPI 3.0 schema object
+ * @param {object} description - Result of joiSchema.describe()
+ * @param {string} location - Field path, for error messages
+ * @returns {object} OpenAPI schema object
+ * @throws {TypeError} If the Joi type has no OpenAPI equivalent
+ */
+function describeToOpenApi(description, location = '(root)') {
+  const { type, flags = {}, rules = [] } = description;
+  let target;
+
+  switch (type) {
+    case 'object': {
+      const keys = description.keys || {};
+      target = { type: 'object', properties: {} };
+      const required = [];
+      Object.keys(keys).forEach(key => {
+        target.properties[key] = describeToOpenApi(keys[key], location === '(root)' ? key : `${location}.${key}`);
+        if (keys[key].flags && keys[key].flags.presence === 'required') {
+          required.push(key);
+        }
+      });
+      if (required.length > 0) {
+        target.required = required;
+      }
+      target.additionalProperties = flags.unknown === true;
+      break;
+    }
+    case 'array': {
+      const items = (description.items || []).map(item => describeToOpenApi(item, `${location}[]`));
+      target = { type: 'array', items: items.length === 1 ? items[0] : (items.length ? { oneOf: items } : {}) };
+      rules.forEach(rule => applyArrayRule(target, rule));
+      break;
+    }
+    case 'string':
+      target = { type: 'string' };
+      rules.forEach(rule => applyStringRule(target, rule));
+      break;
+    case 'number':
+      target = { type: 'number' };
+      rules.forEach(rule => applyNumberRule(target, rule));
+      break;
+    case 'date':
+      target = flags.format === 'iso'
+        ? { type: 'string', pattern: ISO_DATE_PATTERN }
+        : { type: 'string' };
+      break;
+    case 'boolean':
+      target = { type: 'boolean' };
+      break;
+    case 'any':
+      target = {};
+      break;
+    default:
+      throw new TypeError(`Cannot convert Joi type "${type}" at ${location} to OpenAPI`);
+  }
+
+  if (flags.only && description.allow) {
+    target.enum = description.allow.filter(value => value !== null);
+  }
+  if (description.allow && description.allow.includes(null)) {
+    target.nullable = true;
+  }
+  if (flags.description) {
+    target.description = flags.description;
+  }
+  return target;
+}
+
+/**
+ * Convert a Joi schema to an OpenAPI 3.0 schema object
+ * @param {object} schema - Joi schema
+ * @returns {object} OpenAPI schema object
+ */
+function joiToOpenApi(schema) {
+  return describeToOpenApi(schema.describe());
+}
+
+/**
+ * Build the OpenAPI path for an endpoint, e.g. productById -> /products/{id}
+ * @param {string} name - Key in endpoints
+ * @param {string} pathParam - Path parameter name (for function endpoints)
+ * @returns {string} OpenAPI path template
+ */
+function pathTemplate(name, pathParam) {
+  const endpoint = endpoints[name];
+  // decodeURI undoes the encoding of the braces, e.g. productsByCategory -> /products/category/{category}
+  return typeof endpoint === 'function' ? decodeURI(endpoint(`{${pathParam}}`)) : endpoint;
+}
+
+/**
+ * Build one OpenAPI operation object
+ * @param {string} name - Endpoint name
+ * @param {string} method - HTTP method (lower case)
+ * @param {object} spec - Operation entry from the operations table
+ * @param {object} endpoint - Endpoint entry (tag, pathParam)
+ * @returns {object} OpenAPI operation
+ */
+function buildOperation(name, method, spec, endpoint) {
+  const operation = {
+    tags: [endpoint.tag],
+    summary: spec.summary,
+    operationId: `${method}${componentName(name)}`
+  };
+
+  const params = [
+    ...(endpoint.pathParam ? [endpoint.pathParam] : []),
+    ...(spec.query || [])
+  ].map(param => parameters[param]);
+  if (params.length > 0) {
+    operation.parameters = params;
+  }
+
+  if (spec.body) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema: schemaRef(spec.body), example: spec.example }
+      }
+    };
+  }
+
+  operation.responses = {};
+  Object.keys(spec.responses).forEach(statusName => {
+    const code = statusCodes[statusName];
+    operation.responses[code] = {
+      description: http.STATUS_CODES[code],
+      content: { 'application/json': { schema: schemaRef(spec.responses[statusName]) } }
+    };
+  });
+
+  return operation;
+}
+
+/**
+ * Generate the OpenAPI document
+ * @returns {object} OpenAPI 3.0 document
+ * @throws {Error} If an endpoint in config/environment.js has no operations
+ */
+function generateOpenApiDocument() {
+  const missing = Object.keys(endpoints).filter(name => !operations[name]);
+  if (missing.length > 0) {
+    throw new Error(`No OpenAPI operations defined for endpoint(s): ${missing.join(', ')}`);
+  }
+
+  const paths = {};
+  Object.keys(operations).forEach(name => {
+    const endpoint = operations[name];
+    const item = {};
+    HTTP_METHODS.filter(method => endpoint[method]).forEach(method => {
+      item[method] = buildOperation(name, method, endpoint[method], endpoint);
+    });
+    paths[pathTemplate(name, endpoint.pathParam)] = item;
+  });
+
+  const components = {};
+  const allSchemas = { ...schemas, ...echoSchemas };
+  Object.keys(allSchemas).forEach(key => {
+    components[componentName(key)] = joiToOpenApi(allSchemas[key]);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Fake Store API',
+      version,
+      description: 'Generated from utils/schemaValidator.js and config/environment.js ' +
+        'by `npm run openapi:generate`. Do not edit by hand.'
+    },
+    servers: [{ url: environments.production.baseURL }],
+    tags: [...new Set(Object.values(operations).map(endpoint => endpoint.tag))].map(tag => ({ name: tag })),
+    paths,
+    components: { schemas: components }
+  };
+}
+
+/**
+ * List the differences between two JSON values
+ * @param {*} expected - Committed value
+ * @param {*} actual - Generated value
+ * @param {string} location - Path of the values being compared
+ * @returns {array} Messages such as "changed paths./products.get.summary"
+ */
+function diffJson(expected, actual, location = '') {
+  const isObject = value => value !== null && typeof value === 'object';
+  if (isObject(expected) && isObject(actual) && Array.isArray(expected) === Array.isArray(actual)) {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return keys.reduce((differences, key) => {
+      const child = location ? `${location}.${key}` : key;
+      if (!(key in actual)) {
+        return differences.concat(`removed ${child}`);
+      }
+      if (!(key in expected)) {
+        return differences.concat(`added ${child}`);
+      }
+      return differences.concat(diffJson(expected[key], actual[key], child));
+    }, []);
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual) ? [] : [`changed ${location || '(root)'}`];
+}
+
+/**
+ * Write the generated document
+ * @param {string} file - Output path (defaults to docs/openapi.json)
+ * @returns {object} The written document
+ */
+function writeOpenApiDocument(file = OPENAPI_FILE) {
+  const document = generateOpenApiDocument();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(document, null, 2)}\n`);
+  return document;
+}
+
+/**
+ * Compare the committed document with a freshly generated one
+ * "added" means the generator now produces something the committed file lacks.
+ * @param {string} file - Committed document (defaults to docs/openapi.json)
+ * @returns {object} { drifted, differences }
+ */
+function checkOpenApiDrift(file = OPENAPI_FILE) {
+  if (!fs.existsSync(file)) {
+    return { drifted: true, differences: [`missing ${path.relative(process.cwd(), file)}`] };
+  }
+  const committed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const differences = diffJson(committed, generateOpenApiDocument());
+  return { drifted: differences.length > 0, differences };
+}
+
+// Allow running standalone: node utils/openApi.js [--check]
+if (require.main === module) {
+  const relative = path.relative(process.cwd(), OPENAPI_FILE);
+  if (process.argv.includes('--check')) {
+    const { drifted, differences } = checkOpenApiDrift();
+    if (drifted) {
+      console.error(`${relative} is out of date (${differences.length} difference(s)):`);
+      differences.slice(0, 50).forEach(difference => console.error(`  - ${difference}`));
+      console.error('Run `npm run openapi:generate` and commit the result.');
+      process.exitCode = 1;
+    } else {
+      console.log(`${relative} is up to date`);
+    }
+  } else {
+    const document = writeOpenApiDocument();
+    console.log(`Wrote ${relative} (${Object.keys(document.paths).length} paths, ` +
+      `${Object.keys(document.components.schemas).length} schemas)`);
+  }
+}
+
+module.exports = {
+  OPENAPI_FILE,
+  joiToOpenApi,
+  generateOpenApiDocument,
+  writeOpenApiDocument,
+  checkOpenApiDrift,
+  diffJson
+};
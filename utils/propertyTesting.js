@@ -0,0 +1,603 @@
+/**
+ * Property-Based Testing
+ * Generates arbitrary inputs, checks a property against each one and shrinks
+ * a failing input to a minimal counterexample
+ *
+ * An arbitrary is { generate(random), shrink(value) }: generate() builds a
+ * value from a seeded random source, shrink() lists simpler values to try
+ * when that value fails. fromJoi() builds one from a Joi schema, so payloads
+ * follow the same rules the tests validate against.
+ *
+ * Runs are reproducible: each property's seed is derived from the run seed
+ * (TEST_SEED) and its name, is reported on failure, and PROPERTY_SEED replays
+ * it. Shrunk counterexamples are saved under config.propertyRegressionDir and
+ * replayed before the random runs from then on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config/environment');
+const { logTest } = require('./testHelpers');
+const { createRandom, deriveSeed, runSeed } = require('./random');
+
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/**
+ * Characters for free text: alphanumerics, whitespace, JSON/HTML specials and non-ASCII
+ */
+const TEXT_CHARS = [...`${ALPHANUMERIC} -_.,'"<>&/\\:;!?@#%`, 'é', 'ü', 'ß', '日', '本', '🚀', '\t'];
+
+/**
+ * Chance of picking a boundary value instead of a uniform one
+ */
+const EDGE_PROBABILITY = 0.2;
+
+/**
+ * Error thrown by assertProperty() when a property fails
+ */
+class PropertyError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = 'PropertyError';
+    this.result = result;
+  }
+}
+
+/**
+ * Build an arbitrary
+ * @param {Function} generate - (random) => value
+ * @param {Function} shrink - (value) => array of simpler values
+ * @returns {object} Arbitrary
+ */
+function arbitrary(generate, shrink = () => []) {
+  return { generate, shrink };
+}
+
+/**
+ * Pick one element
+ * @param {Function} random - Random source
+ * @param {array} values - Non-empty list
+ * @returns {*} Element
+ */
+function pick(random, values) {
+  return values[Math.floor(random() * values.length)];
+}
+
+/**
+ * Drop duplicates (by JSON) and the value being shrunk
+ * @param {array} candidates - Shrink candidates
+ * @param {*} value - Value being shrunk
+ * @returns {array} Distinct candidates
+ */
+function distinctCandidates(candidates, value) {
+  const seen = new Set([JSON.stringify(value)]);
+  return candidates.filter(candidate => {
+    const key = JSON.stringify(candidate);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Integers in [min, max], shrinking toward the value closest to zero
+ * @param {object} options - { min, max }
+ * @returns {object} Arbitrary
+ */
+function integer({ min = -10000, max = 10000 } = {}) {
+  if (min > max) {
+    throw new RangeError(`integer() needs min <= max, got ${min} > ${max}`);
+  }
+  const target = Math.min(Math.max(0, min), max);
+
+  return arbitrary(
+    random => (random() < EDGE_PROBABILITY
+      ? pick(random, [min, max, target])
+      : min + Math.floor(random() * (max - min + 1))),
+    value => {
+      const candidates = [target];
+      let delta = Math.trunc((value - target) / 2);
+      while (delta !== 0) {
+        candidates.push(value - delta);
+        delta = Math.trunc(delta / 2);
+      }
+      candidates.push(value - Math.sign(value - target));
+      return distinctCandidates(candidates, value);
+    }
+  );
+}
+
+/**
+ * Transform an arbitrary's values, keeping them shrinkable
+ * @param {object} source - Arbitrary
+ * @param {Function} to - Source value => mapped value
+ * @param {Function} from - Mapped value => source value
+ * @returns {object} Arbitrary
+ */
+function map(source, to, from) {
+  return arbitrary(
+    random => to(source.generate(random)),
+    value => source.shrink(from(value)).map(to)
+  );
+}
+
+/**
+ * Decimal numbers with a fixed number of places
+ * @param {object} options - { min, max, minExclusive, maxExclusive, decimals }
+ * @returns {object} Arbitrary
+ */
+function float({ min = -10000, max = 10000, minExclusive = false, maxExclusive = false, decimals = 2 } = {}) {
+  const scale = 10 ** decimals;
+  const low = Math.ceil(min * scale) + (minExclusive && Number.isInteger(min * scale) ? 1 : 0);
+  const high = Math.floor(max * scale) - (maxExclusive && Number.isInteger(max * scale) ? 1 : 0);
+
+  return map(
+    integer({ min: low, max: high }),
+    units => Number((units / scale).toFixed(decimals)),
+    value => Math.round(value * scale)
+  );
+}
+
+/**
+ * Strings of characters from a set, shrinking toward shorter strings of 'a'
+ * @param {object} options - { minLength, maxLength, chars }
+ * @returns {object} Arbitrary
+ */
+function string({ minLength = 0, maxLength = 30, chars = TEXT_CHARS } = {}) {
+  const alphabet = [...chars];
+  const simplest = alphabet.includes('a') ? 'a' : alphabet[0];
+
+  return arbitrary(
+    random => {
+      const length = random() < EDGE_PROBABILITY
+        ? pick(random, [minLength, maxLength])
+        : minLength + Math.floor(random() * (maxLength - minLength + 1));
+      return Array.from({ length }, () => pick(random, alphabet)).join('');
+    },
+    value => {
+      const characters = Array.from(value);
+      const candidates = [];
+      if (characters.length > minLength) {
+        candidates.push(characters.slice(0, minLength).join(''));
+        candidates.push(characters.slice(0, Math.max(minLength, Math.floor(characters.length / 2))).join(''));
+        characters.forEach((_, index) => {
+          candidates.push(characters.filter((__, other) => other !== index).join(''));
+        });
+      }
+      const firstComplex = characters.findIndex(character => character !== simplest);
+      if (firstComplex !== -1) {
+        candidates.push(characters.map(() => simplest).join(''));
+        candidates.push(characters.map((character, index) => (index === firstComplex ? simplest : character)).join(''));
+      }
+      return distinctCandidates(candidates, value);
+    }
+  );
+}
+
+/**
+ * One of a fixed list, shrinking toward the first entry
+ * @param {array} values - Allowed values
+ * @returns {object} Arbitrary
+ */
+function constantFrom(values) {
+  if (values.length === 0) {
+    throw new RangeError('constantFrom() needs at least one value');
+  }
+  return arbitrary(
+    random => pick(random, values),
+    value => values.slice(0, Math.max(0, values.indexOf(value)))
+  );
+}
+
+/**
+ * http(s) URIs with a generated path
+ * @returns {object} Arbitrary
+ */
+function uri() {
+  const prefix = 'https://fakestoreapi.com/img/';
+  return map(
+    string({ maxLength: 20, chars: `${ALPHANUMERIC}-_.` }),
+    file => `${prefix}${file}`,
+    value => value.slice(prefix.length)
+  );
+}
+
+/**
+ * Email addresses with a generated local part
+ * @returns {object} Arbitrary
+ */
+function email() {
+  const domain = '@example.com';
+  return map(
+    string({ minLength: 1, maxLength: 20, chars: ALPHANUMERIC }),
+    local => `${local}${domain}`,
+    value => value.slice(0, -domain.length)
+  );
+}
+
+/**
+ * ISO dates (YYYY-MM-DD) between 2000 and 2030
+ * @returns {object} Arbitrary
+ */
+function isoDate() {
+  const day = 24 * 60 * 60 * 1000;
+  const epoch = Date.UTC(2000, 0, 1);
+  return map(
+    integer({ min: 0, max: 365 * 30 }),
+    days => new Date(epoch + days * day).toISOString().slice(0, 10),
+    value => Math.round((Date.parse(value) - epoch) / day)
+  );
+}
+
+/**
+ * Objects with one arbitrary per key
+ * Optional keys are present half the time and dropped first when shrinking.
+ * @param {object} shape - Arbitraries keyed by field
+ * @param {object} options - { optional: keys that may be absent }
+ * @returns {object} Arbitrary
+ */
+function record(shape, { optional = [] } = {}) {
+  const keys = Object.keys(shape);
+  return arbitrary(
+    random => {
+      const value = {};
+      keys.forEach(key => {
+        if (!optional.includes(key) || random() < 0.5) {
+          value[key] = shape[key].generate(random);
+        }
+      });
+      return value;
+    },
+    value => {
+      const candidates = [];
+      optional.filter(key => key in value).forEach(key => {
+        const { [key]: removed, ...rest } = value;
+        candidates.push(rest);
+      });
+      keys.filter(key => key in value).forEach(key => {
+        shape[key].shrink(value[key]).forEach(smaller => candidates.push({ ...value, [key]: smaller }));
+      });
+      return candidates;
+    }
+  );
+}
+
+/**
+ * Arrays of an arbitrary's values, shrinking by removing then simplifying items
+ * @param {object} items - Item arbitrary
+ * @param {object} options - { minLength, maxLength }
+ * @returns {object} Arbitrary
+ */
+function array(items, { minLength = 0, maxLength = 10 } = {}) {
+  const length = integer({ min: minLength, max: maxLength });
+  return arbitrary(
+    random => Array.from({ length: length.generate(random) }, () => items.generate(random)),
+    value => {
+      const candidates = [];
+      if (value.length > minLength) {
+        candidates.push(value.slice(0, minLength));
+        candidates.push(value.slice(0, Math.max(minLength, Math.floor(value.length / 2))));
+        value.forEach((_, index) => candidates.push(value.filter((__, other) => other !== index)));
+      }
+      value.forEach((item, index) => {
+        items.shrink(item).forEach(smaller => candidates.push(value.map((other, at) => (at === index ? smaller : other))));
+      });
+      return distinctCandidates(candidates, value);
+    }
+  );
+}
+
+/**
+ * Rule lookup for a Joi description
+ * @param {object} description - Joi describe() output
+ * @returns {object} Rule args keyed by rule name (true when the rule has none)
+ */
+function rulesOf(description) {
+  const rules = {};
+  (description.rules || []).forEach(({ name, args }) => {
+    rules[name] = args || true;
+  });
+  return rules;
+}
+
+/**
+ * Reject rules an arbitrary cannot honour
+ * @param {object} rules - Rules keyed by name
+ * @param {array} supported - Supported rule names
+ * @param {string} location - Field path, for the message
+ */
+function assertSupportedRules(rules, supported, location) {
+  const unsupported = Object.keys(rules).find(name => !supported.includes(name));
+  if (unsupported) {
+    throw new TypeError(`Cannot generate values for Joi rule "${unsupported}" at ${location}`);
+  }
+}
+
+/**
+ * Arbitrary for a Joi description
+ * @param {object} description - Joi describe() output
+ * @param {string} location - Field path, for errors
+ * @returns {object} Arbitrary
+ * @throws {TypeError} For types or rules with no generator
+ */
+function describeToArbitrary(description, location = '(root)') {
+  const rules = rulesOf(description);
+  const flags = description.flags || {};
+
+  if (flags.only && description.allow) {
+    return constantFrom(description.allow);
+  }
+
+  switch (description.type) {
+    case 'object': {
+      const keys = description.keys || {};
+      const shape = {};
+      Object.keys(keys).forEach(key => {
+        shape[key] = describeToArbitrary(keys[key], location === '(root)' ? key : `${location}.${key}`);
+      });
+      const optional = Object.keys(keys).filter(key => (keys[key].flags || {}).presence !== 'required');
+      return record(shape, { optional });
+    }
+    case 'string': {
+      assertSupportedRules(rules, ['min', 'max', 'length', 'uri', 'email'], location);
+      if (rules.uri) {
+        return uri();
+      }
+      if (rules.email) {
+        return email();
+      }
+      const allowsEmpty = (description.allow || []).includes('');
+      const minLength = rules.length ? rules.length.limit : (rules.min ? rules.min.limit : (allowsEmpty ? 0 : 1));
+      const maxLength = rules.length ? rules.length.limit : (rules.max ? rules.max.limit : Math.max(30, minLength));
+      return string({ minLength, maxLength });
+    }
+    case 'number': {
+      assertSupportedRules(rules, ['integer', 'min', 'max', 'greater', 'less', 'sign', 'precision'], location);
+      const bounds = { min: -10000, max: 10000, minExclusive: false, maxExclusive: false };
+      const sign = rules.sign ? rules.sign.sign : null;
+      if (rules.min || rules.greater || sign === 'positive') {
+        const lower = rules.min || rules.greater || { limit: 0 };
+        Object.assign(bounds, { min: lower.limit, minExclusive: !rules.min });
+      }
+      if (rules.max || rules.less || sign === 'negative') {
+        const upper = rules.max || rules.less || { limit: 0 };
+        Object.assign(bounds, { max: upper.limit, maxExclusive: !rules.max });
+      }
+      if (rules.integer) {
+        return integer({
+          min: bounds.minExclusive ? Math.floor(bounds.min) + 1 : Math.ceil(bounds.min),
+          max: bounds.maxExclusive ? Math.ceil(bounds.max) - 1 : Math.floor(bounds.max)
+        });
+      }
+      return float({ ...bounds, decimals: rules.precision ? rules.precision.limit : 2 });
+    }
+    case 'boolean':
+      return constantFrom([false, true]);
+    case 'date':
+      return isoDate();
+    case 'array': {
+      assertSupportedRules(rules, ['min', 'max', 'length'], location);
+      const [items] = description.items || [];
+      if (!items) {
+        throw new TypeError(`Cannot generate values for a Joi array without items at ${location}`);
+      }
+      return array(describeToArbitrary(items, `${location}[]`), {
+        minLength: rules.length ? rules.length.limit : (rules.min ? rules.min.limit : 0),
+        maxLength: rules.length ? rules.length.limit : (rules.max ? rules.max.limit : 5)
+      });
+    }
+    default:
+      throw new TypeError(`Cannot generate values for Joi type "${description.type}" at ${location}`);
+  }
+}
+
+/**
+ * Arbitrary producing values that satisfy a Joi schema
+ * @param {object} schema - Joi schema
+ * @returns {object} Arbitrary
+ */
+function fromJoi(schema) {
+  return describeToArbitrary(schema.describe());
+}
+
+/**
+ * Run the property on one value
+ * @param {Function} predicate - (value) => boolean | Promise; false or a throw means failure
+ * @param {*} value - Input
+ * @returns {Promise} Resolves with the failure message, or null if the property held
+ */
+async function failureOf(predicate, value) {
+  try {
+    const outcome = await predicate(value);
+    return outcome === false ? 'property returned false' : null;
+  } catch (error) {
+    return error.message || String(error);
+  }
+}
+
+/**
+ * Shrink a failing value greedily: take the first simpler value that still fails, repeat
+ * @param {object} arb - Arbitrary that produced the value
+ * @param {Function} predicate - Property
+ * @param {*} value - Failing value
+ * @param {string} failure - Its failure message
+ * @param {number} maxAttempts - Cap on property evaluations
+ * @returns {Promise} Resolves with { value, failure, shrinks }
+ */
+async function shrinkFailure(arb, predicate, value, failure, maxAttempts) {
+  let current = { value, failure, shrinks: 0 };
+  let attempts = 0;
+  let improved = true;
+
+  while (improved && attempts < maxAttempts) {
+    improved = false;
+    for (const candidate of arb.shrink(current.value)) {
+      if (attempts >= maxAttempts) {
+        break;
+      }
+      attempts += 1;
+      const candidateFailure = await failureOf(predicate, candidate);
+      if (candidateFailure) {
+        current = { value: candidate, failure: candidateFailure, shrinks: current.shrinks + 1 };
+        improved = true;
+        break;
+      }
+    }
+  }
+  return current;
+}
+
+/**
+ * Regression file for a property
+ * @param {string} dir - Regression directory, relative to the project root
+ * @param {string} name - Property name
+ * @returns {string} Absolute path
+ */
+function regressionFile(dir, name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return path.resolve(__dirname, '..', dir, `${slug}.json`);
+}
+
+/**
+ * Saved counterexamples for a property
+ * @param {string} file - Regression file
+ * @returns {array} Cases: { seed, counterexample, failure }
+ */
+function loadRegressions(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).cases : [];
+}
+
+/**
+ * Add a counterexample to a property's regression file (once)
+ * @param {string} file - Regression file
+ * @param {string} name - Property name
+ * @param {object} entry - { seed, counterexample, failure }
+ */
+function saveRegression(file, name, entry) {
+  const cases = loadRegressions(file);
+  if (cases.some(saved => JSON.stringify(saved.counterexample) === JSON.stringify(entry.counterexample))) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ property: name, cases: [...cases, entry] }, null, 2)}\n`);
+}
+
+/**
+ * Check a property: saved regressions first, then runs random inputs
+ * @param {string} name - Property name (also names the regression file)
+ * @param {object} arb - Arbitrary for the input
+ * @param {Function} predicate - (value) => boolean | Promise; false or a throw means failure
+ * @param {object} options - Run options
+ * @param {number} options.runs - Random inputs to try (defaults to config.propertyRuns)
+ * @param {number} options.seed - Seed (defaults to config.propertySeed, else derived from the run seed)
+ * @param {string|false} options.regressionDir - Where counterexamples are kept; false to neither load nor save
+ * @param {number} options.maxShrinkAttempts - Cap on property evaluations while shrinking
+ * @returns {Promise} Resolves with { name, passed, runs, seed, counterexample?, original?, shrinks?, failure?, source?, file? }
+ */
+async function checkProperty(name, arb, predicate, {
+  runs = config.propertyRuns,
+  seed = config.propertySeed === null ? deriveSeed(runSeed(), name) : config.propertySeed,
+  regressionDir = config.propertyRegressionDir,
+  maxShrinkAttempts = 200
+} = {}) {
+  const file = regressionDir ? regressionFile(regressionDir, name) : null;
+  const fail = async (value, failure, details) => {
+    const shrunk = await shrinkFailure(arb, predicate, value, failure, maxShrinkAttempts);
+    if (file) {
+      saveRegression(file, name, { seed, counterexample: shrunk.value, failure: shrunk.failure });
+    }
+    return {
+      name,
+      passed: false,
+      seed,
+      counterexample: shrunk.value,
+      original: value,
+      shrinks: shrunk.shrinks,
+      failure: shrunk.failure,
+      file,
+      ...details
+    };
+  };
+
+  for (const saved of file ? loadRegressions(file) : []) {
+    const failure = await failureOf(predicate, saved.counterexample);
+    if (failure) {
+      return fail(saved.counterexample, failure, { runs: 0, source: 'regression' });
+    }
+  }
+
+  const random = createRandom(seed);
+  for (let run = 1; run <= runs; run++) {
+    const value = arb.generate(random);
+    const failure = await failureOf(predicate, value);
+    if (failure) {
+      return fail(value, failure, { runs: run, source: 'random' });
+    }
+  }
+  return { name, passed: true, runs, seed };
+}
+
+/**
+ * Readable report of a failed property
+ * @param {object} result - Result of checkProperty()
+ * @returns {string} Multi-line report
+ */
+function formatPropertyFailure(result) {
+  const origin = result.source === 'regression'
+    ? 'on a saved regression case'
+    : `after ${result.runs} run(s) (seed ${result.seed})`;
+  const lines = [
+    `Property "${result.name}" failed ${origin}, shrunk ${result.shrinks} time(s)`,
+    `Counterexample: ${JSON.stringify(result.counterexample)}`,
+    `Failure: ${result.failure}`
+  ];
+  if (result.source === 'random') {
+    lines.push(`Reproduce with PROPERTY_SEED=${result.seed}`);
+  }
+  if (result.file) {
+    lines.push(`Saved as a regression case in ${path.relative(process.cwd(), result.file)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Check a property and throw if it fails
+ * @param {string} name - Property name
+ * @param {object} arb - Arbitrary for the input
+ * @param {Function} predicate - Property
+ * @param {object} options - See checkProperty()
+ * @returns {Promise} Resolves with the passing result
+ * @throws {PropertyError} With the shrunk counterexample
+ */
+async function assertProperty(name, arb, predicate, options = {}) {
+  const result = await checkProperty(name, arb, predicate, options);
+  if (!result.passed) {
+    const report = formatPropertyFailure(result);
+    logTest(report, 'error');
+    throw new PropertyError(report, result);
+  }
+  return result;
+}
+
+module.exports = {
+  PropertyError,
+  createRandom,
+  arbitrary,
+  integer,
+  float,
+  string,
+  constantFrom,
+  uri,
+  email,
+  isoDate,
+  record,
+  array,
+  map,
+  fromJoi,
+  rulesOf,
+  checkProperty,
+  assertProperty,
+  formatPropertyFailure
+};
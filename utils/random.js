@@ -0,0 +1,164 @@
+/**
+ * Seeded Random
+ * One seed per run, derived per test, behind every random choice in the test data
+ *
+ * The run seed comes from TEST_SEED (or the testSeed config override) or is picked by
+ * config/globalSetup.js, which publishes it to the Jest workers through an
+ * environment variable. config/jest.setup.js reseeds before every test with a
+ * seed derived from the run seed and the test's full name, so a test gets the
+ * same payloads and IDs whether it runs alone (-t) or with the rest of its file.
+ */
+
+const { config } = require('../config/environment');
+
+const SEED_ENV_VAR = 'FAKESTORE_SEED';
+
+/**
+ * Largest seed + 1 (seeds are unsigned 32-bit integers)
+ */
+const SEED_RANGE = 4294967296;
+
+/**
+ * Run seed set for this test file by setRunSeed(), e.g. from a cassette
+ */
+let seedOverride = null;
+
+/**
+ * Current stream: { label, seed, next }
+ */
+let stream = null;
+
+/**
+ * Seeded pseudo-random source (mulberry32)
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  };
+}
+
+/**
+ * Derive a seed for one test (or any other label) from the run seed
+ * @param {number} seed - Run seed
+ * @param {string} label - Test name, file name or property name
+ * @returns {number} 32-bit unsigned seed
+ */
+function deriveSeed(seed, label) {
+  // FNV-1a over "<seed>:<label>"
+  let hash = 0x811C9DC5;
+  for (const character of `${seed}:${label}`) {
+    hash ^= character.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick the seed for this run: config.testSeed if set, otherwise a fresh one
+ * @returns {number} Run seed
+ */
+function chooseRunSeed() {
+  return config.testSeed === null ? Math.floor(Math.random() * SEED_RANGE) : config.testSeed;
+}
+
+/**
+ * Publish the run seed to Jest workers (called from config/globalSetup.js)
+ * @param {number} seed - Run seed
+ */
+function publishRunSeed(seed) {
+  process.env[SEED_ENV_VAR] = String(seed);
+}
+
+/**
+ * Seed of the current run
+ * Chosen and published on first use when config/globalSetup.js did not run.
+ * @returns {number} Run seed
+ */
+function runSeed() {
+  if (seedOverride !== null) {
+    return seedOverride;
+  }
+  if (!process.env[SEED_ENV_VAR]) {
+    publishRunSeed(chooseRunSeed());
+  }
+  return Number(process.env[SEED_ENV_VAR]);
+}
+
+/**
+ * Use a different run seed in this test file (null restores the published one)
+ * @param {number|null} seed - Run seed, e.g. the one a cassette was recorded with
+ */
+function setRunSeed(seed) {
+  seedOverride = seed;
+}
+
+/**
+ * Restart the random stream with a seed derived for a label
+ * @param {string} label - Test name (or file name for collection time)
+ * @returns {number} Derived seed
+ */
+function seedRandom(label) {
+  const seed = deriveSeed(runSeed(), label);
+  stream = { label, seed, next: createRandom(seed) };
+  return seed;
+}
+
+/**
+ * Seed of the current stream
+ * @returns {object} { label, seed }, or null before the first seedRandom()
+ */
+function currentSeed() {
+  return stream ? { label: stream.label, seed: stream.seed } : null;
+}
+
+/**
+ * Next number from the current stream
+ * @returns {number} Number in [0, 1)
+ */
+function random() {
+  if (!stream) {
+    seedRandom('(unseeded)');
+  }
+  return stream.next();
+}
+
+/**
+ * Random integer in [min, max]
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @returns {number} Integer
+ */
+function randomInt(min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Random element of a list
+ * @param {array} values - Non-empty list
+ * @returns {*} Element
+ */
+function randomItem(values) {
+  return values[Math.floor(random() * values.length)];
+}
+
+module.exports = {
+  SEED_ENV_VAR,
+  createRandom,
+  deriveSeed,
+  chooseRunSeed,
+  publishRunSeed,
+  runSeed,
+  setRunSeed,
+  seedRandom,
+  currentSeed,
+  random,
+  randomInt,
+  randomItem
+};
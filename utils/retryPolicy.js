@@ -0,0 +1,109 @@
+/**
+ * Retry Policy
+ * Decides whether and when ApiClient re-sends a failed request
+ *
+ * Defaults come from config (retryAttempts, retryDelay, retryMaxDelay,
+ * retryStatusCodes) and can be overridden per request with the `retry` option.
+ */
+
+const { config } = require('../config/environment');
+
+/**
+ * Methods that are not safe to repeat unless a request opts in
+ */
+const NON_IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
+/**
+ * Socket-level error codes treated as transient
+ */
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * node-fetch FetchError types raised for network failures and timeouts
+ */
+const NETWORK_ERROR_TYPES = ['system', 'request-timeout', 'body-timeout'];
+
+/**
+ * Resolve the retry policy for one request
+ * @param {boolean|number|object} retry - Per-request override: false disables retries,
+ *   a number sets the attempts, an object overrides individual settings
+ * @returns {object} { attempts, delay, maxDelay, statusCodes, allowNonIdempotent }
+ */
+function resolveRetryPolicy(retry) {
+  const policy = {
+    attempts: config.retryAttempts,
+    delay: config.retryDelay,
+    maxDelay: config.retryMaxDelay,
+    statusCodes: config.retryStatusCodes,
+    allowNonIdempotent: false
+  };
+
+  if (retry === false) {
+    return { ...policy, attempts: 0 };
+  }
+  if (typeof retry === 'number') {
+    return { ...policy, attempts: retry };
+  }
+  return { ...policy, ...retry };
+}
+
+/**
+ * Whether a request may be retried at all
+ * @param {string} method - HTTP method
+ * @param {object} policy - Resolved retry policy
+ * @returns {boolean} True if attempts remain and the method is safe to repeat
+ */
+function canRetry(method, policy) {
+  if (policy.attempts <= 0) {
+    return false;
+  }
+  return policy.allowNonIdempotent || !NON_IDEMPOTENT_METHODS.includes(method.toUpperCase());
+}
+
+/**
+ * Whether an error is a transient network failure
+ * @param {Error} error - Error raised by fetch
+ * @returns {boolean} True for socket resets, refused connections and timeouts
+ */
+function isNetworkError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error.name === 'FetchError' && NETWORK_ERROR_TYPES.includes(error.type)) {
+    return true;
+  }
+  return NETWORK_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Whether a response status should be retried
+ * @param {number} status - HTTP status code
+ * @param {object} policy - Resolved retry policy
+ * @returns {boolean} True if the status is listed in policy.statusCodes
+ */
+function isRetryableStatus(status, policy) {
+  return policy.statusCodes.includes(status);
+}
+
+/**
+ * Delay before a retry: exponential backoff with equal jitter
+ * Half of the backoff is fixed, the other half random, capped at maxDelay.
+ * @param {number} retryNumber - 1 for the first retry, 2 for the second, ...
+ * @param {object} policy - Resolved retry policy
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function computeDelay(retryNumber, policy, random = Math.random) {
+  const backoff = Math.min(policy.maxDelay, policy.delay * 2 ** (retryNumber - 1));
+  return Math.round(backoff / 2 + random() * (backoff / 2));
+}
+
+module.exports = {
+  NON_IDEMPOTENT_METHODS,
+  NETWORK_ERROR_CODES,
+  resolveRetryPolicy,
+  canRetry,
+  isNetworkError,
+  isRetryableStatus,
+  computeDelay
+};
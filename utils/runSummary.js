@@ -0,0 +1,199 @@
+/**
+ * Run Summary
+ * Turns Jest's aggregated results into the run summary printed by
+ * config/runSummaryReporter.js and written to reports/results.json
+ *
+ * results.json is the machine-readable companion of junit.xml and
+ * test-report.html:
+ *   {
+ *     generatedAt, success, environment, baseURL, seed,
+ *     totals:  { suites, total, passed, failed, skipped, retries, httpRetries, passRate, duration },
+ *     suites:  [{ file, total, passed, failed, skipped, retries, httpRetries, duration, error }],
+ *     slowest: [{ file, name, duration }]
+ *   }
+ * Durations are in milliseconds; skipped counts skipped and todo tests;
+ * retries counts re-runs from jest.retryTimes(), httpRetries the requests
+ * ApiClient re-sent under its retry policy. Workers count HTTP retries per
+ * test file and leave them in reports/retries for the reporter.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { env, config } = require('../config/environment');
+const { runSeed } = require('./random');
+const { generateTestReport } = require('./testHelpers');
+
+const RETRIES_DIR = path.join(__dirname, '..', 'reports', 'retries');
+
+/**
+ * Requests ApiClient re-sent in this test file
+ */
+let httpRetries = 0;
+
+/**
+ * Count a request ApiClient re-sends (called by apiClient.retryFailures())
+ */
+function recordHttpRetry() {
+  httpRetries += 1;
+}
+
+/**
+ * Write this file's HTTP retry count for the run summary
+ * @param {string} name - Test file name
+ * @param {string} dir - Directory for per-file counts
+ */
+function writeHttpRetries(name, dir = RETRIES_DIR) {
+  if (httpRetries === 0) {
+    return;
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify({ httpRetries }));
+}
+
+/**
+ * Read the HTTP retry counts the test files wrote
+ * @param {string} dir - Directory of per-file counts
+ * @returns {object} Retries keyed by test file name
+ */
+function readHttpRetries(dir = RETRIES_DIR) {
+  if (!fs.existsSync(dir)) {
+    return {};
+  }
+  const counts = {};
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+    counts[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).httpRetries;
+  });
+  return counts;
+}
+
+/**
+ * Remove the per-file HTTP retry counts (before and after a run)
+ * @param {string} dir - Directory of per-file counts
+ */
+function resetHttpRetries(dir = RETRIES_DIR) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Tally test results by status
+ * @param {array} tests - Jest assertion results
+ * @returns {object} { total, passed, failed, skipped, retries }
+ */
+function countTests(tests) {
+  return {
+    total: tests.length,
+    passed: tests.filter(test => test.status === 'passed').length,
+    failed: tests.filter(test => test.status === 'failed').length,
+    skipped: tests.filter(test => !['passed', 'failed'].includes(test.status)).length,
+    retries: tests.reduce((total, test) => total + Math.max((test.invocations || 1) - 1, 0), 0)
+  };
+}
+
+/**
+ * First line of a suite's execution error
+ * @param {object} fileResult - Jest test file result
+ * @returns {string|null} Message, or null when the suite ran
+ */
+function suiteError(fileResult) {
+  if (!fileResult.testExecError && !(fileResult.failureMessage && fileResult.testResults.length === 0)) {
+    return null;
+  }
+  const message = fileResult.testExecError ? fileResult.testExecError.message : fileResult.failureMessage;
+  return message.split('\n').map(line => line.trim()).find(Boolean) || 'unknown error';
+}
+
+/**
+ * Summarize a Jest run
+ * @param {object} results - Aggregated results passed to a reporter's onRunComplete
+ * @param {object} options - Options
+ * @param {string} options.rootDir - Project root, for relative file paths
+ * @param {number} options.slowest - Number of slowest tests to list (default 5)
+ * @param {number} options.now - Run end time in ms since the epoch (default now)
+ * @param {string} options.environment - Environment name (default NODE_ENV's)
+ * @param {string} options.baseURL - API base URL (default the configured one, or "local server")
+ * @param {number} options.seed - Run seed (default the published one)
+ * @param {object} options.httpRetries - HTTP retries keyed by test file name (default those in reports/retries)
+ * @returns {object} Run summary
+ */
+function summarizeRun(results, options = {}) {
+  const {
+    rootDir = process.cwd(),
+    slowest = 5,
+    now = Date.now(),
+    environment = env,
+    baseURL = config.useLocalServer ? 'local server' : config.baseURL,
+    seed = runSeed(),
+    httpRetries: fileRetries = readHttpRetries()
+  } = options;
+  const toRelative = file => path.relative(rootDir, file).split(path.sep).join('/');
+
+  const suites = results.testResults.map(fileResult => ({
+    file: toRelative(fileResult.testFilePath),
+    ...countTests(fileResult.testResults),
+    httpRetries: fileRetries[path.basename(fileResult.testFilePath, '.test.js')] || 0,
+    duration: fileResult.perfStats ? fileResult.perfStats.end - fileResult.perfStats.start : 0,
+    error: suiteError(fileResult)
+  }));
+
+  const tests = results.testResults.flatMap(fileResult => fileResult.testResults.map(test => ({
+    file: toRelative(fileResult.testFilePath),
+    name: test.fullName,
+    duration: test.duration || 0
+  })));
+  const totals = countTests(results.testResults.flatMap(fileResult => fileResult.testResults));
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    success: suites.every(suite => suite.failed === 0 && !suite.error),
+    environment,
+    baseURL: baseURL || null,
+    seed,
+    totals: {
+      suites: suites.length,
+      ...totals,
+      httpRetries: suites.reduce((total, suite) => total + suite.httpRetries, 0),
+      passRate: totals.total > 0 ? Number(((totals.passed / totals.total) * 100).toFixed(2)) : 0,
+      duration: results.startTime ? now - results.startTime : suites.reduce((total, suite) => total + suite.duration, 0)
+    },
+    suites,
+    slowest: tests.sort((a, b) => b.duration - a.duration).slice(0, slowest)
+  };
+}
+
+/**
+ * Run summary as the generateTestReport() box plus suite and slowest test lists
+ * @param {object} summary - Result of summarizeRun()
+ * @returns {string} Formatted report
+ */
+function formatRunSummary(summary) {
+  return generateTestReport({
+    ...summary.totals,
+    seed: summary.seed,
+    environment: summary.environment,
+    baseURL: summary.baseURL,
+    suites: summary.suites,
+    slowest: summary.slowest
+  });
+}
+
+/**
+ * Write a run summary as JSON
+ * @param {object} summary - Result of summarizeRun()
+ * @param {string} file - Output file
+ * @returns {string} Output file
+ */
+function writeRunSummary(summary, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(summary, null, 2)}\n`);
+  return file;
+}
+
+module.exports = {
+  recordHttpRetry,
+  writeHttpRetries,
+  readHttpRetries,
+  resetHttpRetries,
+  summarizeRun,
+  formatRunSummary,
+  writeRunSummary
+};
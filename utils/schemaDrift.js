@@ -0,0 +1,405 @@
+/**
+ * Schema Drift Detection
+ * Infers a structural schema from live responses, stores it as a committed
+ * baseline and reports how later responses differ from it
+ *
+ * The Joi schemas in utils/schemaValidator.js say what we expect; the baseline
+ * records what the API actually sent, so a field the Joi schemas tolerate
+ * (unknown keys in error bodies) or reject with a terse message shows up here
+ * as a readable change:
+ *
+ *   GET /products: [].rating.count changed type: integer → string
+ *   GET /products/categories: [] gained value(s): "toys"
+ *
+ * One baseline file per environment (<schemaBaselineDir>/<env>.json), since
+ * the local server and the live API need not agree. Which change kinds fail
+ * the run is set by config.schemaDriftFailOn.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { env, config } = require('../config/environment');
+
+/**
+ * Change kinds reported by diffSchemas()
+ */
+const DRIFT_KINDS = [
+  'field-added',
+  'field-removed',
+  'type-changed',
+  'became-nullable',
+  'became-non-nullable',
+  'became-optional',
+  'became-required',
+  'enum-widened',
+  'enum-narrowed',
+  'baseline-missing'
+];
+
+/**
+ * Responses sampled for the baseline
+ * enums lists the paths whose observed values are recorded, so a new value
+ * (e.g. a new category) is reported as enum widening. Paths use "[]" for
+ * array items: "[].category" is the category of every product in a list.
+ */
+const DRIFT_TARGETS = {
+  products: { endpoint: 'GET /products', request: client => client.getAllProducts(), enums: ['[].category'] },
+  productById: { endpoint: 'GET /products/1', request: client => client.getProductById(1) },
+  productNotFound: { endpoint: 'GET /products/9999', request: client => client.getProductById(9999) },
+  categories: { endpoint: 'GET /products/categories', request: client => client.getAllCategories(), enums: ['[]'] },
+  carts: { endpoint: 'GET /carts', request: client => client.getAllCarts() },
+  cartById: { endpoint: 'GET /carts/1', request: client => client.getCartById(1) },
+  users: { endpoint: 'GET /users', request: client => client.getAllUsers() },
+  userById: { endpoint: 'GET /users/1', request: client => client.getUserById(1) }
+};
+
+/**
+ * Path of the baseline file for an environment
+ * @param {string} envName - Environment name (defaults to NODE_ENV)
+ * @returns {string} Absolute path
+ */
+function baselineFile(envName = env) {
+  return path.resolve(__dirname, '..', config.schemaBaselineDir, `${envName}.json`);
+}
+
+/**
+ * Child path for an object key or array items
+ * @param {string} location - Parent path ('' for the root)
+ * @param {string} key - Object key, or '[]' for array items
+ * @returns {string} Child path
+ */
+function childPath(location, key) {
+  if (key === '[]') {
+    return `${location}[]`;
+  }
+  return location ? `${location}.${key}` : key;
+}
+
+/**
+ * Display form of a path
+ * @param {string} location - Path
+ * @returns {string} Path, or (root)
+ */
+function displayPath(location) {
+  return location || '(root)';
+}
+
+/**
+ * Non-null types of a schema node
+ * @param {object} node - Inferred schema node
+ * @returns {array} Sorted type names
+ */
+function typesOf(node) {
+  return [].concat(node.type).filter(type => type !== 'null');
+}
+
+/**
+ * Infer a structural schema from one value
+ * @param {*} value - Parsed JSON (undefined for an empty body)
+ * @param {object} options - Inference options
+ * @param {array} options.enums - Paths whose values are recorded
+ * @param {string} location - Path of value (internal)
+ * @returns {object} Schema node: { type, nullable?, properties?, required?, items?, enum? }
+ */
+function inferSchema(value, { enums = [] } = {}, location = '') {
+  if (value === undefined) {
+    return { type: 'empty' };
+  }
+  if (value === null) {
+    return { type: 'null' };
+  }
+  if (Array.isArray(value)) {
+    const itemPath = childPath(location, '[]');
+    const node = { type: 'array' };
+    const items = value.map(item => inferSchema(item, { enums }, itemPath));
+    if (items.length > 0) {
+      node.items = items.reduce((merged, item) => mergeSchemas(merged, item));
+    }
+    return node;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    const properties = {};
+    keys.forEach(key => {
+      properties[key] = inferSchema(value[key], { enums }, childPath(location, key));
+    });
+    return { type: 'object', properties, required: keys };
+  }
+
+  const node = { type: typeof value === 'number' && Number.isInteger(value) ? 'integer' : typeof value };
+  if (enums.includes(location)) {
+    node.enum = [value];
+  }
+  return node;
+}
+
+/**
+ * Merge two schema nodes inferred from different samples of the same field
+ * integer and number merge to number; null alongside another type sets nullable.
+ * @param {object} a - Schema node
+ * @param {object} b - Schema node
+ * @returns {object} Schema node accepting both samples
+ */
+function mergeSchemas(a, b) {
+  let types = [...new Set([...typesOf(a), ...typesOf(b)])];
+  if (types.includes('number')) {
+    types = types.filter(type => type !== 'integer');
+  }
+  const sawNull = [].concat(a.type, b.type).includes('null') || a.nullable || b.nullable;
+
+  const merged = {};
+  if (types.length === 0) {
+    merged.type = 'null';
+  } else {
+    merged.type = types.length === 1 ? types[0] : types.sort();
+    if (sawNull) {
+      merged.nullable = true;
+    }
+  }
+
+  if (a.properties || b.properties) {
+    const left = a.properties || {};
+    const right = b.properties || {};
+    merged.properties = {};
+    [...new Set([...Object.keys(left), ...Object.keys(right)])].sort().forEach(key => {
+      merged.properties[key] = left[key] && right[key] ? mergeSchemas(left[key], right[key]) : (left[key] || right[key]);
+    });
+    const required = [a, b].filter(node => node.properties).map(node => node.required);
+    merged.required = required.reduce((common, keys) => common.filter(key => keys.includes(key)));
+  }
+  if (a.items || b.items) {
+    merged.items = a.items && b.items ? mergeSchemas(a.items, b.items) : (a.items || b.items);
+  }
+  if (a.enum || b.enum) {
+    merged.enum = [...new Set([...(a.enum || []), ...(b.enum || [])])].sort();
+  }
+  return merged;
+}
+
+/**
+ * Short description of a node's type, for messages
+ * @param {object} node - Schema node
+ * @returns {string} e.g. integer, number|string, string (nullable)
+ */
+function describeType(node) {
+  const types = [].concat(node.type).join('|');
+  return node.nullable ? `${types} (nullable)` : types;
+}
+
+/**
+ * Quote enum values for messages
+ * @param {array} values - Values
+ * @returns {string} Comma-separated JSON values
+ */
+function formatValues(values) {
+  return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+/**
+ * Compare a current schema with its baseline
+ * @param {object} baseline - Baseline schema node
+ * @param {object} current - Schema node inferred from the current response
+ * @param {string} location - Path of the nodes (internal)
+ * @returns {array} Changes: { kind, path, message }
+ */
+function diffSchemas(baseline, current, location = '') {
+  const at = displayPath(location);
+  const change = (kind, message) => ({ kind, path: at, message });
+  const changes = [];
+
+  const before = typesOf(baseline);
+  const after = typesOf(current);
+  // A field seen only as null carries no type information; treat as a nullability change
+  if (before.length > 0 && after.length > 0 && before.join('|') !== after.join('|')) {
+    changes.push(change('type-changed', `${at} changed type: ${before.join('|')} → ${after.join('|')}`));
+  }
+
+  const wasNullable = Boolean(baseline.nullable) || baseline.type === 'null';
+  const isNullable = Boolean(current.nullable) || current.type === 'null';
+  if (!wasNullable && isNullable) {
+    changes.push(change('became-nullable', `${at} became nullable`));
+  } else if (wasNullable && !isNullable) {
+    changes.push(change('became-non-nullable', `${at} is no longer nullable`));
+  }
+
+  if (baseline.properties && current.properties) {
+    Object.keys(baseline.properties).forEach(key => {
+      const child = childPath(location, key);
+      if (!current.properties[key]) {
+        changes.push({ kind: 'field-removed', path: child, message: `removed field ${child} (${describeType(baseline.properties[key])})` });
+        return;
+      }
+      changes.push(...diffSchemas(baseline.properties[key], current.properties[key], child));
+      if (baseline.required.includes(key) && !current.required.includes(key)) {
+        changes.push({ kind: 'became-optional', path: child, message: `${child} became optional (missing from some responses)` });
+      } else if (!baseline.required.includes(key) && current.required.includes(key)) {
+        changes.push({ kind: 'became-required', path: child, message: `${child} became required` });
+      }
+    });
+    Object.keys(current.properties).filter(key => !baseline.properties[key]).forEach(key => {
+      const child = childPath(location, key);
+      changes.push({ kind: 'field-added', path: child, message: `added field ${child} (${describeType(current.properties[key])})` });
+    });
+  }
+
+  // An empty array says nothing about its items, so only compare when both have some
+  if (baseline.items && current.items) {
+    changes.push(...diffSchemas(baseline.items, current.items, childPath(location, '[]')));
+  }
+
+  if (baseline.enum && current.enum) {
+    const added = current.enum.filter(value => !baseline.enum.includes(value));
+    const removed = baseline.enum.filter(value => !current.enum.includes(value));
+    if (added.length > 0) {
+      changes.push(change('enum-widened', `${at} gained value(s): ${formatValues(added)}`));
+    }
+    if (removed.length > 0) {
+      changes.push(change('enum-narrowed', `${at} lost value(s): ${formatValues(removed)}`));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Request every target and infer its schema
+ * @param {object} targets - Targets keyed by name (defaults to DRIFT_TARGETS)
+ * @param {object} client - ApiClient (defaults to the shared instance)
+ * @returns {Promise} Resolves with { [name]: { endpoint, schema } }
+ */
+async function captureSchemas(targets = DRIFT_TARGETS, client = require('./apiClient')) {
+  const captured = {};
+  for (const name of Object.keys(targets)) {
+    const { endpoint, request, enums } = targets[name];
+    const res = await request(client);
+    captured[name] = { endpoint, schema: inferSchema(res.json, { enums }) };
+  }
+  return captured;
+}
+
+/**
+ * Read a baseline file
+ * @param {string} file - Baseline path (defaults to this environment's)
+ * @returns {object|null} Baseline keyed by target name, or null if there is none
+ */
+function loadSchemaBaseline(file = baselineFile()) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write captured schemas as the baseline
+ * @param {object} captured - Result of captureSchemas()
+ * @param {string} file - Baseline path (defaults to this environment's)
+ * @returns {string} Written file
+ */
+function writeSchemaBaseline(captured, file = baselineFile()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(captured, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Compare captured schemas with a baseline and apply the failure policy
+ * @param {object|null} baseline - Baseline keyed by target name; null when there is no baseline file
+ *   (every target is then reported as baseline-missing)
+ * @param {object} captured - Result of captureSchemas()
+ * @param {array} failOn - Change kinds that fail the run (defaults to config.schemaDriftFailOn)
+ * @returns {object} { changes, breaking, warnings }, each change with endpoint, kind, path and message
+ * @throws {TypeError} If failOn names an unknown change kind
+ */
+function compareWithBaseline(baseline, captured, failOn = config.schemaDriftFailOn) {
+  const unknown = failOn.filter(kind => !DRIFT_KINDS.includes(kind));
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown schema drift kind(s) ${unknown.join(', ')}. Use any of: ${DRIFT_KINDS.join(', ')}`);
+  }
+
+  const changes = [];
+  Object.keys(captured).forEach(name => {
+    const { endpoint, schema } = captured[name];
+    if (!baseline || !baseline[name]) {
+      const message = baseline ? 'no baseline recorded' : `no baseline file (${path.relative(process.cwd(), baselineFile())})`;
+      changes.push({ endpoint, kind: 'baseline-missing', path: '(root)', message });
+      return;
+    }
+    diffSchemas(baseline[name].schema, schema).forEach(found => changes.push({ endpoint, ...found }));
+  });
+
+  return {
+    changes,
+    breaking: changes.filter(found => failOn.includes(found.kind)),
+    warnings: changes.filter(found => !failOn.includes(found.kind))
+  };
+}
+
+/**
+ * Human-readable drift report
+ * @param {object} result - Result of compareWithBaseline()
+ * @returns {string} One line per change, breaking changes first
+ */
+function formatDriftReport({ breaking, warnings }) {
+  const line = ({ endpoint, message }) => `  - ${endpoint}: ${message}`;
+  const sections = [];
+  if (breaking.length > 0) {
+    sections.push(`Breaking schema changes (${breaking.length}):`, ...breaking.map(line));
+  }
+  if (warnings.length > 0) {
+    sections.push(`Other schema changes (${warnings.length}):`, ...warnings.map(line));
+  }
+  return sections.length > 0 ? sections.join('\n') : 'No schema drift';
+}
+
+// Allow running standalone: node utils/schemaDrift.js [--check]
+if (require.main === module) {
+  const { startLocalServer } = require('../server/localServer');
+  const relative = path.relative(process.cwd(), baselineFile());
+
+  (async () => {
+    const localServer = config.useLocalServer ? await startLocalServer() : null;
+    if (localServer) {
+      config.baseURL = localServer.url;
+    }
+    try {
+      const captured = await captureSchemas();
+      if (process.argv.includes('--check')) {
+        const baseline = loadSchemaBaseline();
+        if (!baseline) {
+          console.error(`No baseline at ${relative}. Run \`npm run schema:baseline\` and commit the result.`);
+          process.exitCode = 1;
+          return;
+        }
+        const result = compareWithBaseline(baseline, captured);
+        console.log(formatDriftReport(result));
+        if (result.breaking.length > 0) {
+          process.exitCode = 1;
+        }
+      } else {
+        writeSchemaBaseline(captured);
+        console.log(`Wrote ${relative} (${Object.keys(captured).length} endpoints)`);
+      }
+    } finally {
+      if (localServer) {
+        await localServer.close();
+      }
+    }
+  })().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  DRIFT_KINDS,
+  DRIFT_TARGETS,
+  baselineFile,
+  inferSchema,
+  mergeSchemas,
+  diffSchemas,
+  captureSchemas,
+  loadSchemaBaseline,
+  writeSchemaBaseline,
+  compareWithBaseline,
+  formatDriftReport
+};
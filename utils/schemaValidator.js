@@ -4,6 +4,14 @@
  */
 
 const Joi = require('joi');
+const { validProductRange, validCartRange, validUserRange } = require('../config/environment');
+
+/**
+ * Resource ID Schemas (path parameters of the seeded catalogue)
+ */
+const productIdSchema = Joi.number().integer().min(validProductRange.min).max(validProductRange.max).label('productId');
+const cartIdSchema = Joi.number().integer().min(validCartRange.min).max(validCartRange.max).label('cartId');
+const userIdSchema = Joi.number().integer().min(validUserRange.min).max(validUserRange.max).label('userId');
 
 /**
  * Product Rating Schema
@@ -54,6 +62,123 @@ const createProductSchema = Joi.object({
  */
 const productsArraySchema = Joi.array().items(productSchema);
 
+/**
+ * Categories Schema (GET /products/categories)
+ */
+const categoriesSchema = Joi.array().items(Joi.string().min(1)).unique().min(1);
+
+/**
+ * Cart Line Item Schema
+ */
+const cartProductSchema = Joi.object({
+  productId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().positive().required()
+});
+
+/**
+ * Complete Cart Schema (for GET responses)
+ */
+const cartSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  userId: Joi.number().integer().positive().required(),
+  date: Joi.date().iso().required(),
+  products: Joi.array().items(cartProductSchema).required(),
+  __v: Joi.number().integer()
+});
+
+/**
+ * Cart Creation Schema (request body)
+ */
+const createCartSchema = Joi.object({
+  userId: Joi.number().integer().positive().required(),
+  date: Joi.date().iso().required(),
+  products: Joi.array().items(cartProductSchema).min(1).required()
+});
+
+/**
+ * Array of Carts Schema
+ */
+const cartsArraySchema = Joi.array().items(cartSchema);
+
+/**
+ * User Name Schema
+ */
+const nameSchema = Joi.object({
+  firstname: Joi.string().required(),
+  lastname: Joi.string().required()
+});
+
+/**
+ * Geolocation Schema
+ * FakeStoreAPI serialises coordinates as numeric strings
+ */
+const geolocationSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  long: Joi.number().min(-180).max(180).required()
+});
+
+/**
+ * Address Schema
+ */
+const addressSchema = Joi.object({
+  city: Joi.string().required(),
+  street: Joi.string().required(),
+  number: Joi.number().integer().positive().required(),
+  zipcode: Joi.string().pattern(/^\d{5}(-\d{4})?$/).required(),
+  geolocation: geolocationSchema.required()
+});
+
+/**
+ * Phone Number Pattern (e.g. 1-570-236-7033)
+ */
+const phonePattern = /^\+?\d[\d\s()-]{5,18}\d$/;
+
+/**
+ * Complete User Schema (for GET responses)
+ */
+const userSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  email: Joi.string().email().required(),
+  username: Joi.string().required(),
+  password: Joi.string().required(),
+  name: nameSchema.required(),
+  address: addressSchema.required(),
+  phone: Joi.string().pattern(phonePattern).required(),
+  __v: Joi.number().integer()
+});
+
+/**
+ * User Creation Schema (request body)
+ */
+const createUserSchema = Joi.object({
+  email: Joi.string().email().required(),
+  username: Joi.string().required(),
+  password: Joi.string().required(),
+  name: nameSchema.required(),
+  address: addressSchema.required(),
+  phone: Joi.string().pattern(phonePattern).required()
+});
+
+/**
+ * Array of Users Schema
+ */
+const usersArraySchema = Joi.array().items(userSchema);
+
+/**
+ * Login Request Schema (POST /auth/login body)
+ */
+const loginRequestSchema = Joi.object({
+  username: Joi.string().required(),
+  password: Joi.string().required()
+});
+
+/**
+ * Login Response Schema
+ */
+const loginResponseSchema = Joi.object({
+  token: Joi.string().pattern(/^[\w-]+\.[\w-]+\.[\w-]*$/).required()
+});
+
 /**
  * Error Response Schema
  */
@@ -88,11 +213,27 @@ function assertSchema(data, schema) {
 
 module.exports = {
   schemas: {
+    productId: productIdSchema,
+    cartId: cartIdSchema,
+    userId: userIdSchema,
     product: productSchema,
     productWithoutRating: productSchemaWithoutRating,
     createProduct: createProductSchema,
     productsArray: productsArraySchema,
+    categories: categoriesSchema,
     rating: ratingSchema,
+    cart: cartSchema,
+    cartProduct: cartProductSchema,
+    createCart: createCartSchema,
+    cartsArray: cartsArraySchema,
+    user: userSchema,
+    userName: nameSchema,
+    address: addressSchema,
+    geolocation: geolocationSchema,
+    createUser: createUserSchema,
+    usersArray: usersArraySchema,
+    loginRequest: loginRequestSchema,
+    loginResponse: loginResponseSchema,
     error: errorSchema
   },
   validateSchema,
@@ -1,8 +1,23 @@
 /**
  * Test Data Generator
  * Generates test data for API testing
+ *
+ * Every random choice comes from utils/random.js, seeded per run and per test,
+ * so the same TEST_SEED reproduces the same payloads and IDs.
  */
 
+const { config } = require('../config/environment');
+const { getCategories } = require('./categoryDiscovery');
+const { random, randomInt, randomItem } = require('./random');
+const { schemas } = require('./schemaValidator');
+const { integerRange } = require('./boundaryCases');
+
+/**
+ * First day cart dates are drawn from (2024, years after the seed carts' 2020
+ * dates, so generated carts never fall in their date-range scenarios)
+ */
+const CART_DATE_START = Date.UTC(2024, 0, 1);
+
 /**
  * Generate random string
  * @param {number} length - Length of string
@@ -12,7 +27,7 @@ function generateRandomString(length = 10) {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let result = '';
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += chars.charAt(randomInt(0, chars.length - 1));
   }
   return result;
 }
@@ -25,7 +40,7 @@ function generateRandomString(length = 10) {
  * @returns {number} Random number
  */
 function generateRandomNumber(min = 0, max = 1000, decimals = 2) {
-  const num = Math.random() * (max - min) + min;
+  const num = random() * (max - min) + min;
   return parseFloat(num.toFixed(decimals));
 }
 
@@ -35,14 +50,14 @@ function generateRandomNumber(min = 0, max = 1000, decimals = 2) {
  * @returns {object} Product data
  */
 function generateProductData(overrides = {}) {
-  const categories = ['electronics', 'jewelery', 'men\'s clothing', 'women\'s clothing'];
+  const categories = getCategories();
   
   return {
     title: overrides.title || `Test Product ${generateRandomString(5)}`,
     price: overrides.price !== undefined ? overrides.price : generateRandomNumber(1, 999, 2),
     description: overrides.description || `Test product description ${generateRandomString(20)}`,
     image: overrides.image || 'https://fakestoreapi.com/img/test.jpg',
-    category: overrides.category || categories[Math.floor(Math.random() * categories.length)],
+    category: overrides.category || randomItem(categories),
     ...overrides
   };
 }
@@ -111,22 +126,20 @@ function generateEmptyStringProduct(field = 'title') {
 }
 
 /**
- * Get valid product ID (within range 1-20)
+ * Get valid product ID (within schemas.productId)
  * @returns {number} Valid product ID
  */
 function getValidProductId() {
-  return Math.floor(Math.random() * 20) + 1;
+  const { min, max } = integerRange(schemas.productId);
+  return randomInt(min, max);
 }
 
 /**
  * Get boundary product IDs
- * @returns {object} Min and max product IDs
+ * @returns {object} Min and max product IDs (from schemas.productId)
  */
 function getBoundaryProductIds() {
-  return {
-    min: 1,
-    max: 20
-  };
+  return integerRange(schemas.productId);
 }
 
 /**
@@ -134,7 +147,7 @@ function getBoundaryProductIds() {
  * @returns {number} Invalid product ID
  */
 function getInvalidProductId() {
-  return Math.floor(Math.random() * 9000) + 1000;
+  return randomInt(1000, 9999);
 }
 
 /**
@@ -158,6 +171,313 @@ function generateProductBatch(count = 5) {
   return products;
 }
 
+/**
+ * Generate random cart data
+ * The date comes from the seeded stream rather than the clock, so a seed
+ * gives the same cart (and a recorded cassette still matches) on any day.
+ * @param {object} overrides - Fields to override
+ * @returns {object} Cart data
+ */
+function generateCartData(overrides = {}) {
+  const itemCount = randomInt(1, 3);
+  const products = [];
+  for (let i = 0; i < itemCount; i++) {
+    products.push({
+      productId: getValidProductId(),
+      quantity: randomInt(1, 10)
+    });
+  }
+
+  return {
+    userId: randomInt(1, 10),
+    date: new Date(CART_DATE_START + randomInt(0, 364) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    products,
+    ...overrides
+  };
+}
+
+/**
+ * Generate cart with a line item quantity (boundary / invalid values)
+ * @param {number} quantity - Quantity for the single line item
+ * @returns {object} Cart data
+ */
+function generateCartWithQuantity(quantity) {
+  return generateCartData({
+    products: [{ productId: getValidProductId(), quantity }]
+  });
+}
+
+/**
+ * Get boundary cart IDs
+ * @returns {object} Min and max cart IDs (from schemas.cartId)
+ */
+function getBoundaryCartIds() {
+  return integerRange(schemas.cartId);
+}
+
+/**
+ * Get valid cart ID (within schemas.cartId)
+ * @returns {number} Valid cart ID
+ */
+function getValidCartId() {
+  const { min, max } = getBoundaryCartIds();
+  return randomInt(min, max);
+}
+
+/**
+ * Generate random user data
+ * @param {object} overrides - Fields to override
+ * @returns {object} User data
+ */
+function generateUserData(overrides = {}) {
+  const handle = generateRandomString(8).toLowerCase();
+
+  return {
+    email: `${handle}@example.com`,
+    username: `user_${handle}`,
+    password: `P@ss${generateRandomString(8)}`,
+    name: {
+      firstname: `first${generateRandomString(4).toLowerCase()}`,
+      lastname: `last${generateRandomString(4).toLowerCase()}`
+    },
+    address: {
+      city: 'kilcoole',
+      street: `${Math.floor(generateRandomNumber(1, 9999, 0))} new road`,
+      number: Math.floor(generateRandomNumber(1, 9999, 0)),
+      zipcode: '12926-3874',
+      geolocation: {
+        lat: String(generateRandomNumber(-90, 90, 4)),
+        long: String(generateRandomNumber(-180, 180, 4))
+      }
+    },
+    phone: `1-${Math.floor(generateRandomNumber(100, 999, 0))}-${Math.floor(generateRandomNumber(100, 999, 0))}-${Math.floor(generateRandomNumber(1000, 9999, 0))}`,
+    ...overrides
+  };
+}
+
+/**
+ * Generate user with invalid email (invalid)
+ * @param {string} email - Invalid email value
+ * @returns {object} User data with invalid email
+ */
+function generateInvalidEmailUser(email = 'not-an-email') {
+  return generateUserData({ email });
+}
+
+/**
+ * Generate user with an address part removed (invalid)
+ * @param {string} fieldToRemove - Address field name to remove
+ * @returns {object} User data with incomplete address
+ */
+function generateIncompleteAddressUser(fieldToRemove = 'city') {
+  const user = generateUserData();
+  delete user.address[fieldToRemove];
+  return user;
+}
+
+/**
+ * Generate user with malformed phone number (invalid)
+ * @param {string} phone - Malformed phone value
+ * @returns {object} User data with malformed phone
+ */
+function generateMalformedPhoneUser(phone = 'abc-def-ghij') {
+  return generateUserData({ phone });
+}
+
+/**
+ * Get valid user ID (within schemas.userId)
+ * @returns {number} Valid user ID
+ */
+function getValidUserId() {
+  const { min, max } = integerRange(schemas.userId);
+  return randomInt(min, max);
+}
+
+/**
+ * Interesting value classes per product field, for combinatorial payloads
+ * A class whose value is undefined leaves the field out of the payload. Wrong
+ * types are values Joi cannot convert (no numeric strings), so they stay invalid.
+ * @returns {object} { field: { className: value } }
+ */
+function productValueClasses() {
+  const strings = valid => ({
+    valid,
+    empty: '',
+    long: 'L'.repeat(1000),
+    unicode: 'Ünïcödé 商品 🎧',
+    wrongType: 12345,
+    missing: undefined
+  });
+
+  return {
+    title: strings('Pairwise Product'),
+    price: { valid: 19.99, zero: 0, negative: -1, large: 999999.99, wrongType: 'abc', missing: undefined },
+    description: strings('Payload built from one value class per field'),
+    category: { valid: 'electronics', empty: '', unicode: 'électronique', wrongType: 12345, missing: undefined },
+    image: {
+      valid: 'https://fakestoreapi.com/img/pairwise.jpg',
+      empty: '',
+      notUri: 'not a uri',
+      wrongType: 12345,
+      missing: undefined
+    }
+  };
+}
+
+/**
+ * Every way to pick `size` items from a list, keeping their order
+ * @param {array} items - Items
+ * @param {number} size - Items per pick
+ * @returns {array} Picks
+ */
+function choose(items, size) {
+  if (size === 0) {
+    return [[]];
+  }
+  if (items.length < size) {
+    return [];
+  }
+  const [first, ...rest] = items;
+  return [...choose(rest, size - 1).map(pick => [first, ...pick]), ...choose(rest, size)];
+}
+
+/**
+ * Key of the interaction a row covers for one set of fields
+ * @param {array} fields - Field names
+ * @param {object} row - Class name per field
+ * @returns {string} Interaction key
+ */
+function interactionKey(fields, row) {
+  return JSON.stringify(fields.map(field => [field, row[field]]));
+}
+
+/**
+ * Check factors and strength, and list the field sets of that strength
+ * @param {object} factors - { field: { className: value } }
+ * @param {number} strength - Fields combined per interaction
+ * @returns {array} Field sets
+ * @throws {TypeError} If a field has no classes or the strength does not fit the fields
+ */
+function fieldSetsOf(factors, strength) {
+  const fields = Object.keys(factors);
+  const empty = fields.find(field => Object.keys(factors[field]).length === 0);
+  if (empty) {
+    throw new TypeError(`Field "${empty}" has no value classes`);
+  }
+  if (!Number.isInteger(strength) || strength < 1 || strength > fields.length) {
+    throw new TypeError(`Combination strength must be an integer from 1 to ${fields.length} (the number of fields), got ${strength}`);
+  }
+  return choose(fields, strength);
+}
+
+/**
+ * Every interaction of the given strength
+ * @param {object} factors - { field: { className: value } }
+ * @param {array} fieldSets - Field sets from fieldSetsOf()
+ * @returns {array} Interaction keys
+ */
+function allInteractions(factors, fieldSets) {
+  return fieldSets.flatMap(fields => fields
+    .reduce((rows, field) => rows.flatMap(row => Object.keys(factors[field]).map(name => ({ ...row, [field]: name }))), [{}])
+    .map(row => interactionKey(fields, row)));
+}
+
+/**
+ * Share of n-wise interactions a set of rows covers
+ * @param {object} factors - { field: { className: value } }
+ * @param {array} rows - Class name per field, one object per payload
+ * @param {number} strength - Fields combined per interaction (2 = pairs)
+ * @returns {object} { strength, rows, covered, total, percent, exhaustive }
+ */
+function combinationCoverage(factors, rows, strength = config.combinationStrength) {
+  const fieldSets = fieldSetsOf(factors, strength);
+  const all = new Set(allInteractions(factors, fieldSets));
+  const covered = new Set();
+  rows.forEach(row => {
+    fieldSets.forEach(fields => {
+      const key = interactionKey(fields, row);
+      if (all.has(key)) {
+        covered.add(key);
+      }
+    });
+  });
+
+  return {
+    strength,
+    rows: rows.length,
+    covered: covered.size,
+    total: all.size,
+    percent: all.size === 0 ? 100 : Math.round((covered.size / all.size) * 1000) / 10,
+    exhaustive: Object.values(factors).reduce((count, classes) => count * Object.keys(classes).length, 1)
+  };
+}
+
+/**
+ * Minimal set of payloads covering every n-wise combination of value classes
+ * Greedy: each row starts from the first uncovered interaction, and every other
+ * field takes the class that covers the most uncovered interactions so far.
+ * The result depends only on the factors, not on the run seed.
+ * @param {object} factors - { field: { className: value } }, e.g. productValueClasses()
+ * @param {object} options - Options
+ * @param {number} options.strength - Fields combined per interaction (default config.combinationStrength)
+ * @returns {object} { cases: [{ label, classes, payload }], coverage }
+ * @throws {TypeError} If a field has no classes or the strength does not fit the fields
+ */
+function generateCombinations(factors, { strength = config.combinationStrength } = {}) {
+  const fields = Object.keys(factors);
+  const fieldSets = fieldSetsOf(factors, strength);
+  const uncovered = new Set(allInteractions(factors, fieldSets));
+  const rows = [];
+
+  while (uncovered.size > 0) {
+    const [first] = uncovered;
+    const row = Object.fromEntries(JSON.parse(first));
+    fields.filter(field => !(field in row)).forEach(field => {
+      let best = null;
+      let bestGain = -1;
+      Object.keys(factors[field]).forEach(name => {
+        const candidate = { ...row, [field]: name };
+        const gain = fieldSets
+          .filter(set => set.includes(field) && set.every(member => member in candidate))
+          .filter(set => uncovered.has(interactionKey(set, candidate)))
+          .length;
+        if (gain > bestGain) {
+          best = name;
+          bestGain = gain;
+        }
+      });
+      row[field] = best;
+    });
+    fieldSets.forEach(set => uncovered.delete(interactionKey(set, row)));
+    rows.push(row);
+  }
+
+  const cases = rows.map(classes => {
+    const payload = {};
+    fields.forEach(field => {
+      const value = factors[field][classes[field]];
+      if (value !== undefined) {
+        payload[field] = value;
+      }
+    });
+    return { label: fields.map(field => `${field}=${classes[field]}`).join(', '), classes, payload };
+  });
+
+  return { cases, coverage: combinationCoverage(factors, rows, strength) };
+}
+
+/**
+ * One-line coverage summary for logs and reports
+ * @param {object} coverage - Result of combinationCoverage()
+ * @returns {string} Summary
+ */
+function formatCombinationCoverage(coverage) {
+  const names = { 1: 'value classes', 2: 'value-class pairs', 3: 'value-class triples' };
+  const unit = names[coverage.strength] || `${coverage.strength}-way value-class combinations`;
+  return `${coverage.rows} payload(s) cover ${coverage.percent}% of ${unit} ` +
+    `(${coverage.covered}/${coverage.total}); exhaustive testing needs ${coverage.exhaustive}`;
+}
+
 module.exports = {
   generateRandomString,
   generateRandomNumber,
@@ -173,5 +493,18 @@ module.exports = {
   getBoundaryProductIds,
   getInvalidProductId,
   getNonNumericProductId,
-  generateProductBatch
+  generateProductBatch,
+  generateCartData,
+  generateCartWithQuantity,
+  getBoundaryCartIds,
+  getValidCartId,
+  generateUserData,
+  generateInvalidEmailUser,
+  generateIncompleteAddressUser,
+  generateMalformedPhoneUser,
+  getValidUserId,
+  productValueClasses,
+  generateCombinations,
+  combinationCoverage,
+  formatCombinationCoverage
 };
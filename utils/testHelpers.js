@@ -3,7 +3,9 @@
  * Common setup, teardown, and utility functions for tests
  */
 
-const { config } = require('../config/environment');
+const { env, config, configSources, statusCodes } = require('../config/environment');
+const { runSeed } = require('./random');
+const { logger } = require('./logger');
 
 /**
  * Test context to store shared data across tests
@@ -73,17 +75,25 @@ class TestContext {
  */
 const testContext = new TestContext();
 
+/**
+ * Format the resolved configuration with the layer each value came from
+ * @returns {string} Multi-line configuration summary
+ */
+function formatEffectiveConfig() {
+  const lines = Object.keys(config).map(key => {
+    const source = configSources[key] ? `  [${configSources[key]}]` : '';
+    return `  ${key.padEnd(16)} ${config[key]}${source}`;
+  });
+  return ['Effective Configuration:', ...lines].join('\n');
+}
+
 /**
  * Setup function to run before each test suite
  * @param {string} suiteName - Name of test suite
  */
 function setupTestSuite(suiteName) {
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`Starting Test Suite: ${suiteName}`);
-  console.log(`Timestamp: ${new Date().toISOString()}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Base URL: ${config.baseURL}`);
-  console.log(`${'='.repeat(60)}\n`);
+  logger.setSuite(suiteName);
+  logger.info(`Starting Test Suite: ${suiteName} (environment ${env}, seed ${runSeed()}, re-run with TEST_SEED=${runSeed()})`);
   
   testContext.startTimer();
 }
@@ -95,11 +105,8 @@ function setupTestSuite(suiteName) {
 function teardownTestSuite(suiteName) {
   const duration = testContext.stopTimer();
   
-  console.log(`\n${'='.repeat(60)}`);
-  console.log(`Completed Test Suite: ${suiteName}`);
-  console.log(`Duration: ${duration}ms`);
-  console.log(`Created Products: ${testContext.getCreatedProducts().length}`);
-  console.log(`${'='.repeat(60)}\n`);
+  logger.info(`Completed Test Suite: ${suiteName} (${duration}ms, ${testContext.getCreatedProducts().length} product(s) created)`);
+  logger.setSuite(null);
   
   // Note: FakeStoreAPI doesn't actually persist data,
   // so cleanup is not necessary, but we track it for real APIs
@@ -144,68 +151,132 @@ async function retryWithBackoff(fn, retries = 3, delay = 1000) {
       throw error;
     }
     
-    console.log(`Retrying... (${retries} attempts remaining)`);
+    logger.warn(`Retrying... (${retries} attempts remaining)`);
     await wait(delay);
     return retryWithBackoff(fn, retries - 1, delay * 2);
   }
 }
 
 /**
- * Log test information
+ * Log test information through the shared logger (utils/logger.js)
+ * Printed only when the level is within LOG_LEVEL.
  * @param {string} message - Message to log
- * @param {string} level - Log level (info, warn, error)
+ * @param {string} level - Log level (error, warn, info, success, debug)
  */
 function logTest(message, level = 'info') {
-  const timestamp = new Date().toISOString();
-  const prefix = {
-    info: 'ℹ️',
-    warn: '⚠️',
-    error: '❌',
-    success: '✅'
-  }[level] || 'ℹ️';
-  
-  console.log(`[${timestamp}] ${prefix} ${message}`);
+  logger.log(level, message);
 }
 
 /**
  * Create test data snapshot for debugging
+ * Logged at debug level, so the JSON is only printed with LOG_LEVEL=debug
+ * (and always kept in the test's log file with LOG_FILES=true).
  * @param {string} testName - Name of test
  * @param {object} data - Data to snapshot
  */
 function createSnapshot(testName, data) {
-  console.log(`\n📸 Snapshot: ${testName}`);
-  console.log(JSON.stringify(data, null, 2));
-  console.log('');
+  logger.debug(`📸 Snapshot: ${testName}`, { data });
 }
 
 /**
  * Validate response time is acceptable
- * @param {number} startTime - Request start time
+ * @param {object|number} responseOrStartTime - Frisby response (uses response.timings
+ *   measured by ApiClient), or a Date.now() timestamp taken before the request
  * @param {number} maxTime - Maximum acceptable time in ms
  * @returns {boolean} Whether response time is acceptable
  */
-function validateResponseTime(startTime, maxTime = 3000) {
-  const duration = Date.now() - startTime;
+function validateResponseTime(responseOrStartTime, maxTime = 3000) {
+  let duration;
+  let breakdown = '';
+  if (typeof responseOrStartTime === 'number') {
+    duration = Date.now() - responseOrStartTime;
+  } else if (responseOrStartTime.timings) {
+    const { dns, connect, tls, ttfb, total } = responseOrStartTime.timings;
+    duration = total;
+    breakdown = ` (dns ${dns}ms, connect ${connect}ms, tls ${tls}ms, ttfb ${ttfb}ms)`;
+  } else {
+    duration = responseOrStartTime.responseTime;
+  }
   const isAcceptable = duration < maxTime;
   
   if (isAcceptable) {
-    logTest(`Response time: ${duration}ms ✓`, 'success');
+    logTest(`Response time: ${duration}ms${breakdown} ✓`, 'success');
   } else {
-    logTest(`Response time: ${duration}ms (exceeded ${maxTime}ms) ✗`, 'warn');
+    logTest(`Response time: ${duration}ms${breakdown} (exceeded ${maxTime}ms) ✗`, 'warn');
   }
   
   return isAcceptable;
 }
 
+/**
+ * Check the response to a payload the schema marks valid or invalid
+ * Valid payloads must get an accepted status and pass `onValid`. Invalid ones
+ * must be rejected with 400/422, or are accepted with a warning and an id,
+ * since FakeStoreAPI is a mock that stores nothing and validates little.
+ * @param {object} res - Frisby response
+ * @param {boolean} valid - Whether the payload satisfies its schema
+ * @param {object} options - Options
+ * @param {array} options.accepted - Statuses that mean the payload was accepted (default 200, 201)
+ * @param {function} options.onValid - Further assertions on the response to a valid payload
+ */
+function expectPayloadOutcome(res, valid, { accepted = [statusCodes.OK, statusCodes.CREATED], onValid = () => {} } = {}) {
+  if (valid) {
+    expect(accepted).toContain(res.status);
+    onValid(res);
+  } else if (accepted.includes(res.status)) {
+    logTest('Note: FakeStoreAPI accepts invalid payloads (mock behavior)', 'warn');
+    expect(res.json).toHaveProperty('id');
+  } else {
+    expect([
+      statusCodes.BAD_REQUEST,
+      statusCodes.UNPROCESSABLE_ENTITY
+    ]).toContain(res.status);
+  }
+}
+
 /**
  * Generate test report summary
+ * Totals go in the box; the environment, per-suite breakdown and slowest tests follow when given.
  * @param {object} results - Test results
+ * @param {number} results.passed - Passed tests
+ * @param {number} results.failed - Failed tests
+ * @param {number} results.skipped - Skipped and todo tests
+ * @param {number} results.total - All tests
+ * @param {number} results.retries - Test retries (jest.retryTimes)
+ * @param {number} results.httpRetries - Requests re-sent by ApiClient's retry policy
+ * @param {number} results.duration - Run duration in ms
+ * @param {number} results.seed - Run seed
+ * @param {string} results.environment - Environment name
+ * @param {string} results.baseURL - API base URL
+ * @param {array} results.suites - [{ file, passed, failed, skipped, duration, error }]
+ * @param {array} results.slowest - [{ file, name, duration }]
  * @returns {string} Formatted report
  */
 function generateTestReport(results) {
-  const { passed = 0, failed = 0, total = 0, duration = 0 } = results;
+  const {
+    passed = 0, failed = 0, skipped = 0, total = 0, retries = 0, httpRetries = 0, duration = 0, seed = runSeed(),
+    environment, baseURL, suites = [], slowest = []
+  } = results;
   const passRate = total > 0 ? ((passed / total) * 100).toFixed(2) : 0;
-  
+  const details = [];
+
+  if (environment) {
+    details.push(`Environment: ${environment} (${baseURL || 'in-process local server'})`);
+  }
+  if (suites.length > 0) {
+    const width = Math.max(...suites.map(suite => suite.file.length));
+    details.push('', 'Suites:', ...suites.map(suite => {
+      const counts = suite.error
+        ? `did not run: ${suite.error}`
+        : `${suite.passed} passed, ${suite.failed} failed, ${suite.skipped} skipped`;
+      return `  ${suite.failed > 0 || suite.error ? '✗' : '✓'} ${suite.file.padEnd(width)}  ${counts}  ${suite.duration}ms`;
+    }));
+  }
+  if (slowest.length > 0) {
+    details.push('', 'Slowest tests:', ...slowest.map((test, index) =>
+      `  ${index + 1}. ${String(test.duration + 'ms').padStart(8)}  ${test.file} › ${test.name}`));
+  }
+
   return `
 ╔════════════════════════════════════════╗
 ║         TEST EXECUTION REPORT          ║
@@ -213,15 +284,20 @@ function generateTestReport(results) {
 ║ Total Tests:     ${String(total).padStart(20)} ║
 ║ Passed:          ${String(passed).padStart(20)} ║
 ║ Failed:          ${String(failed).padStart(20)} ║
+║ Skipped:         ${String(skipped).padStart(20)} ║
 ║ Pass Rate:       ${String(passRate + '%').padStart(20)} ║
+║ Retries:         ${String(retries).padStart(20)} ║
+║ HTTP Retries:    ${String(httpRetries).padStart(20)} ║
 ║ Duration:        ${String(duration + 'ms').padStart(20)} ║
+║ Seed:            ${String(seed).padStart(20)} ║
 ╚════════════════════════════════════════╝
-  `;
+${details.map(line => `${line}\n`).join('')}  `;
 }
 
 module.exports = {
   TestContext,
   testContext,
+  formatEffectiveConfig,
   setupTestSuite,
   teardownTestSuite,
   setupTest,
@@ -231,5 +307,6 @@ module.exports = {
   logTest,
   createSnapshot,
   validateResponseTime,
+  expectPayloadOutcome,
   generateTestReport
 };
@@ -0,0 +1,304 @@
+/**
+ * Request Timings
+ * Measures DNS, connect, TLS, time-to-first-byte and total time per request
+ * and collects them per endpoint for the timing report
+ *
+ * ApiClient sends every request through one shared keep-alive agent per
+ * protocol, which hands each request to its timer. Connection phases are
+ * measured when a request opens a connection and are 0 when it reuses one.
+ * Values are in milliseconds:
+ *   dns      - hostname lookup (0 for IP addresses and reused connections)
+ *   connect  - TCP connect (0 for reused connections)
+ *   tls      - TLS handshake (0 for http and reused connections)
+ *   ttfb     - request start to response headers
+ *   download - response headers to last body byte
+ *   total    - request start to last body byte
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+const REPORT_DIR = path.join(__dirname, '..', 'reports');
+const TIMINGS_DIR = path.join(REPORT_DIR, 'timings');
+const TIMINGS_REPORT = path.join(REPORT_DIR, 'endpoint-timings.json');
+
+/**
+ * Timing samples recorded in this test file, keyed by endpoint
+ */
+let samples = {};
+
+/**
+ * Build a keep-alive agent class that instruments the request of the timer
+ * that handed it out
+ * @param {Function} Base - http.Agent or https.Agent
+ * @returns {Function} Agent class
+ */
+function timingAgentClass(Base) {
+  return class extends Base {
+    constructor() {
+      super({ keepAlive: true });
+      this.pendingTimer = null;
+    }
+
+    /**
+     * Hand out the agent for the request a timer is about to send
+     * node-fetch creates the request right after resolving its agent, so the
+     * next addRequest() call is that request.
+     * @param {object} timer - Request timer
+     * @returns {object} This agent
+     */
+    forTimer(timer) {
+      this.pendingTimer = timer;
+      return this;
+    }
+
+    addRequest(req, options) {
+      if (this.pendingTimer) {
+        this.pendingTimer.instrument(req);
+        this.pendingTimer = null;
+      }
+      return super.addRequest(req, options);
+    }
+  };
+}
+
+/**
+ * Shared timing agents, one per protocol
+ */
+const timingAgents = {
+  'http:': new (timingAgentClass(http.Agent))(),
+  'https:': new (timingAgentClass(https.Agent))()
+};
+
+/**
+ * Round to hundredths of a millisecond
+ * @param {number} ms - Milliseconds
+ * @returns {number} Rounded milliseconds
+ */
+function round(ms) {
+  return Math.round(ms * 100) / 100;
+}
+
+/**
+ * Create a timer for one request
+ * Pass timer.agent as the fetch `agent` option, then read timer.result().
+ * @returns {object} { agent(parsedURL), instrument(req), result() }
+ */
+function createRequestTimer() {
+  const marks = {};
+  const mark = (name) => {
+    if (marks[name] === undefined) {
+      marks[name] = performance.now();
+    }
+  };
+
+  const timer = {
+    agent(parsedURL) {
+      return timingAgents[parsedURL.protocol === 'https:' ? 'https:' : 'http:'].forTimer(timer);
+    },
+
+    instrument(req) {
+      mark('start');
+      req.once('socket', socket => {
+        mark('socket');
+        socket.once('lookup', () => mark('lookup'));
+        socket.once('connect', () => mark('connect'));
+        socket.once('secureConnect', () => mark('secureConnect'));
+      });
+      req.once('response', res => {
+        mark('firstByte');
+        res.once('end', () => mark('end'));
+      });
+    },
+
+    /**
+     * Timings for the request, or null if it never reached the network
+     * (e.g. replayed from a cassette)
+     * @returns {object|null} { dns, connect, tls, ttfb, download, total }
+     */
+    result() {
+      if (marks.start === undefined) {
+        return null;
+      }
+
+      const end = marks.end !== undefined ? marks.end : performance.now();
+      const socketAt = marks.socket !== undefined ? marks.socket : marks.start;
+      const lookupAt = marks.lookup !== undefined ? marks.lookup : socketAt;
+      const connectAt = marks.connect !== undefined ? marks.connect : lookupAt;
+      const tlsAt = marks.secureConnect !== undefined ? marks.secureConnect : connectAt;
+      const firstByteAt = marks.firstByte !== undefined ? marks.firstByte : end;
+
+      return {
+        dns: round(lookupAt - socketAt),
+        connect: round(connectAt - lookupAt),
+        tls: round(tlsAt - connectAt),
+        ttfb: round(firstByteAt - marks.start),
+        download: round(end - firstByteAt),
+        total: round(end - marks.start)
+      };
+    }
+  };
+
+  return timer;
+}
+
+/**
+ * Group requests by endpoint, with numeric IDs collapsed
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint path, e.g. /products/7
+ * @returns {string} e.g. "GET /products/:id"
+ */
+function endpointKey(method, endpoint) {
+  return `${method} ${endpoint.replace(/\/-?\d+(?=\/|$)/g, '/:id')}`;
+}
+
+/**
+ * Record the timings of one request
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Endpoint path
+ * @param {object} timings - Result of timer.result()
+ */
+function recordTimings(method, endpoint, timings) {
+  const key = endpointKey(method, endpoint);
+  samples[key] = samples[key] || [];
+  samples[key].push({ ttfb: timings.ttfb, total: timings.total });
+}
+
+/**
+ * Get the samples recorded so far
+ * @returns {object} Arrays of { ttfb, total } keyed by endpoint
+ */
+function getTimingSamples() {
+  return samples;
+}
+
+/**
+ * Forget recorded samples
+ */
+function resetTimings() {
+  samples = {};
+}
+
+/**
+ * Value at a percentile of sorted numbers (nearest rank)
+ * @param {array} sorted - Numbers in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number} Value at the percentile
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+}
+
+/**
+ * Summarize a list of durations
+ * @param {array} values - Durations in ms
+ * @returns {object} { min, avg, p95, max }
+ */
+function describeDurations(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  return {
+    min: round(sorted[0] || 0),
+    avg: round(sorted.length ? sum / sorted.length : 0),
+    p95: round(percentile(sorted, 95)),
+    max: round(sorted[sorted.length - 1] || 0)
+  };
+}
+
+/**
+ * Summarize samples per endpoint
+ * @param {object} source - Samples keyed by endpoint (defaults to this file's)
+ * @returns {object} { count, ttfb, total } keyed by endpoint
+ */
+function summarizeTimings(source = samples) {
+  const summary = {};
+  Object.keys(source).sort().forEach(key => {
+    summary[key] = {
+      count: source[key].length,
+      ttfb: describeDurations(source[key].map(sample => sample.ttfb)),
+      total: describeDurations(source[key].map(sample => sample.total))
+    };
+  });
+  return summary;
+}
+
+/**
+ * Write this file's samples for the end-of-run merge
+ * @param {string} name - Test file name
+ * @param {string} dir - Directory for per-file samples
+ */
+function writeTimingSamples(name, dir = TIMINGS_DIR) {
+  if (Object.keys(samples).length === 0) {
+    return;
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(samples));
+}
+
+/**
+ * Merge every test file's samples into reports/endpoint-timings.json
+ * Per-file sample files are removed once merged.
+ * @param {string} dir - Directory of per-file samples
+ * @param {string} reportFile - Merged report path
+ * @returns {object|null} Merged per-endpoint summary, or null if nothing was recorded
+ */
+function mergeTimingReports(dir = TIMINGS_DIR, reportFile = TIMINGS_REPORT) {
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+
+  const merged = {};
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+    const fileSamples = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    Object.keys(fileSamples).forEach(key => {
+      merged[key] = (merged[key] || []).concat(fileSamples[key]);
+    });
+  });
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  if (Object.keys(merged).length === 0) {
+    return null;
+  }
+
+  const summary = summarizeTimings(merged);
+  fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+  fs.writeFileSync(reportFile, JSON.stringify({ generatedAt: new Date().toISOString(), endpoints: summary }, null, 2));
+  return summary;
+}
+
+/**
+ * Format a per-endpoint summary as a text table
+ * @param {object} summary - Result of summarizeTimings()
+ * @returns {string} Table with count, avg/p95/max total and avg TTFB
+ */
+function formatTimingTable(summary) {
+  const rows = Object.keys(summary).map(key => {
+    const { count, ttfb, total } = summary[key];
+    return `  ${key.padEnd(36)} ${String(count).padStart(5)} ${String(total.avg).padStart(9)} ` +
+      `${String(total.p95).padStart(9)} ${String(total.max).padStart(9)} ${String(ttfb.avg).padStart(9)}`;
+  });
+  const header = `  ${'Endpoint'.padEnd(36)} ${'Count'.padStart(5)} ${'Avg ms'.padStart(9)} ` +
+    `${'p95 ms'.padStart(9)} ${'Max ms'.padStart(9)} ${'TTFB ms'.padStart(9)}`;
+  return [header, ...rows].join('\n');
+}
+
+module.exports = {
+  TIMINGS_REPORT,
+  createRequestTimer,
+  endpointKey,
+  recordTimings,
+  getTimingSamples,
+  resetTimings,
+  percentile,
+  summarizeTimings,
+  writeTimingSamples,
+  mergeTimingReports,
+  formatTimingTable
+};
@@ -0,0 +1,407 @@
+/**
+ * Traceability Matrix
+ * Joins declared test scenarios (GET-001, CART-012, ...) with the test results
+ *
+ * Scenarios are declared in three places:
+ *   - README.md scenario tables, under a heading naming the test file
+ *   - test file comments: "- GET-001: Title (Technique)" header lists and
+ *     "GET-001: ..." lines in test doc blocks
+ *   - the test case catalog (data/catalog), run by tests/catalog.test.js
+ *
+ * A test belongs to the scenario whose ID starts its title (or the title of an
+ * enclosing describe). config/traceabilityReporter.js builds the matrix after
+ * each run and writes it as Markdown, CSV and HTML.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Scenario IDs: an upper-case prefix, a dash and a three-digit number
+ */
+const SCENARIO_ID = /\b([A-Z][A-Z0-9]*-\d{3})\b/;
+
+/**
+ * Test file that runs the catalog cases
+ */
+const CATALOG_TEST_FILE = 'tests/catalog.test.js';
+
+/**
+ * Record a declaration, keeping the first description and technique seen
+ * @param {object} declared - Scenarios by ID
+ * @param {object} scenario - { id, description, technique, file, source }
+ */
+function declare(declared, { id, description, technique, file, source }) {
+  const existing = declared[id];
+  if (!existing) {
+    declared[id] = { id, description, technique: technique || '', file, declaredIn: [source] };
+    return;
+  }
+  if (!existing.technique && technique) {
+    existing.technique = technique;
+  }
+  if (!existing.declaredIn.includes(source)) {
+    existing.declaredIn.push(source);
+  }
+}
+
+/**
+ * Scenarios listed in README tables
+ * Rows count when the first cell is a scenario ID and the nearest heading
+ * above names a test file, e.g. "### GET Endpoint Tests (`tests/get.test.js`)".
+ * @param {string} text - README contents
+ * @returns {array} [{ id, description, technique, file, source }]
+ */
+function parseReadmeScenarios(text) {
+  const scenarios = [];
+  let file = null;
+  text.split('\n').forEach(line => {
+    const heading = line.match(/^#{2,4} .*\(`(tests\/[^`]+\.test\.js)`\)/);
+    if (heading) {
+      file = heading[1];
+      return;
+    }
+    if (/^#{1,4} /.test(line)) {
+      file = null;
+      return;
+    }
+    const cells = line.split('|').slice(1, -1).map(cell => cell.trim());
+    if (file && cells.length >= 2 && new RegExp(`^${SCENARIO_ID.source}$`).test(cells[0])) {
+      scenarios.push({ id: cells[0], description: cells[1], technique: cells[2] || '', file, source: 'README.md' });
+    }
+  });
+  return scenarios;
+}
+
+/**
+ * Scenarios declared in a test file's comments
+ * "- ID: Title (Technique)" header lines give a technique; "ID: text" lines in
+ * doc blocks only a description.
+ * @param {string} source - Test file contents
+ * @param {string} file - Test file path, relative to the project root
+ * @returns {array} [{ id, description, technique, file, source }]
+ */
+function parseTestFileScenarios(source, file) {
+  const scenarios = [];
+  source.split('\n').forEach(line => {
+    const match = line.match(new RegExp(`^\\s*\\*\\s*(-\\s*)?${SCENARIO_ID.source}:\\s*(.+?)\\s*$`));
+    if (!match) {
+      return;
+    }
+    const [, listed, id, text] = match;
+    const technique = listed ? text.match(/\(([^()]*)\)$/) : null;
+    scenarios.push({
+      id,
+      description: technique ? text.slice(0, technique.index).trim() : text,
+      technique: technique ? technique[1] : '',
+      file,
+      source: file
+    });
+  });
+  return scenarios;
+}
+
+/**
+ * Scenarios declared as catalog cases
+ * @param {array} cases - Cases from loadCatalog()
+ * @param {string} catalogDir - Catalog directory, relative to the project root
+ * @returns {array} [{ id, description, technique, file, source }]
+ */
+function catalogScenarios(cases, catalogDir) {
+  return cases.map(testCase => ({
+    id: testCase.id,
+    description: testCase.title,
+    technique: testCase.technique.join(', '),
+    file: CATALOG_TEST_FILE,
+    source: `${catalogDir}/${testCase.file}`
+  }));
+}
+
+/**
+ * Every scenario declared for a set of test files
+ * Catalog files that cannot be loaded are left out (tests/catalog.test.js reports them).
+ * @param {object} options - Options
+ * @param {string} options.rootDir - Project root
+ * @param {array} options.testFiles - Test files in the run, relative to rootDir
+ * @returns {object} Scenarios by ID
+ */
+function collectDeclaredScenarios({ rootDir, testFiles }) {
+  const declared = {};
+  const readme = path.join(rootDir, 'README.md');
+  if (fs.existsSync(readme)) {
+    parseReadmeScenarios(fs.readFileSync(readme, 'utf8'))
+      .filter(scenario => testFiles.includes(scenario.file))
+      .forEach(scenario => declare(declared, scenario));
+  }
+
+  if (testFiles.includes(CATALOG_TEST_FILE)) {
+    const { config } = require('../config/environment');
+    const { loadCatalog } = require('./catalog');
+    try {
+      catalogScenarios(loadCatalog(path.resolve(rootDir, config.catalogDir)), config.catalogDir)
+        .forEach(scenario => declare(declared, scenario));
+    } catch (error) {
+      // Reported by the catalog suite itself
+    }
+  }
+
+  testFiles.forEach(file => {
+    const absolute = path.join(rootDir, file);
+    if (fs.existsSync(absolute)) {
+      parseTestFileScenarios(fs.readFileSync(absolute, 'utf8'), file).forEach(scenario => declare(declared, scenario));
+    }
+  });
+  return declared;
+}
+
+/**
+ * Scenario ID a test belongs to
+ * @param {object} test - { title, ancestorTitles }
+ * @returns {string|null} ID from the title, else from the innermost describe, else null
+ */
+function scenarioIdOf({ title, ancestorTitles = [] }) {
+  const match = [title, ...ancestorTitles.slice().reverse()]
+    .map(text => text.match(new RegExp(`^${SCENARIO_ID.source}`)))
+    .find(Boolean);
+  return match ? match[1] : null;
+}
+
+/**
+ * Result of a group of tests
+ * @param {array} statuses - Jest statuses (passed, failed, pending, todo, skipped, disabled)
+ * @returns {string} failed, passed, skipped, or missing when there are none
+ */
+function combinedResult(statuses) {
+  if (statuses.length === 0) {
+    return 'missing';
+  }
+  if (statuses.includes('failed')) {
+    return 'failed';
+  }
+  return statuses.includes('passed') ? 'passed' : 'skipped';
+}
+
+/**
+ * Join declared scenarios with test results
+ * @param {object} declared - Scenarios by ID, from collectDeclaredScenarios()
+ * @param {array} tests - [{ file, title, ancestorTitles, fullName, status, duration }]
+ * @returns {object} { scenarios, untraced, summary }
+ */
+function buildTraceabilityMatrix(declared, tests) {
+  const byId = {};
+  const untraced = [];
+  tests.forEach(test => {
+    const id = scenarioIdOf(test);
+    if (id) {
+      (byId[id] = byId[id] || []).push(test);
+    } else {
+      untraced.push({ file: test.file, name: test.fullName, result: combinedResult([test.status]), duration: test.duration || 0 });
+    }
+  });
+
+  const ids = [...new Set([...Object.keys(declared), ...Object.keys(byId)])];
+  const scenarios = ids.map(id => {
+    const scenarioTests = byId[id] || [];
+    const declaration = declared[id] || {
+      id,
+      description: scenarioTests[0].title.replace(new RegExp(`^${id}:?\\s*`), ''),
+      technique: '',
+      file: scenarioTests[0].file,
+      declaredIn: []
+    };
+    return {
+      ...declaration,
+      tests: scenarioTests.length,
+      result: combinedResult(scenarioTests.map(test => test.status)),
+      duration: scenarioTests.reduce((total, test) => total + (test.duration || 0), 0)
+    };
+  }).sort((a, b) => a.file.localeCompare(b.file) || a.id.localeCompare(b.id, 'en', { numeric: true }));
+
+  const count = result => scenarios.filter(scenario => scenario.result === result).length;
+  return {
+    scenarios,
+    untraced,
+    summary: {
+      scenarios: scenarios.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      missing: count('missing'),
+      undeclared: scenarios.filter(scenario => scenario.declaredIn.length === 0).length,
+      untraced: untraced.length,
+      tests: tests.length
+    }
+  };
+}
+
+/**
+ * One-line summary of a matrix
+ * @param {object} summary - Matrix summary
+ * @returns {string} Summary
+ */
+function formatTraceabilitySummary(summary) {
+  return `${summary.scenarios} scenario(s): ${summary.passed} passed, ${summary.failed} failed, ` +
+    `${summary.skipped} skipped, ${summary.missing} without tests; ` +
+    `${summary.untraced} of ${summary.tests} test(s) without a scenario ID`;
+}
+
+/**
+ * Label of a scenario result
+ * @param {string} result - failed, passed, skipped or missing
+ * @returns {string} Label
+ */
+function resultLabel(result) {
+  return { passed: '✅ passed', failed: '❌ failed', skipped: '⏭️ skipped', missing: '⚠️ no test' }[result];
+}
+
+/**
+ * Matrix as Markdown
+ * @param {object} matrix - Result of buildTraceabilityMatrix()
+ * @param {string} generatedAt - ISO timestamp
+ * @returns {string} Markdown document
+ */
+function renderTraceabilityMarkdown(matrix, generatedAt = new Date().toISOString()) {
+  const cell = value => String(value).replace(/\|/g, '\\|');
+  const row = cells => `| ${cells.map(cell).join(' | ')} |`;
+  const lines = [
+    '# Traceability Matrix',
+    '',
+    `Generated ${generatedAt}: ${formatTraceabilitySummary(matrix.summary)}`,
+    '',
+    row(['Scenario', 'Description', 'Technique', 'Test file', 'Tests', 'Result', 'Duration (ms)', 'Declared in']),
+    row(['---', '---', '---', '---', '---:', '---', '---:', '---']),
+    ...matrix.scenarios.map(scenario => row([
+      scenario.id, scenario.description, scenario.technique, scenario.file, scenario.tests,
+      resultLabel(scenario.result), scenario.duration, scenario.declaredIn.join(', ') || '(not declared)'
+    ]))
+  ];
+
+  const missing = matrix.scenarios.filter(scenario => scenario.result === 'missing');
+  lines.push('', `## Declared scenarios without tests (${missing.length})`, '');
+  lines.push(...(missing.length > 0
+    ? missing.map(scenario => `- **${scenario.id}** ${scenario.description} (${scenario.file})`)
+    : ['None']));
+
+  lines.push('', `## Tests without a scenario ID (${matrix.untraced.length})`, '');
+  lines.push(...(matrix.untraced.length > 0
+    ? [row(['Test file', 'Test', 'Result']), row(['---', '---', '---']),
+      ...matrix.untraced.map(test => row([test.file, test.name, resultLabel(test.result)]))]
+    : ['None']));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Matrix as CSV (one row per scenario, then one per untraced test)
+ * @param {object} matrix - Result of buildTraceabilityMatrix()
+ * @returns {string} CSV document
+ */
+function renderTraceabilityCsv(matrix) {
+  const field = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  const rows = [
+    ['kind', 'scenario', 'description', 'technique', 'file', 'tests', 'result', 'duration_ms', 'declared_in'],
+    ...matrix.scenarios.map(scenario => [
+      'scenario', scenario.id, scenario.description, scenario.technique, scenario.file,
+      scenario.tests, scenario.result, scenario.duration, scenario.declaredIn.join('; ')
+    ]),
+    ...matrix.untraced.map(test => ['untraced-test', '', test.name, '', test.file, 1, test.result, test.duration, ''])
+  ];
+  return `${rows.map(cells => cells.map(field).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to print
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Matrix as a standalone HTML page
+ * Scenarios without tests and failed scenarios are highlighted.
+ * @param {object} matrix - Result of buildTraceabilityMatrix()
+ * @param {string} generatedAt - ISO timestamp
+ * @returns {string} HTML document
+ */
+function renderTraceabilityHtml(matrix, generatedAt = new Date().toISOString()) {
+  const cells = values => values.map(value => `<td>${escapeHtml(value)}</td>`).join('');
+  const scenarioRows = matrix.scenarios.map(scenario => `<tr class="${scenario.result}">${cells([
+    scenario.id, scenario.description, scenario.technique, scenario.file, scenario.tests,
+    resultLabel(scenario.result), scenario.duration, scenario.declaredIn.join(', ') || '(not declared)'
+  ])}</tr>`).join('\n');
+  const untracedRows = matrix.untraced.map(test => `<tr class="untraced">${cells([
+    test.file, test.name, resultLabel(test.result)
+  ])}</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Traceability Matrix</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: left; }
+  .failed { background: #fbe3e3; }
+  .missing { background: #fff4cc; }
+  .skipped { color: #777; }
+  .untraced { background: #eef3fb; }
+</style>
+</head>
+<body>
+<h1>Traceability Matrix</h1>
+<p>Generated ${escapeHtml(generatedAt)}: ${escapeHtml(formatTraceabilitySummary(matrix.summary))}</p>
+<table>
+<tr><th>Scenario</th><th>Description</th><th>Technique</th><th>Test file</th><th>Tests</th><th>Result</th><th>Duration (ms)</th><th>Declared in</th></tr>
+${scenarioRows}
+</table>
+<h2>Tests without a scenario ID (${matrix.untraced.length})</h2>
+<table>
+<tr><th>Test file</th><th>Test</th><th>Result</th></tr>
+${untracedRows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a matrix to <dir>/<name>.md, .csv and .html
+ * @param {object} matrix - Result of buildTraceabilityMatrix()
+ * @param {string} dir - Output directory
+ * @param {string} name - File name without extension
+ * @returns {object} { markdown, csv, html } - Paths of the written files
+ */
+function writeTraceabilityReport(matrix, dir, name = 'traceability') {
+  fs.mkdirSync(dir, { recursive: true });
+  const generatedAt = new Date().toISOString();
+  const files = {
+    markdown: path.join(dir, `${name}.md`),
+    csv: path.join(dir, `${name}.csv`),
+    html: path.join(dir, `${name}.html`)
+  };
+  fs.writeFileSync(files.markdown, renderTraceabilityMarkdown(matrix, generatedAt));
+  fs.writeFileSync(files.csv, renderTraceabilityCsv(matrix));
+  fs.writeFileSync(files.html, renderTraceabilityHtml(matrix, generatedAt));
+  return files;
+}
+
+module.exports = {
+  SCENARIO_ID,
+  parseReadmeScenarios,
+  parseTestFileScenarios,
+  catalogScenarios,
+  collectDeclaredScenarios,
+  scenarioIdOf,
+  buildTraceabilityMatrix,
+  formatTraceabilitySummary,
+  renderTraceabilityMarkdown,
+  renderTraceabilityCsv,
+  renderTraceabilityHtml,
+  writeTraceabilityReport
+};